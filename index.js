@@ -8,6 +8,22 @@ const crypto = require('node:crypto');
 const moment = require("moment")
 const sharp = require('sharp');
 const { v4: uuidv4 } = require('uuid');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const ExcelJS = require('exceljs');
+const { Readable } = require('stream');
+const AdmZip = require('adm-zip');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+
+
+// Secrets the server cannot run without
+const REQUIRED_ENV = ['ADMIN_JWT_SECRET', 'HALL_TICKET_SECRET'];
+const missingEnv = REQUIRED_ENV.filter(name => !process.env[name]);
+if (missingEnv.length > 0) {
+  console.error(`Missing required environment variables: ${missingEnv.join(', ')}`);
+  process.exit(1);
+}
 
 
 // Initialize Express app
@@ -15,7 +31,12 @@ const app = express();
 const port = 2025;
 
 // Middleware
-app.use(express.json());
+// The raw body is kept for verifying Razorpay webhook signatures
+app.use(express.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  }
+}));
 app.use(cors({
   origin: '*', // or better: "http://localhost:3000" for local testing
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
@@ -51,6 +72,145 @@ const pdfUpload = multer({
 
 const videoUpload = multer({ storage: multer.memoryStorage() });
 
+// Multer setup for question sheet imports (sheet plus optional ZIP of images)
+const importUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: 50 * 1024 * 1024 }, // Limit: 50 MB
+});
+
+
+//Admin auth
+// Admin tokens are signed JWTs sent as "Authorization: Bearer <token>"
+const ADMIN_TOKEN_TTL = process.env.ADMIN_TOKEN_TTL || '8h';
+
+// Roles and the permissions they grant ('*' grants everything)
+const ADMIN_ROLES = {
+  'super-admin': {
+    label: 'Super admin',
+    permissions: ['*']
+  },
+  'content-editor': {
+    label: 'Content editor',
+    permissions: ['content:write', 'exams:read']
+  },
+  'results-viewer': {
+    label: 'Results / finance viewer',
+    permissions: ['results:read', 'payments:read', 'candidates:read']
+  },
+  'exam-supervisor': {
+    label: 'Exam supervisor',
+    permissions: [
+      'exams:read', 'exams:schedule', 'candidates:read', 'candidates:verify',
+      'candidates:checkin', 'results:read', 'results:manage', 'concerns:manage'
+    ]
+  },
+  'invigilator': {
+    label: 'Exam centre invigilator',
+    permissions: ['candidates:checkin']
+  }
+};
+
+const adminUsersRef = realtimeDatabase.ref('AdminUsers');
+
+// Admin user IDs are used as database keys
+const isValidAdminUserid = (userid) => /^[a-zA-Z0-9_-]{3,32}$/.test(userid || '');
+
+const getRolePermissions = (role) => (ADMIN_ROLES[role] || {}).permissions || [];
+
+const hasPermission = (role, permission) => {
+  const permissions = getRolePermissions(role);
+  return permissions.includes('*') || permissions.includes(permission);
+};
+
+// Look up an admin account in AdminUsers, falling back to the original
+// single Adminlogin account, which is treated as a super admin
+const getAdminAccount = async (userid) => {
+  if (isValidAdminUserid(userid)) {
+    const snapshot = await adminUsersRef.child(userid).once('value');
+    if (snapshot.exists()) {
+      return { ...snapshot.val(), userid, ref: adminUsersRef.child(userid) };
+    }
+  }
+
+  const legacyRef = realtimeDatabase.ref('Adminlogin');
+  const legacySnapshot = await legacyRef.once('value');
+  const legacyAdmin = legacySnapshot.val();
+
+  if (legacyAdmin && legacyAdmin.userid === userid) {
+    return { ...legacyAdmin, role: 'super-admin', active: true, ref: legacyRef };
+  }
+
+  return null;
+};
+
+// Tokens carry the account's tokenVersion, which goes up whenever its
+// password changes, so tokens issued before the change stop working
+const signAdminToken = (admin) => {
+  return jwt.sign(
+    { userid: admin.userid, ver: admin.tokenVersion || 0 },
+    process.env.ADMIN_JWT_SECRET,
+    { expiresIn: ADMIN_TOKEN_TTL, subject: admin.userid }
+  );
+};
+
+// Middleware to protect admin routes; the account is reloaded on every
+// request so role changes and deactivations take effect immediately
+const requireAdmin = async (req, res, next) => {
+  const [scheme, token] = (req.headers.authorization || '').split(' ');
+
+  if (scheme !== 'Bearer' || !token) {
+    return res.status(401).json({ error: "Admin authentication required" });
+  }
+
+  let payload;
+  try {
+    payload = jwt.verify(token, process.env.ADMIN_JWT_SECRET);
+  } catch (error) {
+    return res.status(401).json({ error: "Invalid or expired admin token" });
+  }
+
+  try {
+    const account = await getAdminAccount(payload.userid);
+    if (!account || account.active === false) {
+      return res.status(401).json({ error: "Admin account is disabled or no longer exists" });
+    }
+    if ((payload.ver || 0) !== (account.tokenVersion || 0)) {
+      return res.status(401).json({ error: "Password was changed; please log in again" });
+    }
+
+    req.admin = {
+      userid: account.userid,
+      name: account.name || account.userid,
+      role: account.role,
+      exp: payload.exp
+    };
+    next();
+  } catch (error) {
+    console.error("Error loading admin account:", error);
+    res.status(500).json({ error: "Internal Server Error." });
+  }
+};
+
+// Middleware factory to require a specific permission
+const requirePermission = (permission) => (req, res, next) => {
+  requireAdmin(req, res, () => {
+    if (!hasPermission(req.admin.role, permission)) {
+      return res.status(403).json({
+        error: "You do not have permission to perform this action",
+        required: permission
+      });
+    }
+    next();
+  });
+};
+
+// Constant-time comparison for legacy plain text passwords
+const safeEqual = (a, b) => {
+  const bufferA = Buffer.from(String(a));
+  const bufferB = Buffer.from(String(b));
+  return bufferA.length === bufferB.length && crypto.timingSafeEqual(bufferA, bufferB);
+};
+
 
 
  // API to get all notifications
@@ -162,7 +322,7 @@ app.get("/api/exams", async (req, res) => {
           id: examId,
           ...examData,
           examDetails,
-          questions: Object.entries(questions).map(([id, data]) => ({ id, ...data }))
+          questions: Object.entries(questions).map(([id, data]) => toCandidateQuestion({ id, ...data }))
         });
       });
 
@@ -206,6 +366,312 @@ app.get("/api/exams", async (req, res) => {
 });
 
 
+//Candidate photos
+// Candidate photos are stored privately in the bucket under
+// candidates/{registrationNumber}/ as a 300x400 photo and a 90x120
+// thumbnail, and served through short-lived signed URLs. Registrations
+// from before this keep a base64 photoUrl on the document
+const CANDIDATE_PHOTO_FORMATS = ['jpeg', 'png', 'webp'];
+const CANDIDATE_PHOTO_MIN_SIZE = 100; // pixels, both sides
+const CANDIDATE_PHOTO_URL_TTL_MS = 60 * 60 * 1000;
+
+// Check that an upload is a readable photo. Returns an error message or null
+const validateCandidatePhoto = async (file) => {
+  try {
+    const metadata = await sharp(file.buffer).metadata();
+
+    if (!CANDIDATE_PHOTO_FORMATS.includes(metadata.format)) {
+      return `Photo must be one of ${CANDIDATE_PHOTO_FORMATS.join(', ')}`;
+    }
+    if (metadata.width < CANDIDATE_PHOTO_MIN_SIZE || metadata.height < CANDIDATE_PHOTO_MIN_SIZE) {
+      return `Photo must be at least ${CANDIDATE_PHOTO_MIN_SIZE}x${CANDIDATE_PHOTO_MIN_SIZE} pixels`;
+    }
+    return null;
+  } catch (error) {
+    return 'Photo could not be read as an image';
+  }
+};
+
+// Store the photo and its thumbnail. Returns the photo record for the candidate document
+const storeCandidatePhoto = async (registrationNumber, buffer) => {
+  const [photo, thumbnail] = await Promise.all([
+    sharp(buffer).rotate().resize({ width: 300, height: 400, fit: 'cover' }).jpeg({ quality: 80 }).toBuffer(),
+    sharp(buffer).rotate().resize({ width: 90, height: 120, fit: 'cover' }).jpeg({ quality: 70 }).toBuffer()
+  ]);
+
+  const path = `candidates/${registrationNumber}/photo.jpg`;
+  const thumbnailPath = `candidates/${registrationNumber}/thumbnail.jpg`;
+  const options = { metadata: { contentType: 'image/jpeg' }, resumable: false };
+
+  await Promise.all([
+    bucket.file(path).save(photo, options),
+    bucket.file(thumbnailPath).save(thumbnail, options)
+  ]);
+
+  return {
+    path,
+    thumbnailPath,
+    size: photo.length,
+    hash: crypto.createHash('sha256').update(photo).digest('hex'),
+    uploadedAt: new Date().toISOString(),
+    status: 'pending'
+  };
+};
+
+const deleteCandidatePhoto = async (photo) => {
+  if (!photo) return;
+  await Promise.all([photo.path, photo.thumbnailPath].map(path =>
+    bucket.file(path).delete().catch(error => console.warn("Error deleting candidate photo:", error.message))
+  ));
+};
+
+const getSignedFileUrl = async (path) => {
+  const [url] = await bucket.file(path).getSignedUrl({
+    action: 'read',
+    expires: Date.now() + CANDIDATE_PHOTO_URL_TTL_MS
+  });
+  return url;
+};
+
+// Candidate data with signed photoUrl and thumbnailUrl for stored photos
+const withPhotoUrls = async (candidateData) => {
+  if (!candidateData.photo || !candidateData.photo.path) return candidateData;
+
+  const [photoUrl, thumbnailUrl] = await Promise.all([
+    getSignedFileUrl(candidateData.photo.path),
+    getSignedFileUrl(candidateData.photo.thumbnailPath)
+  ]);
+  return { ...candidateData, photoUrl, thumbnailUrl };
+};
+
+// Photo bytes for documents: from storage, or decoded from a legacy data URL
+const loadCandidatePhoto = async (candidateData) => {
+  if (candidateData.photo && candidateData.photo.path) {
+    const [buffer] = await bucket.file(candidateData.photo.path).download();
+    return buffer;
+  }
+
+  const dataUrl = String(candidateData.photoUrl || '').match(/^data:[^;]+;base64,(.*)$/);
+  return dataUrl ? Buffer.from(dataUrl[1], 'base64') : null;
+};
+
+//Hall ticket codes
+// The hall ticket QR code carries "HT1.<registrationNumber>.<signature>",
+// signed with HALL_TICKET_SECRET so centres can tell a genuine ticket
+// from an edited printout. The code is derived when a ticket is printed
+// and never stored, since anyone holding it passes check-in
+const HALL_TICKET_CODE_VERSION = 'HT1';
+
+const getHallTicketSecret = () => process.env.HALL_TICKET_SECRET;
+
+const signHallTicketCode = (registrationNumber) => {
+  const payload = `${HALL_TICKET_CODE_VERSION}.${registrationNumber}`;
+  const signature = crypto
+    .createHmac('sha256', getHallTicketSecret())
+    .update(payload)
+    .digest('base64url');
+
+  return `${payload}.${signature}`;
+};
+
+// Registration number from a scanned code, or null if it is not genuine
+const verifyHallTicketCode = (code) => {
+  const parts = String(code || '').trim().split('.');
+  if (parts.length !== 3 || parts[0] !== HALL_TICKET_CODE_VERSION || !parts[1]) {
+    return null;
+  }
+
+  return safeEqual(signHallTicketCode(parts[1]), parts.join('.')) ? parts[1] : null;
+};
+
+//Registrations
+// Registration numbers look like REG-2026-000123-K7QX: the year plus a
+// per-year sequence taken from RegistrationCounters in a transaction,
+// so concurrent registrations never share a number, and a random suffix
+// so one number cannot be guessed from another
+const REGISTRATION_SUFFIX_CHARS = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+const generateRegistrationNumber = async () => {
+  const year = moment().format('YYYY');
+  const { committed, snapshot } = await realtimeDatabase
+    .ref(`RegistrationCounters/${year}`)
+    .transaction(current => (current || 0) + 1);
+
+  if (!committed) {
+    throw new Error('Could not allocate a registration number');
+  }
+
+  const suffix = Array.from({ length: 4 }, () =>
+    REGISTRATION_SUFFIX_CHARS[crypto.randomInt(REGISTRATION_SUFFIX_CHARS.length)]).join('');
+  return `REG-${year}-${String(snapshot.val()).padStart(6, '0')}-${suffix}`;
+};
+
+// Phone numbers are compared on their last 10 digits
+const normalizePhone = (phone) => String(phone || '').replace(/\D/g, '').slice(-10);
+
+// One registration per phone number per exam, enforced by a key document
+const getRegistrationKeyRef = (exam, phone) =>
+  firestore.collection('registrationKeys').doc(hashToken(`${exam}|${normalizePhone(phone)}`));
+
+const PHONE_ALREADY_REGISTERED = 'This phone number is already registered for this exam';
+
+// Reason a phone number or payment cannot be used for a new registration, or null
+const findRegistrationConflict = async (exam, phone, paymentId) => {
+  const [keyDoc, paymentDoc] = await Promise.all([
+    getRegistrationKeyRef(exam, phone).get(),
+    paymentId ? firestore.collection('payments').doc(paymentId).get() : null
+  ]);
+
+  if (keyDoc.exists) {
+    return PHONE_ALREADY_REGISTERED;
+  }
+  if (paymentDoc && paymentDoc.exists) {
+    return 'This payment has already been used for a registration';
+  }
+  return null;
+};
+
+// Candidate already registered with a payment, or null. When a phone
+// number is given it must match the registration
+const findRegistrationByPayment = async (paymentId, phone) => {
+  const paymentDoc = await firestore.collection('payments').doc(paymentId).get();
+  if (!paymentDoc.exists || !paymentDoc.data().registrationNumber) return null;
+
+  const candidateDoc = await firestore.collection('candidates').doc(paymentDoc.data().registrationNumber).get();
+  if (!candidateDoc.exists) return null;
+  if (phone && normalizePhone(candidateDoc.data().phone) !== normalizePhone(phone)) return null;
+
+  return candidateDoc.data();
+};
+
+// Check that a registration was paid for at the exam's price in
+// ExamDateTime. Returns { examWindow, price, payment } or { status, error }
+const verifyRegistrationPayment = async (exam, paymentId, orderId) => {
+  const examWindow = await getExamWindow(exam);
+  if (!examWindow) {
+    return { status: 404, error: 'Exam is not scheduled' };
+  }
+
+  const price = Number(examWindow.price) || 0;
+  if (price === 0) {
+    return { examWindow, price, payment: null };
+  }
+
+  if (!paymentId || !orderId) {
+    return { status: 400, error: 'paymentId and orderId are required' };
+  }
+
+  const verification = await checkOrderPayment(orderId, paymentId, { productType: 'main-exam', productId: exam });
+  if (verification.error) {
+    return verification;
+  }
+  if (verification.order.expectedAmount !== price) {
+    return { status: 402, error: 'Order amount does not match the exam price' };
+  }
+
+  return { examWindow, price, payment: verification.payment };
+};
+
+// Create the candidate, the phone + exam key and the payment record
+// together. Returns { candidateData } or { status, error }
+const createRegistration = async (details, photoBuffer, { examWindow, price, payment }) => {
+  const registrationNumber = await generateRegistrationNumber();
+  const photo = await storeCandidatePhoto(registrationNumber, photoBuffer);
+  const now = new Date().toISOString();
+
+  const paymentDetails = {
+    paymentId: payment ? payment.id : null,
+    orderId: payment ? payment.order_id : null,
+    paymentAmount: payment ? payment.amount / 100 : price,
+    paymentDate: payment ? new Date(payment.created_at * 1000).toISOString() : now
+  };
+
+  const candidateData = {
+    candidateName: details.candidateName,
+    gender: details.gender,
+    dob: details.dob,
+    district: details.district,
+    pincode: details.pincode,
+    state: details.state,
+    email: details.email || '',
+    phone: details.phone,
+    exam: details.exam,
+    examDate: examWindow.date,
+    examStartTime: examWindow.startTime,
+    examEndTime: examWindow.endTime,
+    photo,
+    registrationNumber,
+    createdAt: now,
+    used: false,
+    payment: {
+      ...paymentDetails,
+      status: 'completed'
+    }
+  };
+
+  const candidateRef = firestore.collection('candidates').doc(registrationNumber);
+  const keyRef = getRegistrationKeyRef(details.exam, details.phone);
+  const paymentRef = payment ? firestore.collection('payments').doc(payment.id) : null;
+
+  try {
+    const conflict = await firestore.runTransaction(async (transaction) => {
+      const [keyDoc, paymentDoc] = await Promise.all([
+        transaction.get(keyRef),
+        paymentRef ? transaction.get(paymentRef) : null
+      ]);
+
+      if (keyDoc.exists) {
+        return PHONE_ALREADY_REGISTERED;
+      }
+      if (paymentDoc && paymentDoc.exists) {
+        return 'This payment has already been used for a registration';
+      }
+
+      transaction.create(candidateRef, candidateData);
+      transaction.create(keyRef, {
+        exam: details.exam,
+        registrationNumber,
+        createdAt: now
+      });
+
+      // Payment record kept separately for reporting purposes
+      if (paymentRef) {
+        transaction.create(paymentRef, {
+          orderId: paymentDetails.orderId,
+          amount: paymentDetails.paymentAmount,
+          date: paymentDetails.paymentDate,
+          candidateName: details.candidateName,
+          candidateEmail: details.email || '',
+          candidatePhone: details.phone,
+          exam: details.exam,
+          registrationNumber,
+          status: 'completed',
+          createdAt: now
+        });
+      }
+      return null;
+    });
+
+    if (conflict) {
+      await deleteCandidatePhoto(photo);
+      // The payment was taken but cannot be used, so it must be returned
+      if (payment && conflict === PHONE_ALREADY_REGISTERED) {
+        await flagOrderForRefund(payment.order_id, conflict);
+      }
+      return { status: 409, error: conflict };
+    }
+  } catch (error) {
+    await deleteCandidatePhoto(photo);
+    throw error;
+  }
+
+  if (payment) {
+    await updateOrderStatus(payment.order_id, 'completed', { registrationNumber });
+  }
+
+  return { candidateData };
+};
+
 //user regerster api
 // Backend API (Node.js)
 app.post('/api/register', upload.single('photo'), async (req, res) => {
@@ -213,9 +679,9 @@ app.post('/api/register', upload.single('photo'), async (req, res) => {
     // Validate all required fields
     const requiredFields = [
       'candidateName', 'gender', 'dob', 'district', 
-      'pincode', 'state', 'phone', 'exam',
-      'examDate', 'examStartTime', 'examEndTime'
+      'pincode', 'state', 'phone', 'exam'
     ];
+    // The exam date and time slot are taken from ExamDateTime
     
     // Check for missing fields
     const missingFields = requiredFields.filter(field => !req.body[field]);
@@ -234,96 +700,64 @@ app.post('/api/register', upload.single('photo'), async (req, res) => {
       });
     }
     
-    // Process image with Sharp
-    const processedImage = await sharp(req.file.buffer)
-      .resize({
-        width: 300,   // Resize to a standard width
-        height: 400,  // Maintain aspect ratio
-        fit: 'cover'  // Crop to fit
-      })
-      .toFormat('jpeg')  // Standardize to JPEG
-      .jpeg({ quality: 80 })  // Compress with 80% quality
-      .toBuffer();
-    
-    // Generate unique registration number
-    const uniqueRegisterNo = `REG${Date.now()}`;
-    
-    // Convert processed photo to base64
-    const base64Image = processedImage.toString('base64');
-    const photoUrl = `data:image/jpeg;base64,${base64Image}`;
+    const photoError = await validateCandidatePhoto(req.file);
+    if (photoError) {
+      return res.status(400).json({
+        success: false,
+        error: photoError
+      });
+    }
     
-    // Extract payment details if available
-    const paymentDetails = {
-      paymentId: req.body.paymentId || null,
-      orderId: req.body.orderId || null,
-      paymentAmount: req.body.paymentAmount || req.body.examPrice || null,
-      paymentDate: req.body.paymentDate || new Date().toISOString()
-    };
+    // The payment webhook may already have completed this registration
+    const { exam, phone, paymentId, orderId } = req.body;
+    const existing = paymentId ? await findRegistrationByPayment(paymentId, phone) : null;
+    if (existing) {
+      return res.status(200).json({
+        success: true,
+        message: 'Candidate already registered for this payment',
+        data: await withPhotoUrls(existing)
+      });
+    }
     
-    // Prepare full candidate data
-    const candidateData = {
-      candidateName: req.body.candidateName,
-      gender: req.body.gender,
-      dob: req.body.dob,
-      district: req.body.district,
-      pincode: req.body.pincode,
-      state: req.body.state,
-      email: req.body.email || '',
-      phone: req.body.phone,
-      exam: req.body.exam,
-      examDate: req.body.examDate,
-      examStartTime: req.body.examStartTime,
-      examEndTime: req.body.examEndTime,
-      photoUrl,
-      registrationNumber: uniqueRegisterNo,
-      photoSize: processedImage.length,
-      createdAt: new Date().toISOString(),
-      used: false,
-      // Add payment details to the candidate data
-      payment: {
-        ...paymentDetails,
-        status: 'completed'
+    // Fail fast on duplicates before touching the payment or storage
+    const conflict = await findRegistrationConflict(exam, phone, paymentId);
+    if (conflict) {
+      // A captured payment for a phone number that is already registered
+      // is queued for a refund
+      if (conflict === PHONE_ALREADY_REGISTERED && paymentId && orderId) {
+        const paid = await checkOrderPayment(orderId, paymentId, { productType: 'main-exam', productId: exam });
+        if (!paid.error) await flagOrderForRefund(orderId, conflict);
       }
-    };
-    
-    // Firestore document size limit is ~1MB
-    // Check image size before saving
-    if (processedImage.length > 1 * 1024 * 1024) {
-      return res.status(400).json({
+      return res.status(409).json({
         success: false,
-        error: 'Processed image still too large'
+        error: conflict
       });
     }
     
-    // Save to Firestore
-    const candidateRef = firestore.collection('candidates').doc(uniqueRegisterNo);
-    await candidateRef.set(candidateData);
+    // The payment must be captured for this exam's price
+    const verification = await verifyRegistrationPayment(exam, paymentId, orderId);
+    if (verification.error) {
+      return res.status(verification.status).json({
+        success: false,
+        error: verification.error
+      });
+    }
     
-    // Also save payment record separately for reporting purposes
-    if (paymentDetails.paymentId) {
-      const paymentRef = firestore.collection('payments').doc(paymentDetails.paymentId);
-      await paymentRef.set({
-        orderId: paymentDetails.orderId,
-        amount: paymentDetails.paymentAmount,
-        date: paymentDetails.paymentDate,
-        candidateName: req.body.candidateName,
-        candidateEmail: req.body.email || '',
-        candidatePhone: req.body.phone,
-        exam: req.body.exam,
-        registrationNumber: uniqueRegisterNo,
-        status: 'completed',
-        createdAt: new Date().toISOString()
+    const registration = await createRegistration(req.body, req.file.buffer, verification);
+    if (registration.error) {
+      return res.status(registration.status).json({
+        success: false,
+        error: registration.error
       });
     }
     
+    const { candidateData } = registration;
+    
     // Send success response
     res.status(201).json({
       success: true,
       message: 'Candidate registered successfully',
-      data: {
-        registrationNumber: uniqueRegisterNo,
-        ...candidateData
-      }
+      data: await withPhotoUrls(candidateData)
     });
    
   } catch (error) {
@@ -336,7 +770,7 @@ app.post('/api/register', upload.single('photo'), async (req, res) => {
 });
 
 //User reg number api
-app.get('/api/candidates', async (req, res) => {
+app.get('/api/candidates', requirePermission('candidates:read'), async (req, res) => {
   try {
     // Fetch all candidate documents from the 'candidates' collection
     const snapshot = await firestore.collection('candidates').get();
@@ -456,114 +890,695 @@ app.post('/api/validate-registration', async (req, res) => {
   }
 });
 
-// Start Exam Route
-app.post('/api/start-exam', async (req, res) => {
-  const { registrationNumber } = req.body;
+//Exam session helpers
+// Grace period for answers that are in flight when the timer runs out
+const EXAM_SUBMIT_GRACE_MS = (parseInt(process.env.EXAM_SUBMIT_GRACE_SECONDS, 10) || 60) * 1000;
 
-  try {
-    const candidateRef = firestore.collection('candidates').doc(registrationNumber);
-    
-    // Update the used status
-    await candidateRef.update({
-      used: true,
-      examStartTime: new Date().toISOString()
-    });
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
 
-    res.status(200).json({
-      success: true,
-      message: 'Exam started successfully'
-    });
+// Answer documents are keyed as Q<questionId>
+const formatQuestionId = (questionId) => {
+  const id = String(questionId);
+  return id.startsWith('Q') ? id : `Q${id}`;
+};
 
-  } catch (error) {
-    console.error('Start exam error:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to start exam'
-    });
+// Parse an ExamDateTime entry into moment start and end times
+const toExamWindow = (dateTime) => {
+  if (!dateTime || !dateTime.date || !dateTime.startTime || !dateTime.endTime) {
+    return null;
   }
-});
 
-// Get Exam Questions Route
-app.post('/api/exam-questions', async (req, res) => {
-  try {
-    const { date, examName } = req.body;
+  const start = moment(`${dateTime.date} ${dateTime.startTime}`, 'YYYY-MM-DD h:mm A');
+  const end = moment(`${dateTime.date} ${dateTime.endTime}`, 'YYYY-MM-DD h:mm A');
 
-    // Reference to the exam document
-    const examRef = firestore.collection('Exams').doc(examName);
-    const examDoc = await examRef.get();
+  return { ...dateTime, start, end };
+};
 
-    if (!examDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        error: 'Exam not found'
-      });
-    }
+// Get the scheduled start and end of an exam from ExamDateTime
+const getExamWindow = async (examTitle) => {
+  const snapshot = await realtimeDatabase.ref('ExamDateTime').child(examTitle).once('value');
+  const dateTime = snapshot.val();
 
-    const examData = examDoc.data();
+  return toExamWindow(dateTime);
+};
 
-    // Reference to the questions subcollection
-    const questionsRef = examRef.collection('Questions');
-    const questionsSnapshot = await questionsRef.get();
+// Exams without a schedule are treated as still open
+const isExamWindowClosed = async (examTitle) => {
+  const examWindow = await getExamWindow(examTitle);
+  return Boolean(examWindow) && moment().isAfter(examWindow.end);
+};
 
-    let questions = [];
+// Close an exam session and mark the candidate as submitted
+const closeExamSession = async (candidateRef, status, completedAt) => {
+  await candidateRef.update({
+    submitted: true,
+    examCompletedAt: completedAt,
+    'examSession.status': status,
+    'examSession.closedAt': new Date().toISOString()
+  });
+};
 
-    // Push questions into the array
-    questionsSnapshot.forEach(doc => {
-      questions.push({
-        id: doc.id,
-        ...doc.data()
-      });
-    });
+// Check that a write comes from the candidate's active exam session.
+// Returns { candidateRef, candidateData } or { status, error }
+const checkExamSession = async (registrationNumber, sessionToken) => {
+  if (!registrationNumber || !sessionToken) {
+    return { status: 401, error: 'Registration number and exam session token are required' };
+  }
 
-    // Sort questions by the 'order' field
-    questions.sort((a, b) => a.order - b.order);
+  const candidateRef = firestore.collection('candidates').doc(registrationNumber);
+  const candidateDoc = await candidateRef.get();
 
-    res.status(200).json({
-      success: true,
-      data: {
-        examDetails: examData,
-        questions: questions
-      }
-    });
+  if (!candidateDoc.exists) {
+    return { status: 404, error: 'Invalid registration number' };
+  }
 
-  } catch (error) {
-    console.error('Error fetching exam questions:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch exam questions'
-    });
+  const candidateData = candidateDoc.data();
+  const session = candidateData.examSession;
+
+  if (!session || !safeEqual(session.tokenHash, hashToken(sessionToken))) {
+    return { status: 401, error: 'Invalid exam session' };
   }
-});
 
-app.post('/api/save-all-answers', async (req, res) => {
+  if (session.status !== 'active' || candidateData.submitted) {
+    return { status: 409, error: 'Exam has already been submitted' };
+  }
+
+  if (Date.now() > new Date(session.deadline).getTime() + EXAM_SUBMIT_GRACE_MS) {
+    await closeExamSession(candidateRef, 'expired', session.deadline);
+    return { status: 403, error: 'Exam time is over. Your saved answers have been submitted.' };
+  }
+
+  return { candidateRef, candidateData };
+};
+
+// Submit every active session whose deadline has passed
+const autoSubmitExpiredSessions = async () => {
   try {
-    const { answers } = req.body;
-    
-    // Validate request body
-    if (!Array.isArray(answers) || answers.length === 0) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid answers format. Expected non-empty array.'
-      });
+    const snapshot = await firestore.collection('candidates')
+      .where('examSession.status', '==', 'active')
+      .get();
+
+    const now = Date.now();
+    const expired = snapshot.docs.filter(doc =>
+      now > new Date(doc.data().examSession.deadline).getTime() + EXAM_SUBMIT_GRACE_MS
+    );
+
+    for (const doc of expired) {
+      await closeExamSession(doc.ref, 'expired', doc.data().examSession.deadline);
     }
 
-    // Create a batch write
-    const batch = firestore.batch();
+    if (expired.length > 0) {
+      console.log(`Auto-submitted ${expired.length} expired exam session(s)`);
+    }
+  } catch (error) {
+    console.error('Error auto-submitting expired exam sessions:', error);
+  }
+};
 
-    // Process each answer in the array
-    answers.forEach(({ registrationNumber, questionId, answer, examName, skipped, order }) => {
-      // Format questionId to ensure Q prefix
-      const formattedQuestionId = questionId.startsWith('Q') ? questionId : `Q${questionId}`;
+//Exam sections
+// Exams can be split into ordered sections with exam.sections:
+// [{ name, questionCount, durationMinutes, locked, marksPerQuestion, negativeMarks }].
+// Questions join a section through their section field. A section with
+// durationMinutes has its own timer, and a locked section cannot be
+// revisited once the candidate moves on; timed sections close the same
+// way when their time runs out. The plan is copied onto the exam session
+// at start so later edits do not affect running attempts
+const getExamSections = (examData) => (examData && Array.isArray(examData.sections) ? examData.sections : []);
+
+// Returns an error message, or null when the section definitions are valid
+const validateExamSections = (sections) => {
+  if (!Array.isArray(sections)) {
+    return 'sections must be an array';
+  }
 
-      // Reference to candidate's answer document
-      const answerDocRef = firestore
-        .collection('candidates')
-        .doc(registrationNumber)
-        .collection('answers')
-        .doc(formattedQuestionId);
+  const names = new Set();
+  for (const section of sections) {
+    if (!section || typeof section.name !== 'string' || !section.name.trim()) {
+      return 'Every section needs a name';
+    }
+    if (names.has(section.name)) {
+      return `Section ${section.name} is defined more than once`;
+    }
+    names.add(section.name);
 
-      // Prepare the answer data
-      let answerData = {
+    if (section.questionCount != null && !(Number.isInteger(section.questionCount) && section.questionCount > 0)) {
+      return `sections.${section.name}.questionCount must be a positive integer`;
+    }
+    if (section.durationMinutes != null && !(isNonNegativeNumber(section.durationMinutes) && section.durationMinutes > 0)) {
+      return `sections.${section.name}.durationMinutes must be a positive number`;
+    }
+    if (section.locked != null && typeof section.locked !== 'boolean') {
+      return `sections.${section.name}.locked must be true or false`;
+    }
+    for (const field of ['marksPerQuestion', 'negativeMarks']) {
+      if (section[field] != null && !isNonNegativeNumber(section[field])) {
+        return `sections.${section.name}.${field} must be a non-negative number`;
+      }
+    }
+  }
+
+  return null;
+};
+
+// Section plan for an exam session: each section with its question IDs.
+// Questions outside the defined sections go into a trailing General section
+const buildSectionPlan = async (examTitle) => {
+  const examRef = firestore.collection('Exams').doc(examTitle);
+  const [examDoc, questionsSnapshot] = await Promise.all([
+    examRef.get(),
+    examRef.collection('Questions').orderBy('order').get()
+  ]);
+
+  const sections = getExamSections(examDoc.exists ? examDoc.data() : null);
+  if (sections.length === 0) return null;
+
+  const plan = sections.map(section => ({
+    name: section.name,
+    durationMinutes: section.durationMinutes || null,
+    locked: Boolean(section.locked),
+    questionIds: []
+  }));
+  const byName = new Map(plan.map(section => [section.name, section]));
+
+  questionsSnapshot.docs.forEach(doc => {
+    const name = byName.has(doc.data().section) ? doc.data().section : DEFAULT_SECTION;
+    if (!byName.has(name)) {
+      const section = { name, durationMinutes: null, locked: false, questionIds: [] };
+      plan.push(section);
+      byName.set(name, section);
+    }
+    byName.get(name).questionIds.push(doc.id);
+  });
+
+  return plan;
+};
+
+const getSectionDeadline = (section, startedAt, examDeadline) => {
+  const examEnd = new Date(examDeadline).getTime();
+  if (!section.durationMinutes) return examEnd;
+  return Math.min(startedAt + section.durationMinutes * 60 * 1000, examEnd);
+};
+
+// Current section of a session, moving past sections whose timer has run out
+const resolveSectionState = (examSession, now) => {
+  const sections = examSession.sections;
+  let index = examSession.currentSection || 0;
+  let startedAt = new Date(examSession.sectionStartedAt || examSession.startedAt).getTime();
+  let deadline = getSectionDeadline(sections[index], startedAt, examSession.deadline);
+
+  while (index < sections.length - 1 && now > deadline + EXAM_SUBMIT_GRACE_MS) {
+    index++;
+    startedAt = deadline;
+    deadline = getSectionDeadline(sections[index], startedAt, examSession.deadline);
+  }
+
+  return { index, startedAt, deadline };
+};
+
+const formatSectionState = (sections, state) => ({
+  sections: sections.map(({ name, durationMinutes, locked, questionIds }) => ({
+    name,
+    durationMinutes,
+    locked,
+    questionCount: questionIds.length
+  })),
+  currentSection: state.index,
+  currentSectionName: sections[state.index].name,
+  sectionStartedAt: new Date(state.startedAt).toISOString(),
+  sectionDeadline: new Date(state.deadline).toISOString()
+});
+
+// Section access for an exam session, saving any timer-driven move to a
+// later section. Returns null for exams without sections, otherwise
+// { sections, state, sectionIndexOf, canView(index), denyReason(questionId) }
+const getSectionAccess = async (candidateRef, examSession) => {
+  if (!examSession || !Array.isArray(examSession.sections) || examSession.sections.length === 0) {
+    return null;
+  }
+
+  const now = Date.now();
+  const sections = examSession.sections;
+  const state = resolveSectionState(examSession, now);
+
+  if (state.index !== (examSession.currentSection || 0)) {
+    await candidateRef.update({
+      'examSession.currentSection': state.index,
+      'examSession.sectionStartedAt': new Date(state.startedAt).toISOString()
+    });
+  }
+
+  const sectionOf = new Map();
+  sections.forEach((section, index) => section.questionIds.forEach(id => sectionOf.set(id, index)));
+  const sectionIndexOf = (questionId) => sectionOf.get(String(questionId).replace(/^Q/, ''));
+
+  // Earlier sections stay open only when they are neither locked nor timed
+  const canView = (index) => index === state.index ||
+    (index < state.index && !sections[index].locked && !sections[index].durationMinutes);
+
+  const denyReason = (questionId) => {
+    const index = sectionIndexOf(questionId);
+    if (index === undefined) return null;
+    if (index > state.index) return `Section ${sections[index].name} has not started yet`;
+    if (index === state.index) {
+      return now > state.deadline + EXAM_SUBMIT_GRACE_MS ? `Time for section ${sections[index].name} is over` : null;
+    }
+    return canView(index) ? null : `Section ${sections[index].name} is closed`;
+  };
+
+  return { sections, state, sectionIndexOf, canView, denyReason };
+};
+
+// Split answers into those the session may still write and rejected question IDs
+const filterSectionAnswers = (access, answers) => {
+  if (!access) return { allowed: answers, rejectedQuestionIds: [] };
+
+  const allowed = answers.filter(answer => !access.denyReason(answer.questionId));
+  const rejectedQuestionIds = answers
+    .filter(answer => access.denyReason(answer.questionId))
+    .map(answer => answer.questionId);
+
+  return { allowed, rejectedQuestionIds };
+};
+
+// Start Exam Route - issues the exam session token
+app.post('/api/start-exam', async (req, res) => {
+  const { registrationNumber } = req.body;
+
+  try {
+    if (!registrationNumber) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration number is required'
+      });
+    }
+
+    const candidateRef = firestore.collection('candidates').doc(registrationNumber);
+    const sessionToken = crypto.randomBytes(32).toString('hex');
+
+    // Transaction so the same registration cannot start two sessions
+    const result = await firestore.runTransaction(async (transaction) => {
+      const candidateDoc = await transaction.get(candidateRef);
+
+      if (!candidateDoc.exists) {
+        return { status: 404, error: 'Invalid registration number' };
+      }
+
+      const candidateData = candidateDoc.data();
+
+      if (candidateData.status === 'cancelled') {
+        return { status: 403, error: 'This registration has been cancelled' };
+      }
+      if (candidateData.used || candidateData.submitted) {
+        return { status: 409, error: 'This registration number has already been used' };
+      }
+
+      const examWindow = await getExamWindow(candidateData.exam);
+      if (!examWindow) {
+        return { status: 404, error: 'Exam schedule not found' };
+      }
+
+      const now = moment();
+      if (now.isBefore(examWindow.start)) {
+        return { status: 400, error: 'Exam has not started yet' };
+      }
+      if (!now.isBefore(examWindow.end)) {
+        return { status: 400, error: 'Exam time is over' };
+      }
+
+      const examSession = {
+        tokenHash: hashToken(sessionToken),
+        startedAt: now.toISOString(),
+        deadline: examWindow.end.toISOString(),
+        status: 'active'
+      };
+
+      const sectionPlan = await buildSectionPlan(candidateData.exam);
+      if (sectionPlan) {
+        examSession.sections = sectionPlan;
+        examSession.currentSection = 0;
+        examSession.sectionStartedAt = examSession.startedAt;
+      }
+
+      transaction.update(candidateRef, {
+        used: true,
+        examStartTime: now.toISOString(),
+        examSession
+      });
+
+      return { examSession };
+    });
+
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Exam started successfully',
+      sessionToken,
+      deadline: result.examSession.deadline,
+      ...(result.examSession.sections && {
+        sections: formatSectionState(result.examSession.sections, resolveSectionState(result.examSession, Date.now()))
+      }),
+      serverTime: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('Start exam error:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to start exam'
+    });
+  }
+});
+
+// Current section, its deadline and the section list of an exam session
+app.post('/api/exam-section/status', async (req, res) => {
+  try {
+    const { registrationNumber, sessionToken } = req.body;
+
+    const session = await checkExamSession(registrationNumber, sessionToken);
+    if (session.error) {
+      return res.status(session.status).json({
+        success: false,
+        error: session.error
+      });
+    }
+
+    const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        error: 'This exam has no sections'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      ...formatSectionState(access.sections, access.state),
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error fetching section status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch section status'
+    });
+  }
+});
+
+// Finish the current section early and move to the next one
+app.post('/api/exam-section/next', async (req, res) => {
+  try {
+    const { registrationNumber, sessionToken } = req.body;
+
+    const session = await checkExamSession(registrationNumber, sessionToken);
+    if (session.error) {
+      return res.status(session.status).json({
+        success: false,
+        error: session.error
+      });
+    }
+
+    const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+    if (!access) {
+      return res.status(404).json({
+        success: false,
+        error: 'This exam has no sections'
+      });
+    }
+
+    if (access.state.index >= access.sections.length - 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'This is the last section'
+      });
+    }
+
+    const startedAt = Date.now();
+    const state = {
+      index: access.state.index + 1,
+      startedAt,
+      deadline: getSectionDeadline(access.sections[access.state.index + 1], startedAt, session.candidateData.examSession.deadline)
+    };
+
+    await session.candidateRef.update({
+      'examSession.currentSection': state.index,
+      'examSession.sectionStartedAt': new Date(startedAt).toISOString()
+    });
+
+    res.status(200).json({
+      success: true,
+      ...formatSectionState(access.sections, state),
+      serverTime: new Date().toISOString()
+    });
+  } catch (error) {
+    console.error('Error moving to next section:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to move to the next section'
+    });
+  }
+});
+
+// Fields that reveal the answer key and must never reach a candidate
+// before the review is unlocked
+const ANSWER_KEY_FIELDS = ['correctAnswer', 'tolerance', 'keyCorrections', 'optionMarks'];
+
+// Candidate-facing projection of a question document
+const toCandidateQuestion = (question) => {
+  const candidateQuestion = { ...question };
+  ANSWER_KEY_FIELDS.forEach(field => delete candidateQuestion[field]);
+  return candidateQuestion;
+};
+
+//Paper sets
+// Exams can shuffle question order and option order per candidate with
+// paperSettings: { shuffleQuestions, shuffleOptions } on the exam document.
+// The shuffle is seeded by exam and registration number, so a candidate
+// always gets the same paper. Question IDs, the order field and stored
+// answers stay canonical; only the displayed positions change
+const DEFAULT_PAPER_SETTINGS = { shuffleQuestions: false, shuffleOptions: false };
+
+const getPaperSettings = (examData) => ({
+  ...DEFAULT_PAPER_SETTINGS,
+  ...((examData && examData.paperSettings) || {})
+});
+
+// Deterministic shuffle: items are ordered by the hash of seed and key
+const seededShuffle = (items, seed, keyOf) => items
+  .map(item => ({ item, rank: hashToken(`${seed}:${keyOf(item)}`) }))
+  .sort((a, b) => (a.rank < b.rank ? -1 : a.rank > b.rank ? 1 : 0))
+  .map(({ item }) => item);
+
+// Build a candidate's paper from canonically ordered questions, keeping
+// questions grouped by sectionRank. Returns
+// { questions, paperSet } where paperSet records the question order and
+// each question's option order (canonical option indices in display order)
+const buildPaperSet = (questions, settings, examTitle, registrationNumber, sectionRank = () => 0) => {
+  const seed = `${examTitle}:${registrationNumber}`;
+  // Shuffling happens within sections; the sort is stable so section order wins
+  const ordered = (settings.shuffleQuestions ? seededShuffle(questions, seed, q => q.id) : [...questions])
+    .sort((a, b) => sectionRank(a) - sectionRank(b));
+  const optionOrders = {};
+
+  const paperQuestions = ordered.map((question, index) => {
+    const optionIndexes = (question.options || []).map((_, i) => i);
+    const optionOrder = settings.shuffleOptions
+      ? seededShuffle(optionIndexes, `${seed}:${question.id}`, i => i)
+      : optionIndexes;
+
+    optionOrders[question.id] = optionOrder;
+
+    return {
+      ...question,
+      ...(question.options && { options: optionOrder.map(i => question.options[i]) }),
+      optionOrder,
+      displayOrder: index + 1
+    };
+  });
+
+  return {
+    questions: paperQuestions,
+    paperSet: {
+      questionOrder: ordered.map(question => question.id),
+      optionOrders
+    }
+  };
+};
+
+// Map an answer given as displayed option positions back to canonical
+// option indexes using the candidate's stored paper set. Numeric answers
+// have no options and pass through unchanged
+const toCanonicalAnswer = (paperSet, questionId, answer) => {
+  const id = String(questionId).replace(/^Q/, '');
+  const optionOrder = paperSet && paperSet.optionOrders && paperSet.optionOrders[id];
+  const value = normalizeAnswerValue(answer);
+
+  const toCanonical = (displayed) =>
+    optionOrder && optionOrder[displayed] !== undefined ? optionOrder[displayed] : displayed;
+
+  if (value === null) return null;
+  return Array.isArray(value) ? value.map(toCanonical) : toCanonical(value);
+};
+
+// Get Exam Questions Route. Shuffled and sectioned papers are built for
+// the candidate and need their exam session
+app.post('/api/exam-questions', async (req, res) => {
+  try {
+    const { date, examName, registrationNumber, sessionToken } = req.body;
+
+    // Reference to the exam document
+    const examRef = firestore.collection('Exams').doc(examName);
+    const examDoc = await examRef.get();
+
+    if (!examDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
+    }
+
+    const examData = examDoc.data();
+
+    // Reference to the questions subcollection
+    const questionsRef = examRef.collection('Questions');
+    const questionsSnapshot = await questionsRef.get();
+
+    let questions = [];
+
+    // Push questions into the array without the answer key
+    questionsSnapshot.forEach(doc => {
+      questions.push(toCandidateQuestion({
+        id: doc.id,
+        ...doc.data()
+      }));
+    });
+
+    // Sort questions by the 'order' field
+    questions.sort((a, b) => a.order - b.order);
+
+    // Questions are grouped by section in the order the exam defines
+    const sections = getExamSections(examData);
+    const sectionNames = sections.map(section => section.name);
+    const sectionRank = (question) => {
+      const index = sectionNames.indexOf(question.section);
+      return index === -1 ? sectionNames.length : index;
+    };
+
+    const paperSettings = getPaperSettings(examData);
+    const shuffled = paperSettings.shuffleQuestions || paperSettings.shuffleOptions;
+
+    // Shuffled and sectioned papers are only sent inside the candidate's
+    // exam session, so a paper set cannot be fetched outside the exam and
+    // locked sections cannot be read by leaving out the token
+    let session = null;
+    if (shuffled || sections.length > 0) {
+      session = await checkExamSession(registrationNumber, sessionToken);
+      if (session.error) {
+        return res.status(session.status).json({
+          success: false,
+          error: session.error
+        });
+      }
+      if (session.candidateData.exam !== examName) {
+        return res.status(403).json({
+          success: false,
+          error: 'Registration number is not valid for this exam'
+        });
+      }
+    }
+
+    if (shuffled) {
+      const paper = buildPaperSet(questions, paperSettings, examName, registrationNumber, sectionRank);
+      questions = paper.questions;
+
+      // Saved answers are mapped back to canonical options with this record
+      await session.candidateRef.update({ paperSet: paper.paperSet });
+    } else if (sections.length > 0) {
+      questions.sort((a, b) => sectionRank(a) - sectionRank(b));
+      questions = questions.map((question, index) => ({ ...question, displayOrder: index + 1 }));
+    }
+
+    // Only the sections the candidate may open are sent
+    let sectionState = null;
+    if (sections.length > 0) {
+      const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+      if (access) {
+        questions = questions.filter(question => {
+          const index = access.sectionIndexOf(question.id);
+          return index === undefined || access.canView(index);
+        });
+        sectionState = formatSectionState(access.sections, access.state);
+      }
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        examDetails: { ...examData, paperSettings },
+        questions: questions,
+        ...(sections.length > 0 && { sections, sectionState })
+      }
+    });
+
+  } catch (error) {
+    console.error('Error fetching exam questions:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exam questions'
+    });
+  }
+});
+
+app.post('/api/save-all-answers', async (req, res) => {
+  try {
+    const { answers, sessionToken } = req.body;
+    
+    // Validate request body
+    if (!Array.isArray(answers) || answers.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid answers format. Expected non-empty array.'
+      });
+    }
+
+    // All answers must belong to the candidate that owns the session
+    const registrationNumber = req.body.registrationNumber || answers[0].registrationNumber;
+    if (answers.some(a => a.registrationNumber && a.registrationNumber !== registrationNumber)) {
+      return res.status(400).json({
+        success: false,
+        error: 'All answers must belong to the same registration number'
+      });
+    }
+
+    const session = await checkExamSession(registrationNumber, sessionToken);
+    if (session.error) {
+      return res.status(session.status).json({
+        success: false,
+        error: session.error
+      });
+    }
+
+    // Answers to closed or not yet started sections are not saved
+    const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+    const { allowed, rejectedQuestionIds } = filterSectionAnswers(access, answers);
+
+    // Create a batch write
+    const batch = firestore.batch();
+
+    // Process each answer in the array
+    allowed.forEach(({ questionId, answer, examName, skipped, order }) => {
+      // Reference to candidate's answer document
+      const answerDocRef = session.candidateRef
+        .collection('answers')
+        .doc(formatQuestionId(questionId));
+
+      // Prepare the answer data
+      let answerData = {
         examName,
         timestamp: new Date().toISOString(),
         order
@@ -580,7 +1595,7 @@ app.post('/api/save-all-answers', async (req, res) => {
         // If question is answered, store answer as integer and skipped as false
         answerData = {
           ...answerData,
-          answer: parseInt(answer), // Convert answer to integer
+          answer: toCanonicalAnswer(session.candidateData.paperSet, questionId, answer),
           skipped: false
         };
       }
@@ -594,7 +1609,10 @@ app.post('/api/save-all-answers', async (req, res) => {
 
     res.status(200).json({
       success: true,
-      message: 'All answers saved successfully'
+      message: rejectedQuestionIds.length > 0
+        ? 'Answers saved; answers to closed sections were not saved'
+        : 'All answers saved successfully',
+      rejectedQuestionIds
     });
 
   } catch (error) {
@@ -611,7 +1629,7 @@ app.post('/api/save-all-answers', async (req, res) => {
 // Complete Exam endpoint - handles both answer submission and completion status
 app.post('/api/complete-exam', async (req, res) => {
   try {
-    const { candidateId, examName, answers, submitted } = req.body;
+    const { candidateId, examName, answers, sessionToken } = req.body;
 
     // Validate request
     if (!candidateId || !examName || !Array.isArray(answers)) {
@@ -621,31 +1639,44 @@ app.post('/api/complete-exam', async (req, res) => {
       });
     }
 
+    const session = await checkExamSession(candidateId, sessionToken);
+    if (session.error) {
+      return res.status(session.status).json({
+        success: false,
+        error: session.error
+      });
+    }
+
+    // Answers to closed sections are dropped, the submission still completes
+    const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+    const { allowed, rejectedQuestionIds } = filterSectionAnswers(access, answers);
+
     // Create a batch write for atomic operations
     const batch = firestore.batch();
 
     // Reference to the candidate document
-    const candidateRef = firestore.collection('candidates').doc(candidateId);
+    const candidateRef = session.candidateRef;
+    const submittedAt = new Date().toISOString();
 
-    // Update candidate's submission status
+    // Update candidate's submission status and close the session
     batch.update(candidateRef, {
       submitted: true,
-      examCompletedAt: new Date().toISOString()
+      examCompletedAt: submittedAt,
+      'examSession.status': 'submitted',
+      'examSession.closedAt': submittedAt
     });
 
     // Process each answer
-    answers.forEach(({ questionId, answer, order, skipped }) => {
-      const formattedQuestionId = questionId.startsWith('Q') ? questionId : `Q${questionId}`;
-      
+    allowed.forEach(({ questionId, answer, order, skipped }) => {
       const answerDocRef = candidateRef
         .collection('answers')
-        .doc(formattedQuestionId);
+        .doc(formatQuestionId(questionId));
 
       batch.set(answerDocRef, {
         examName,
-        timestamp: new Date().toISOString(),
+        timestamp: submittedAt,
         order,
-        answer: skipped ? null : parseInt(answer),
+        answer: skipped ? null : toCanonicalAnswer(session.candidateData.paperSet, questionId, answer),
         skipped: skipped || false,
         submittedVia: 'completion'
       });
@@ -661,9 +1692,10 @@ app.post('/api/complete-exam', async (req, res) => {
       metadata: {
         candidateId,
         examName,
-        submittedAt: new Date().toISOString(),
-        totalAnswers: answers.length,
-        skippedCount: answers.filter(a => a.skipped).length
+        submittedAt,
+        totalAnswers: allowed.length,
+        skippedCount: allowed.filter(a => a.skipped).length,
+        rejectedQuestionIds
       }
     });
 
@@ -714,8 +1746,9 @@ app.get("/api/syllabus", async (req, res) => {
 
 
 //Api Halltivket 
-// API to fetch the latest candidate created
-app.get('/api/latest-candidate', async (req, res) => {
+// API to fetch the latest candidate created. Admin only: candidates get
+// their own hall ticket through /api/hall-ticket/:registrationNumber
+app.get('/api/latest-candidate', requirePermission('candidates:read'), async (req, res) => {
   try {
     // Query the 'candidates' collection, ordered by 'createdAt' descending
     const snapshot = await firestore
@@ -732,7 +1765,7 @@ app.get('/api/latest-candidate', async (req, res) => {
     const latestCandidateDoc = snapshot.docs[0];
     const latestCandidate = {
       id: latestCandidateDoc.id,
-      ...latestCandidateDoc.data(),
+      ...(await withPhotoUrls(latestCandidateDoc.data())),
     };
 
     res.status(200).json({
@@ -745,19 +1778,26 @@ app.get('/api/latest-candidate', async (req, res) => {
   }
 });
 
+// Candidates look their registration up with the phone number they used
 app.get('/api/candidate/:regId', async (req, res) => {
   try {
     const regId = req.params.regId;
-    // Use firestore instead of db since it's already defined in your server
+    const { phone } = req.query;
+
+    if (!phone) {
+      return res.status(400).json({ message: 'Phone number is required' });
+    }
+
+    // Use firestore instead of db since it's already defined in your server
     const candidateRef = firestore.collection('candidates');
     // Search by registrationNumber instead of id
     const snapshot = await candidateRef.where('registrationNumber', '==', regId).get();
 
-    if (snapshot.empty) {
+    if (snapshot.empty || normalizePhone(snapshot.docs[0].data().phone) !== normalizePhone(phone)) {
       return res.status(404).json({ message: 'Candidate not found' });
     }
 
-    const candidateData = snapshot.docs[0].data();
+    const candidateData = await withPhotoUrls(snapshot.docs[0].data());
     res.json({ message: 'Candidate found successfully', candidate: candidateData });
   } catch (error) {
     console.error('Error fetching candidate:', error);
@@ -765,3723 +1805,7731 @@ app.get('/api/candidate/:regId', async (req, res) => {
   }
 });
 
-
-//Api for question answer upload
-app.get("/api/exam-qa", async (req, res) => {
+app.get('/api/admin/candidates/:registrationNumber', requirePermission('candidates:read'), async (req, res) => {
   try {
-    const qaRef = admin.database().ref("ExamQA");
-    const snapshot = await qaRef.once("value");
-
-    if (!snapshot.exists()) {
-      return res.status(404).json({
-        message: "No Q&A data found",
-      });
+    const candidateDoc = await firestore.collection('candidates').doc(req.params.registrationNumber).get();
+    if (!candidateDoc.exists) {
+      return res.status(404).json({ message: 'Candidate not found' });
     }
 
-    const data = snapshot.val();
-    res.status(200).json({
-      message: "Q&A data retrieved successfully",
-      data: data,
-    });
+    const candidateData = await withPhotoUrls(candidateDoc.data());
+    res.json({ message: 'Candidate found successfully', candidate: candidateData });
   } catch (error) {
-    console.error("Error fetching Q&A data:", error);
-    res.status(500).json({
-      message: "Failed to fetch Q&A data",
-      error: error.message,
-    });
+    console.error('Error fetching candidate:', error);
+    res.status(500).json({ message: 'Internal server error' });
   }
 });
 
+// Server-generated hall ticket PDF with photo, exam slot and a QR code of
+// the signed hall ticket code
+const buildHallTicketPdf = async (candidateData, qrPayload) => {
+  const examWindow = await getExamWindow(candidateData.exam);
+  const date = examWindow ? examWindow.date : candidateData.examDate;
+  const startTime = examWindow ? examWindow.startTime : candidateData.examStartTime;
+  const endTime = examWindow ? examWindow.endTime : candidateData.examEndTime;
+
+  const [photo, qrCode] = await Promise.all([
+    loadCandidatePhoto(candidateData).catch(error => {
+      console.warn("Could not load candidate photo for hall ticket:", error.message);
+      return null;
+    }),
+    QRCode.toBuffer(qrPayload, { width: 160, margin: 1 })
+  ]);
+
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on('end', resolve));
+
+  doc.fontSize(20).text('Hall Ticket', { align: 'center' });
+  doc.moveDown(0.3).fontSize(13).text(candidateData.exam, { align: 'center' });
+
+  const top = 140;
+  if (photo) {
+    try {
+      doc.image(photo, 400, top, { fit: [120, 160] });
+    } catch (error) {
+      doc.fontSize(9).text('Photo unavailable', 400, top);
+    }
+  }
+  doc.rect(400, top, 120, 160).stroke();
+
+  const details = [
+    ['Registration number', candidateData.registrationNumber],
+    ['Name', candidateData.candidateName],
+    ['Gender', candidateData.gender],
+    ['Date of birth', candidateData.dob],
+    ['Exam', candidateData.exam],
+    ['Exam date', date],
+    ['Time slot', `${startTime} - ${endTime}`],
+    ['District', candidateData.district],
+    ['State', candidateData.state]
+  ];
+
+  let y = top;
+  details.forEach(([label, value]) => {
+    doc.fontSize(10).fillColor('#555555').text(label, 50, y);
+    doc.fontSize(12).fillColor('#000000').text(value || '-', 180, y, { width: 200 });
+    y += 24;
+  });
+
+  doc.image(qrCode, 400, top + 190, { fit: [120, 120] });
+  doc.fontSize(8).text('Scan to verify', 400, top + 315, { width: 120, align: 'center' });
 
-// Razorpay instance
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID,
-  key_secret: process.env.RAZORPAY_KEY_SECRET
-});
+  doc.fontSize(10).text(
+    'Bring this hall ticket and a photo ID to the exam centre. The QR code is verified at entry.',
+    50, top + 360, { width: 470 }
+  );
 
-app.post("/api/create-order", async (req, res) => {
+  doc.end();
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+const sendHallTicket = async (res, candidateData) => {
+  const pdf = await buildHallTicketPdf(candidateData, signHallTicketCode(candidateData.registrationNumber));
+  res.setHeader('Content-Type', 'application/pdf');
+  res.setHeader('Content-Disposition', `attachment; filename="hall-ticket-${candidateData.registrationNumber}.pdf"`);
+  res.status(200).send(pdf);
+};
+
+// Candidates download their own hall ticket with their registration
+// number and the phone number they registered with
+app.get('/api/hall-ticket/:registrationNumber', async (req, res) => {
   try {
-    const { amount, currency = "INR", notes } = req.body;
+    const { registrationNumber } = req.params;
+    const { phone } = req.query;
 
-    if (!amount || isNaN(amount)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Invalid amount" 
-      });
+    if (!phone) {
+      return res.status(400).json({ success: false, error: 'Phone number is required' });
     }
 
-    // Create Razorpay order
-    const options = {
-      amount: Math.round(amount * 100), // amount in paisa
-      currency,
-      receipt: `rcpt_${Date.now()}`,
-      notes: notes || {},
-      payment_capture: 1 // Auto capture payment
-    };
-
-    const order = await razorpay.orders.create(options);
+    const candidateDoc = await firestore.collection('candidates').doc(registrationNumber).get();
+    if (!candidateDoc.exists || !safeEqual(normalizePhone(candidateDoc.data().phone), normalizePhone(phone))) {
+      return res.status(404).json({ success: false, error: 'No registration found for these details' });
+    }
+    if (candidateDoc.data().status === 'cancelled') {
+      return res.status(403).json({ success: false, error: 'This registration has been cancelled' });
+    }
 
-    res.status(201).json({
-      success: true,
-      order: {
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt
-      }
-    });
+    await sendHallTicket(res, candidateDoc.data());
   } catch (error) {
-    console.error("Error creating payment order:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Payment order creation failed" 
-    });
+    console.error('Error generating hall ticket:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate hall ticket' });
   }
 });
 
-// Verify payment API
-app.post("/api/verify-payment", async (req, res) => {
+app.get('/api/admin/candidates/:registrationNumber/hall-ticket', requirePermission('candidates:read'), async (req, res) => {
   try {
-    const { orderId, paymentId, signature } = req.body;
+    const candidateDoc = await firestore.collection('candidates').doc(req.params.registrationNumber).get();
+    if (!candidateDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Candidate not found' });
+    }
 
-    // Debug logging
-    console.log('Received payment verification request:', {
-      orderId,
-      paymentId,
-      signature
-    });
+    await sendHallTicket(res, candidateDoc.data());
+  } catch (error) {
+    console.error('Error generating hall ticket:', error);
+    res.status(500).json({ success: false, error: 'Failed to generate hall ticket' });
+  }
+});
+
+// Centre staff scan the hall ticket QR code at entry. A genuine code
+// returns the candidate's photo and exam slot and records a check-in event
+app.post('/api/admin/hall-tickets/verify', requirePermission('candidates:checkin'), async (req, res) => {
+  try {
+    const { code, centre } = req.body;
 
-    // Validate required parameters
-    if (!orderId || !paymentId || !signature) {
+    const registrationNumber = verifyHallTicketCode(code);
+    if (!registrationNumber) {
+      console.warn(`Rejected hall ticket code scanned by ${req.admin.userid}`);
       return res.status(400).json({
         success: false,
-        error: "Missing required parameters",
-        required: ['orderId', 'paymentId', 'signature']
+        valid: false,
+        error: 'Hall ticket code is not genuine'
       });
     }
 
-    // Create signature verification data
-    const text = orderId + "|" + paymentId;
-    
-    // Verify signature using properly imported crypto
-    let generated_signature;
-    try {
-      generated_signature = crypto
-        .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-        .update(text)
-        .digest("hex");
-      
-      console.log('Generated signature:', generated_signature);
-      console.log('Received signature:', signature);
-    } catch (cryptoError) {
-      console.error('Crypto operation failed:', cryptoError);
-      return res.status(500).json({
+    const candidateRef = firestore.collection('candidates').doc(registrationNumber);
+    const candidateDoc = await candidateRef.get();
+
+    if (!candidateDoc.exists) {
+      return res.status(404).json({
         success: false,
-        error: "Signature generation failed",
-        details: cryptoError.message
+        valid: false,
+        error: 'No registration found for this hall ticket'
       });
     }
 
-    // Compare signatures
-    if (generated_signature !== signature) {
-      return res.status(400).json({
+    const candidateData = await withPhotoUrls(candidateDoc.data());
+    if (candidateData.status === 'cancelled') {
+      return res.status(403).json({
         success: false,
-        error: "Invalid payment signature"
+        valid: true,
+        cancelled: true,
+        registrationNumber,
+        candidateName: candidateData.candidateName,
+        error: 'This registration has been cancelled'
       });
     }
 
-    try {
-      // Fetch payment details
-      const payment = await razorpay.payments.fetch(paymentId);
-      console.log('Payment details:', payment);
+    const examWindow = await getExamWindow(candidateData.exam);
+    const previousCheckIn = candidateData.checkIn || null;
+    const now = new Date().toISOString();
 
-      // Fetch order details
-      const order = await razorpay.orders.fetch(orderId);
-      console.log('Order details:', order);
+    const checkInEvent = {
+      checkedInAt: now,
+      checkedInBy: req.admin.userid,
+      centre: centre || null,
+      used: Boolean(candidateData.used),
+      submitted: Boolean(candidateData.submitted)
+    };
 
-      // Verify payment matches order
-      if (payment.order_id !== orderId) {
-        throw new Error("Payment order ID mismatch");
-      }
+    const batch = firestore.batch();
+    batch.set(candidateRef.collection('checkIns').doc(), checkInEvent);
+    batch.update(candidateRef, {
+      'checkIn.count': admin.firestore.FieldValue.increment(1),
+      'checkIn.firstAt': previousCheckIn ? previousCheckIn.firstAt : now,
+      'checkIn.lastAt': now,
+      'checkIn.lastBy': req.admin.userid,
+      'checkIn.lastCentre': centre || null
+    });
+    await batch.commit();
 
-      if (payment.amount !== order.amount) {
-        throw new Error("Payment amount mismatch");
-      }
+    res.status(200).json({
+      success: true,
+      valid: true,
+      candidate: {
+        registrationNumber,
+        candidateName: candidateData.candidateName,
+        gender: candidateData.gender,
+        dob: candidateData.dob,
+        photoUrl: candidateData.photoUrl || null,
+        thumbnailUrl: candidateData.thumbnailUrl || null,
+        photoStatus: candidateData.photo ? candidateData.photo.status : null,
+        exam: candidateData.exam,
+        examDate: examWindow ? examWindow.date : candidateData.examDate,
+        examStartTime: examWindow ? examWindow.startTime : candidateData.examStartTime,
+        examEndTime: examWindow ? examWindow.endTime : candidateData.examEndTime,
+        used: Boolean(candidateData.used),
+        submitted: Boolean(candidateData.submitted)
+      },
+      examToday: examWindow ? examWindow.date === moment().format('YYYY-MM-DD') : null,
+      alreadyCheckedIn: Boolean(previousCheckIn),
+      previousCheckIn
+    });
+  } catch (error) {
+    console.error('Error verifying hall ticket:', error);
+    res.status(500).json({ success: false, error: 'Failed to verify hall ticket' });
+  }
+});
 
-      // Verify payment status
-      if (payment.status !== 'captured') {
-        return res.status(400).json({
-          success: false,
-          error: "Payment not captured",
-          status: payment.status
-        });
-      }
+app.get('/api/admin/candidates/:registrationNumber/check-ins', requirePermission('candidates:read'), async (req, res) => {
+  try {
+    const candidateRef = firestore.collection('candidates').doc(req.params.registrationNumber);
+    const snapshot = await candidateRef.collection('checkIns').orderBy('checkedInAt').get();
 
-      // Success response
-      return res.json({
-        success: true,
-        payment: {
-          orderId,
-          paymentId,
-          amount: payment.amount / 100,
-          status: payment.status,
-          method: payment.method,
-          email: payment.email,
-          contact: payment.contact,
-          createdAt: payment.created_at
-        }
-      });
+    res.status(200).json({
+      success: true,
+      checkIns: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
+  } catch (error) {
+    console.error('Error fetching check-ins:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch check-ins' });
+  }
+});
 
-    } catch (paymentError) {
-      console.error("Payment fetch error:", paymentError);
-      return res.status(400).json({
-        success: false,
-        error: "Invalid payment details",
-        details: paymentError.message
-      });
+// Mark a candidate's photo as verified or rejected after review
+app.put('/api/admin/candidates/:registrationNumber/photo', requirePermission('candidates:verify'), async (req, res) => {
+  try {
+    const { status, reason } = req.body;
+
+    if (!['verified', 'rejected'].includes(status)) {
+      return res.status(400).json({ success: false, error: 'status must be "verified" or "rejected"' });
+    }
+    if (status === 'rejected' && !reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required when rejecting a photo' });
+    }
+
+    const candidateRef = firestore.collection('candidates').doc(req.params.registrationNumber);
+    const candidateDoc = await candidateRef.get();
+
+    if (!candidateDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Candidate not found' });
+    }
+    if (!candidateDoc.data().photo) {
+      return res.status(409).json({ success: false, error: 'Candidate photo has not been moved to storage yet' });
     }
 
+    const review = {
+      'photo.status': status,
+      'photo.reviewReason': reason || null,
+      'photo.reviewedBy': req.admin.userid,
+      'photo.reviewedAt': new Date().toISOString()
+    };
+    await candidateRef.update(review);
+
+    res.status(200).json({ success: true, message: `Photo ${status}` });
   } catch (error) {
-    console.error("Payment verification error:", error);
-    return res.status(500).json({
-      success: false,
-      error: "Payment verification failed",
-      details: error.message
-    });
+    console.error('Error reviewing candidate photo:', error);
+    res.status(500).json({ success: false, error: 'Failed to review candidate photo' });
   }
 });
 
-// Frontend payment handling function
+// Move base64 photos of older registrations into storage. Candidates are
+// read in registration number order, limit per call (default 100); call
+// again with startAfter set to the returned nextStartAfter until it is
+// null. A photo that fails is marked with photoMigrationError and does
+// not hold up later calls
+app.post('/api/admin/candidates/photos/migrate', requirePermission('candidates:verify'), async (req, res) => {
+  const limit = Math.min(parseInt(req.body.limit, 10) || 100, 500);
 
-//doubt
-app.get("/getExamSubDetails", async (req, res) => {
   try {
-    const db = admin.database();
-    const examRef = db.ref("ExamDateTime");
+    let query = firestore.collection('candidates')
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(limit);
+    if (req.body.startAfter) {
+      query = query.startAfter(String(req.body.startAfter));
+    }
+    const snapshot = await query.get();
+
+    const docs = snapshot.docs.filter(doc => {
+      const { photoUrl } = doc.data();
+      return typeof photoUrl === 'string' && photoUrl.startsWith('data:');
+    });
+    const summary = {
+      scanned: snapshot.size,
+      migrated: 0,
+      failed: [],
+      nextStartAfter: snapshot.size === limit ? snapshot.docs[snapshot.size - 1].id : null
+    };
 
-    // Fetch all exams from Realtime Database
-    const examsSnapshot = await examRef.once("value");
-    if (!examsSnapshot.exists()) {
-      return res.status(404).json({ error: "No exams found" });
+    for (const doc of docs) {
+      try {
+        const buffer = await loadCandidatePhoto(doc.data());
+        const photo = await storeCandidatePhoto(doc.id, buffer);
+
+        await doc.ref.update({
+          photo,
+          photoUrl: admin.firestore.FieldValue.delete(),
+          photoSize: admin.firestore.FieldValue.delete(),
+          photoMigrationError: admin.firestore.FieldValue.delete()
+        });
+        summary.migrated++;
+      } catch (error) {
+        console.error(`Error migrating photo of ${doc.id}:`, error);
+        summary.failed.push({ registrationNumber: doc.id, error: error.message });
+        await doc.ref.update({ photoMigrationError: error.message }).catch(updateError =>
+          console.warn(`Error recording photo migration failure of ${doc.id}:`, updateError.message)
+        );
+      }
     }
 
-    const examsData = examsSnapshot.val();
-    const allExams = [];
+    res.status(200).json({ success: true, ...summary });
+  } catch (error) {
+    console.error('Error migrating candidate photos:', error);
+    res.status(500).json({ success: false, error: 'Failed to migrate candidate photos' });
+  }
+});
 
-    // Loop through each exam
-    for (const [examId, examData] of Object.entries(examsData)) {
-      const detailsRef = examRef.child(`${examId}/details`);
-      const detailsSnapshot = await detailsRef.once("value");
 
-      const details = [];
-      if (detailsSnapshot.exists()) {
-        const detailsData = detailsSnapshot.val();
-        for (const [detailId, detailData] of Object.entries(detailsData)) {
-          details.push({ id: detailId, ...detailData });
-        }
-      }
+//Api for question answer upload
+app.get("/api/exam-qa", async (req, res) => {
+  try {
+    const qaRef = admin.database().ref("ExamQA");
+    const snapshot = await qaRef.once("value");
 
-      allExams.push({
-        examId,
-        examData,
-        details,
+    if (!snapshot.exists()) {
+      return res.status(404).json({
+        message: "No Q&A data found",
       });
     }
 
-    return res.json({ exams: allExams });
+    const data = snapshot.val();
+    res.status(200).json({
+      message: "Q&A data retrieved successfully",
+      data: data,
+    });
   } catch (error) {
-    console.error("Error fetching all exam details:", error);
-    return res.status(500).json({ error: "Internal Server Error" });
+    console.error("Error fetching Q&A data:", error);
+    res.status(500).json({
+      message: "Failed to fetch Q&A data",
+      error: error.message,
+    });
   }
 });
 
 
-//for main exam timing api
-app.get("/api/today-exams", (req, res) => {
-  // Set SSE headers
-  res.setHeader('Content-Type', 'text/event-stream');
-  res.setHeader('Cache-Control', 'no-cache');
-  res.setHeader('Connection', 'keep-alive');
+//Payments
+// Order creation and payment verification for main exams, practice
+// tests, PDF and video syllabi and objection fees all go through the
+// helpers and route handlers below
+const razorpay = new Razorpay({
+  key_id: process.env.RAZORPAY_KEY_ID,
+  key_secret: process.env.RAZORPAY_KEY_SECRET
+});
 
-  // Helper function to fetch and send exam data
-  const sendExamData = async () => {
-    try {
-      const today = moment().format('YYYY-MM-DD');
-      const examRef = realtimeDatabase.ref('ExamDateTime');
-      const snapshot = await examRef.once('value');
-      const allExams = snapshot.val();
+// Checkout signature over "orderId|paymentId", compared in constant time
+const verifyPaymentSignature = (orderId, paymentId, signature) => {
+  const expectedSignature = crypto
+    .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
+    .update(`${orderId}|${paymentId}`)
+    .digest('hex');
 
-      const todayExams = Object.entries(allExams || {})
-        .filter(([_, exam]) => exam.date === today)
-        .map(([id, exam]) => ({
-          id,
-          date: exam.date,
-          startTime: exam.startTime,
-          endTime: exam.endTime,
-          marks: exam.marks,
-          price: exam.price,
-          updatedAt: exam.updatedAt
-        }))
-        .sort((a, b) => moment(a.startTime, 'hh:mm A').diff(moment(b.startTime, 'hh:mm A')));
+  return safeEqual(expectedSignature, signature);
+};
 
-      res.write(`data: ${JSON.stringify({
-        success: true,
-        data: todayExams
-      })}\n\n`);
-    } catch (error) {
-      res.write(`data: ${JSON.stringify({
-        success: false,
-        error: 'Failed to fetch exam data',
-        details: error.message
-      })}\n\n`);
+// Fetch a payment from Razorpay and check it was captured against the
+// order for the given amount (in rupees). Returns { payment } or
+// { error, status } where status is 400 when Razorpay rejects the payment ID
+const checkCapturedPayment = async (paymentId, orderId, amount) => {
+  let payment;
+  try {
+    payment = await razorpay.payments.fetch(paymentId);
+  } catch (error) {
+    if (error.statusCode >= 400 && error.statusCode < 500) {
+      return { status: 400, error: 'Invalid payment details' };
     }
-  };
+    throw error;
+  }
 
-  // Send initial data
-  sendExamData();
+  if (payment.order_id !== orderId) {
+    return { error: 'Payment order ID mismatch' };
+  }
+  if (payment.status !== 'captured') {
+    return { error: 'Payment not captured' };
+  }
+  if (payment.amount !== Math.round(amount * 100)) {
+    return { error: 'Payment amount does not match the order' };
+  }
 
-  // Set up real-time listener
-  const examRef = realtimeDatabase.ref('ExamDateTime');
-  const handleUpdate = async () => {
-    await sendExamData();
-  };
+  return { payment };
+};
 
-  examRef.on('value', handleUpdate);
+//Orders ledger
+// Every Razorpay order is recorded in orders/{orderId} with what it pays
+// for, who placed it and the amount expected. Payment checks and purchase
+// saves go against this record instead of client-sent payment details.
+// Product IDs are the exam title for main exams, "category/examId" for
+// practice tests, the syllabus ID for PDFs and videos and
+// "examTitle/questionId" for objection fees
+const ORDER_PRODUCT_TYPES = ['main-exam', 'practice-test', 'pdf-syllabus', 'video-syllabus', 'objection-fee'];
+
+// Status changes an order may make; anything else is ignored
+const ORDER_STATUS_TRANSITIONS = {
+  created: ['paid', 'failed'],
+  failed: ['paid', 'failed'],
+  paid: ['completed', 'refunded', 'partially-refunded'],
+  completed: ['refunded', 'partially-refunded'],
+  'partially-refunded': ['partially-refunded', 'refunded'],
+  refunded: []
+};
 
-  // Cleanup on client disconnect
-  req.on('close', () => {
-    examRef.off('value', handleUpdate);
+const ordersRef = firestore.collection('orders');
+
+// Create the Razorpay order and its ledger record
+const createLedgerOrder = async ({ productType, productId, studentId, amount, currency = 'INR', notes, receiptPrefix = 'rcpt' }) => {
+  const order = await razorpay.orders.create({
+    amount: Math.round(amount * 100), // amount in paisa
+    currency,
+    receipt: `${receiptPrefix}_${Date.now()}`,
+    notes: { ...(notes || {}), productType, productId },
+    payment_capture: 1 // Auto capture payment
   });
-});
 
-app.post('/api/timeout-save-answers', async (req, res) => {
-  try {
-    const { answers } = req.body;
+  const now = new Date().toISOString();
+  await ordersRef.doc(order.id).set({
+    orderId: order.id,
+    productType,
+    productId,
+    studentId: studentId || null,
+    expectedAmount: amount,
+    currency: order.currency,
+    receipt: order.receipt,
+    status: 'created',
+    paymentId: null,
+    statusHistory: [{ status: 'created', at: now }],
+    createdAt: now,
+    updatedAt: now
+  });
 
-    // Validate request
-    if (!Array.isArray(answers)) {
-      return res.status(400).json({
-        success: false,
-        error: 'Invalid answers format'
-      });
-    }
-
-    // Filter only attempted questions
-    const attemptedAnswers = answers.filter(answer => 
-      !answer.skipped && answer.answer !== null && answer.answer !== undefined
-    );
+  return order;
+};
 
-    if (attemptedAnswers.length === 0) {
-      return res.status(200).json({
-        success: true,
-        message: 'No attempted answers to save'
-      });
-    }
+// Product ID of an order request: productId, or the fields it is made of
+const getOrderProductId = (productType, body) => {
+  switch (productType) {
+    case 'main-exam':
+      return body.examTitle || body.productId;
+    case 'practice-test':
+      return body.category && body.examId ? `${body.category}/${body.examId}` : body.productId;
+    case 'pdf-syllabus':
+    case 'video-syllabus':
+      return body.syllabusId || body.productId;
+    case 'objection-fee':
+      return body.examTitle && body.questionId ? `${body.examTitle}/${body.questionId}` : body.productId;
+    default:
+      return null;
+  }
+};
 
-    const batch = firestore.batch();
+// Price in rupees of a product, read from where admins set it: ExamDateTime,
+// PracticeTests, pdfsyllabi, videosyllabi or the exam's objection settings.
+// Returns { price } or { status, error }
+const getProductPrice = async (productType, productId) => {
+  if (!productId || /[.#$\[\]]/.test(productId)) {
+    return { status: 400, error: 'Invalid product ID' };
+  }
 
-    attemptedAnswers.forEach(({ registrationNumber, questionId, answer, examName, order }) => {
-      const formattedQuestionId = questionId.startsWith('Q') ? questionId : `Q${questionId}`;
-      
-      const answerDocRef = firestore
-        .collection('candidates')
-        .doc(registrationNumber)
-        .collection('answers')
-        .doc(formattedQuestionId);
+  let price;
+  switch (productType) {
+    case 'main-exam': {
+      const snapshot = await realtimeDatabase.ref('ExamDateTime').child(productId).once('value');
+      price = snapshot.exists() ? snapshot.val().price : undefined;
+      break;
+    }
+    case 'practice-test': {
+      const snapshot = await practiceTestsRef.child(productId).once('value');
+      price = snapshot.exists() ? snapshot.val().fees : undefined;
+      break;
+    }
+    case 'pdf-syllabus': {
+      const snapshot = await pdfSyllabusRef.child(productId).once('value');
+      price = snapshot.exists() ? snapshot.val().fees : undefined;
+      break;
+    }
+    case 'video-syllabus': {
+      const snapshot = await videoSyllabusRef.child(productId).once('value');
+      price = snapshot.exists() ? snapshot.val().fees : undefined;
+      break;
+    }
+    case 'objection-fee': {
+      const examTitle = productId.slice(0, productId.lastIndexOf('/'));
+      const examDoc = examTitle ? await firestore.collection('Exams').doc(examTitle).get() : null;
+      price = examDoc && examDoc.exists ? getObjectionSettings(examDoc.data()).fee : undefined;
+      break;
+    }
+    default:
+      return { status: 400, error: 'Unknown product type' };
+  }
 
-      batch.set(answerDocRef, {
-        examName,
-        timestamp: new Date().toISOString(),
-        order,
-        answer: parseInt(answer),
-        skipped: false,
-        submittedVia: 'timeout'
-      });
-    });
+  if (price === undefined || price === null) {
+    return { status: 404, error: 'Product not found' };
+  }
 
-    await batch.commit();
+  price = Number(price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { status: 400, error: 'This product has no price to pay' };
+  }
+  return { price };
+};
 
-    res.status(200).json({
-      success: true,
-      message: 'Attempted answers saved successfully',
-      savedCount: attemptedAnswers.length
-    });
+// Server price for an order. An amount sent by the client is only
+// compared, so a stale price is reported rather than charged
+const priceOrder = async (productType, productId, clientAmount) => {
+  const pricing = await getProductPrice(productType, productId);
+  if (pricing.error) return pricing;
 
-  } catch (error) {
-    console.error('Error saving timeout answers:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to save answers',
-      details: error.message
-    });
+  if (clientAmount !== undefined && clientAmount !== null && clientAmount !== '' &&
+      Number(clientAmount) !== pricing.price) {
+    return { status: 409, error: 'The price of this product has changed', price: pricing.price };
   }
-});
+  return pricing;
+};
 
+// Move an order to a new status and append it to the history. Returns
+// the updated order, or null if there is no such order or the change is
+// not allowed
+const updateOrderStatus = async (orderId, status, fields = {}, note = null) => {
+  const orderRef = ordersRef.doc(orderId);
 
-app.post('/api/save-answer', async (req, res) => {
-  try {
-    const { registrationNumber, questionId, answer, examName, order, skipped } = req.body;
+  return firestore.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists) return null;
 
-    // Validate request
-    if (!registrationNumber || !questionId || answer === undefined || !examName) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields'
-      });
+    const order = orderDoc.data();
+    if (!ORDER_STATUS_TRANSITIONS[order.status].includes(status)) {
+      return order.status === status ? order : null;
     }
 
-    const formattedQuestionId = questionId.startsWith('Q') ? questionId : `Q${questionId}`;
-    
-    const answerDocRef = firestore
-      .collection('candidates')
-      .doc(registrationNumber)
-      .collection('answers')
-      .doc(formattedQuestionId);
+    const now = new Date().toISOString();
+    const update = {
+      ...fields,
+      status,
+      statusHistory: [...(order.statusHistory || []), { status, at: now, ...(note ? { note } : {}) }],
+      updatedAt: now
+    };
+    transaction.update(orderRef, update);
+    return { ...order, ...update };
+  });
+};
 
-    await answerDocRef.set({
-      examName,
-      timestamp: new Date().toISOString(),
-      order,
-      answer: parseInt(answer),
-      skipped: skipped || false,
-      submittedVia: 'individual'
-    });
+// Check a payment against its ledger order and, when given, the product
+// and student it is being used for. Returns { order, payment } or { status, error }
+const checkOrderPayment = async (orderId, paymentId, product = {}) => {
+  if (!orderId || !paymentId) {
+    return { status: 400, error: 'orderId and paymentId are required' };
+  }
 
-    res.status(200).json({
-      success: true,
-      message: 'Answer saved successfully'
-    });
-  } catch (error) {
-    console.error('Error saving answer:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to save answer',
-      details: error.message
-    });
+  const orderDoc = await ordersRef.doc(orderId).get();
+  if (!orderDoc.exists) {
+    return { status: 404, error: 'Order not found' };
   }
-});
 
+  const order = orderDoc.data();
+  if ((product.productType && order.productType !== product.productType) ||
+      (product.productId && order.productId !== product.productId)) {
+    return { status: 400, error: 'Order was not placed for this product' };
+  }
+  if (product.studentId && order.studentId && order.studentId !== product.studentId) {
+    return { status: 403, error: 'Order was placed by another student' };
+  }
+  if (order.paymentId && order.paymentId !== paymentId) {
+    return { status: 409, error: 'Order was paid with a different payment' };
+  }
+  if (['refunded', 'partially-refunded'].includes(order.status)) {
+    return { status: 409, error: 'Order has been refunded' };
+  }
 
-//Results Api
-// Add this new API endpoint to your existing Express app
-app.get("/api/today-exam-results", async (req, res) => {
-  try {
-    const today = moment().format('YYYY-MM-DD');
-    
-    // Step 1: Get today's exam from Firestore
-    const examsSnapshot = await firestore.collection('Exams').get();
-    let todayExam = null;
-    let examQuestions = [];
+  const { payment, error, status } = await checkCapturedPayment(paymentId, orderId, order.expectedAmount);
+  if (error) {
+    return { status: status || 402, error };
+  }
 
-    // Find today's exam
-    for (const doc of examsSnapshot.docs) {
-      const examData = doc.data();
-      if (examData.dateTime?.date === today) {
-        todayExam = {
-          id: doc.id,
-          ...examData.dateTime
-        };
-        
-        // Get questions for this exam
-        const questionsSnapshot = await doc.ref.collection('Questions').orderBy('order').get();
-        examQuestions = questionsSnapshot.docs.map(qDoc => ({
-          id: qDoc.id,
-          ...qDoc.data()
-        }));
-        break;
-      }
-    }
+  const paidOrder = await updateOrderStatus(orderId, 'paid', {
+    paymentId,
+    paidAt: new Date(payment.created_at * 1000).toISOString()
+  });
+  return { order: paidOrder || order, payment };
+};
 
-    if (!todayExam) {
-      return res.status(404).json({
-        success: false,
-        message: 'No exam found for today'
-      });
-    }
+// Amount of an order that can still be refunded. Pending refunds and
+// amounts reserved by refundOrder while Razorpay is called are held back
+const getRefundableAmount = (order) => {
+  const pending = Object.values(order.refunds || {})
+    .filter(refund => refund.status === 'pending')
+    .reduce((total, refund) => total + refund.amount, 0);
+  const reserved = Object.values(order.refundReservations || {})
+    .reduce((total, reservation) => total + reservation.amount, 0);
 
-    // Step 2: Get candidates who took this exam
-    const candidatesSnapshot = await firestore.collection('candidates')
-      .where('exam', '==', todayExam.id)
-      .get();
+  return Math.round((order.expectedAmount - (order.refundedAmount || 0) - pending - reserved) * 100) / 100;
+};
 
-    const results = [];
-    
-    // Step 3: Process each candidate's answers
-    for (const candidateDoc of candidatesSnapshot.docs) {
-      const candidateData = candidateDoc.data();
-      
-      // Get candidate's answers
-      const answersSnapshot = await candidateDoc.ref.collection('answers').get();
-      const answers = answersSnapshot.docs.map(aDoc => ({
-        id: aDoc.id,
-        ...aDoc.data()
-      }));
+// Record a refund or a change of its status on its order. An amount only
+// counts as refunded once Razorpay has processed it, and the order moves
+// to refunded when the whole amount has been returned
+const recordOrderRefund = async (orderId, refund) => {
+  const orderRef = ordersRef.doc(orderId);
+
+  return firestore.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists) return null;
+
+    const order = orderDoc.data();
+    const previous = (order.refunds || {})[refund.refundId];
+    if (previous && previous.status === refund.status) return order;
+
+    // The refund now holds back its own amount, so its reservation goes
+    const refundReservations = { ...(order.refundReservations || {}) };
+    if (refund.reservationId) delete refundReservations[refund.reservationId];
+
+    const processed = refund.status === 'processed' && (!previous || previous.status !== 'processed');
+    const refundedAmount = (order.refundedAmount || 0) + (processed ? refund.amount : 0);
+
+    const now = new Date().toISOString();
+    const update = {
+      refundedAmount,
+      refunds: { ...(order.refunds || {}), [refund.refundId]: { ...previous, ...refund } },
+      refundReservations,
+      updatedAt: now
+    };
 
-      // Calculate results
-      let correctAnswers = 0;
-      let skippedQuestions = 0;
-      
-      examQuestions.forEach(question => {
-        const candidateAnswer = answers.find(a => a.order === question.order);
-        
-        if (!candidateAnswer || candidateAnswer.skipped) {
-          skippedQuestions++;
-        } else if (candidateAnswer.answer === question.correctAnswer) {
-          correctAnswers++;
-        }
-      });
+    const status = refundedAmount >= order.expectedAmount ? 'refunded' : 'partially-refunded';
+    if (processed && ORDER_STATUS_TRANSITIONS[order.status].includes(status)) {
+      update.status = status;
+      update.statusHistory = [...(order.statusHistory || []), { status, at: now, note: `Refund ${refund.refundId}` }];
+      if (status === 'refunded') update.refundRequired = false;
+    }
 
-      // Prepare result object
-      const resultData = {
-        registrationNumber: candidateDoc.id,
-        candidateName: candidateData.candidateName,
-        phone: candidateData.phone,
-        totalQuestions: examQuestions.length,
-        correctAnswers,
-        skippedQuestions,
-        wrongAnswers: examQuestions.length - (correctAnswers + skippedQuestions)
-      };
+    transaction.update(orderRef, update);
+    return { ...order, ...update };
+  });
+};
+
+// Mark a paid order whose purchase could not be delivered, so admins can
+// find it with refundRequired=true and refund it
+const flagOrderForRefund = async (orderId, reason) => {
+  const orderRef = ordersRef.doc(orderId);
+  const orderDoc = await orderRef.get();
+  if (!orderDoc.exists || orderDoc.data().status === 'refunded') return;
+
+  await orderRef.update({
+    refundRequired: true,
+    refundReason: reason,
+    updatedAt: new Date().toISOString()
+  });
+};
 
-      results.push(resultData);
+// Admins can look orders up by product type, status, student and product,
+// and list the ones waiting for a refund with refundRequired=true
+app.get("/api/admin/orders", requirePermission('payments:read'), async (req, res) => {
+  try {
+    const { productType, productId, studentId, status } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 100, 500);
 
-      // Store results in Realtime Database
-      const resultRef = realtimeDatabase.ref(`Results/${todayExam.id}/${candidateDoc.id}`);
-      await resultRef.set({
-        ...resultData,
-        timestamp: new Date().toISOString()
-      });
+    let query = ordersRef;
+    Object.entries({ productType, productId, studentId, status }).forEach(([field, value]) => {
+      if (value) query = query.where(field, '==', value);
+    });
+    if (req.query.refundRequired === 'true') {
+      query = query.where('refundRequired', '==', true);
     }
 
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
     res.status(200).json({
       success: true,
-      examDetails: {
-        examName: todayExam.id,
-        date: todayExam.date,
-        startTime: todayExam.startTime,
-        endTime: todayExam.endTime,
-        totalMarks: todayExam.marks
-      },
-      results
+      orders: snapshot.docs.map(doc => doc.data())
     });
-
   } catch (error) {
-    console.error('Error fetching exam results:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch exam results',
-      details: error.message
-    });
+    console.error("Error fetching orders:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch orders" });
   }
 });
 
-
-// API to get all exam results
-app.get("/api/all-exam-results", async (req, res) => {
+app.get("/api/admin/orders/:orderId", requirePermission('payments:read'), async (req, res) => {
   try {
-    // Reference to the Results node in Realtime Database
-    const resultsRef = realtimeDatabase.ref('Results');
-    
-    // Fetch all results
-    const snapshot = await resultsRef.once('value');
-    const resultsData = snapshot.val();
-
-    // If no results exist
-    if (!resultsData) {
-      return res.status(200).json({
-        success: true,
-        message: "No exam results found",
-        data: {}
-      });
+    const orderDoc = await ordersRef.doc(req.params.orderId).get();
+    if (!orderDoc.exists) {
+      return res.status(404).json({ success: false, error: "Order not found" });
     }
 
-    // Transform the data into a more structured format
-    const formattedResults = Object.entries(resultsData).map(([examId, examData]) => ({
-      examId,
-      candidates: Object.entries(examData).map(([registrationId, candidateData]) => ({
-        registrationId,
-        ...candidateData
-      }))
-    }));
-
-    res.status(200).json({
-      success: true,
-      message: "Exam results fetched successfully",
-      data: formattedResults,
-      metadata: {
-        totalExams: formattedResults.length,
-        totalCandidates: formattedResults.reduce((total, exam) => 
-          total + exam.candidates.length, 0
-        )
-      }
-    });
-
+    res.status(200).json({ success: true, order: orderDoc.data() });
   } catch (error) {
-    console.error("Error fetching exam results:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch exam results",
-      details: error.message
-    });
+    console.error("Error fetching order:", error);
+    res.status(500).json({ success: false, error: "Failed to fetch order" });
   }
 });
 
+// Signature, ledger and Razorpay checks for a payment returned by
+// checkout. Returns { order, payment } or { status, error }
+const verifyOrderPayment = async ({ orderId, paymentId, signature }, product) => {
+  if (!orderId || !paymentId || !signature) {
+    return { status: 400, error: 'orderId, paymentId and signature are required' };
+  }
+  if (!verifyPaymentSignature(orderId, paymentId, signature)) {
+    return { status: 400, error: 'Invalid payment signature' };
+  }
 
+  return checkOrderPayment(orderId, paymentId, product);
+};
 
-//Apis to show user there answers and correct answers
-app.get("/api/exams/qa", async (req, res) => { 
-  try {
-    const examsRef = firestore.collection("Exams");
-    const examSnapshot = await examsRef.get();
-    
-    const exams = [];
-    
-    // Fetch each exam and its subcollections
-    for (const examDoc of examSnapshot.docs) {
-      const examData = examDoc.data();
-      const examId = examDoc.id;
-      
-      // Get exam details subcollection
-      const examDetailsRef = examsRef.doc(examId);
-      const examDetailsSnapshot = await examDetailsRef.get();
-      
-      // Get questions subcollection
-      const questionsRef = examDetailsRef.collection("Questions");
-      const questionsSnapshot = await questionsRef.get();
-      
-      const questions = [];
-      questionsSnapshot.forEach(questionDoc => {
-        questions.push({
-          id: questionDoc.id,
-          ...questionDoc.data()
-        });
-      });
+// Response shapes shared by every create-order and verify-payment route
+const toOrderResponse = (order, productType, productId) => ({
+  id: order.id,
+  amount: order.amount,
+  currency: order.currency,
+  receipt: order.receipt,
+  productType,
+  productId
+});
 
-      // Combine all data
-      exams.push({
-        id: examId,
-        ...examData,
-        examDetails: examDetailsSnapshot.data(),
-        questions: questions
-      });
-    }
-    
-    res.status(200).json({
-      success: true,
-      data: exams
-    });
-    
-  } catch (error) {
-    console.error("Error fetching exams:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch exams",
-      details: error.message
-    });
-  }
+const toPaymentResponse = (order, payment) => ({
+  orderId: order.orderId,
+  paymentId: payment.id,
+  productType: order.productType,
+  productId: order.productId,
+  amount: payment.amount / 100,
+  currency: payment.currency,
+  status: payment.status,
+  orderStatus: order.status,
+  method: payment.method,
+  email: payment.email,
+  contact: payment.contact,
+  createdAt: payment.created_at
 });
 
-// API to fetch candidate answers by registration ID
-app.get('/api/candidate-answers/:registrationId', async (req, res) => {
+// Create a priced ledger order. Routes for a single product type fix it;
+// /api/create-order takes productType from the body. The amount is looked
+// up from the product, never taken from the client
+const createOrderRoute = (fixedProductType, receiptPrefix) => async (req, res) => {
   try {
-    const { registrationId } = req.params;
+    const { amount, currency = 'INR', notes, studentId } = req.body;
+    const productType = fixedProductType || req.body.productType;
+    const productId = getOrderProductId(productType, req.body);
 
-    // Validate registration ID
-    if (!registrationId) {
+    if (!ORDER_PRODUCT_TYPES.includes(productType) || !productId) {
       return res.status(400).json({
         success: false,
-        error: 'Registration ID is required'
+        error: `productType (${ORDER_PRODUCT_TYPES.join(', ')}) and productId are required`
       });
     }
+    if (productType !== 'main-exam' && !studentId) {
+      return res.status(400).json({ success: false, error: 'studentId is required' });
+    }
 
-    // Reference to the candidate's answers collection
-    const answersRef = firestore
-      .collection('candidates')
-      .doc(registrationId)
-      .collection('answers');
+    // Refuse to take a registration fee for a phone number that cannot register
+    if (productType === 'main-exam') {
+      if (!req.body.phone) {
+        return res.status(400).json({ success: false, error: 'phone is required' });
+      }
 
-    // Fetch all answers for the candidate
-    const answersSnapshot = await answersRef.orderBy('order').get();
+      const conflict = await findRegistrationConflict(productId, req.body.phone);
+      if (conflict) {
+        return res.status(409).json({ success: false, error: conflict });
+      }
+    }
 
-    if (answersSnapshot.empty) {
-      return res.status(404).json({
+    const pricing = await priceOrder(productType, productId, amount);
+    if (pricing.error) {
+      return res.status(pricing.status).json({
         success: false,
-        message: 'No answers found for this registration ID'
+        error: pricing.error,
+        price: pricing.price
       });
     }
 
-    // Format the answers data
-    const answers = answersSnapshot.docs.map(doc => ({
-      questionId: doc.id,
-      ...doc.data(),
-      // Ensure consistent data types
-      answer: typeof doc.data().answer === 'number' ? doc.data().answer : null,
-      order: Number(doc.data().order),
-      skipped: Boolean(doc.data().skipped)
-    }));
+    const order = await createLedgerOrder({
+      productType,
+      productId,
+      studentId,
+      amount: pricing.price,
+      currency,
+      notes,
+      receiptPrefix
+    });
 
-    // Get candidate details
-    const candidateRef = firestore.collection('candidates').doc(registrationId);
-    const candidateDoc = await candidateRef.get();
-    
-    if (!candidateDoc.exists) {
-      return res.status(404).json({
-        success: false,
-        message: 'Candidate not found'
-      });
-    }
+    res.status(201).json({
+      success: true,
+      order: toOrderResponse(order, productType, productId)
+    });
+  } catch (error) {
+    console.error("Error creating payment order:", error);
+    res.status(500).json({ success: false, error: "Payment order creation failed" });
+  }
+};
 
-    const candidateData = candidateDoc.data();
+// Verify a checkout payment. When the product (and student, sent as
+// studentId or userId) is given, the order must have been placed for it
+const verifyPaymentRoute = (fixedProductType) => async (req, res) => {
+  try {
+    const { orderId, paymentId, signature, studentId, userId } = req.body;
+    const productType = fixedProductType || req.body.productType;
+    const product = productType ? {
+      productType,
+      productId: getOrderProductId(productType, req.body),
+      studentId: studentId || userId
+    } : {};
 
-    // Prepare response
-    const response = {
+    const verification = await verifyOrderPayment({ orderId, paymentId, signature }, product);
+    if (verification.error) {
+      return res.status(verification.status).json({ success: false, error: verification.error });
+    }
+
+    res.status(200).json({
       success: true,
-      data: {
-        registrationId,
-        candidateDetails: {
-          name: candidateData.candidateName,
-          exam: candidateData.exam,
-          examDate: candidateData.examDate,
-          examCompletedAt: candidateData.examCompletedAt
-        },
-        answers: answers,
-        metadata: {
-          totalAnswers: answers.length,
-          skippedCount: answers.filter(a => a.skipped).length,
-          submittedAnswers: answers.filter(a => !a.skipped).length
+      message: 'Payment verified successfully',
+      payment: toPaymentResponse(verification.order, verification.payment)
+    });
+  } catch (error) {
+    console.error("Payment verification error:", error);
+    res.status(500).json({ success: false, error: "Payment verification failed" });
+  }
+};
+
+app.post("/api/create-order", createOrderRoute(null, 'rcpt'));
+
+app.post("/api/verify-payment", verifyPaymentRoute(null));
+
+// Frontend payment handling function
+
+//doubt
+app.get("/getExamSubDetails", async (req, res) => {
+  try {
+    const db = admin.database();
+    const examRef = db.ref("ExamDateTime");
+
+    // Fetch all exams from Realtime Database
+    const examsSnapshot = await examRef.once("value");
+    if (!examsSnapshot.exists()) {
+      return res.status(404).json({ error: "No exams found" });
+    }
+
+    const examsData = examsSnapshot.val();
+    const allExams = [];
+
+    // Loop through each exam
+    for (const [examId, examData] of Object.entries(examsData)) {
+      const detailsRef = examRef.child(`${examId}/details`);
+      const detailsSnapshot = await detailsRef.once("value");
+
+      const details = [];
+      if (detailsSnapshot.exists()) {
+        const detailsData = detailsSnapshot.val();
+        for (const [detailId, detailData] of Object.entries(detailsData)) {
+          details.push({ id: detailId, ...detailData });
         }
       }
-    };
 
-    res.status(200).json(response);
+      allExams.push({
+        examId,
+        examData,
+        details,
+      });
+    }
 
+    return res.json({ exams: allExams });
   } catch (error) {
-    console.error('Error fetching candidate answers:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to fetch candidate answers',
-      details: error.message
-    });
+    console.error("Error fetching all exam details:", error);
+    return res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
 
-//Winners store api 
-// Add this route to your index.js or appropriate router file
+//for main exam timing api
+app.get("/api/today-exams", (req, res) => {
+  // Set SSE headers
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache');
+  res.setHeader('Connection', 'keep-alive');
 
-app.post('/api/save-winner-choice', async (req, res) => {
+  // Helper function to fetch and send exam data
+  const sendExamData = async () => {
+    try {
+      const today = moment().format('YYYY-MM-DD');
+      const examRef = realtimeDatabase.ref('ExamDateTime');
+      const snapshot = await examRef.once('value');
+      const allExams = snapshot.val();
+
+      const todayExams = Object.entries(allExams || {})
+        .filter(([_, exam]) => exam.date === today)
+        .map(([id, exam]) => ({
+          id,
+          date: exam.date,
+          startTime: exam.startTime,
+          endTime: exam.endTime,
+          marks: exam.marks,
+          price: exam.price,
+          updatedAt: exam.updatedAt
+        }))
+        .sort((a, b) => moment(a.startTime, 'hh:mm A').diff(moment(b.startTime, 'hh:mm A')));
+
+      res.write(`data: ${JSON.stringify({
+        success: true,
+        data: todayExams
+      })}\n\n`);
+    } catch (error) {
+      res.write(`data: ${JSON.stringify({
+        success: false,
+        error: 'Failed to fetch exam data',
+        details: error.message
+      })}\n\n`);
+    }
+  };
+
+  // Send initial data
+  sendExamData();
+
+  // Set up real-time listener
+  const examRef = realtimeDatabase.ref('ExamDateTime');
+  const handleUpdate = async () => {
+    await sendExamData();
+  };
+
+  examRef.on('value', handleUpdate);
+
+  // Cleanup on client disconnect
+  req.on('close', () => {
+    examRef.off('value', handleUpdate);
+  });
+});
+
+app.post('/api/timeout-save-answers', async (req, res) => {
   try {
-    const {
-      examTitle,
-      registrationNumber,
-      rank,
-      selectedOption
-    } = req.body;
+    const { answers, sessionToken } = req.body;
 
-    // Validate required fields
-    if (!examTitle || !registrationNumber || !rank || !selectedOption) {
+    // Validate request
+    if (!Array.isArray(answers)) {
       return res.status(400).json({
         success: false,
-        error: 'Missing required fields. Please provide examTitle, registrationNumber, rank, and selectedOption'
+        error: 'Invalid answers format'
       });
     }
 
-    // Validate selectedOption
-    if (!['product', 'cash'].includes(selectedOption)) {
+    // Filter only attempted questions
+    const attemptedAnswers = answers.filter(answer => 
+      !answer.skipped && answer.answer !== null && answer.answer !== undefined
+    );
+
+    if (attemptedAnswers.length === 0) {
+      return res.status(200).json({
+        success: true,
+        message: 'No attempted answers to save'
+      });
+    }
+
+    // All answers must belong to the candidate that owns the session
+    const registrationNumber = req.body.registrationNumber || attemptedAnswers[0].registrationNumber;
+    if (attemptedAnswers.some(a => a.registrationNumber && a.registrationNumber !== registrationNumber)) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid selectedOption. Must be either "product" or "cash"'
+        error: 'All answers must belong to the same registration number'
       });
     }
 
-    // Get current date in DD/MM/YYYY format (for data field only)
-    const today = new Date();
-    const currentDate = `${today.getDate().toString().padStart(2, '0')}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getFullYear()}`;
-
-    // New structure: Winners/{examTitle}/{registrationNumber}
-    const winnerRef = realtimeDatabase.ref(`Winners/${examTitle}/${registrationNumber}`);
-
-    // Check if entry already exists
-    const snapshot = await winnerRef.once('value');
-    if (snapshot.exists()) {
-      return res.status(409).json({
+    const session = await checkExamSession(registrationNumber, sessionToken);
+    if (session.error) {
+      return res.status(session.status).json({
         success: false,
-        error: 'Winner choice already recorded for this registration number'
+        error: session.error
       });
     }
 
-    // Prepare winner details
-    const winnerData = {
-      registrationNumber,
-      examTitle,
-      rank,
-      selectedOption,
-      status: 'pending',
-      dateCreated: currentDate
-    };
+    const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+    const { allowed, rejectedQuestionIds } = filterSectionAnswers(access, attemptedAnswers);
 
-    // Get candidate details from Realtime Database
-    const candidateRef = realtimeDatabase.ref(`candidates/${registrationNumber}`);
-    const candidateSnapshot = await candidateRef.once('value');
+    const batch = firestore.batch();
 
-    if (candidateSnapshot.exists()) {
-      const candidateData = candidateSnapshot.val();
-      winnerData.candidateDetails = {
-        name: candidateData.candidateName,
-        exam: candidateData.exam,
-        examDate: candidateData.examDate
-      };
-    }
+    allowed.forEach(({ questionId, answer, examName, order }) => {
+      const answerDocRef = session.candidateRef
+        .collection('answers')
+        .doc(formatQuestionId(questionId));
 
-    // Save winner details
-    await winnerRef.set(winnerData);
+      batch.set(answerDocRef, {
+        examName,
+        timestamp: new Date().toISOString(),
+        order,
+        answer: toCanonicalAnswer(session.candidateData.paperSet, questionId, answer),
+        skipped: false,
+        submittedVia: 'timeout'
+      });
+    });
 
-    // Prepare response
-    const response = {
-      success: true,
-      data: {
-        message: 'Winner choice saved successfully',
-        details: {
-          examTitle,
-          registrationNumber,
-          rank,
-          selectedOption,
-          dateRecorded: currentDate,
-          ...(winnerData.candidateDetails || {})
-        }
-      }
-    };
+    await batch.commit();
 
-    res.status(200).json(response);
+    res.status(200).json({
+      success: true,
+      message: 'Attempted answers saved successfully',
+      savedCount: allowed.length,
+      rejectedQuestionIds
+    });
 
   } catch (error) {
-    console.error('Error saving winner choice:', error);
+    console.error('Error saving timeout answers:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to save winner choice',
+      error: 'Failed to save answers',
       details: error.message
     });
   }
 });
 
 
-app.get('/api/winners', async (req, res) => {
+app.post('/api/save-answer', async (req, res) => {
   try {
-    // Reference to Winners collection
-    const winnersRef = realtimeDatabase.ref('Winners');
-    
-    // Get all data from Winners node
-    const snapshot = await winnersRef.once('value');
-    const winnersData = snapshot.val();
-    
-    // If no data exists
-    if (!winnersData) {
-      return res.status(404).json({
-        success: false,
-        error: 'No winners data found'
-      });
+    const { registrationNumber, questionId, answer, examName, order, skipped, sessionToken } = req.body;
+
+    // Validate request
+    if (!registrationNumber || !questionId || answer === undefined || !examName) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
     }
-    
-    // Transform data into a more organized structure
-    const formattedData = {};
-    
-    // Iterate through exam titles
-    Object.entries(winnersData).forEach(([examTitle, examData]) => {
-      formattedData[examTitle] = [];
-      
-      // Iterate through registrations under each exam
-      Object.entries(examData).forEach(([regNumber, winnerDetails]) => {
-        formattedData[examTitle].push({
-          registrationNumber: regNumber,
-          ...winnerDetails
-        });
+
+    const session = await checkExamSession(registrationNumber, sessionToken);
+    if (session.error) {
+      return res.status(session.status).json({
+        success: false,
+        error: session.error
       });
-      
-      // Sort winners by rank for each exam
-      formattedData[examTitle].sort((a, b) => a.rank - b.rank);
+    }
+
+    const access = await getSectionAccess(session.candidateRef, session.candidateData.examSession);
+    const denied = access && access.denyReason(questionId);
+    if (denied) {
+      return res.status(403).json({
+        success: false,
+        error: denied
+      });
+    }
+
+    const answerDocRef = session.candidateRef
+      .collection('answers')
+      .doc(formatQuestionId(questionId));
+
+    await answerDocRef.set({
+      examName,
+      timestamp: new Date().toISOString(),
+      order,
+      answer: skipped ? null : toCanonicalAnswer(session.candidateData.paperSet, questionId, answer),
+      skipped: skipped || false,
+      submittedVia: 'individual'
     });
-    
-    // Prepare response
-    const response = {
+
+    res.status(200).json({
       success: true,
-      data: {
-        message: 'Winners data retrieved successfully',
-        winners: formattedData
-      }
-    };
-    
-    res.status(200).json(response);
-    
+      message: 'Answer saved successfully'
+    });
   } catch (error) {
-    console.error('Error retrieving winners data:', error);
+    console.error('Error saving answer:', error);
     res.status(500).json({
       success: false,
-      error: 'Failed to retrieve winners data',
+      error: 'Failed to save answer',
       details: error.message
     });
   }
 });
 
 
+//Question types
+// Questions carry a type (missing on older questions, which are 'single'):
+//   single    - one correct option index
+//   multiple  - an array of correct option indexes
+//   truefalse - options True/False, one correct index
+//   numeric   - a number, accepted within an optional tolerance
+//   match     - matchLeft items, each matched to an option index
+// Candidate answers use the same shape as correctAnswer
+const QUESTION_TYPES = ['single', 'multiple', 'truefalse', 'numeric', 'match'];
+const MIN_OPTIONS = 2;
+const MAX_OPTIONS = 10;
 
-//Ptactice test apis
-
-const practiceTestsRef = realtimeDatabase.ref('PracticeTests');
+const getQuestionType = (question) => question.type || 'single';
 
-app.get("/api/practice-tests", async (req, res) => {
+// Multipart forms send arrays and numbers as strings
+const parseJsonField = (value) => {
+  if (typeof value !== 'string') return value;
   try {
-    const snapshot = await practiceTestsRef.once('value');
-    const practiceTests = {};
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+};
 
-    snapshot.forEach((categorySnapshot) => {
-      const category = categorySnapshot.key;
-      practiceTests[category] = {};
+const isOptionIndex = (value, optionCount) => Number.isInteger(value) && value >= 0 && value < optionCount;
 
-      categorySnapshot.forEach((titleSnapshot) => {
-        practiceTests[category][titleSnapshot.key] = titleSnapshot.val();
-      });
-    });
+// Validate the type, options and answer key of a question.
+// Returns { fields } or { error }
+const parseQuestionAnswerFields = (body) => {
+  const type = body.type || 'single';
+  if (!QUESTION_TYPES.includes(type)) {
+    return { error: `type must be one of ${QUESTION_TYPES.join(', ')}` };
+  }
 
-    res.json(practiceTests);
-  } catch (error) {
-    console.error("Error fetching practice tests:", error);
-    res.status(500).json({ error: "Failed to fetch practice tests" });
+  if (body.correctAnswer === undefined || body.correctAnswer === '') {
+    return { error: "correctAnswer is required" };
   }
-});
+  const correctAnswer = parseJsonField(body.correctAnswer);
 
+  if (type === 'numeric') {
+    const value = Number(correctAnswer);
+    const tolerance = body.tolerance === undefined || body.tolerance === '' ? 0 : Number(parseJsonField(body.tolerance));
 
-app.get("/api/practice-tests/:category", async (req, res) => {
-  try {
-    const { category } = req.params;
-    const categoryRef = practiceTestsRef.child(category);
+    if (typeof correctAnswer === 'object' || !isFinite(value)) {
+      return { error: "correctAnswer must be a number" };
+    }
+    if (!isNonNegativeNumber(tolerance)) {
+      return { error: "tolerance must be a non-negative number" };
+    }
+    return { fields: { type, correctAnswer: value, tolerance } };
+  }
 
-    const snapshot = await categoryRef.once('value');
+  let options = parseJsonField(body.options);
+  if (type === 'truefalse' && (options === undefined || options === '')) {
+    options = ['True', 'False'];
+  }
 
-    if (!snapshot.exists()) {
-      return res.status(404).json({ error: "Category not found" });
+  if (!Array.isArray(options) || options.length < MIN_OPTIONS || options.length > MAX_OPTIONS) {
+    return { error: `options must be an array of ${MIN_OPTIONS} to ${MAX_OPTIONS} choices` };
+  }
+  if (type === 'truefalse' && options.length !== 2) {
+    return { error: "True/false questions have exactly 2 options" };
+  }
+
+  if (type === 'multiple') {
+    const answers = (Array.isArray(correctAnswer) ? correctAnswer : [correctAnswer]).map(Number);
+    if (answers.length === 0 || !answers.every(answer => isOptionIndex(answer, options.length)) ||
+        new Set(answers).size !== answers.length) {
+      return { error: "correctAnswer must list one or more distinct option indexes" };
+    }
+    return { fields: { type, options, correctAnswer: answers.sort((a, b) => a - b) } };
+  }
+
+  if (type === 'match') {
+    const matchLeft = parseJsonField(body.matchLeft);
+    if (!Array.isArray(matchLeft) || matchLeft.length < 2) {
+      return { error: "matchLeft must list at least 2 items to match" };
     }
+    if (!Array.isArray(correctAnswer) || correctAnswer.length !== matchLeft.length ||
+        !correctAnswer.every(answer => isOptionIndex(Number(answer), options.length))) {
+      return { error: "correctAnswer must give the matching option index for every matchLeft item" };
+    }
+    return { fields: { type, options, matchLeft, correctAnswer: correctAnswer.map(Number) } };
+  }
 
-    res.json(snapshot.val());
-  } catch (error) {
-    console.error("Error fetching category practice tests:", error);
-    res.status(500).json({ error: "Failed to fetch category practice tests" });
+  // single and truefalse
+  const value = correctAnswer === true ? 0 : correctAnswer === false ? 1 : Number(correctAnswer);
+  if (!isOptionIndex(value, options.length)) {
+    return { error: "correctAnswer must be a valid option index" };
   }
-});
+  return { fields: { type, options, correctAnswer: value } };
+};
 
+// Answer fields for a document update: fields that the new type does not
+// use are removed so a question can change type cleanly
+const toAnswerUpdate = (fields) => {
+  const remove = admin.firestore.FieldValue.delete();
+  return {
+    options: remove,
+    tolerance: remove,
+    matchLeft: remove,
+    ...fields
+  };
+};
 
-//Razorpay apis 
-// Create Razorpay Order API
-app.post("/api/create-order", async (req, res) => {
-  try {
-    const { amount, currency = "INR", notes } = req.body;
+// Normalize an answer sent by a candidate: option indexes and numbers
+// become numbers, arrays keep their shape, empty answers become null
+const isEmptyAnswerItem = (item) => item === null || item === undefined || item === '';
 
-    if (!amount || isNaN(amount)) {
-      return res.status(400).json({ 
-        success: false, 
-        error: "Invalid amount" 
-      });
-    }
+// Empty items stay null so an unanswered match row is not read as option 0
+const normalizeAnswerValue = (answer) => {
+  if (isEmptyAnswerItem(answer)) return null;
+  const value = parseJsonField(answer);
+  if (Array.isArray(value)) return value.map(item => (isEmptyAnswerItem(item) ? null : Number(item)));
+  return Number(value);
+};
 
-    // Create Razorpay order
-    const options = {
-      amount: Math.round(amount * 100), // amount in paisa
-      currency,
-      receipt: `rcpt_${Date.now()}`,
-      notes: notes || {},
-      payment_capture: 1 // Auto capture payment
-    };
+const isAnswered = (answer) => answer !== null && answer !== undefined &&
+  !(Array.isArray(answer) && answer.every(isEmptyAnswerItem)) &&
+  !(typeof answer === 'number' && isNaN(answer));
+
+// Fraction of full marks an answer earns: 1 when correct, 0 when wrong and
+// in between for partial credit
+const gradeAnswer = (question, answer, partialCredit) => {
+  const correctAnswer = question.correctAnswer;
+
+  switch (getQuestionType(question)) {
+    case 'multiple': {
+      const correct = new Set(correctAnswer);
+      const picked = new Set((Array.isArray(answer) ? answer : [answer])
+        .filter(item => !isEmptyAnswerItem(item))
+        .map(Number));
+      if ([...picked].some(option => !correct.has(option))) return 0;
+      if (picked.size === correct.size) return 1;
+      return partialCredit ? picked.size / correct.size : 0;
+    }
+    case 'numeric':
+      return Math.abs(Number(answer) - correctAnswer) <= (question.tolerance || 0) + 1e-9 ? 1 : 0;
+    case 'match': {
+      if (!Array.isArray(answer)) return 0;
+      const matched = correctAnswer.filter((option, index) =>
+        !isEmptyAnswerItem(answer[index]) && Number(answer[index]) === option).length;
+      if (matched === correctAnswer.length) return 1;
+      return partialCredit ? matched / correctAnswer.length : 0;
+    }
+    default:
+      if (Number(answer) === correctAnswer) return 1;
+      if (partialCredit && Array.isArray(question.optionMarks)) {
+        return question.optionMarks[answer] || 0;
+      }
+      return 0;
+  }
+};
 
-    const order = await razorpay.orders.create(options);
 
-    res.status(201).json({
-      success: true,
-      order: {
-        id: order.id,
-        amount: order.amount,
-        currency: order.currency,
-        receipt: order.receipt
+//Marking scheme
+// A marking scheme is stored on the exam document as
+// { marksPerQuestion, negativeMarks, partialCredit, sections: { [section]: { marksPerQuestion, negativeMarks } } }
+// and questions can override it with their own marks, negativeMarks and
+// optionMarks (fraction of full marks per option, used for partial credit
+// on single choice questions; multiple and match questions earn partial
+// credit in proportion to the correct picks)
+const DEFAULT_SECTION = 'General';
+
+const roundMarks = (value) => Math.round(value * 100) / 100;
+
+const isNonNegativeNumber = (value) => typeof value === 'number' && isFinite(value) && value >= 0;
+
+// Returns an error message, or null when the scheme is valid
+const validateMarkingScheme = (scheme) => {
+  if (!scheme || typeof scheme !== 'object') {
+    return 'Marking scheme must be an object';
+  }
+
+  for (const field of ['marksPerQuestion', 'negativeMarks']) {
+    if (scheme[field] != null && !isNonNegativeNumber(scheme[field])) {
+      return `${field} must be a non-negative number`;
+    }
+  }
+
+  if (scheme.sections != null && (typeof scheme.sections !== 'object' || Array.isArray(scheme.sections))) {
+    return 'sections must be an object keyed by section name';
+  }
+
+  for (const [name, section] of Object.entries(scheme.sections || {})) {
+    if (!section || typeof section !== 'object') {
+      return `sections.${name} must be an object`;
+    }
+    for (const field of ['marksPerQuestion', 'negativeMarks']) {
+      if (section[field] != null && !isNonNegativeNumber(section[field])) {
+        return `sections.${name}.${field} must be a non-negative number`;
       }
-    });
-  } catch (error) {
-    console.error("Error creating payment order:", error);
-    res.status(500).json({ 
-      success: false, 
-      error: "Payment order creation failed" 
-    });
+    }
   }
-});
 
-// Verify Payment API
-app.post("/api/verify-payment", async (req, res) => {
-  try {
-    const { orderId, paymentId, signature } = req.body;
+  return null;
+};
 
-    // Validate required parameters
-    if (!orderId || !paymentId || !signature) {
-      return res.status(400).json({
-        success: false,
-        error: "Missing required parameters",
-        required: ['orderId', 'paymentId', 'signature']
-      });
+// Fill in defaults; without a scheme the exam's total marks are split
+// equally across its questions and wrong answers cost nothing
+const resolveMarkingScheme = (examData, questionCount) => {
+  const scheme = (examData && examData.markingScheme) || {};
+  const totalMarks = parseFloat(((examData && examData.dateTime) || {}).marks);
+  const defaultMarks = totalMarks > 0 && questionCount > 0 ? totalMarks / questionCount : 1;
+
+  // Marks set on the exam's section definitions apply unless the marking
+  // scheme sets that section itself
+  const sectionMarks = {};
+  getExamSections(examData).forEach(({ name, marksPerQuestion, negativeMarks }) => {
+    if (marksPerQuestion != null || negativeMarks != null) {
+      sectionMarks[name] = {
+        ...(marksPerQuestion != null && { marksPerQuestion }),
+        ...(negativeMarks != null && { negativeMarks })
+      };
     }
+  });
 
-    // Create signature verification data
-    const text = orderId + "|" + paymentId;
-    
-    // Verify signature
-    const generated_signature = crypto
-      .createHmac("sha256", process.env.RAZORPAY_KEY_SECRET)
-      .update(text)
-      .digest("hex");
+  return {
+    marksPerQuestion: scheme.marksPerQuestion ?? defaultMarks,
+    negativeMarks: scheme.negativeMarks ?? 0,
+    partialCredit: Boolean(scheme.partialCredit),
+    sections: { ...sectionMarks, ...(scheme.sections || {}) }
+  };
+};
 
-    // Compare signatures
-    if (generated_signature !== signature) {
-      return res.status(400).json({
-        success: false,
-        error: "Invalid payment signature"
-      });
+const getQuestionMarks = (question, scheme) => {
+  const section = scheme.sections[question.section] || {};
+
+  return {
+    marks: question.marks ?? section.marksPerQuestion ?? scheme.marksPerQuestion,
+    negativeMarks: question.negativeMarks ?? section.negativeMarks ?? scheme.negativeMarks
+  };
+};
+
+// Score a single answer: { status: 'correct' | 'partial' | 'wrong' | 'skipped' | 'bonus', marks, maxMarks }
+const scoreQuestion = (question, answer, scheme) => {
+  const { marks, negativeMarks } = getQuestionMarks(question, scheme);
+
+  // Dropped questions award full marks to everyone
+  if (question.keyStatus === 'dropped') {
+    return { status: 'bonus', marks, maxMarks: marks };
+  }
+
+  if (!isAnswered(answer)) {
+    return { status: 'skipped', marks: 0, maxMarks: marks };
+  }
+
+  const fraction = gradeAnswer(question, answer, scheme.partialCredit);
+
+  if (fraction >= 1) {
+    return { status: 'correct', marks, maxMarks: marks };
+  }
+
+  if (fraction > 0) {
+    return { status: 'partial', marks: marks * fraction, maxMarks: marks };
+  }
+
+  return { status: 'wrong', marks: -negativeMarks, maxMarks: marks };
+};
+
+// Find a candidate's stored answer to a question. Answers are keyed by
+// Q<questionId>; older answers are matched by question order
+const findCandidateAnswer = (question, answers) => {
+  return answers.find(a => a.id === formatQuestionId(question.id)) ||
+    answers.find(a => a.order === question.order);
+};
+
+const emptyScore = () => ({
+  correctAnswers: 0,
+  partialAnswers: 0,
+  wrongAnswers: 0,
+  skippedQuestions: 0,
+  bonusQuestions: 0,
+  score: 0,
+  maxScore: 0
+});
+
+// Score all questions of an attempt. answerOf(question) returns the
+// candidate's answer or null when the question was skipped. Section totals
+// are a list because section names are not safe database keys
+const scoreAnswers = (questions, answerOf, scheme) => {
+  const summary = { totalQuestions: questions.length, ...emptyScore() };
+  const sections = new Map();
+  const counters = {
+    correct: 'correctAnswers',
+    partial: 'partialAnswers',
+    wrong: 'wrongAnswers',
+    skipped: 'skippedQuestions',
+    bonus: 'bonusQuestions'
+  };
+
+  questions.forEach(question => {
+    const result = scoreQuestion(question, answerOf(question), scheme);
+    const sectionName = question.section || DEFAULT_SECTION;
+
+    if (!sections.has(sectionName)) {
+      sections.set(sectionName, { section: sectionName, ...emptyScore() });
     }
 
-    // Fetch payment details
-    const payment = await razorpay.payments.fetch(paymentId);
-    const order = await razorpay.orders.fetch(orderId);
+    [summary, sections.get(sectionName)].forEach(total => {
+      total[counters[result.status]]++;
+      total.score = roundMarks(total.score + result.marks);
+      total.maxScore = roundMarks(total.maxScore + result.maxMarks);
+    });
+  });
+
+  return { ...summary, sectionScores: [...sections.values()] };
+};
 
-    // Additional verification checks
-    if (payment.order_id !== orderId) {
-      return res.status(400).json({
-        success: false,
-        error: "Payment order ID mismatch"
-      });
+// Parse the optional per-question marking fields sent with a question.
+// Returns { fields } or { error }
+const parseQuestionMarkingFields = (body, optionCount) => {
+  const fields = {};
+
+  for (const field of ['marks', 'negativeMarks']) {
+    if (body[field] !== undefined && body[field] !== '') {
+      const value = parseFloat(body[field]);
+      if (!isNonNegativeNumber(value)) {
+        return { error: `${field} must be a non-negative number` };
+      }
+      fields[field] = value;
     }
+  }
 
-    if (payment.amount !== order.amount) {
-      return res.status(400).json({
-        success: false,
-        error: "Payment amount mismatch"
-      });
+  if (body.section !== undefined) {
+    fields.section = body.section || null;
+  }
+
+  if (body.optionMarks !== undefined && body.optionMarks !== '') {
+    // Malformed JSON is left as a string and rejected below
+    const optionMarks = parseJsonField(body.optionMarks);
+    if (!Array.isArray(optionMarks) || optionMarks.length !== optionCount ||
+        !optionMarks.every(value => isNonNegativeNumber(value) && value <= 1)) {
+      return { error: 'optionMarks must list a fraction between 0 and 1 for every option' };
     }
+    fields.optionMarks = optionMarks;
+  }
 
-    // Verify payment status
-    if (payment.status !== 'captured') {
-      return res.status(400).json({
-        success: false,
-        error: "Payment not captured",
-        status: payment.status
+  return { fields };
+};
+
+
+//Results Api
+// Results are computed once per exam by a finalization job instead of on
+// every request. Each run writes the current results to Results/{exam},
+// archives a copy under ResultHistory/{exam}/v{version} and records its
+// state in ResultJobs/{exam}, which also acts as a lock between runs
+const RESULT_JOB_LOCK_MS = 10 * 60 * 1000;
+const RESULT_READ_BATCH_SIZE = 50;
+
+// Only exams that closed recently are finalized automatically; older
+// exams are left alone so existing results are never overwritten
+const RESULT_AUTO_FINALIZE_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Failed automatic runs are retried with a doubling delay, up to a limit
+const RESULT_RETRY_BASE_MS = 5 * 60 * 1000;
+const RESULT_MAX_ATTEMPTS = 5;
+
+// Whether the automatic job should try a failed exam again yet
+const shouldRetryResultJob = (job, now) => {
+  const attempts = job.failedAttempts || 1;
+  const failedAt = Date.parse(job.failedAt) || 0;
+  return attempts < RESULT_MAX_ATTEMPTS && now >= failedAt + RESULT_RETRY_BASE_MS * 2 ** (attempts - 1);
+};
+
+// Claim the result job for an exam. Returns { outcome, job } where outcome
+// is 'acquired', 'running' (another run holds the lock) or 'completed'
+const acquireResultJob = async (examTitle, force) => {
+  const jobRef = realtimeDatabase.ref(`ResultJobs/${examTitle}`);
+  const now = Date.now();
+  let outcome = null;
+
+  const { snapshot } = await jobRef.transaction(job => {
+    if (job && job.status === 'running' && job.lockedUntil > now) {
+      outcome = 'running';
+      return;
+    }
+    if (job && job.status === 'completed' && !force) {
+      outcome = 'completed';
+      return;
+    }
+
+    outcome = 'acquired';
+    return {
+      ...(job || {}),
+      status: 'running',
+      startedAt: new Date(now).toISOString(),
+      lockedUntil: now + RESULT_JOB_LOCK_MS,
+      error: null
+    };
+  });
+
+  return { outcome, job: snapshot.val() };
+};
+
+// Score every candidate registered for an exam. Answer reads run in
+// batches so large exams do not wait on one candidate at a time
+const computeExamResults = async (examDoc) => {
+  const examData = examDoc.data();
+  const dateTime = examData.dateTime || {};
+
+  const questionsSnapshot = await examDoc.ref.collection('Questions').orderBy('order').get();
+  const examQuestions = questionsSnapshot.docs.map(qDoc => ({
+    id: qDoc.id,
+    ...qDoc.data()
+  }));
+  const markingScheme = resolveMarkingScheme(examData, examQuestions.length);
+
+  const sectionNames = getExamSections(examData).map(section => section.name);
+  const sectionRank = (name) => (sectionNames.includes(name) ? sectionNames.indexOf(name) : sectionNames.length);
+
+  const candidatesSnapshot = await firestore.collection('candidates')
+    .where('exam', '==', examDoc.id)
+    .get();
+
+  const results = [];
+  // Refunded registrations are cancelled and take no part in the results
+  const candidateDocs = candidatesSnapshot.docs.filter(doc => doc.data().status !== 'cancelled');
+
+  for (let i = 0; i < candidateDocs.length; i += RESULT_READ_BATCH_SIZE) {
+    const batch = candidateDocs.slice(i, i + RESULT_READ_BATCH_SIZE);
+    const answerSnapshots = await Promise.all(batch.map(doc => doc.ref.collection('answers').get()));
+
+    batch.forEach((candidateDoc, index) => {
+      const candidateData = candidateDoc.data();
+      const answers = answerSnapshots[index].docs.map(aDoc => ({
+        id: aDoc.id,
+        ...aDoc.data()
+      }));
+
+      const score = scoreAnswers(examQuestions, question => {
+        const candidateAnswer = findCandidateAnswer(question, answers);
+        return candidateAnswer && !candidateAnswer.skipped ? candidateAnswer.answer : null;
+      }, markingScheme);
+      score.sectionScores.sort((a, b) => sectionRank(a.section) - sectionRank(b.section));
+
+      results.push({
+        registrationNumber: candidateDoc.id,
+        candidateName: candidateData.candidateName || null,
+        phone: candidateData.phone || null,
+        ...score,
+        examCompletedAt: candidateData.examCompletedAt || null,
+        submitted: candidateData.submitted || false,
+        used: candidateData.used || false
       });
-    }
+    });
+  }
 
-    // Success response
-    return res.json({
-      success: true,
-      payment: {
-        orderId,
-        paymentId,
-        amount: payment.amount / 100,
-        status: payment.status,
-        method: payment.method,
-        email: payment.email,
-        contact: payment.contact,
-        createdAt: payment.created_at
-      }
+  return {
+    examDetails: {
+      examName: examDoc.id,
+      date: dateTime.date || null,
+      startTime: dateTime.startTime || null,
+      endTime: dateTime.endTime || null,
+      totalMarks: dateTime.marks ?? null,
+      markingScheme
+    },
+    results
+  };
+};
+
+// Finalize an exam's results. Safe to call repeatedly: a completed job is
+// returned as is unless force is set, and a running job is never doubled.
+// Returns { status: 'completed' | 'running' | 'not-found', job }
+const finalizeExamResults = async (examTitle, { force = false, reason = null } = {}) => {
+  const examDoc = await firestore.collection('Exams').doc(examTitle).get();
+  if (!examDoc.exists) {
+    return { status: 'not-found', job: null };
+  }
+
+  const lock = await acquireResultJob(examTitle, force);
+  if (lock.outcome !== 'acquired') {
+    return { status: lock.outcome, job: lock.job };
+  }
+
+  const jobRef = realtimeDatabase.ref(`ResultJobs/${examTitle}`);
+
+  try {
+    const { examDetails, results } = await computeExamResults(examDoc);
+    const version = (lock.job.version || 0) + 1;
+    const finalizedAt = new Date().toISOString();
+
+    const resultsByCandidate = {};
+    results.forEach(result => {
+      resultsByCandidate[result.registrationNumber] = { ...result, version, timestamp: finalizedAt };
+    });
+
+    const job = {
+      status: 'completed',
+      version,
+      startedAt: lock.job.startedAt,
+      finalizedAt,
+      lockedUntil: null,
+      candidateCount: results.length,
+      reason,
+      examDetails
+    };
+
+    // One multi-path write so readers never see a half-written version
+    await realtimeDatabase.ref().update({
+      [`Results/${examTitle}`]: resultsByCandidate,
+      [`ResultHistory/${examTitle}/v${version}`]: { version, finalizedAt, reason, examDetails, results: resultsByCandidate },
+      [`ResultJobs/${examTitle}`]: job
     });
 
+    await saveRankList(examTitle);
+
+    return { status: 'completed', job };
   } catch (error) {
-    console.error("Payment verification error:", error);
-    return res.status(500).json({
-      success: false,
-      error: "Payment verification failed",
-      details: error.message
+    await jobRef.update({
+      status: 'failed',
+      lockedUntil: null,
+      error: error.message,
+      failedAt: new Date().toISOString(),
+      failedAttempts: (lock.job.failedAttempts || 0) + 1
     });
+    throw error;
   }
-});
+};
 
-// Save Exam Registration API
-// Verify Student ID
-// Verify Student Endpoint
-app.get("/api/verify-student/:studentId", async (req, res) => {
+// Read the stored output of the last finalization
+const getStoredExamResults = async (examTitle) => {
+  const [jobSnapshot, resultsSnapshot] = await Promise.all([
+    realtimeDatabase.ref(`ResultJobs/${examTitle}`).once('value'),
+    realtimeDatabase.ref(`Results/${examTitle}`).once('value')
+  ]);
+
+  const job = jobSnapshot.val();
+  const results = Object.values(resultsSnapshot.val() || {}).sort(compareResults);
+
+  return { job, results };
+};
+
+// Finalize exams whose window (plus the submit grace period) has closed
+const finalizeClosedExams = async () => {
   try {
-    const { studentId } = req.params;
-    
-    // Search in practicetestpurchasedstudents collection for student details
-    const studentSnapshot = await realtimeDatabase
-      .ref('practicetestpurchasedstudents')
-      .orderByChild('studentId')
-      .equalTo(studentId)
-      .once('value');
-    
-    const studentData = studentSnapshot.val();
-    
-    if (studentData) {
-      // Return first matching student data
-      const studentKey = Object.keys(studentData)[0];
-      res.json({
-        exists: true,
-        studentDetails: studentData[studentKey]
+    const [scheduleSnapshot, jobsSnapshot] = await Promise.all([
+      realtimeDatabase.ref('ExamDateTime').once('value'),
+      realtimeDatabase.ref('ResultJobs').once('value')
+    ]);
+
+    const jobs = jobsSnapshot.val() || {};
+    const now = Date.now();
+
+    for (const [examTitle, dateTime] of Object.entries(scheduleSnapshot.val() || {})) {
+      const examWindow = toExamWindow(dateTime);
+      const job = jobs[examTitle];
+      if (!examWindow || !examWindow.end.isValid()) continue;
+      if (job && job.status === 'completed') continue;
+      if (job && job.status === 'failed' && !shouldRetryResultJob(job, now)) continue;
+
+      const closedAt = examWindow.end.valueOf() + EXAM_SUBMIT_GRACE_MS;
+      if (now < closedAt || now - closedAt > RESULT_AUTO_FINALIZE_WINDOW_MS) continue;
+
+      // One failing exam must not stop the others
+      try {
+        const result = await finalizeExamResults(examTitle);
+        if (result.status === 'completed') {
+          console.log(`Finalized results for ${examTitle} (v${result.job.version})`);
+        }
+      } catch (error) {
+        console.error(`Error finalizing results for ${examTitle}:`, error);
+      }
+    }
+  } catch (error) {
+    console.error('Error finalizing exam results:', error);
+  }
+};
+
+// Candidates whose rank or score differs between two rank lists
+const diffRankLists = (previousEntries, entries) => {
+  const previous = new Map(previousEntries.map(entry => [entry.registrationNumber, entry]));
+
+  return entries
+    .map(entry => {
+      const before = previous.get(entry.registrationNumber) || {};
+      return {
+        registrationNumber: entry.registrationNumber,
+        candidateName: entry.candidateName,
+        previousRank: before.rank ?? null,
+        newRank: entry.rank,
+        previousScore: before.score ?? null,
+        newScore: entry.score
+      };
+    })
+    .filter(change => change.previousRank !== change.newRank || change.previousScore !== change.newScore);
+};
+
+// Re-score a finalized exam after an answer key change. The new results
+// become a new version; the previous one stays in ResultHistory. Returns
+// { status, previousVersion, version, rankChanges }
+const rescoreExamResults = async (examTitle, reason) => {
+  const previousJobSnapshot = await realtimeDatabase.ref(`ResultJobs/${examTitle}`).once('value');
+  const previousJob = previousJobSnapshot.val();
+
+  if (!previousJob || previousJob.status !== 'completed') {
+    return { status: 'not-finalized' };
+  }
+
+  const previousEntries = await computeRankList(examTitle);
+  const finalized = await finalizeExamResults(examTitle, { force: true, reason });
+
+  if (finalized.status !== 'completed') {
+    return { status: finalized.status };
+  }
+
+  const { version } = finalized.job;
+  const rankings = await realtimeDatabase.ref(`Rankings/${examTitle}/entries`).once('value');
+  const rankChanges = diffRankLists(previousEntries, rankings.val() || []);
+
+  await realtimeDatabase.ref(`ResultHistory/${examTitle}/v${version}`).update({
+    previousVersion: previousJob.version,
+    rankChanges
+  });
+
+  return {
+    status: 'completed',
+    previousVersion: previousJob.version,
+    version,
+    rankChanges
+  };
+};
+
+// HTTP status and message for a re-score outcome. A re-score blocked by a
+// running result job is reported as 202 so admins know to recompute
+const describeRescore = (rescore, doneMessage) => {
+  if (rescore.status === 'running') {
+    return {
+      httpStatus: 202,
+      message: `${doneMessage}, but results are being computed right now. Re-scoring is pending: recompute the results once that run finishes`
+    };
+  }
+  if (rescore.status === 'not-finalized') {
+    return { httpStatus: 200, message: `${doneMessage}. Results are not finalized yet and will use the new key` };
+  }
+  return { httpStatus: 200, message: `${doneMessage} and results re-scored` };
+};
+
+// Stored results for an exam, finalizing first when the exam has closed
+// but its job has not run yet. Returns { status, job, results } where
+// status is 'completed', 'open' (window not closed), 'running' or 'not-found'
+const loadExamResults = async (examTitle) => {
+  const stored = await getStoredExamResults(examTitle);
+  if (stored.job && stored.job.status === 'completed') {
+    return { status: 'completed', ...stored };
+  }
+
+  if (!(await isExamWindowClosed(examTitle))) {
+    return { status: 'open', ...stored };
+  }
+
+  const finalized = await finalizeExamResults(examTitle);
+  if (finalized.status !== 'completed') {
+    return { status: finalized.status, ...stored };
+  }
+
+  return { status: 'completed', ...(await getStoredExamResults(examTitle)) };
+};
+
+const formatExamResults = (examTitle, { status, job, results }) => ({
+  examTitle,
+  status,
+  examDetails: job ? job.examDetails || null : null,
+  version: job ? job.version || null : null,
+  finalizedAt: job ? job.finalizedAt || null : null,
+  results: status === 'completed' ? results : []
+});
+
+// Results of today's exams, served from the stored finalization output.
+// The first finalized exam is also returned at the top level for older clients
+app.get("/api/today-exam-results", requirePermission('results:read'), async (req, res) => {
+  try {
+    const today = moment().format('YYYY-MM-DD');
+
+    // Find today's exams
+    const examsSnapshot = await firestore.collection('Exams')
+      .where('dateTime.date', '==', today)
+      .get();
+
+    if (examsSnapshot.empty) {
+      return res.status(404).json({
+        success: false,
+        message: 'No exam found for today'
       });
-    } else {
-      res.json({
-        exists: false,
-        message: 'Student not found'
+    }
+
+    const exams = [];
+    for (const doc of examsSnapshot.docs) {
+      exams.push(formatExamResults(doc.id, await loadExamResults(doc.id)));
+    }
+
+    const firstCompleted = exams.find(exam => exam.status === 'completed');
+    if (!firstCompleted) {
+      const running = exams.some(exam => exam.status === 'running');
+      return res.status(running ? 202 : 409).json({
+        success: false,
+        error: running
+          ? 'Results are being finalized, please try again shortly'
+          : 'Results are available once the exam window has closed',
+        exams
       });
     }
+
+    res.status(200).json({
+      success: true,
+      examDetails: firstCompleted.examDetails,
+      version: firstCompleted.version,
+      finalizedAt: firstCompleted.finalizedAt,
+      results: firstCompleted.results,
+      exams
+    });
+
   } catch (error) {
-    console.error("Student verification error:", error);
+    console.error('Error fetching exam results:', error);
     res.status(500).json({
       success: false,
-      error: "Failed to verify student"
+      error: 'Failed to fetch exam results',
+      details: error.message
     });
   }
 });
 
-// Check Exam Purchase Validity
-app.get("/api/check-exam-purchase", async (req, res) => {
+// Results of every exam scheduled between from and to (YYYY-MM-DD, inclusive).
+// Pass includeResults=true to include candidate results of finalized exams
+app.get("/api/admin/results", requirePermission('results:read'), async (req, res) => {
   try {
-    const { studentId, examId } = req.query;
-    
-    // Search in practicetestpurchasedstudents collection
-    const studentSnapshot = await realtimeDatabase
-      .ref('practicetestpurchasedstudents')
-      .orderByChild('studentId')
-      .equalTo(studentId)
-      .once('value');
-    
-    const studentData = studentSnapshot.val();
-    
-    if (studentData) {
-      const studentKey = Object.keys(studentData)[0];
-      const student = studentData[studentKey];
-      
-      // Check if student has purchases
-      const purchases = student.purchases || [];
-      
-      const hasActivePurchase = purchases.some(purchase => {
-        // Check exam ID and purchase date (within duration specified in exam details)
-        const purchaseDate = new Date(purchase.purchaseDate);
-        const examDuration = purchase.examDetails.duration || 1; // default to 1 day if not specified
-        
-        const expirationDate = new Date(purchaseDate);
-        expirationDate.setDate(expirationDate.getDate() + examDuration);
-        
-        const currentDate = new Date();
-        
-        return purchase.examDetails.id === examId && 
-               currentDate <= expirationDate;
-      });
-      
-      res.json({ 
-        purchased: hasActivePurchase 
+    const { from, to, includeResults } = req.query;
+
+    if (!moment(from, 'YYYY-MM-DD', true).isValid() || !moment(to, 'YYYY-MM-DD', true).isValid() || from > to) {
+      return res.status(400).json({
+        success: false,
+        error: 'from and to must be dates in YYYY-MM-DD format, with from not after to'
       });
-    } else {
-      res.json({ 
-        purchased: false 
+    }
+
+    const examsSnapshot = await firestore.collection('Exams')
+      .where('dateTime.date', '>=', from)
+      .where('dateTime.date', '<=', to)
+      .orderBy('dateTime.date')
+      .get();
+
+    const exams = [];
+    for (const doc of examsSnapshot.docs) {
+      const dateTime = doc.data().dateTime || {};
+      const stored = await getStoredExamResults(doc.id);
+      const status = stored.job ? stored.job.status : 'pending';
+      const { results, ...summary } = formatExamResults(doc.id, { status, ...stored });
+
+      exams.push({
+        ...summary,
+        date: dateTime.date,
+        startTime: dateTime.startTime || null,
+        endTime: dateTime.endTime || null,
+        candidateCount: stored.job ? stored.job.candidateCount ?? null : null,
+        ...(includeResults === 'true' && { results })
       });
     }
+
+    res.status(200).json({
+      success: true,
+      from,
+      to,
+      exams
+    });
+
   } catch (error) {
-    console.error("Exam purchase check error:", error);
+    console.error('Error fetching exam results by date:', error);
     res.status(500).json({
       success: false,
-      error: "Failed to check exam purchase"
+      error: 'Failed to fetch exam results',
+      details: error.message
     });
   }
 });
 
-
-// Register New Student or Save Student Exam Details
-app.post("/api/register-student", async (req, res) => {
+app.get("/api/admin/exams/:examTitle/results", requirePermission('results:read'), async (req, res) => {
   try {
-    const {
-      name,
-      age,
-      gender,
-      phoneNo,
-      email,
-      district,
-      state,
-      examDetails // Optional exam details
-    } = req.body;
-    
-    // Generate a 6-digit student ID
-    const studentId = Math.floor(100000 + Math.random() * 900000).toString();
-    
-    // Prepare student details
-    const studentData = {
-      studentId,
-      name,
-      age,
-      gender,
-      phoneNo,
-      email,
-      district,
-      state,
-      registrationDate: new Date().toISOString(),
-      purchases: [] // Initialize empty purchases array
-    };
-    
-    // Add exam details to purchases if provided
-    if (examDetails) {
-      studentData.purchases.push({
-        examDetails,
-        purchaseDate: new Date().toISOString()
+    const { examTitle } = req.params;
+    const stored = await getStoredExamResults(examTitle);
+
+    if (!stored.job || stored.job.status !== 'completed') {
+      return res.status(404).json({
+        success: false,
+        error: 'Results have not been finalized for this exam',
+        status: stored.job ? stored.job.status : 'pending'
       });
     }
-    
-    // Save to Firebase Realtime Database in practicetestpurchasedstudents collection
-    const registrationRef = realtimeDatabase.ref('practicetestpurchasedstudents').push();
-    await registrationRef.set(studentData);
-    
-    res.status(201).json({
+
+    res.status(200).json({
       success: true,
-      message: 'Student registered successfully',
-      studentId: studentId
+      ...formatExamResults(examTitle, { status: 'completed', ...stored })
     });
-    
+
   } catch (error) {
-    console.error("Student registration error:", error);
+    console.error('Error fetching exam results:', error);
     res.status(500).json({
       success: false,
-      error: "Failed to register student",
+      error: 'Failed to fetch exam results',
       details: error.message
     });
   }
 });
 
-// Save Exam Purchase
-app.post("/api/save-exam-purchase", async (req, res) => {
+// Compute (or, with force, recompute) an exam's results on demand
+const runResultJob = (force) => async (req, res) => {
   try {
-    const { 
-      studentId, 
-      examDetails, 
-      paymentDetails 
-    } = req.body;
+    const { examTitle } = req.params;
 
-    // Find the student
-    const studentSnapshot = await realtimeDatabase
-      .ref('practicetestpurchasedstudents')
-      .orderByChild('studentId')
-      .equalTo(studentId)
-      .once('value');
-    
-    const studentData = studentSnapshot.val();
-    
-    if (!studentData) {
-      return res.status(404).json({
+    if (!(await isExamWindowClosed(examTitle))) {
+      return res.status(409).json({
         success: false,
-        error: "Student not found"
+        error: 'Results can only be computed once the exam window has closed'
       });
     }
 
-    // Get the student key
-    const studentKey = Object.keys(studentData)[0];
-    const student = studentData[studentKey];
-
-    // Prepare new purchase
-    const newPurchase = {
-      examDetails,
-      paymentDetails,
-      purchaseDate: new Date().toISOString()
-    };
+    const finalized = await finalizeExamResults(examTitle, { force });
 
-    // Add purchase to student's purchases
-    if (!student.purchases) {
-      student.purchases = [];
+    if (finalized.status === 'not-found') {
+      return res.status(404).json({
+        success: false,
+        error: 'Exam not found'
+      });
     }
-    student.purchases.push(newPurchase);
 
-    // Update the student record
-    await realtimeDatabase
-      .ref(`practicetestpurchasedstudents/${studentKey}`)
-      .set(student);
+    if (finalized.status === 'running') {
+      return res.status(202).json({
+        success: false,
+        message: 'Results are already being computed, please try again shortly'
+      });
+    }
 
-    res.status(201).json({
+    const stored = await getStoredExamResults(examTitle);
+    res.status(200).json({
       success: true,
-      message: 'Exam purchase saved successfully',
-      purchaseId: student.purchases.length - 1 // Index of the new purchase
+      ...formatExamResults(examTitle, { status: 'completed', ...stored })
     });
 
   } catch (error) {
-    console.error("Exam purchase save error:", error);
+    console.error('Error computing exam results:', error);
     res.status(500).json({
       success: false,
-      error: "Failed to save exam purchase",
+      error: 'Failed to compute exam results',
       details: error.message
     });
   }
-});
+};
 
+app.post("/api/admin/exams/:examTitle/results/compute", requirePermission('results:manage'), runResultJob(false));
+app.post("/api/admin/exams/:examTitle/results/recompute", requirePermission('results:manage'), runResultJob(true));
 
 
-// Update Student Details API Endpoint
-app.put("/api/update-student/:studentId", async (req, res) => {
+// API to get all exam results
+app.get("/api/all-exam-results", async (req, res) => {
   try {
-    const { studentId } = req.params;
-    const {
-      name,
-      age,
-      gender,
-      phoneNo,
-      email,
-      district,
-      state,
-      examDetails // Optional exam details
-    } = req.body;
+    // Reference to the Results node in Realtime Database
+    const resultsRef = realtimeDatabase.ref('Results');
+    
+    // Fetch all results
+    const snapshot = await resultsRef.once('value');
+    const resultsData = snapshot.val();
 
-    // Find the student
-    const studentSnapshot = await realtimeDatabase
-      .ref('practicetestpurchasedstudents')
-      .orderByChild('studentId')
-      .equalTo(studentId)
-      .once('value');
-        
-    const studentData = studentSnapshot.val();
-        
-    if (!studentData) {
-      return res.status(404).json({
-        success: false,
-        error: "Student not found"
-      });
-    }
-
-    // Get the student key
-    const studentKey = Object.keys(studentData)[0];
-    const student = studentData[studentKey];
-
-    // Update student details
-    const updatedStudentData = {
-      ...student,
-      name: name || student.name,
-      age: age || student.age,
-      gender: gender || student.gender,
-      phoneNo: phoneNo || student.phoneNo,
-      email: email || student.email,
-      district: district || student.district,
-      state: state || student.state,
-      lastUpdated: new Date().toISOString()
-    };
-
-    // Add exam details to purchases if provided
-    if (examDetails) {
-      if (!updatedStudentData.purchases) {
-        updatedStudentData.purchases = [];
-      }
-      updatedStudentData.purchases.push({
-        examDetails,
-        purchaseDate: new Date().toISOString()
+    // If no results exist
+    if (!resultsData) {
+      return res.status(200).json({
+        success: true,
+        message: "No exam results found",
+        data: {}
       });
     }
 
-    // Update the student record
-    await realtimeDatabase
-      .ref(`practicetestpurchasedstudents/${studentKey}`)
-      .set(updatedStudentData);
+    // Transform the data into a more structured format
+    const formattedResults = Object.entries(resultsData).map(([examId, examData]) => ({
+      examId,
+      candidates: Object.entries(examData).map(([registrationId, candidateData]) => ({
+        registrationId,
+        ...candidateData
+      }))
+    }));
 
     res.status(200).json({
       success: true,
-      message: 'Student details updated successfully',
-      studentId: studentId
+      message: "Exam results fetched successfully",
+      data: formattedResults,
+      metadata: {
+        totalExams: formattedResults.length,
+        totalCandidates: formattedResults.reduce((total, exam) => 
+          total + exam.candidates.length, 0
+        )
+      }
     });
+
   } catch (error) {
-    console.error("Student update error:", error);
+    console.error("Error fetching exam results:", error);
     res.status(500).json({
       success: false,
-      error: "Failed to update student details",
+      error: "Failed to fetch exam results",
       details: error.message
     });
   }
 });
 
 
-//Api for practice questions 
-// API endpoint to fetch practice exam questions
-
-app.get("/api/practice-tests/:category/:examId/questions", async (req, res) => {
-  const { category, examId } = req.params;
 
+//Apis to show user there answers and correct answers
+app.get("/api/exams/qa", async (req, res) => { 
   try {
-    // Firestore references
-    const questionsCollection = firestore.collection("PracticeTests").doc(category)
-      .collection("Exams").doc(examId)
-      .collection("Questions");
-
-    // Get all questions ordered by the 'order' field
-    const questionsSnapshot = await questionsCollection.orderBy("order", "asc").get();
-
-    if (questionsSnapshot.empty) {
-      return res.status(200).json({ questions: [] });
-    }
+    const examsRef = firestore.collection("Exams");
+    const examSnapshot = await examsRef.get();
+    
+    const exams = [];
+    
+    // Fetch each exam and its subcollections
+    for (const examDoc of examSnapshot.docs) {
+      const examData = examDoc.data();
+      const examId = examDoc.id;
+      
+      // Get exam details subcollection
+      const examDetailsRef = examsRef.doc(examId);
+      const examDetailsSnapshot = await examDetailsRef.get();
+      
+      // Get questions subcollection
+      const questionsRef = examDetailsRef.collection("Questions");
+      const questionsSnapshot = await questionsRef.get();
+      
+      // Answers are only shown once the exam window has closed
+      const answersReleased = await isExamWindowClosed(examId);
 
-    // Transform the snapshot to an array of questions
-    const questions = [];
-    questionsSnapshot.forEach((doc) => {
-      const questionData = doc.data();
-      questions.push({
-        id: doc.id,
-        question: questionData.question,
-        options: questionData.options,
-        correctAnswer: questionData.correctAnswer,
-        imageUrl: questionData.imageUrl || null,
-        order: questionData.order
+      const questions = [];
+      questionsSnapshot.forEach(questionDoc => {
+        const question = {
+          id: questionDoc.id,
+          ...questionDoc.data()
+        };
+        questions.push(answersReleased ? question : toCandidateQuestion(question));
       });
-    });
-
-    // Return the questions
-    res.status(200).json({ questions });
-  } catch (error) {
-    console.error("Error fetching questions:", error);
-    res.status(500).json({ error: "Internal server error" });
-  }
-});
-
 
-// POST API to store exam analytics
-app.post("/submit-exam-result", async (req, res) => {
-  try {
-    const { studentId, examDetails, purchaseDate, correctAnswers, wrongAnswers } = req.body;
-    
-    if (!studentId || !examDetails) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
-    
-    // Reference to 'practicetestpurchasedstudents' collection
-    const studentsRef = realtimeDatabase.ref("practicetestpurchasedstudents");
-    
-    // Fetch all users to find matching studentId
-    const snapshot = await studentsRef.once("value");
-    let userKey = null;
-    
-    snapshot.forEach((childSnapshot) => {
-      const userData = childSnapshot.val();
-      if (userData.studentId === studentId) {
-        userKey = childSnapshot.key;
-      }
-    });
-    
-    if (!userKey) {
-      return res.status(404).json({ error: "Student ID not found in database" });
+      // Combine all data
+      exams.push({
+        id: examId,
+        ...examData,
+        examDetails: examDetailsSnapshot.data(),
+        answersReleased,
+        questions: questions
+      });
     }
     
-    // Format date and time for storing exam results
-    const currentDate = new Date();
-    const formattedDate = `${currentDate.getDate()}-${currentDate.getMonth() + 1}-${currentDate.getFullYear()}`;
-    const formattedTime = `${currentDate.getHours()}:${currentDate.getMinutes()}`;
-    
-    // Generate a unique key for this attempt using timestamp
-    const attemptId = `attempt-${Date.now()}`;
-    
-    // Reference directly to the exam title under ExamAnalytics, avoiding nested date structure
-    const examRef = studentsRef.child(`${userKey}/ExamAnalytics/${examDetails.title}/${attemptId}`);
-    
-    // Store exam result with date as a field, not as path components
-    await examRef.set({
-      date: formattedDate,
-      time: formattedTime,
-      correctAnswers,
-      wrongAnswers,
-      purchaseDate,
+    res.status(200).json({
+      success: true,
+      data: exams
     });
     
-    return res.status(200).json({ message: "Exam result stored successfully" });
   } catch (error) {
-    console.error("Error storing exam result:", error);
-    return res.status(500).json({ error: "Internal Server Error" });
+    console.error("Error fetching exams:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch exams",
+      details: error.message
+    });
   }
 });
 
+// API to review a submitted main exam with the answer key. The key is shared
+// by every candidate of the exam, so it is only released after the exam
+// window closes for everyone, not when one candidate submits early
+app.get('/api/exam-review/:registrationNumber', async (req, res) => {
+  try {
+    const { registrationNumber } = req.params;
 
+    const candidateRef = firestore.collection('candidates').doc(registrationNumber);
+    const candidateDoc = await candidateRef.get();
 
+    if (!candidateDoc.exists) {
+      return res.status(404).json({
+        success: false,
+        error: 'Candidate not found'
+      });
+    }
 
-//Pdf Syllabus realted apis
+    const candidateData = candidateDoc.data();
 
-// Get all PDF syllabi
-const pdfSyllabusRef = realtimeDatabase.ref('pdfsyllabi');
+    if (!(await isExamWindowClosed(candidateData.exam))) {
+      return res.status(403).json({
+        success: false,
+        error: 'Answers will be available after the exam window closes'
+      });
+    }
 
+    const [questionsSnapshot, answersSnapshot] = await Promise.all([
+      firestore.collection('Exams').doc(candidateData.exam).collection('Questions').orderBy('order').get(),
+      candidateRef.collection('answers').get()
+    ]);
 
-app.get("/api/pdf-syllabi", async (req, res) => {
-  try {
-    const snapshot = await pdfSyllabusRef.once('value');
-    const syllabi = {};
-    
-    snapshot.forEach((categorySnapshot) => {
-      categorySnapshot.forEach((syllabusSnapshot) => {
-        const syllabusData = syllabusSnapshot.val();
-        const category = syllabusData.category;
-        
-        if (!syllabi[category]) {
-          syllabi[category] = {};
-        }
-        
-        syllabi[category][syllabusData.title] = syllabusData;
-      });
+    const answers = answersSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const questions = questionsSnapshot.docs.map(doc => {
+      const candidateAnswer = findCandidateAnswer({ id: doc.id, ...doc.data() }, answers);
+
+      return {
+        id: doc.id,
+        ...doc.data(),
+        candidateAnswer: candidateAnswer && !candidateAnswer.skipped ? candidateAnswer.answer : null,
+        skipped: !candidateAnswer || Boolean(candidateAnswer.skipped)
+      };
     });
-    
-    res.json(syllabi);
-  } catch (error) {
-    console.error("Error fetching PDF syllabi:", error);
-    res.status(500).json({ error: "Failed to fetch PDF syllabi" });
-  }
-});
 
-// Get PDF syllabi by category
-app.get("/api/pdf-syllabi/category/:category", async (req, res) => {
-  try {
-    const { category } = req.params;
-    const sanitizedCategory = sanitizeFilename(category);
-    
-    const snapshot = await pdfSyllabusRef.child(sanitizedCategory).once('value');
-    const syllabi = {};
-    
-    snapshot.forEach((syllabusSnapshot) => {
-      const syllabusData = syllabusSnapshot.val();
-      syllabi[syllabusData.title] = syllabusData;
+    res.status(200).json({
+      success: true,
+      data: {
+        registrationNumber,
+        examName: candidateData.exam,
+        examCompletedAt: candidateData.examCompletedAt || null,
+        questions
+      }
     });
-    
-    res.json(syllabi);
+
   } catch (error) {
-    console.error("Error fetching PDF syllabi by category:", error);
-    res.status(500).json({ error: "Failed to fetch PDF syllabi by category" });
+    console.error('Error fetching exam review:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch exam review',
+      details: error.message
+    });
   }
 });
 
-
-//Pdf user purchase
-// Reference to database collections
-// Define the new database references
-const pdfSyllabusPurchasersRef = realtimeDatabase.ref('pdfsyllabuspurchasers');
-
-// 1. Verify student
-app.get('/api/pdf-verify-student/:studentId', async (req, res) => {
+// API to fetch candidate answers by registration ID
+app.get('/api/candidate-answers/:registrationId', async (req, res) => {
   try {
-    const { studentId } = req.params;
-    
-    const studentSnapshot = await pdfSyllabusPurchasersRef.child(studentId).once('value');
-    const studentData = studentSnapshot.val();
-    
-    if (studentData) {
-      return res.json({
-        exists: true,
-        studentDetails: {
-          studentId,
-          ...studentData
-        }
-      });
-    } else {
-      return res.json({
-        exists: false
+    const { registrationId } = req.params;
+
+    // Validate registration ID
+    if (!registrationId) {
+      return res.status(400).json({
+        success: false,
+        error: 'Registration ID is required'
       });
     }
-  } catch (error) {
-    console.error('Error verifying pdf student:', error);
-    return res.status(500).json({
-      error: 'Failed to verify pdf student ID',
-      message: error.message
-    });
-  }
-});
 
-// 2. Register new student
-app.post('/api/pdf-register-student', async (req, res) => {
-  try {
-    const studentData = req.body;
-    
-    // Generate a random 6-digit student ID
-    let studentId;
-    let isUnique = false;
-    
-    while (!isUnique) {
-      // Generate a random 6-digit number
-      studentId = Math.floor(100000 + Math.random() * 900000).toString();
-      
-      // Check if this ID already exists
-      const existingStudent = await pdfSyllabusPurchasersRef.child(studentId).once('value');
-      if (!existingStudent.exists()) {
-        isUnique = true;
-      }
+    // Reference to the candidate's answers collection
+    const answersRef = firestore
+      .collection('candidates')
+      .doc(registrationId)
+      .collection('answers');
+
+    // Fetch all answers for the candidate
+    const answersSnapshot = await answersRef.orderBy('order').get();
+
+    if (answersSnapshot.empty) {
+      return res.status(404).json({
+        success: false,
+        message: 'No answers found for this registration ID'
+      });
     }
-    
-    // Save student data to Firebase
-    await pdfSyllabusPurchasersRef.child(studentId).set({
-      name: studentData.name,
-      age: studentData.age,
-      gender: studentData.gender,
-      phoneNo: studentData.phoneNo,
-      email: studentData.email || null,
-      district: studentData.district,
-      state: studentData.state,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    });
-    
-    return res.json({
-      success: true,
-      message: 'PDF student registered successfully',
-      studentId: studentId
-    });
-  } catch (error) {
-    console.error('Error registering pdf student:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to register pdf student',
-      message: error.message
-    });
-  }
-});
 
-// 3. Update existing student details
-app.put('/api/pdf-update-student/:studentId', async (req, res) => {
-  try {
-    const { studentId } = req.params;
-    const updatedData = req.body;
-    
-    // Check if student exists
-    const studentSnapshot = await pdfSyllabusPurchasersRef.child(studentId).once('value');
+    // Format the answers data
+    const answers = answersSnapshot.docs.map(doc => ({
+      questionId: doc.id,
+      ...doc.data(),
+      // Ensure consistent data types; multiple and match answers are arrays
+      answer: typeof doc.data().answer === 'number' || Array.isArray(doc.data().answer) ? doc.data().answer : null,
+      order: Number(doc.data().order),
+      skipped: Boolean(doc.data().skipped)
+    }));
+
+    // Get candidate details
+    const candidateRef = firestore.collection('candidates').doc(registrationId);
+    const candidateDoc = await candidateRef.get();
     
-    if (!studentSnapshot.exists()) {
+    if (!candidateDoc.exists) {
       return res.status(404).json({
         success: false,
-        error: 'PDF student not found'
+        message: 'Candidate not found'
       });
     }
-    
-    // Update the student data
-    await pdfSyllabusPurchasersRef.child(studentId).update({
-      name: updatedData.name,
-      age: updatedData.age,
-      gender: updatedData.gender,
-      phoneNo: updatedData.phoneNo,
-      email: updatedData.email || null,
-      district: updatedData.district,
-      state: updatedData.state,
-      updatedAt: admin.database.ServerValue.TIMESTAMP
-    });
-    
-    // Get the updated student data
-    const updatedStudentSnapshot = await pdfSyllabusPurchasersRef.child(studentId).once('value');
-    
-    return res.json({
+
+    const candidateData = candidateDoc.data();
+
+    // Prepare response
+    const response = {
       success: true,
-      message: 'PDF student details updated successfully',
-      studentDetails: {
-        studentId,
-        ...updatedStudentSnapshot.val()
+      data: {
+        registrationId,
+        candidateDetails: {
+          name: candidateData.candidateName,
+          exam: candidateData.exam,
+          examDate: candidateData.examDate,
+          examCompletedAt: candidateData.examCompletedAt
+        },
+        answers: answers,
+        metadata: {
+          totalAnswers: answers.length,
+          skippedCount: answers.filter(a => a.skipped).length,
+          submittedAnswers: answers.filter(a => !a.skipped).length
+        }
       }
-    });
+    };
+
+    res.status(200).json(response);
+
   } catch (error) {
-    console.error('Error updating pdf student:', error);
-    return res.status(500).json({
+    console.error('Error fetching candidate answers:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to update pdf student details',
-      message: error.message
+      error: 'Failed to fetch candidate answers',
+      details: error.message
     });
   }
 });
 
-// 4. Create a new order for PDF purchase
-app.post('/api/create-pdf-order', async (req, res) => {
-  try {
-    const { amount, notes } = req.body;
-    
-    const options = {
-      amount: Math.round(amount * 100), // Amount in paise
-      currency: 'INR',
-      receipt: `pdf_receipt_${Date.now()}`,
-      notes
-    };
-    
-    const order = await razorpay.orders.create(options);
-    
-    // No longer storing order in a separate collection
-    
-    return res.json({
-      success: true,
-      order
-    });
-  } catch (error) {
-    console.error('Error creating pdf order:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to create pdf payment order',
-      message: error.message
+
+//Ranking helpers
+// Order results by score, then fewer wrong answers, then earlier completion.
+// Results from before marking schemes existed have no score, so their
+// correct answer count is used instead
+const compareResults = (a, b) => {
+  const scoreA = a.score ?? a.correctAnswers ?? 0;
+  const scoreB = b.score ?? b.correctAnswers ?? 0;
+  if (scoreA !== scoreB) return scoreB - scoreA;
+
+  const wrongA = a.wrongAnswers ?? 0;
+  const wrongB = b.wrongAnswers ?? 0;
+  if (wrongA !== wrongB) return wrongA - wrongB;
+
+  const completedA = a.examCompletedAt ? new Date(a.examCompletedAt).getTime() : Infinity;
+  const completedB = b.examCompletedAt ? new Date(b.examCompletedAt).getTime() : Infinity;
+  if (completedA === completedB) return 0;
+  return completedA < completedB ? -1 : 1;
+};
+
+// Build the official rank list from stored results. Candidates that are
+// still level after every tie-breaker share a rank (1, 2, 2, 4)
+const computeRankList = async (examTitle) => {
+  const snapshot = await realtimeDatabase.ref(`Results/${examTitle}`).once('value');
+  const results = Object.entries(snapshot.val() || {})
+    .map(([registrationNumber, result]) => ({ ...result, registrationNumber }))
+    .sort(compareResults);
+
+  const entries = [];
+  results.forEach((result, index) => {
+    const tiedWithPrevious = index > 0 && compareResults(results[index - 1], result) === 0;
+
+    entries.push({
+      rank: tiedWithPrevious ? entries[index - 1].rank : index + 1,
+      registrationNumber: result.registrationNumber,
+      candidateName: result.candidateName || null,
+      score: result.score ?? result.correctAnswers ?? 0,
+      wrongAnswers: result.wrongAnswers ?? 0,
+      examCompletedAt: result.examCompletedAt || null
     });
-  }
-});
+  });
 
-// 5. Verify payment after Razorpay callback
-app.post('/api/verify-pdf-payment', async (req, res) => {
+  return entries;
+};
+
+// Compute and store the rank list under Rankings/{examTitle}
+const saveRankList = async (examTitle) => {
+  const entries = await computeRankList(examTitle);
+  const rankings = {
+    generatedAt: new Date().toISOString(),
+    entries
+  };
+
+  await realtimeDatabase.ref(`Rankings/${examTitle}`).set(rankings);
+  return rankings;
+};
+
+
+//Winners store api 
+// Add this route to your index.js or appropriate router file
+
+app.post('/api/save-winner-choice', async (req, res) => {
   try {
     const {
-      orderId,
-      paymentId,
-      signature,
-      syllabusId,
-      filePath,
-      userId
+      examTitle,
+      registrationNumber,
+      rank,
+      selectedOption
     } = req.body;
-    
-    // Verify signature
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${paymentId}`)
-      .digest('hex');
-    
-    if (generatedSignature !== signature) {
+
+    // Validate required fields
+    if (!examTitle || !registrationNumber || !rank || !selectedOption) {
       return res.status(400).json({
         success: false,
-        error: 'Invalid pdf payment signature'
+        error: 'Missing required fields. Please provide examTitle, registrationNumber, rank, and selectedOption'
       });
     }
-    
-    // No longer updating order status in a separate collection
-    
-    // Payment is valid
-    return res.json({
-      success: true,
-      message: 'PDF payment verified successfully',
-      paymentId,
-      syllabusId,
-      userId
-    });
-  } catch (error) {
-    console.error('Error verifying pdf payment:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to verify pdf payment',
-      message: error.message
-    });
-  }
-});
 
-// 6. Save syllabus purchase details - UPDATED to use the new structure
-app.post('/api/pdf-save-syllabus-purchase', async (req, res) => {
-  try {
-    const {
-      studentId,
-      syllabusDetails,
-      paymentDetails,
-      purchaseDate
-    } = req.body;
-    
-    const purchaseId = uuidv4();
-    
-    // Create purchase record
-    const purchaseData = {
-      purchaseId: purchaseId,
-      syllabusId: syllabusDetails.id,
-      syllabusTitle: syllabusDetails.title,
-      syllabusCategory: syllabusDetails.category,
-      syllabusPrice: syllabusDetails.price,
-      syllabusDuration: syllabusDetails.duration,
-      syllabusDescription: syllabusDetails.description || '',
-      syllabusFilePath: syllabusDetails.filePath || `syllabi/${syllabusDetails.id}.pdf`,
-      paymentStatus: paymentDetails.status,
-      paymentAmount: paymentDetails.amount,
-      paymentId: paymentDetails.paymentId || null,
-      orderId: paymentDetails.orderId || null,
-      purchaseDate: purchaseDate,
-      expirationDate: syllabusDetails.expirationDate,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    };
-    
-    // Save to Firebase under the student's purchases subcollection
-    await pdfSyllabusPurchasersRef.child(studentId).child('purchases').child(purchaseId).set(purchaseData);
-    
-    return res.json({
-      success: true,
-      message: 'PDF syllabus purchase saved successfully',
-      purchaseId: purchaseId
-    });
-  } catch (error) {
-    console.error('Error saving pdf purchase:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to save pdf syllabus purchase',
-      message: error.message
-    });
-  }
-});
+    // Validate selectedOption
+    if (!['product', 'cash'].includes(selectedOption)) {
+      return res.status(400).json({
+        success: false,
+        error: 'Invalid selectedOption. Must be either "product" or "cash"'
+      });
+    }
 
-// 7. Get student's purchased syllabi - UPDATED to use the new structure
-app.get('/api/pdf-student-purchases/:studentId', async (req, res) => {
-  try {
-    const { studentId } = req.params;
-    
-    const purchasesSnapshot = await pdfSyllabusPurchasersRef.child(studentId).child('purchases').once('value');
-    const purchases = purchasesSnapshot.val() || {};
-    
-    return res.json({
+    // Get current date in DD/MM/YYYY format (for data field only)
+    const today = new Date();
+    const currentDate = `${today.getDate().toString().padStart(2, '0')}/${(today.getMonth() + 1).toString().padStart(2, '0')}/${today.getFullYear()}`;
+
+    // New structure: Winners/{examTitle}/{registrationNumber}
+    const winnerRef = realtimeDatabase.ref(`Winners/${examTitle}/${registrationNumber}`);
+
+    // Only candidates published as provisional winners can record a choice
+    const snapshot = await winnerRef.once('value');
+    if (!snapshot.exists()) {
+      return res.status(403).json({
+        success: false,
+        error: 'This registration number is not among the published winners for this exam'
+      });
+    }
+
+    const publishedWinner = snapshot.val();
+    if (publishedWinner.selectedOption) {
+      return res.status(409).json({
+        success: false,
+        error: 'Winner choice already recorded for this registration number'
+      });
+    }
+
+    // The rank must match the official rank list computed from Results
+    const rankingsSnapshot = await realtimeDatabase.ref(`Rankings/${examTitle}/entries`).once('value');
+    const rankEntry = (rankingsSnapshot.val() || []).find(entry => entry.registrationNumber === registrationNumber);
+
+    if (!rankEntry || rankEntry.rank !== Number(rank) || publishedWinner.rank !== rankEntry.rank) {
+      return res.status(400).json({
+        success: false,
+        error: 'Rank does not match the official rank list'
+      });
+    }
+
+    // Prepare winner details
+    const winnerData = {
+      ...publishedWinner,
+      registrationNumber,
+      examTitle,
+      rank: rankEntry.rank,
+      selectedOption,
+      status: 'pending',
+      dateCreated: currentDate
+    };
+
+    // Save winner details
+    await winnerRef.set(winnerData);
+
+    // Prepare response
+    const response = {
       success: true,
-      purchases: Object.values(purchases)
-    });
+      data: {
+        message: 'Winner choice saved successfully',
+        details: {
+          examTitle,
+          registrationNumber,
+          rank: winnerData.rank,
+          selectedOption,
+          dateRecorded: currentDate,
+          ...(winnerData.candidateDetails || {})
+        }
+      }
+    };
+
+    res.status(200).json(response);
+
   } catch (error) {
-    console.error('Error fetching pdf student purchases:', error);
-    return res.status(500).json({
+    console.error('Error saving winner choice:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to fetch pdf student purchases',
-      message: error.message
+      error: 'Failed to save winner choice',
+      details: error.message
     });
   }
 });
 
 
-
-
-//Pdf syllabus show apis
-// Endpoint to get signed URL for syllabus PDF
-//Fixting alternative apis for pdf syllabus entry and pdf show
-app.get('/api/pdfsyllabuspurchasers', async (req, res) => {
+app.get('/api/winners', async (req, res) => {
   try {
-    // Create a reference to the collection
-    const ref = realtimeDatabase.ref('pdfsyllabuspurchasers');
-    
-    // Get all data from the reference
-    const snapshot = await ref.once('value');
+    // Reference to Winners collection
+    const winnersRef = realtimeDatabase.ref('Winners');
     
-    // Convert the snapshot to JSON
-    const data = snapshot.val();
+    // Get all data from Winners node
+    const snapshot = await winnersRef.once('value');
+    const winnersData = snapshot.val();
     
-    // If no data is found, return a 404
-    if (!data) {
+    // If no data exists
+    if (!winnersData) {
       return res.status(404).json({
         success: false,
-        message: 'No data found'
+        error: 'No winners data found'
       });
     }
     
-    // Return the data
-    return res.status(200).json({
-      success: true,
-      data: data
-    });
-  } catch (error) {
-    console.error('Error retrieving data:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error retrieving data from database',
-      error: error.message
-    });
-  }
-});
-// API endpoint to get PDF syllabi with pre-signed URLs
-app.get("/api/pdf-syllabi", async (req, res) => {
-  try {
-    const snapshot = await pdfSyllabusRef.once('value');
-    const syllabi = {};
-    
-    // Process all syllabi and generate signed URLs
-    const promises = [];
+    // Transform data into a more organized structure
+    const formattedData = {};
     
-    snapshot.forEach((categorySnapshot) => {
-      categorySnapshot.forEach((syllabusSnapshot) => {
-        const syllabusData = syllabusSnapshot.val();
-        const category = syllabusData.category;
-        
-        if (!syllabi[category]) {
-          syllabi[category] = {};
-        }
-        
-        // If we have a file path instead of a full URL
-        if (syllabusData.filePath) {
-          // Add to promises array for batch processing
-          promises.push(
-            generateSignedUrl(syllabusData.filePath)
-              .then(signedUrl => {
-                syllabusData.fileUrl = signedUrl;
-                syllabi[category][syllabusData.title] = syllabusData;
-              })
-              .catch(error => {
-                console.error(`Error generating signed URL for ${syllabusData.title}:`, error);
-                // Still include the syllabus but mark it with an error flag
-                syllabusData.fileError = true;
-                syllabi[category][syllabusData.title] = syllabusData;
-              })
-          );
-        } 
-        // If we already have a full URL (legacy data)
-        else if (syllabusData.fileUrl) {
-          syllabi[category][syllabusData.title] = syllabusData;
-        }
+    // Iterate through exam titles
+    Object.entries(winnersData).forEach(([examTitle, examData]) => {
+      formattedData[examTitle] = [];
+      
+      // Iterate through registrations under each exam
+      Object.entries(examData).forEach(([regNumber, winnerDetails]) => {
+        formattedData[examTitle].push({
+          registrationNumber: regNumber,
+          ...winnerDetails
+        });
       });
+      
+      // Sort winners by rank for each exam
+      formattedData[examTitle].sort((a, b) => a.rank - b.rank);
     });
     
-    // Wait for all signed URL generation to complete
-    await Promise.all(promises);
+    // Prepare response
+    const response = {
+      success: true,
+      data: {
+        message: 'Winners data retrieved successfully',
+        winners: formattedData
+      }
+    };
+    
+    res.status(200).json(response);
     
-    res.json(syllabi);
   } catch (error) {
-    console.error("Error fetching PDF syllabi:", error);
-    res.status(500).json({ error: "Failed to fetch PDF syllabi" });
+    console.error('Error retrieving winners data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve winners data',
+      details: error.message
+    });
   }
 });
 
 
 
+//Ptactice test apis
 
+const practiceTestsRef = realtimeDatabase.ref('PracticeTests');
 
-
-
-
-
-
-
-
-
-
-
-
-//Admin APis===========================================================================================================================================================================================================================================================================================================================================
-
-
-app.post("/api/exams/:examTitle/questions", upload.single("image"), async (req, res) => {
-  const { examTitle } = req.params;
-  const { question, options, correctAnswer } = req.body;
-  const image = req.file;
-
+app.get("/api/practice-tests", async (req, res) => {
   try {
-      // Validate input
-      if (!examTitle || !question || !options || correctAnswer === undefined) {
-          return res.status(400).json({ error: "Missing required fields" });
-      }
-
-      // Parse options and correct answer
-      const parsedOptions = JSON.parse(options);
-      const parsedCorrectAnswer = parseInt(correctAnswer, 10);
+    const snapshot = await practiceTestsRef.once('value');
+    const practiceTests = {};
 
-      if (!Array.isArray(parsedOptions) || parsedOptions.length !== 4 || isNaN(parsedCorrectAnswer)) {
-          return res.status(400).json({ error: "Invalid options or correct answer" });
-      }
+    snapshot.forEach((categorySnapshot) => {
+      const category = categorySnapshot.key;
+      practiceTests[category] = {};
 
-      // Firestore references
-      const examCollection = firestore.collection("Exams").doc(examTitle);
-      const questionsCollection = examCollection.collection("Questions");
+      categorySnapshot.forEach((titleSnapshot) => {
+        practiceTests[category][titleSnapshot.key] = titleSnapshot.val();
+      });
+    });
 
-      // Get the current count of questions to determine the new order
-      const allQuestionsSnapshot = await questionsCollection.get();
-      const nextOrder = allQuestionsSnapshot.size + 1;
+    res.json(practiceTests);
+  } catch (error) {
+    console.error("Error fetching practice tests:", error);
+    res.status(500).json({ error: "Failed to fetch practice tests" });
+  }
+});
 
-      // Prepare question data with order field
-      const questionData = {
-          question,
-          options: parsedOptions,
-          correctAnswer: parsedCorrectAnswer,
-          order: nextOrder,
-          timestamp: new Date().getTime()
-      };
 
-      // Handle image (if present)
-      if (image) {
-          const base64Image = image.buffer.toString("base64");
-          const mimeType = image.mimetype;
-          questionData.image = `data:${mimeType};base64,${base64Image}`;
-      }
+app.get("/api/practice-tests/:category", async (req, res) => {
+  try {
+    const { category } = req.params;
+    const categoryRef = practiceTestsRef.child(category);
 
-      // Add question to Firestore
-      const questionDoc = await questionsCollection.add(questionData);
+    const snapshot = await categoryRef.once('value');
 
-      res.status(200).json({
-          message: "Question added successfully",
-          questionId: questionDoc.id,
-          order: nextOrder
-      });
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Category not found" });
+    }
 
+    res.json(snapshot.val());
   } catch (error) {
-      console.error("Error saving question:", error);
-      res.status(500).json({ error: "Internal server error" });
+    console.error("Error fetching category practice tests:", error);
+    res.status(500).json({ error: "Failed to fetch category practice tests" });
   }
 });
 
-app.put("/api/exams/:examTitle/questions/:questionId", upload.single("image"), async (req, res) => {
-    const { examTitle, questionId } = req.params;
-    const { question, options, correctAnswer } = req.body;
-    const image = req.file;
-
-    try {
-        if (!examTitle || !questionId || !question || !options || correctAnswer === undefined) {
-            return res.status(400).json({ error: "Missing required fields" });
-        }
-
-        const parsedOptions = JSON.parse(options);
-        const parsedCorrectAnswer = parseInt(correctAnswer, 10);
-
-        if (!Array.isArray(parsedOptions) || parsedOptions.length !== 4 || isNaN(parsedCorrectAnswer)) {
-            return res.status(400).json({ error: "Invalid options or correct answer" });
-        }
 
-        const examCollection = firestore.collection("Exams").doc(examTitle);
-        const questionDoc = examCollection.collection("Questions").doc(questionId);
-
-        const updateData = {
-            question,
-            options: parsedOptions,
-            correctAnswer: parsedCorrectAnswer,
-        };
-
-        if (image) {
-            const base64Image = image.buffer.toString("base64");
-            const mimeType = image.mimetype;
-            updateData.image = `data:${mimeType};base64,${base64Image}`;
-        }
-
-        await questionDoc.update(updateData);
+// Save Exam Registration API
+// Verify Student ID
+// Verify Student Endpoint
+app.get("/api/verify-student/:studentId", async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    
+    // Search in practicetestpurchasedstudents collection for student details
+    const studentSnapshot = await realtimeDatabase
+      .ref('practicetestpurchasedstudents')
+      .orderByChild('studentId')
+      .equalTo(studentId)
+      .once('value');
+    
+    const studentData = studentSnapshot.val();
+    
+    if (studentData) {
+      // Return first matching student data
+      const studentKey = Object.keys(studentData)[0];
+      res.json({
+        exists: true,
+        studentDetails: studentData[studentKey]
+      });
+    } else {
+      res.json({
+        exists: false,
+        message: 'Student not found'
+      });
+    }
+  } catch (error) {
+    console.error("Student verification error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to verify student"
+    });
+  }
+});
 
-        res.status(200).json({ message: "Question updated successfully" });
-    } catch (error) {
-        console.error("Error updating question:", error);
-        res.status(500).json({ error: "Internal server error" });
+// Check Exam Purchase Validity
+app.get("/api/check-exam-purchase", async (req, res) => {
+  try {
+    const { studentId, examId } = req.query;
+    
+    // Search in practicetestpurchasedstudents collection
+    const studentSnapshot = await realtimeDatabase
+      .ref('practicetestpurchasedstudents')
+      .orderByChild('studentId')
+      .equalTo(studentId)
+      .once('value');
+    
+    const studentData = studentSnapshot.val();
+    
+    if (studentData) {
+      const studentKey = Object.keys(studentData)[0];
+      const student = studentData[studentKey];
+      
+      // Check if student has purchases
+      const purchases = student.purchases || [];
+      
+      const hasActivePurchase = purchases.some(purchase => {
+        // Check exam ID and purchase date (within duration specified in exam details)
+        const purchaseDate = new Date(purchase.purchaseDate);
+        const examDuration = parseInt(purchase.examDetails.duration, 10) || 1; // default to 1 day if not specified
+        
+        const expirationDate = new Date(purchaseDate);
+        expirationDate.setDate(expirationDate.getDate() + examDuration);
+        
+        const currentDate = new Date();
+        
+        return purchase.examDetails.id === examId && 
+               !purchase.revoked &&
+               currentDate <= expirationDate;
+      });
+      
+      res.json({ 
+        purchased: hasActivePurchase 
+      });
+    } else {
+      res.json({ 
+        purchased: false 
+      });
     }
+  } catch (error) {
+    console.error("Exam purchase check error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to check exam purchase"
+    });
+  }
 });
 
-app.delete("/api/exams/:examTitle/questions/:questionId", async (req, res) => {
-  const { examTitle, questionId } = req.params;
 
+// Register New Student
+app.post("/api/register-student", async (req, res) => {
   try {
-      // Firestore references
-      const examCollection = firestore.collection("Exams").doc(examTitle);
-      const questionDoc = examCollection.collection("Questions").doc(questionId);
+    const {
+      name,
+      age,
+      gender,
+      phoneNo,
+      email,
+      district,
+      state
+    } = req.body;
+    
+    // Generate a 6-digit student ID
+    const studentId = Math.floor(100000 + Math.random() * 900000).toString();
+    
+    // Prepare student details
+    const studentData = {
+      studentId,
+      name,
+      age,
+      gender,
+      phoneNo,
+      email,
+      district,
+      state,
+      registrationDate: new Date().toISOString(),
+      purchases: [] // Filled by the paid purchase routes
+    };
+    
+    // Save to Firebase Realtime Database in practicetestpurchasedstudents collection
+    const registrationRef = realtimeDatabase.ref('practicetestpurchasedstudents').push();
+    await registrationRef.set(studentData);
+    
+    res.status(201).json({
+      success: true,
+      message: 'Student registered successfully',
+      studentId: studentId
+    });
+    
+  } catch (error) {
+    console.error("Student registration error:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to register student",
+      details: error.message
+    });
+  }
+});
 
-      // Delete the question document
-      await questionDoc.delete();
+//Purchase completion
+// A paid purchase can be saved by the client after checkout or by the
+// Razorpay webhook. ProcessedPayments/{paymentId} records the first save
+// so the other one gets the same result instead of a second purchase, and
+// the ledger order is marked completed with the saved purchase
+const completePurchaseOnce = async ({ paymentId, orderId }, save) => {
+  if (!paymentId) return save();
+
+  const processedRef = realtimeDatabase.ref(`ProcessedPayments/${paymentId}`);
+  const { committed, snapshot } = await processedRef.transaction(current => {
+    if (current) return;
+    return { status: 'processing', startedAt: new Date().toISOString() };
+  });
 
-      res.status(200).json({ message: "Question deleted successfully" });
+  if (!committed) {
+    const processed = snapshot.val();
+    if (processed.status !== 'completed') {
+      return { status: 409, error: 'This payment is already being processed' };
+    }
+    return { ...processed.result, duplicate: true };
+  }
+
+  try {
+    const result = await save();
+    if (result.error) {
+      await processedRef.remove();
+      return result;
+    }
+
+    await processedRef.set({
+      status: 'completed',
+      result,
+      completedAt: new Date().toISOString()
+    });
+    await updateOrderStatus(orderId, 'completed', result);
+    return result;
   } catch (error) {
-      console.error("Error deleting question:", error);
-      res.status(500).json({ error: "Internal server error" });
+    await processedRef.remove();
+    throw error;
   }
-});
+};
 
+// Payment details for a purchase, taken from the ledger order and Razorpay
+// rather than from the client. Returns { paymentDetails } or { status, error }
+const getPurchasePayment = async (paymentDetails, product) => {
+  const { orderId, paymentId } = paymentDetails || {};
+  const verification = await checkOrderPayment(orderId, paymentId, product);
+  if (verification.error) return verification;
 
-// API to get questions for a specific exam title
-// API to save exam date and time
-app.post("/api/exams/:examTitle/date-time", async (req, res) => {
-  const { examTitle } = req.params;
-  const { date, startTime, endTime, marks, price } = req.body;
+  const { payment } = verification;
+  return {
+    paymentDetails: {
+      paymentId,
+      orderId,
+      amount: payment.amount / 100,
+      method: payment.method || null,
+      status: 'completed'
+    }
+  };
+};
+
+// Add a practice test purchase to a student. Only the category and ID are
+// taken from the client; the rest comes from PracticeTests/{category}/{id}
+// so the client cannot choose how long access lasts.
+// Returns { purchaseId } or { status, error }
+const savePracticePurchase = (studentId, examDetails, paymentDetails) =>
+  completePurchaseOnce(paymentDetails, async () => {
+    const { category, id } = examDetails;
+    const testSnapshot = await practiceTestsRef.child(category).child(id).once('value');
+    const test = testSnapshot.val();
+
+    if (!test) {
+      return { status: 404, error: "Practice test not found" };
+    }
+
+    // Find the student
+    const studentSnapshot = await realtimeDatabase
+      .ref('practicetestpurchasedstudents')
+      .orderByChild('studentId')
+      .equalTo(studentId)
+      .once('value');
+
+    const studentData = studentSnapshot.val();
+
+    if (!studentData) {
+      return { status: 404, error: "Student not found" };
+    }
+
+    // Add the purchase in a transaction so concurrent saves keep each other
+    const studentKey = Object.keys(studentData)[0];
+    let purchaseId = null;
+
+    await realtimeDatabase
+      .ref(`practicetestpurchasedstudents/${studentKey}/purchases`)
+      .transaction(purchases => {
+        const list = purchases || [];
+        purchaseId = list.length; // Index of the new purchase
+        return [...list, {
+          examDetails: {
+            id,
+            title: id,
+            category,
+            duration: test.duration ?? null,
+            timeLimit: test.timeLimit ?? null,
+            fees: paymentDetails.amount
+          },
+          paymentDetails,
+          purchaseDate: new Date().toISOString()
+        }];
+      });
+
+    return { purchaseId };
+  });
 
+// Save Exam Purchase
+app.post("/api/save-exam-purchase", async (req, res) => {
   try {
-    // Validate input
-    if (!examTitle || !date || !startTime || !endTime || marks === undefined || price === undefined) {
+    const { 
+      studentId, 
+      examDetails, 
+      paymentDetails 
+    } = req.body;
+
+    if (!examDetails || !examDetails.id || !examDetails.category) {
       return res.status(400).json({
-        error: "Missing required fields. Please provide date, startTime, endTime, marks, and price."
+        success: false,
+        error: "examDetails with id and category are required"
       });
     }
 
-    // Validate 12-hour time format with AM/PM
-    const timeRegex = /^(0?[1-9]|1[0-2]):[0-5][0-9]\s?(AM|PM)$/i;
-    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
-      return res.status(400).json({
-        error: "Invalid time format. Please provide time in 12-hour format (e.g., 1:45 PM)."
+    const purchasePayment = await getPurchasePayment(paymentDetails, {
+      productType: 'practice-test',
+      productId: `${examDetails.category}/${examDetails.id}`,
+      studentId
+    });
+    if (purchasePayment.error) {
+      return res.status(purchasePayment.status).json({
+        success: false,
+        error: purchasePayment.error
       });
     }
 
-    // Reference to the exam date-time in Realtime Database
-    const examDateTimeRef = realtimeDatabase.ref('ExamDateTime').child(examTitle);
+    const result = await savePracticePurchase(studentId, examDetails, purchasePayment.paymentDetails);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
 
-    // Save the data to Realtime Database
-    await examDateTimeRef.set({
-      date,
-      startTime,
-      endTime,
-      marks,
-      price,
-      updatedAt: admin.database.ServerValue.TIMESTAMP
+    res.status(result.duplicate ? 200 : 201).json({
+      success: true,
+      message: result.duplicate ? 'Exam purchase already saved' : 'Exam purchase saved successfully',
+      purchaseId: result.purchaseId
     });
 
-    // Update the exam document in Firestore
-    const examRef = firestore.collection("Exams").doc(examTitle);
-    await examRef.set({
-      dateTime: {
-        date,
-        startTime,
-        endTime,
-        marks,
-        price,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      }
-    }, { merge: true });
-
-    res.status(200).json({
-      message: "Exam details saved successfully",
-      data: {
-        examTitle,
-        date,
-        startTime,
-        endTime,
-        marks,
-        price
-      }
-    });
   } catch (error) {
-    console.error("Error saving exam details:", error);
+    console.error("Exam purchase save error:", error);
     res.status(500).json({
-      error: "Failed to save exam details",
+      success: false,
+      error: "Failed to save exam purchase",
       details: error.message
     });
   }
 });
-  
-  // API to get exam date and time
-  app.get("/api/exams/:examTitle/date-time", async (req, res) => {
-    const { examTitle } = req.params;
-  
-    try {
-      // Reference to the exam date-time in Realtime Database
-      const examDateTimeRef = realtimeDatabase.ref('ExamDateTime').child(examTitle);
-      
-      // Get the data
-      const snapshot = await examDateTimeRef.once('value');
-      const dateTimeData = snapshot.val();
-  
-      if (!dateTimeData) {
-        return res.status(404).json({ 
-          error: "Exam date and time not found" 
-        });
-      }
-  
-      res.status(200).json({
-        examTitle,
-        ...dateTimeData
-      });
-  
-    } catch (error) {
-      console.error("Error fetching exam date and time:", error);
-      res.status(500).json({ 
-        error: "Failed to fetch exam date and time",
-        details: error.message 
-      });
-    }
-  });
-
-
-  //Notification apis
-
-  // API to save notification
-app.post("/api/admin/notifications", async (req, res) => {
-    const { message, createdAt } = req.body;
-  
-    try {
-      // Validate input
-      if (!message) {
-        return res.status(400).json({ 
-          error: "Missing required fields. Please provide a message" 
-        });
-      }
-  
-      // Generate a unique ID for the notification
-      const notificationId = Date.now().toString();
-  
-      // Reference to the notifications in Realtime Database
-      const notificationsRef = realtimeDatabase.ref('Notifications');
-  
-      // Save the notification
-      await notificationsRef.child(notificationId).set({
-        message,
-        createdAt,
-        updatedAt: admin.database.ServerValue.TIMESTAMP
-      });
-  
-      res.status(200).json({
-        message: "Notification saved successfully",
-        data: {
-          id: notificationId,
-          message,
-          createdAt
-        }
-      });
-  
-    } catch (error) {
-      console.error("Error saving notification:", error);
-      res.status(500).json({ 
-        error: "Failed to save notification",
-        details: error.message 
-      });
-    }
-  });
-  
 
-  // API to update a notification
-  app.put("/api/admin/notifications/:id", async (req, res) => {
-    const { id } = req.params;
-    const { message } = req.body;
-  
-    try {
-      if (!message) {
-        return res.status(400).json({ error: "Message is required" });
-      }
-  
-      const notificationRef = realtimeDatabase.ref(`Notifications/${id}`);
-      
-      await notificationRef.update({
-        message,
-        updatedAt: admin.database.ServerValue.TIMESTAMP
-      });
-  
-      res.status(200).json({
-        message: "Notification updated successfully"
-      });
-  
-    } catch (error) {
-      console.error("Error updating notification:", error);
-      res.status(500).json({ 
-        error: "Failed to update notification",
-        details: error.message 
-      });
-    }
-  });
-  
-  // API to delete a notification
-  app.delete("/api/notifications/:id", async (req, res) => {
-    const { id } = req.params;
-  
-    try {
-      const notificationRef = realtimeDatabase.ref(`Notifications/${id}`);
-      await notificationRef.remove();
-  
-      res.status(200).json({
-        message: "Notification deleted successfully"
-      });
-  
-    } catch (error) {
-      console.error("Error deleting notification:", error);
-      res.status(500).json({ 
-        error: "Failed to delete notification",
-        details: error.message 
-      });
-    }
-  });
 
 
-  //Syllabus pdf
- // Save syllabus endpoint
-app.post("/api/syllabus", async (req, res) => {
+// Update Student Details API Endpoint
+app.put("/api/update-student/:studentId", async (req, res) => {
   try {
-    const { examTitle, syllabusLink } = req.body;
+    const { studentId } = req.params;
+    const {
+      name,
+      age,
+      gender,
+      phoneNo,
+      email,
+      district,
+      state
+    } = req.body;
 
-    // Validate input
-    if (!examTitle || !syllabusLink) {
-      return res.status(400).json({
-        error: "Missing required fields. Please provide exam title and syllabus link"
+    // Find the student
+    const studentSnapshot = await realtimeDatabase
+      .ref('practicetestpurchasedstudents')
+      .orderByChild('studentId')
+      .equalTo(studentId)
+      .once('value');
+        
+    const studentData = studentSnapshot.val();
+        
+    if (!studentData) {
+      return res.status(404).json({
+        success: false,
+        error: "Student not found"
       });
     }
 
-    // Generate unique ID
-    const syllabusId = `syllabus_${Date.now()}`;
+    // Get the student key
+    const studentKey = Object.keys(studentData)[0];
+    const student = studentData[studentKey];
 
-    // Create syllabus data object
-    const syllabusData = {
-      id: syllabusId,
-      examTitle,
-      syllabusLink,
-      uploadedAt: new Date().toISOString(),
-      updatedAt: admin.database.ServerValue.TIMESTAMP,
-      version: "3.11.174"
+    // Only profile fields change here; purchases are added by the paid
+    // purchase routes and are left untouched
+    const updatedStudentData = {
+      name: name || student.name,
+      age: age || student.age,
+      gender: gender || student.gender,
+      phoneNo: phoneNo || student.phoneNo,
+      email: email || student.email,
+      district: district || student.district,
+      state: state || student.state,
+      lastUpdated: new Date().toISOString()
     };
 
-    // Save to Firebase Realtime Database
-    const syllabusRef = admin.database().ref('Syllabus').child(syllabusId);
-    await syllabusRef.set(syllabusData);
+    // Update the student record
+    await realtimeDatabase
+      .ref(`practicetestpurchasedstudents/${studentKey}`)
+      .update(updatedStudentData);
 
     res.status(200).json({
-      message: "Syllabus saved successfully",
-      data: syllabusData
+      success: true,
+      message: 'Student details updated successfully',
+      studentId: studentId
     });
-
   } catch (error) {
-    console.error("Error saving syllabus:", error);
+    console.error("Student update error:", error);
     res.status(500).json({
-      error: "Failed to save syllabus",
+      success: false,
+      error: "Failed to update student details",
       details: error.message
     });
   }
 });
 
-// Get all syllabus endpoint
-app.get("/api/syllabus", async (req, res) => {
+
+//Api for practice questions 
+// API endpoint to fetch practice exam questions
+
+app.get("/api/practice-tests/:category/:examId/questions", async (req, res) => {
+  const { category, examId } = req.params;
+
   try {
-    const syllabusRef = admin.database().ref("Syllabus");
-    const snapshot = await syllabusRef.once("value");
+    // Firestore references
+    const questionsCollection = firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId)
+      .collection("Questions");
 
-    if (!snapshot.exists()) {
-      return res.status(200).json({
-        message: "No syllabus found",
-        data: {},
-        version: "3.11.174"
-      });
-    }
+    // Get all questions ordered by the 'order' field
+    const questionsSnapshot = await questionsCollection.orderBy("order", "asc").get();
 
-    const syllabusData = snapshot.val();
+    if (questionsSnapshot.empty) {
+      return res.status(200).json({ questions: [] });
+    }
 
-    res.status(200).json({
-      message: "Syllabus fetched successfully",
-      data: syllabusData,
-      version: "3.11.174"
+    // Transform the snapshot to an array of questions without the answer key;
+    // answers are revealed through the review API once an attempt is submitted
+    const questions = [];
+    questionsSnapshot.forEach((doc) => {
+      const questionData = doc.data();
+      questions.push({
+        id: doc.id,
+        question: questionData.question,
+        type: getQuestionType(questionData),
+        options: questionData.options || [],
+        matchLeft: questionData.matchLeft || null,
+        imageUrl: questionData.imageUrl || null,
+        order: questionData.order
+      });
     });
 
+    // Return the questions
+    res.status(200).json({ questions });
   } catch (error) {
-    console.error("Error fetching syllabus:", error);
-    res.status(500).json({
-      error: "Failed to fetch syllabus",
-      details: error.message
-    });
+    console.error("Error fetching questions:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Update syllabus endpoint
-app.put("/api/syllabus/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { examTitle, syllabusLink } = req.body;
 
-    // Validate input
-    if (!examTitle || !syllabusLink) {
-      return res.status(400).json({
-        error: "Missing required fields. Please provide exam title and syllabus link"
-      });
-    }
+// Load the questions of a practice test in their canonical order
+const getPracticeQuestions = async (category, examId) => {
+  const questionsSnapshot = await firestore.collection("PracticeTests").doc(category)
+    .collection("Exams").doc(examId)
+    .collection("Questions")
+    .orderBy("order", "asc")
+    .get();
 
-    const syllabusRef = admin.database().ref('Syllabus').child(id);
-    const snapshot = await syllabusRef.once('value');
-
-    if (!snapshot.exists()) {
-      return res.status(404).json({ error: "Syllabus not found" });
-    }
-
-    const updatedData = {
-      ...snapshot.val(),
-      examTitle,
-      syllabusLink,
-      updatedAt: admin.database.ServerValue.TIMESTAMP
-    };
-
-    await syllabusRef.update(updatedData);
+  return questionsSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+};
 
-    res.status(200).json({
-      message: "Syllabus updated successfully",
-      data: updatedData
-    });
+// Load a practice test's marking scheme, filled in with defaults
+const getPracticeMarkingScheme = async (category, examId, questionCount) => {
+  const examDoc = await firestore.collection("PracticeTests").doc(category)
+    .collection("Exams").doc(examId)
+    .get();
 
-  } catch (error) {
-    console.error("Error updating syllabus:", error);
-    res.status(500).json({
-      error: "Failed to update syllabus",
-      details: error.message
-    });
-  }
-});
+  return resolveMarkingScheme(examDoc.exists ? examDoc.data() : {}, questionCount);
+};
 
-// Delete syllabus endpoint
-app.delete("/api/syllabus/:id", async (req, res) => {
+// POST API to store exam analytics. When the submitted answers are sent the
+// result is scored on the server, since candidates no longer get the key
+app.post("/submit-exam-result", async (req, res) => {
   try {
-    const { id } = req.params;
-    const syllabusRef = admin.database().ref('Syllabus').child(id);
+    const { studentId, examDetails, purchaseDate, answers } = req.body;
+    let { correctAnswers, wrongAnswers } = req.body;
+    let score = null;
     
-    const snapshot = await syllabusRef.once('value');
-    if (!snapshot.exists()) {
-      return res.status(404).json({ error: "Syllabus not found" });
+    if (!studentId || !examDetails) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+    
+    // Reference to 'practicetestpurchasedstudents' collection
+    const studentsRef = realtimeDatabase.ref("practicetestpurchasedstudents");
+    
+    // Fetch all users to find matching studentId
+    const snapshot = await studentsRef.once("value");
+    let userKey = null;
+    
+    snapshot.forEach((childSnapshot) => {
+      const userData = childSnapshot.val();
+      if (userData.studentId === studentId) {
+        userKey = childSnapshot.key;
+      }
+    });
+    
+    if (!userKey) {
+      return res.status(404).json({ error: "Student ID not found in database" });
     }
 
-    await syllabusRef.remove();
+    const category = req.body.category || examDetails.category;
+    const examId = req.body.examId || examDetails.id || examDetails.title;
+    let storedAnswers = null;
+    let skippedAnswers = null;
 
-    res.status(200).json({
-      message: "Syllabus deleted successfully"
-    });
+    if (Array.isArray(answers)) {
+      if (!category || !examId) {
+        return res.status(400).json({ error: "category and examId are required to score answers" });
+      }
 
-  } catch (error) {
-    console.error("Error deleting syllabus:", error);
-    res.status(500).json({
-      error: "Failed to delete syllabus",
-      details: error.message
+      const questions = await getPracticeQuestions(category, examId);
+      const markingScheme = await getPracticeMarkingScheme(category, examId, questions.length);
+      const answersById = {};
+      answers.forEach(({ questionId, answer }) => {
+        const value = normalizeAnswerValue(answer);
+        answersById[questionId] = isAnswered(value) ? value : null;
+      });
+
+      score = scoreAnswers(questions, question => answersById[question.id] ?? null, markingScheme);
+      correctAnswers = score.correctAnswers;
+      wrongAnswers = score.wrongAnswers;
+      skippedAnswers = score.skippedQuestions;
+      storedAnswers = questions.map(question => ({
+        questionId: question.id,
+        answer: answersById[question.id] ?? null
+      }));
+    }
+    
+    // Format date and time for storing exam results
+    const currentDate = new Date();
+    const formattedDate = `${currentDate.getDate()}-${currentDate.getMonth() + 1}-${currentDate.getFullYear()}`;
+    const formattedTime = `${currentDate.getHours()}:${currentDate.getMinutes()}`;
+    
+    // Generate a unique key for this attempt using timestamp
+    const attemptId = `attempt-${Date.now()}`;
+    
+    // Reference directly to the exam title under ExamAnalytics, avoiding nested date structure
+    const examRef = studentsRef.child(`${userKey}/ExamAnalytics/${examDetails.title}/${attemptId}`);
+    
+    // Store exam result with date as a field, not as path components
+    await examRef.set({
+      date: formattedDate,
+      time: formattedTime,
+      correctAnswers,
+      wrongAnswers,
+      skippedAnswers,
+      partialAnswers: score ? score.partialAnswers : null,
+      score: score ? score.score : null,
+      maxScore: score ? score.maxScore : null,
+      sectionScores: score ? score.sectionScores : null,
+      purchaseDate,
+      category: category || null,
+      examId: examId || null,
+      answers: storedAnswers,
+      submittedAt: currentDate.toISOString()
     });
+    
+    return res.status(200).json({
+      message: "Exam result stored successfully",
+      attemptId,
+      correctAnswers,
+      wrongAnswers,
+      skippedAnswers,
+      score: score ? score.score : undefined,
+      maxScore: score ? score.maxScore : undefined,
+      sectionScores: score ? score.sectionScores : undefined
+    });
+  } catch (error) {
+    console.error("Error storing exam result:", error);
+    return res.status(500).json({ error: "Internal Server Error" });
   }
 });
 
+// API to review a submitted practice attempt with the answer key
+app.get("/api/practice-tests/:category/:examId/review", async (req, res) => {
+  const { category, examId } = req.params;
+  const { studentId, attemptId } = req.query;
 
-//Api for q/a upload
-app.post("/api/exam-qa", async (req, res) => {
   try {
-    const { examTitle, qaLink } = req.body;
+    if (!studentId || !attemptId) {
+      return res.status(400).json({ error: "studentId and attemptId are required" });
+    }
 
-    // Validate input
-    if (!examTitle || !qaLink) {
-      return res.status(400).json({
-        error: "Missing required fields. Please provide exam title and Q&A link.",
-      });
+    const studentSnapshot = await realtimeDatabase
+      .ref('practicetestpurchasedstudents')
+      .orderByChild('studentId')
+      .equalTo(studentId)
+      .once('value');
+
+    const studentData = studentSnapshot.val();
+    if (!studentData) {
+      return res.status(404).json({ error: "Student not found" });
     }
 
-    // Generate unique ID for the Q&A entry
-    const qaId = `qa_${Date.now()}`;
+    // Attempts are stored per exam title, so look the attempt up by its ID
+    const student = studentData[Object.keys(studentData)[0]];
+    const attempt = Object.values(student.ExamAnalytics || {})
+      .map(attempts => attempts[attemptId])
+      .find(Boolean);
 
-    // Create Q&A data object
-    const qaData = {
-      id: qaId,
-      examTitle,
-      qaLink,
-      uploadedAt: new Date().toISOString(),
-      version: "1.0.0", // Optional: Add version or metadata
-    };
+    if (!attempt || attempt.category !== category || attempt.examId !== examId) {
+      return res.status(403).json({ error: "Answers are available only after the attempt is submitted" });
+    }
 
-    // Save to Firebase Realtime Database
-    const qaRef = admin.database().ref("ExamQA").child(qaId);
-    await qaRef.set(qaData);
+    const submittedAnswers = {};
+    (attempt.answers || []).forEach(({ questionId, answer }) => {
+      submittedAnswers[questionId] = answer === undefined ? null : answer;
+    });
+
+    const questions = (await getPracticeQuestions(category, examId)).map(question => ({
+      id: question.id,
+      question: question.question,
+      type: getQuestionType(question),
+      options: question.options || [],
+      matchLeft: question.matchLeft || null,
+      correctAnswer: question.correctAnswer,
+      tolerance: question.tolerance ?? null,
+      imageUrl: question.imageUrl || null,
+      order: question.order,
+      selectedAnswer: submittedAnswers[question.id] !== undefined ? submittedAnswers[question.id] : null
+    }));
 
-    // Respond with success
     res.status(200).json({
-      message: "Exam Q&A saved successfully",
-      data: qaData,
+      attemptId,
+      correctAnswers: attempt.correctAnswers,
+      wrongAnswers: attempt.wrongAnswers,
+      skippedAnswers: attempt.skippedAnswers,
+      score: attempt.score ?? null,
+      maxScore: attempt.maxScore ?? null,
+      questions
     });
   } catch (error) {
-    console.error("Error saving Q&A details:", error);
-    res.status(500).json({
-      error: "Failed to save Q&A details",
-      details: error.message,
-    });
+    console.error("Error fetching practice review:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-  
-// API to get all concerns from Firestore
-app.get("/api/concerns", async (req, res) => {
-  try {
-      // Reference to the concerns collection in Firestore
-      const concernsRef = firestore.collection("concerns");
 
-      // Get all concerns
-      const snapshot = await concernsRef.get();
 
-      if (snapshot.empty) {
-          return res.status(404).json({
-              message: "No concerns found",
-          });
-      }
 
-      // Convert Firestore documents to an array of concern objects
-      const concerns = snapshot.docs.map(doc => ({
-          id: doc.id,
-          ...doc.data(),
-      }));
+//Pdf Syllabus realted apis
 
-      // Return concerns to the client
-      res.status(200).json({
-          concerns,
+// Get all PDF syllabi
+const pdfSyllabusRef = realtimeDatabase.ref('pdfsyllabi');
+
+
+app.get("/api/pdf-syllabi", async (req, res) => {
+  try {
+    const snapshot = await pdfSyllabusRef.once('value');
+    const syllabi = {};
+    
+    snapshot.forEach((categorySnapshot) => {
+      categorySnapshot.forEach((syllabusSnapshot) => {
+        const syllabusData = syllabusSnapshot.val();
+        const category = syllabusData.category;
+        
+        if (!syllabi[category]) {
+          syllabi[category] = {};
+        }
+        
+        syllabi[category][syllabusData.title] = withoutFileUrls(syllabusData);
       });
+    });
+    
+    res.json(syllabi);
   } catch (error) {
-      console.error("Error fetching concerns:", error);
-      res.status(500).json({
-          error: "Failed to fetch concerns",
-          details: error.message,
-      });
+    console.error("Error fetching PDF syllabi:", error);
+    res.status(500).json({ error: "Failed to fetch PDF syllabi" });
   }
 });
 
-// API to delete a concern
-app.delete("/api/concerns/:id", async (req, res) => {
+// Get PDF syllabi by category
+app.get("/api/pdf-syllabi/category/:category", async (req, res) => {
   try {
-    const concernId = req.params.id;
-
-    // Reference to the specific concern in Firestore
-    const concernRef = firestore.collection("concerns").doc(concernId);
-
-    // Delete the concern document
-    await concernRef.delete();
-
-    res.status(200).json({ message: "Concern deleted successfully" });
+    const { category } = req.params;
+    const sanitizedCategory = sanitizeFilename(category);
+    
+    const snapshot = await pdfSyllabusRef.child(sanitizedCategory).once('value');
+    const syllabi = {};
+    
+    snapshot.forEach((syllabusSnapshot) => {
+      const syllabusData = syllabusSnapshot.val();
+      syllabi[syllabusData.title] = withoutFileUrls(syllabusData);
+    });
+    
+    res.json(syllabi);
   } catch (error) {
-    console.error("Error deleting concern:", error);
-    res.status(500).json({ error: "Failed to delete concern", details: error.message });
+    console.error("Error fetching PDF syllabi by category:", error);
+    res.status(500).json({ error: "Failed to fetch PDF syllabi by category" });
   }
 });
 
 
+//Pdf user purchase
+// Reference to database collections
+// Define the new database references
+const pdfSyllabusPurchasersRef = realtimeDatabase.ref('pdfsyllabuspurchasers');
 
-//Login page
-// Admin Login Validation API
-app.get("/api/admin/login", async (req, res) => {
-  const { userid, password } = req.query;
-
-  if (!userid || !password) {
-    return res.status(400).json({ error: "User ID and Password are required." });
+//Syllabus file access
+// PDF and video files are only handed out as short-lived signed URLs,
+// checked against the student's purchase on every request. Older records
+// may still hold a long-lived fileUrl, which is never sent to clients
+const SYLLABUS_FILE_URL_TTL_MS = 60 * 60 * 1000;
+
+const withoutFileUrls = ({ fileUrl, syllabusFileUrl, ...data }) => data;
+
+// Stored syllabus a purchase is for and when access ends, counted from now
+// by the admin-set duration ("30 days"; "N/A" never expires). Nothing is
+// taken from the client's copy of the syllabus. Returns
+// { syllabus, purchaseDate, expirationDate } or { status, error }
+const loadPurchasedSyllabus = async (syllabiRef, syllabusId) => {
+  const snapshot = await syllabiRef.child(syllabusId).once('value');
+  const syllabus = snapshot.val();
+  if (!syllabus) {
+    return { status: 404, error: 'Syllabus not found' };
   }
 
-  try {
-    const db = admin.database();
-    const ref = db.ref("Adminlogin");
-
-    // Fetch stored admin credentials
-    const snapshot = await ref.once("value");
-    const adminData = snapshot.val();
+  const now = new Date();
+  const days = parseInt(syllabus.duration, 10);
+  const expirationDate = days > 0
+    ? new Date(now.getTime() + days * 24 * 60 * 60 * 1000).toISOString()
+    : null;
 
-    // Log the incoming and stored data
-    console.log("Incoming request: ", { userid, password });
-    console.log("Stored admin data: ", adminData);
+  return { syllabus, purchaseDate: now.toISOString(), expirationDate };
+};
 
-    // Compare provided credentials with stored ones
-    if (adminData.userid === userid.trim() && adminData.password === password.trim()) {
-      return res.status(200).json({ message: "Login successful!" });
-    } else {
-      return res.status(401).json({ error: "Invalid User ID or Password." });
-    }
-  } catch (error) {
-    console.error("Error fetching admin data:", error);
-    return res.status(500).json({ error: "Internal Server Error." });
+// Purchases that still give access, keyed by purchase ID
+const activeSyllabusPurchases = (purchases) => Object.fromEntries(
+  Object.entries(purchases || {})
+    .filter(([, purchase]) => !purchase.revoked)
+    .map(([purchaseId, purchase]) => [purchaseId, withoutFileUrls(purchase)])
+);
+
+// Signed URL for the file of a student's purchase. The file is taken from
+// the syllabus record, not the purchase. Returns { url, expiresAt } or { status, error }
+const getPurchasedSyllabusFileUrl = async (purchasersRef, syllabiRef, studentId, purchaseId) => {
+  if ([studentId, purchaseId].some(key => !key || /[.#$\[\]\/]/.test(key))) {
+    return { status: 400, error: 'Invalid student or purchase ID' };
   }
-});
-
 
-//Api for candidates section
-app.get('/api/admin/candidates', async (req, res) => {
-  try {
-    // Fetch all candidate documents from the 'candidates' collection
-    const snapshot = await firestore.collection('candidates').get();
+  const purchaseSnapshot = await purchasersRef.child(studentId).child('purchases').child(purchaseId).once('value');
+  const purchase = purchaseSnapshot.val();
+  if (!purchase || !purchase.syllabusId) {
+    return { status: 404, error: 'Purchase not found' };
+  }
+  if (purchase.revoked) {
+    return { status: 403, error: 'This purchase has been refunded' };
+  }
+  if (purchase.paymentStatus !== 'completed') {
+    return { status: 403, error: 'This purchase has not been paid' };
+  }
+  if (purchase.expirationDate && new Date(purchase.expirationDate).getTime() <= Date.now()) {
+    return { status: 403, error: 'This purchase has expired' };
+  }
 
-    if (snapshot.empty) {
-      return res.status(404).json({ message: 'No candidates found' });
-    }
+  const syllabusSnapshot = await syllabiRef.child(purchase.syllabusId).once('value');
+  const syllabus = syllabusSnapshot.val();
+  if (!syllabus || !syllabus.filePath) {
+    return { status: 404, error: 'Syllabus file not found' };
+  }
 
-    // Map through the documents and return the candidate data
-    const candidates = snapshot.docs.map(doc => ({
-      id: doc.id,
-      ...doc.data(),
-    }));
+  const expires = Date.now() + SYLLABUS_FILE_URL_TTL_MS;
+  const [url] = await bucket.file(syllabus.filePath).getSignedUrl({ action: 'read', expires });
+  return { url, expiresAt: new Date(expires).toISOString() };
+};
 
-    res.status(200).json({ message: 'Candidates fetched successfully', candidates });
-  } catch (error) {
-    console.error('Error fetching candidates:', error);
-    res.status(500).json({ error: 'Failed to fetch candidates' });
+// 1. Verify student
+app.get('/api/pdf-verify-student/:studentId', async (req, res) => {
+  try {
+    const { studentId } = req.params;
+    
+    const studentSnapshot = await pdfSyllabusPurchasersRef.child(studentId).once('value');
+    const studentData = studentSnapshot.val();
+    
+    if (studentData) {
+      return res.json({
+        exists: true,
+        studentDetails: {
+          studentId,
+          ...studentData,
+          purchases: activeSyllabusPurchases(studentData.purchases)
+        }
+      });
+    } else {
+      return res.json({
+        exists: false
+      });
+    }
+  } catch (error) {
+    console.error('Error verifying pdf student:', error);
+    return res.status(500).json({
+      error: 'Failed to verify pdf student ID',
+      message: error.message
+    });
   }
 });
 
-app.get("/api/admin/exams", async (req, res) => {
+// 2. Register new student
+app.post('/api/pdf-register-student', async (req, res) => {
   try {
-    const examsRef = firestore.collection("Exams");
-    const examSnapshot = await examsRef.get();
+    const studentData = req.body;
     
-    const exams = [];
+    // Generate a random 6-digit student ID
+    let studentId;
+    let isUnique = false;
     
-    // Fetch each exam and its subcollections
-    for (const examDoc of examSnapshot.docs) {
-      const examData = examDoc.data();
-      const examId = examDoc.id;
-      
-      // Get exam details subcollection
-      const examDetailsRef = examsRef.doc(examId);
-      const examDetailsSnapshot = await examDetailsRef.get();
-      
-      // Get questions subcollection
-      const questionsRef = examDetailsRef.collection("Questions");
-      const questionsSnapshot = await questionsRef.get();
+    while (!isUnique) {
+      // Generate a random 6-digit number
+      studentId = Math.floor(100000 + Math.random() * 900000).toString();
       
-      const questions = [];
-      questionsSnapshot.forEach(questionDoc => {
-        questions.push({
-          id: questionDoc.id,
-          ...questionDoc.data()
-        });
-      });
-
-      // Combine all data
-      exams.push({
-        id: examId,
-        ...examData,
-        examDetails: examDetailsSnapshot.data(),
-        questions: questions
-      });
+      // Check if this ID already exists
+      const existingStudent = await pdfSyllabusPurchasersRef.child(studentId).once('value');
+      if (!existingStudent.exists()) {
+        isUnique = true;
+      }
     }
     
-    res.status(200).json({
-      success: true,
-      data: exams
+    // Save student data to Firebase
+    await pdfSyllabusPurchasersRef.child(studentId).set({
+      name: studentData.name,
+      age: studentData.age,
+      gender: studentData.gender,
+      phoneNo: studentData.phoneNo,
+      email: studentData.email || null,
+      district: studentData.district,
+      state: studentData.state,
+      createdAt: admin.database.ServerValue.TIMESTAMP
     });
     
+    return res.json({
+      success: true,
+      message: 'PDF student registered successfully',
+      studentId: studentId
+    });
   } catch (error) {
-    console.error("Error fetching exams:", error);
-    res.status(500).json({
+    console.error('Error registering pdf student:', error);
+    return res.status(500).json({
       success: false,
-      error: "Failed to fetch exams",
-      details: error.message
+      error: 'Failed to register pdf student',
+      message: error.message
     });
   }
 });
 
-
-// Add this new API endpoint to your existing Express app
-// Modified API endpoint
-app.get("/api/today-exam-results", async (req, res) => {
+// 3. Update existing student details
+app.put('/api/pdf-update-student/:studentId', async (req, res) => {
   try {
-    const today = moment().format('YYYY-MM-DD');
-
-    // Step 1: Get today's exam from Firestore
-    const examsSnapshot = await firestore.collection('Exams').get();
-    let todayExam = null;
-    let examQuestions = [];
-
-    // Find today's exam
-    for (const doc of examsSnapshot.docs) {
-      const examData = doc.data();
-      if (examData.dateTime?.date === today) {
-        todayExam = {
-          id: doc.id,
-          ...examData.dateTime
-        };
-
-        // Get questions for this exam
-        const questionsSnapshot = await doc.ref.collection('Questions').orderBy('order').get();
-        examQuestions = questionsSnapshot.docs.map(qDoc => ({
-          id: qDoc.id,
-          ...qDoc.data()
-        }));
-        break;
-      }
-    }
-
-    if (!todayExam) {
+    const { studentId } = req.params;
+    const updatedData = req.body;
+    
+    // Check if student exists
+    const studentSnapshot = await pdfSyllabusPurchasersRef.child(studentId).once('value');
+    
+    if (!studentSnapshot.exists()) {
       return res.status(404).json({
         success: false,
-        message: 'No exam found for today'
+        error: 'PDF student not found'
       });
     }
+    
+    // Update the student data
+    await pdfSyllabusPurchasersRef.child(studentId).update({
+      name: updatedData.name,
+      age: updatedData.age,
+      gender: updatedData.gender,
+      phoneNo: updatedData.phoneNo,
+      email: updatedData.email || null,
+      district: updatedData.district,
+      state: updatedData.state,
+      updatedAt: admin.database.ServerValue.TIMESTAMP
+    });
+    
+    // Get the updated student data
+    const updatedStudentSnapshot = await pdfSyllabusPurchasersRef.child(studentId).once('value');
+    
+    return res.json({
+      success: true,
+      message: 'PDF student details updated successfully',
+      studentDetails: {
+        studentId,
+        ...updatedStudentSnapshot.val()
+      }
+    });
+  } catch (error) {
+    console.error('Error updating pdf student:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update pdf student details',
+      message: error.message
+    });
+  }
+});
 
-    // Step 2: Get candidates who took this exam
-    const candidatesSnapshot = await firestore.collection('candidates')
-      .where('exam', '==', todayExam.id)
-      .get();
-
-    const results = [];
-
-    // Step 3: Process each candidate's answers
-    for (const candidateDoc of candidatesSnapshot.docs) {
-      const candidateData = candidateDoc.data();
+// 4. Create a new order for PDF purchase
+app.post('/api/create-pdf-order', createOrderRoute('pdf-syllabus', 'pdf_receipt'));
 
-      // Get candidate's answers
-      const answersSnapshot = await candidateDoc.ref.collection('answers').get();
-      const answers = answersSnapshot.docs.map(aDoc => ({
-        id: aDoc.id,
-        ...aDoc.data()
-      }));
+// 5. Verify payment after Razorpay callback
+app.post('/api/verify-pdf-payment', verifyPaymentRoute('pdf-syllabus'));
 
-      // Calculate results
-      let correctAnswers = 0;
-      let skippedQuestions = 0;
+// Save a PDF syllabus purchase under the student. Returns { purchaseId }
+const savePdfPurchase = (studentId, syllabusDetails, paymentDetails) =>
+  completePurchaseOnce(paymentDetails, async () => {
+    const stored = await loadPurchasedSyllabus(pdfSyllabusRef, syllabusDetails.id);
+    if (stored.error) return stored;
 
-      examQuestions.forEach(question => {
-        const candidateAnswer = answers.find(a => a.order === question.order);
+    const { syllabus, purchaseDate, expirationDate } = stored;
+    const purchaseId = uuidv4();
+    
+    // Create purchase record
+    const purchaseData = {
+      purchaseId: purchaseId,
+      syllabusId: syllabusDetails.id,
+      syllabusTitle: syllabus.title,
+      syllabusCategory: syllabus.category,
+      syllabusPrice: paymentDetails.amount,
+      syllabusDuration: syllabus.duration || null,
+      syllabusDescription: syllabus.description || '',
+      syllabusFilePath: syllabus.filePath || null,
+      paymentStatus: paymentDetails.status,
+      paymentAmount: paymentDetails.amount,
+      paymentId: paymentDetails.paymentId || null,
+      orderId: paymentDetails.orderId || null,
+      purchaseDate,
+      expirationDate,
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    };
+    
+    // Save to Firebase under the student's purchases subcollection
+    await pdfSyllabusPurchasersRef.child(studentId).child('purchases').child(purchaseId).set(purchaseData);
+    
+    return { purchaseId };
+  });
 
-        if (!candidateAnswer || candidateAnswer.skipped) {
-          skippedQuestions++;
-        } else if (candidateAnswer.answer === question.correctAnswer) {
-          correctAnswers++;
-        }
+// 6. Save syllabus purchase details - UPDATED to use the new structure
+app.post('/api/pdf-save-syllabus-purchase', async (req, res) => {
+  try {
+    const {
+      studentId,
+      syllabusDetails,
+      paymentDetails
+    } = req.body;
+    
+    if (!syllabusDetails || !syllabusDetails.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'syllabusDetails with id is required'
       });
-
-      // Get submitted and used status from candidate data
-      const submitted = candidateData.submitted || false;
-      const used = candidateData.used || false;
-
-      // Prepare result object with status flags
-      const resultData = {
-        registrationNumber: candidateDoc.id,
-        candidateName: candidateData.candidateName,
-        phone: candidateData.phone,
-        totalQuestions: examQuestions.length,
-        correctAnswers,
-        skippedQuestions,
-        wrongAnswers: examQuestions.length - (correctAnswers + skippedQuestions),
-        submitted,
-        used
-      };
-
-      results.push(resultData);
-
-      // Store results in Realtime Database
-      const resultRef = realtimeDatabase.ref(`Results/${todayExam.id}/${candidateDoc.id}`);
-      await resultRef.set({
-        ...resultData,
-        timestamp: new Date().toISOString()
+    }
+    
+    const purchasePayment = await getPurchasePayment(paymentDetails, {
+      productType: 'pdf-syllabus',
+      productId: syllabusDetails.id,
+      studentId
+    });
+    if (purchasePayment.error) {
+      return res.status(purchasePayment.status).json({
+        success: false,
+        error: purchasePayment.error
       });
     }
-
-    res.status(200).json({
+    
+    const result = await savePdfPurchase(studentId, syllabusDetails, purchasePayment.paymentDetails);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
+      });
+    }
+    
+    return res.json({
       success: true,
-      examDetails: {
-        examName: todayExam.id,
-        date: todayExam.date,
-        startTime: todayExam.startTime,
-        endTime: todayExam.endTime,
-        totalMarks: todayExam.marks
-      },
-      results
+      message: result.duplicate ? 'PDF syllabus purchase already saved' : 'PDF syllabus purchase saved successfully',
+      purchaseId: result.purchaseId
     });
-
   } catch (error) {
-    console.error('Error fetching exam results:', error);
-    res.status(500).json({
+    console.error('Error saving pdf purchase:', error);
+    return res.status(500).json({
       success: false,
-      error: 'Failed to fetch exam results',
-      details: error.message
+      error: 'Failed to save pdf syllabus purchase',
+      message: error.message
     });
   }
 });
 
-app.get("/api/all-exam-results", async (req, res) => {
+// 7. Get student's purchased syllabi - UPDATED to use the new structure
+app.get('/api/pdf-student-purchases/:studentId', async (req, res) => {
   try {
-    // Reference to the Results node in Realtime Database
-    const resultsRef = realtimeDatabase.ref('Results');
+    const { studentId } = req.params;
     
-    // Fetch all results
-    const snapshot = await resultsRef.once('value');
-    const resultsData = snapshot.val();
+    const purchasesSnapshot = await pdfSyllabusPurchasersRef.child(studentId).child('purchases').once('value');
+    const purchases = purchasesSnapshot.val() || {};
+    
+    // Refunded purchases no longer give access
+    return res.json({
+      success: true,
+      purchases: Object.values(activeSyllabusPurchases(purchases))
+    });
+  } catch (error) {
+    console.error('Error fetching pdf student purchases:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch pdf student purchases',
+      message: error.message
+    });
+  }
+});
 
-    // If no results exist
-    if (!resultsData) {
-      return res.status(200).json({
-        success: true,
-        message: "No exam results found",
-        data: {}
-      });
+// 8. Short-lived link to the PDF of a purchase
+app.get('/api/pdf-student-purchases/:studentId/:purchaseId/file', async (req, res) => {
+  try {
+    const { studentId, purchaseId } = req.params;
+    
+    const file = await getPurchasedSyllabusFileUrl(pdfSyllabusPurchasersRef, pdfSyllabusRef, studentId, purchaseId);
+    if (file.error) {
+      return res.status(file.status).json({ success: false, error: file.error });
     }
+    
+    return res.json({ success: true, ...file });
+  } catch (error) {
+    console.error('Error creating pdf file link:', error);
+    return res.status(500).json({ success: false, error: 'Failed to open pdf syllabus' });
+  }
+});
 
-    // Transform the data into a more structured format
-    const formattedResults = Object.entries(resultsData).map(([examId, examData]) => ({
-      examId,
-      candidates: Object.entries(examData).map(([registrationId, candidateData]) => ({
-        registrationId,
-        ...candidateData
-      }))
-    }));
-
-    res.status(200).json({
-      success: true,
-      message: "Exam results fetched successfully",
-      data: formattedResults,
-      metadata: {
-        totalExams: formattedResults.length,
-        totalCandidates: formattedResults.reduce((total, exam) => 
-          total + exam.candidates.length, 0
-        )
-      }
-    });
-
-  } catch (error) {
-    console.error("Error fetching exam results:", error);
-    res.status(500).json({
-      success: false,
-      error: "Failed to fetch exam results",
-      details: error.message
-    });
-  }
-});
-
-
-// delte apis
-app.delete("/api/candidates", async (req, res) => {
-  try {
-      // Firestore reference to the "Candidates" collection
-      const candidatesCollection = firestore.collection("Candidates");
-
-      // Fetch all documents in the "Candidates" collection
-      const candidatesSnapshot = await candidatesCollection.get();
-
-      // Iterate through each document in the "Candidates" collection
-      for (const candidateDoc of candidatesSnapshot.docs) {
-          const candidateDocRef = candidateDoc.ref;
-
-          // Delete the "answers" document in the candidate's sub-collection, if it exists
-          const answersDocRef = candidateDocRef.collection("SubCollection").doc("answers");
-          const answersDoc = await answersDocRef.get();
-          if (answersDoc.exists) {
-              await answersDocRef.delete();
-          }
-
-          // Delete any sub-collections under the candidate document
-          const subCollections = await candidateDocRef.listCollections();
-          for (const subCollection of subCollections) {
-              const subCollectionRef = firestore.collection(subCollection.path);
-              const subCollectionDocs = await subCollectionRef.get();
-              for (const doc of subCollectionDocs.docs) {
-                  await doc.ref.delete();
-              }
-          }
-
-          // Delete the candidate document itself
-          await candidateDocRef.delete();
-      }
 
-      res.status(200).json({ message: "Candidates collection and related data deleted successfully" });
-  } catch (error) {
-      console.error("Error deleting Candidates data:", error);
-      res.status(500).json({ error: "Internal server error" });
-  }
-});
 
 
-//Apis see details of winners
-app.get('/api/winners', async (req, res) => {
+//Pdf syllabus show apis
+// Endpoint to get signed URL for syllabus PDF
+//Fixting alternative apis for pdf syllabus entry and pdf show
+app.get('/api/pdfsyllabuspurchasers', requirePermission('payments:read'), async (req, res) => {
   try {
-    // Reference to Winners collection
-    const winnersRef = realtimeDatabase.ref('Winners');
+    // Create a reference to the collection
+    const ref = realtimeDatabase.ref('pdfsyllabuspurchasers');
     
-    // Get all data from Winners node
-    const snapshot = await winnersRef.once('value');
-    const winnersData = snapshot.val();
+    // Get all data from the reference
+    const snapshot = await ref.once('value');
     
-    // If no data exists
-    if (!winnersData) {
+    // Convert the snapshot to JSON
+    const data = snapshot.val();
+    
+    // If no data is found, return a 404
+    if (!data) {
       return res.status(404).json({
         success: false,
-        error: 'No winners data found'
+        message: 'No data found'
       });
     }
     
-    // Transform data into a more organized structure
-    const formattedData = {};
-    
-    // Iterate through exam titles
-    Object.entries(winnersData).forEach(([examTitle, examData]) => {
-      formattedData[examTitle] = [];
-      
-      // Iterate through registrations under each exam
-      Object.entries(examData).forEach(([regNumber, winnerDetails]) => {
-        formattedData[examTitle].push({
-          registrationNumber: regNumber,
-          ...winnerDetails
-        });
-      });
-      
-      // Sort winners by rank for each exam
-      formattedData[examTitle].sort((a, b) => a.rank - b.rank);
-    });
-    
-    // Prepare response
-    const response = {
+    // Return the data
+    return res.status(200).json({
       success: true,
-      data: {
-        message: 'Winners data retrieved successfully',
-        winners: formattedData
-      }
-    };
-    
-    res.status(200).json(response);
-    
+      data: data
+    });
   } catch (error) {
-    console.error('Error retrieving winners data:', error);
-    res.status(500).json({
+    console.error('Error retrieving data:', error);
+    return res.status(500).json({
       success: false,
-      error: 'Failed to retrieve winners data',
-      details: error.message
+      message: 'Error retrieving data from database',
+      error: error.message
     });
   }
 });
 
-app.put('/api/winners/status', async (req, res) => {
-  try {
-    const { examTitle, registrationNumber, status } = req.body;
-
-    // Validate required fields
-    if (!examTitle || !registrationNumber || !status) {
-      return res.status(400).json({
-        success: false,
-        error: 'Missing required fields'
-      });
-    }
 
-    // Reference to specific winner's status
-    const winnerRef = realtimeDatabase.ref(`Winners/${examTitle}/${registrationNumber}`);
 
-    // Update the status
-    await winnerRef.update({ status });
 
-    // Return success response
-    res.status(200).json({
-      success: true,
-      data: {
-        message: 'Winner status updated successfully'
-      }
-    });
 
-  } catch (error) {
-    console.error('Error updating winner status:', error);
-    res.status(500).json({
-      success: false,
-      error: 'Failed to update winner status',
-      details: error.message
-    });
-  }
-});
 
 
 
 
 
-//Practice Test Apis down
 
 
-//Practice Categry
 
-// Reference to categories in realtime database
-const categoriesRef = realtimeDatabase.ref('Practicecategories');
 
-// category apis
-// Create category
-app.post("/api/categories", async (req, res) => {
-  try {
-    const { name } = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: "Category name is required" });
-    }
+//Admin APis===========================================================================================================================================================================================================================================================================================================================================
 
-    const newCategoryRef = categoriesRef.push();
-    await newCategoryRef.set({
-      name,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    });
 
-    res.status(201).json({
-      id: newCategoryRef.key,
-      name
-    });
-  } catch (error) {
-    console.error("Error creating category:", error);
-    res.status(500).json({ error: "Failed to create category" });
-  }
-});
+app.post("/api/exams/:examTitle/questions", requirePermission('content:write'), upload.single("image"), async (req, res) => {
+  const { examTitle } = req.params;
+  const { question } = req.body;
+  const image = req.file;
 
-// Get all categories
-app.get("/api/categories", async (req, res) => {
   try {
-    const snapshot = await categoriesRef.once('value');
-    const categories = [];
-    
-    snapshot.forEach((childSnapshot) => {
-      categories.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
-    });
+      // Validate input
+      if (!examTitle || !question || req.body.correctAnswer === undefined) {
+          return res.status(400).json({ error: "Missing required fields" });
+      }
 
-    res.json(categories);
-  } catch (error) {
-    console.error("Error fetching categories:", error);
-    res.status(500).json({ error: "Failed to fetch categories" });
-  }
-});
+      // Parse the question type, options and correct answer
+      const answerFields = parseQuestionAnswerFields(req.body);
+      if (answerFields.error) {
+          return res.status(400).json({ error: answerFields.error });
+      }
 
+      const markingFields = parseQuestionMarkingFields(req.body, (answerFields.fields.options || []).length);
+      if (markingFields.error) {
+          return res.status(400).json({ error: markingFields.error });
+      }
 
-// Update category
-app.put("/api/categories/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { name } = req.body;
+      // Firestore references
+      const examCollection = firestore.collection("Exams").doc(examTitle);
+      const questionsCollection = examCollection.collection("Questions");
 
-    if (!name) {
-      return res.status(400).json({ error: "Category name is required" });
-    }
+      // Get the current count of questions to determine the new order
+      const allQuestionsSnapshot = await questionsCollection.get();
+      const nextOrder = allQuestionsSnapshot.size + 1;
 
-    const categoryRef = categoriesRef.child(id);
-    await categoryRef.update({
-      name,
-      updatedAt: admin.database.ServerValue.TIMESTAMP
-    });
+      // Prepare question data with order field
+      const questionData = {
+          question,
+          ...answerFields.fields,
+          ...markingFields.fields,
+          order: nextOrder,
+          timestamp: new Date().getTime()
+      };
+
+      // Upload the image (if present) to storage; the document keeps its URL
+      if (image) {
+          questionData.image = await uploadQuestionImage(image, `exams/${examTitle}/questions`, req.body.compressImage !== "false");
+      }
+
+      // Add question to Firestore
+      const questionDoc = await questionsCollection.add(questionData);
+
+      res.status(200).json({
+          message: "Question added successfully",
+          questionId: questionDoc.id,
+          order: nextOrder
+      });
 
-    res.json({ id, name });
   } catch (error) {
-    console.error("Error updating category:", error);
-    res.status(500).json({ error: "Failed to update category" });
+      console.error("Error saving question:", error);
+      res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete category
-app.delete("/api/categories/:id", async (req, res) => {
+app.put("/api/exams/:examTitle/questions/:questionId", requirePermission('content:write'), upload.single("image"), async (req, res) => {
+    const { examTitle, questionId } = req.params;
+    const { question } = req.body;
+    const image = req.file;
+
+    try {
+        if (!examTitle || !questionId || !question || req.body.correctAnswer === undefined) {
+            return res.status(400).json({ error: "Missing required fields" });
+        }
+
+        const answerFields = parseQuestionAnswerFields(req.body);
+        if (answerFields.error) {
+            return res.status(400).json({ error: answerFields.error });
+        }
+
+        const markingFields = parseQuestionMarkingFields(req.body, (answerFields.fields.options || []).length);
+        if (markingFields.error) {
+            return res.status(400).json({ error: markingFields.error });
+        }
+
+        const examCollection = firestore.collection("Exams").doc(examTitle);
+        const questionDoc = examCollection.collection("Questions").doc(questionId);
+
+        const existingQuestion = await questionDoc.get();
+        if (!existingQuestion.exists) {
+            return res.status(404).json({ error: "Question not found" });
+        }
+
+        const updateData = {
+            question,
+            ...toAnswerUpdate(answerFields.fields),
+            ...markingFields.fields
+        };
+
+        if (image) {
+            updateData.image = await uploadQuestionImage(image, `exams/${examTitle}/questions`, req.body.compressImage !== "false");
+        }
+
+        // Changing the key of an exam with finalized results is a key correction
+        const previousAnswer = existingQuestion.data().correctAnswer;
+        const jobSnapshot = await realtimeDatabase.ref(`ResultJobs/${examTitle}/status`).once('value');
+        const newAnswer = answerFields.fields.correctAnswer;
+        const isKeyCorrection = JSON.stringify(previousAnswer) !== JSON.stringify(newAnswer) &&
+            jobSnapshot.val() === 'completed';
+
+        if (isKeyCorrection) {
+            Object.assign(updateData, buildKeyCorrection(req, 'corrected', previousAnswer, newAnswer, req.body.reason));
+        }
+
+        await questionDoc.update(updateData);
+
+        // The replaced image is no longer referenced
+        if (image) {
+            await deleteQuestionImage(existingQuestion.data().image);
+        }
+
+        if (!isKeyCorrection) {
+            return res.status(200).json({ message: "Question updated successfully" });
+        }
+
+        const rescore = await rescoreExamResults(examTitle, `Answer key corrected for question ${questionId}`);
+        const { httpStatus, message } = describeRescore(rescore, "Question updated");
+        res.status(httpStatus).json({ message, rescore });
+    } catch (error) {
+        console.error("Error updating question:", error);
+        res.status(500).json({ error: "Internal server error" });
+    }
+});
+
+app.delete("/api/exams/:examTitle/questions/:questionId", requirePermission('content:write'), async (req, res) => {
+  const { examTitle, questionId } = req.params;
+
   try {
-    const { id } = req.params;
+      // Firestore references
+      const examCollection = firestore.collection("Exams").doc(examTitle);
+      const questionDoc = examCollection.collection("Questions").doc(questionId);
+      const questionSnapshot = await questionDoc.get();
 
-    await categoriesRef.child(id).remove();
-    res.json({ message: "Category deleted successfully" });
+      // Delete the question document and its image
+      await questionDoc.delete();
+      if (questionSnapshot.exists) {
+          await deleteQuestionImage(questionSnapshot.data().image);
+      }
+
+      res.status(200).json({ message: "Question deleted successfully" });
   } catch (error) {
-    console.error("Error deleting category:", error);
-    res.status(500).json({ error: "Failed to delete category" });
+      console.error("Error deleting question:", error);
+      res.status(500).json({ error: "Internal server error" });
   }
 });
 
 
+// Move main-exam question images stored as base64 data URLs into the
+// bucket and replace them with storage URLs. Works through at most limit
+// questions per call (default 100), so call it until remaining is false.
+// Pass examTitle to migrate one exam and dryRun to only count
+app.post("/api/admin/exams/images/migrate", requirePermission('content:write'), async (req, res) => {
+  const { examTitle, dryRun } = req.body;
+  const limit = Math.min(parseInt(req.body.limit, 10) || 100, 500);
 
-//Apis for preatice test detsils
-app.post("/api/practice-tests", async (req, res) => {
   try {
-    const { category, title, fees, duration, timeLimit } = req.body;
+    const examDocs = examTitle
+      ? [await firestore.collection("Exams").doc(examTitle).get()].filter(doc => doc.exists)
+      : (await firestore.collection("Exams").get()).docs;
+
+    const summary = { scanned: 0, migrated: 0, failed: [], remaining: false };
+    let base64Bytes = 0;
+
+    for (const examDoc of examDocs) {
+      const questionsSnapshot = await examDoc.ref.collection("Questions").get();
+      const pending = questionsSnapshot.docs.filter(doc => String(doc.data().image || '').startsWith('data:'));
+      summary.scanned += questionsSnapshot.size;
+
+      for (const questionDoc of pending) {
+        if (dryRun) {
+          summary.migrated++;
+          base64Bytes += questionDoc.data().image.length;
+          continue;
+        }
 
-    if (!category || !title) {
-      return res.status(400).json({ error: "Category and Title are required" });
-    }
+        if (summary.migrated >= limit) {
+          summary.remaining = true;
+          break;
+        }
 
-    const newTestRef = practiceTestsRef.child(category).child(title);
+        try {
+          const imageFile = await loadQuestionImage(questionDoc.data().image);
+          if (!imageFile) throw new Error('Invalid data URL');
 
-    await newTestRef.set({
-      fees: fees || 0,
-      duration: duration || "N/A",
-      timeLimit: timeLimit || "N/A",
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    });
+          const imageUrl = await uploadQuestionImage(
+            { originalname: `image.${imageFile.extension}`, mimetype: imageFile.mimetype, buffer: imageFile.buffer },
+            `exams/${examDoc.id}/questions`,
+            true
+          );
 
-    res.status(201).json({
-      message: "Practice test added successfully",
-      category,
-      title,
-      fees,
-      duration,
-      timeLimit
+          await questionDoc.ref.update({
+            image: imageUrl,
+            imageMigratedAt: admin.firestore.FieldValue.serverTimestamp()
+          });
+          summary.migrated++;
+        } catch (error) {
+          console.error(`Error migrating image of ${examDoc.id}/${questionDoc.id}:`, error);
+          summary.failed.push({ examTitle: examDoc.id, questionId: questionDoc.id, error: error.message });
+        }
+      }
+
+      if (summary.remaining) break;
+    }
+
+    res.status(200).json({
+      message: dryRun ? "Dry run: questions with base64 images counted" : "Image migration batch finished",
+      ...summary,
+      ...(dryRun && { base64Bytes })
     });
   } catch (error) {
-    console.error("Error adding practice test:", error);
-    res.status(500).json({ error: "Failed to add practice test" });
+    console.error("Error migrating question images:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
 
-app.get("/api/practice-tests", async (req, res) => {
+//Question bank
+// Reusable questions live in the QuestionBank collection, tagged by
+// subject, topic, difficulty and language. Exams and practice tests copy
+// bank items into their own Questions subcollection with bankQuestionId,
+// so later edits to the bank never change a paper that was already set
+const questionBankRef = firestore.collection('QuestionBank');
+
+const QUESTION_DIFFICULTIES = ['easy', 'medium', 'hard'];
+const QUESTION_TAG_FIELDS = ['subject', 'topic', 'difficulty', 'language'];
+
+// Fields copied from a bank item into an exam or practice test question
+const BANK_COPY_FIELDS = [
+  'question', 'type', 'options', 'matchLeft', 'correctAnswer', 'tolerance',
+  'marks', 'negativeMarks', 'section', 'optionMarks', 'tags'
+];
+
+// Upload a question image to the bucket, optionally compressed with sharp,
+// and return its public URL
+const uploadQuestionImage = async (image, folder, compress) => {
+  const fileExtension = image.originalname.split('.').pop();
+  const fileName = `${folder}/${uuidv4()}.${fileExtension}`;
+  let imageBuffer = image.buffer;
+
+  // PNGs stay PNG so transparency and the stored content type are kept
+  if (compress && ['jpg', 'jpeg', 'png'].includes(fileExtension.toLowerCase())) {
+    try {
+      const resized = sharp(image.buffer)
+        .resize({ width: 1200, height: 1200, fit: 'inside', withoutEnlargement: true });
+      imageBuffer = fileExtension.toLowerCase() === 'png'
+        ? await resized.png({ compressionLevel: 9 }).toBuffer()
+        : await resized.jpeg({ quality: 80 }).toBuffer();
+    } catch (err) {
+      console.warn("Image optimization failed, using original:", err);
+      imageBuffer = image.buffer;
+    }
+  }
+
+  const file = bucket.file(fileName);
+  await file.save(imageBuffer, {
+    metadata: {
+      contentType: image.mimetype,
+      cacheControl: 'public, max-age=31536000'
+    },
+    resumable: false
+  });
+  await file.makePublic();
+
+  return `https://storage.googleapis.com/${bucket.name}/${fileName}`;
+};
+
+// Bank images are referenced by every exam and practice test that uses the
+// bank item, so deleting a paper's question must leave them in place
+const QUESTION_BANK_IMAGE_FOLDER = 'question-bank/';
+
+// Delete a question image from the bucket. Data URLs, other hosts and
+// shared bank images are ignored, and a missing file is not an error
+const deleteQuestionImage = async (imageUrl) => {
+  const prefix = `https://storage.googleapis.com/${bucket.name}/`;
+  if (typeof imageUrl !== 'string' || !imageUrl.startsWith(prefix)) return;
+
+  const filePath = decodeURIComponent(imageUrl.slice(prefix.length));
+  if (filePath.startsWith(QUESTION_BANK_IMAGE_FOLDER)) return;
+
   try {
-    const snapshot = await practiceTestsRef.once('value');
-    const practiceTests = {};
+    await bucket.file(filePath).delete();
+  } catch (error) {
+    console.warn("Error deleting question image, continuing:", error.message);
+  }
+};
 
-    snapshot.forEach((categorySnapshot) => {
-      const category = categorySnapshot.key;
-      practiceTests[category] = {};
+// Parse the tags sent with a bank question. Returns { tags } or { error }
+const parseQuestionTags = (body) => {
+  const tags = {};
 
-      categorySnapshot.forEach((titleSnapshot) => {
-        practiceTests[category][titleSnapshot.key] = titleSnapshot.val();
+  for (const field of QUESTION_TAG_FIELDS) {
+    const value = typeof body[field] === 'string' ? body[field].trim() : '';
+    if (!value) {
+      return { error: `${field} is required` };
+    }
+    tags[field] = field === 'difficulty' ? value.toLowerCase() : value;
+  }
+
+  if (!QUESTION_DIFFICULTIES.includes(tags.difficulty)) {
+    return { error: `difficulty must be one of ${QUESTION_DIFFICULTIES.join(', ')}` };
+  }
+
+  return { tags };
+};
+
+// Validate a bank question sent as multipart form data. Returns { data } or { error }
+const parseBankQuestion = (body) => {
+  const { question } = body;
+
+  if (!question || body.correctAnswer === undefined) {
+    return { error: "Missing required fields" };
+  }
+
+  const answerFields = parseQuestionAnswerFields(body);
+  if (answerFields.error) return answerFields;
+
+  const parsedTags = parseQuestionTags(body);
+  if (parsedTags.error) return parsedTags;
+
+  const markingFields = parseQuestionMarkingFields(body, (answerFields.fields.options || []).length);
+  if (markingFields.error) return markingFields;
+
+  return {
+    data: {
+      question,
+      ...answerFields.fields,
+      tags: parsedTags.tags,
+      ...markingFields.fields
+    }
+  };
+};
+
+// Apply tag filters from a query or rule object to a bank query
+const filterBankQuery = (filters) => {
+  let query = questionBankRef;
+  QUESTION_TAG_FIELDS.forEach(field => {
+    if (filters[field]) {
+      query = query.where(`tags.${field}`, '==', field === 'difficulty' ? String(filters[field]).toLowerCase() : filters[field]);
+    }
+  });
+  return query;
+};
+
+// Pick bank items by ID and by rules ({ subject, topic, difficulty, language, count }).
+// Rule picks are random and never repeat an item already picked or listed
+// in excludeIds. Returns { items } or { error, details }
+const pickBankQuestions = async ({ questionIds = [], rules = [] }, excludeIds) => {
+  const picked = new Map();
+
+  for (const id of questionIds) {
+    const doc = await questionBankRef.doc(id).get();
+    if (!doc.exists) {
+      return { error: "Bank question not found", details: { questionId: id } };
+    }
+    if (!excludeIds.has(id)) {
+      picked.set(id, { id, ...doc.data() });
+    }
+  }
+
+  for (const rule of rules) {
+    const count = parseInt(rule.count, 10);
+    if (!count || count < 1) {
+      return { error: "Every rule needs a positive count", details: { rule } };
+    }
+
+    const snapshot = await filterBankQuery(rule).get();
+    const available = snapshot.docs.filter(doc => !picked.has(doc.id) && !excludeIds.has(doc.id));
+
+    if (available.length < count) {
+      return {
+        error: "Not enough bank questions match this rule",
+        details: { rule, available: available.length }
+      };
+    }
+
+    // Partial Fisher-Yates shuffle for a random pick
+    for (let i = 0; i < count; i++) {
+      const j = i + crypto.randomInt(available.length - i);
+      [available[i], available[j]] = [available[j], available[i]];
+      picked.set(available[i].id, { id: available[i].id, ...available[i].data() });
+    }
+  }
+
+  return { items: [...picked.values()] };
+};
+
+// Copy bank items into a Questions subcollection after its existing
+// questions. imageField is 'image' for main exams and 'imageUrl' for practice tests
+const addBankQuestions = async (questionsCollection, selection, imageField) => {
+  const existingSnapshot = await questionsCollection.get();
+  const existingBankIds = new Set(
+    existingSnapshot.docs.map(doc => doc.data().bankQuestionId).filter(Boolean)
+  );
+
+  const picked = await pickBankQuestions(selection, existingBankIds);
+  if (picked.error) return picked;
+
+  let nextOrder = existingSnapshot.size + 1;
+  const added = [];
+
+  for (let i = 0; i < picked.items.length; i += 500) {
+    const batch = firestore.batch();
+
+    picked.items.slice(i, i + 500).forEach(item => {
+      const questionData = { bankQuestionId: item.id, order: nextOrder++, timestamp: new Date().getTime() };
+      BANK_COPY_FIELDS.forEach(field => {
+        if (item[field] !== undefined) questionData[field] = item[field];
       });
+      if (item.imageUrl) {
+        questionData[imageField] = item.imageUrl;
+      }
+
+      const questionRef = questionsCollection.doc();
+      batch.set(questionRef, questionData);
+      added.push({ questionId: questionRef.id, bankQuestionId: item.id, order: questionData.order });
     });
 
-    res.json(practiceTests);
+    await batch.commit();
+  }
+
+  // Listed IDs that the paper already contains are skipped rather than duplicated
+  const skipped = (selection.questionIds || []).filter(id => existingBankIds.has(id));
+
+  return { added, skipped };
+};
+
+app.post("/api/question-bank", requirePermission('content:write'), upload.single("image"), async (req, res) => {
+  try {
+    const parsed = parseBankQuestion(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const questionData = {
+      ...parsed.data,
+      createdBy: req.admin.userid,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (req.file) {
+      questionData.imageUrl = await uploadQuestionImage(req.file, 'question-bank', req.body.compressImage === "true");
+    }
+
+    const questionDoc = await questionBankRef.add(questionData);
+
+    res.status(201).json({
+      message: "Question added to the bank",
+      questionId: questionDoc.id
+    });
   } catch (error) {
-    console.error("Error fetching practice tests:", error);
-    res.status(500).json({ error: "Failed to fetch practice tests" });
+    console.error("Error adding bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-
-app.get("/api/practice-tests/:category", async (req, res) => {
+// Search the bank by tags and question text, paged by document ID
+app.get("/api/question-bank", requirePermission('content:write'), async (req, res) => {
   try {
-    const { category } = req.params;
-    const categoryRef = practiceTestsRef.child(category);
+    const { search, startAfter } = req.query;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
 
-    const snapshot = await categoryRef.once('value');
+    let query = filterBankQuery(req.query).orderBy(admin.firestore.FieldPath.documentId());
+    if (startAfter) {
+      query = query.startAfter(startAfter);
+    }
 
-    if (!snapshot.exists()) {
-      return res.status(404).json({ error: "Category not found" });
+    // Text search is applied after the tag filters, so fetch extra pages of candidates
+    const snapshot = await query.limit(search ? limit * 5 : limit).get();
+    let questions = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    if (search) {
+      const term = String(search).toLowerCase();
+      questions = questions
+        .filter(q => q.question.toLowerCase().includes(term) ||
+          (q.options || []).some(option => String(option).toLowerCase().includes(term)))
+        .slice(0, limit);
     }
 
-    res.json(snapshot.val());
+    const lastDoc = snapshot.docs[snapshot.docs.length - 1];
+
+    res.status(200).json({
+      questions,
+      nextPageToken: snapshot.size === (search ? limit * 5 : limit) && lastDoc ? lastDoc.id : null
+    });
   } catch (error) {
-    console.error("Error fetching category practice tests:", error);
-    res.status(500).json({ error: "Failed to fetch category practice tests" });
+    console.error("Error searching question bank:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
+app.get("/api/question-bank/:questionId", requirePermission('content:write'), async (req, res) => {
+  try {
+    const questionDoc = await questionBankRef.doc(req.params.questionId).get();
+
+    if (!questionDoc.exists) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    res.status(200).json({ id: questionDoc.id, ...questionDoc.data() });
+  } catch (error) {
+    console.error("Error fetching bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-app.delete("/api/practice-tests/:category/:title", async (req, res) => {
+app.put("/api/question-bank/:questionId", requirePermission('content:write'), upload.single("image"), async (req, res) => {
   try {
-    const { category, title } = req.params;
-    const testRef = practiceTestsRef.child(category).child(title);
+    const questionRef = questionBankRef.doc(req.params.questionId);
+    const questionDoc = await questionRef.get();
 
-    const snapshot = await testRef.once('value');
-    if (!snapshot.exists()) {
-      return res.status(404).json({ error: "Practice test not found" });
+    if (!questionDoc.exists) {
+      return res.status(404).json({ error: "Question not found" });
     }
 
-    await testRef.remove();
+    const parsed = parseBankQuestion(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
 
-    res.json({ message: "Practice test deleted successfully" });
+    const updateData = {
+      ...toAnswerUpdate(parsed.data),
+      updatedBy: req.admin.userid,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    if (req.file) {
+      updateData.imageUrl = await uploadQuestionImage(req.file, 'question-bank', req.body.compressImage === "true");
+    }
+
+    await questionRef.update(updateData);
+
+    res.status(200).json({ message: "Bank question updated successfully" });
   } catch (error) {
-    console.error("Error deleting practice test:", error);
-    res.status(500).json({ error: "Failed to delete practice test" });
+    console.error("Error updating bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Exams keep their own copies of the question, and the bank image stays in
+// the bucket because those copies still point at it
+app.delete("/api/question-bank/:questionId", requirePermission('content:write'), async (req, res) => {
+  try {
+    const questionRef = questionBankRef.doc(req.params.questionId);
+    const questionDoc = await questionRef.get();
 
+    if (!questionDoc.exists) {
+      return res.status(404).json({ error: "Question not found" });
+    }
 
-//Practice Questions api 
+    await questionRef.delete();
 
-// API to add a question to a specific practice test
-app.post("/api/practice-tests/:category/:examId/questions", upload.single("image"), async (req, res) => {
-  const { category, examId } = req.params;
-  const { question, options, correctAnswer, compressImage } = req.body;
-  const image = req.file;
+    res.status(200).json({ message: "Bank question deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting bank question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Add bank questions to a main exam, by ID ({ questionIds }) and/or by
+// rules ({ rules: [{ subject, topic, difficulty, language, count }] })
+app.post("/api/exams/:examTitle/questions/from-bank", requirePermission('content:write'), async (req, res) => {
+  const { examTitle } = req.params;
+  const { questionIds, rules } = req.body;
 
   try {
-    // Validate input
-    if (!category || !examId || !question || !options || correctAnswer === undefined) {
-      return res.status(400).json({ error: "Missing required fields" });
+    if ((!Array.isArray(questionIds) || questionIds.length === 0) && (!Array.isArray(rules) || rules.length === 0)) {
+      return res.status(400).json({ error: "Provide questionIds and/or rules" });
     }
 
-    // Parse options and correct answer
-    const parsedOptions = JSON.parse(options);
-    const parsedCorrectAnswer = parseInt(correctAnswer, 10);
+    const questionsCollection = firestore.collection("Exams").doc(examTitle).collection("Questions");
+    const result = await addBankQuestions(questionsCollection, { questionIds, rules }, 'image');
 
-    if (!Array.isArray(parsedOptions) || parsedOptions.length !== 4 || isNaN(parsedCorrectAnswer)) {
-      return res.status(400).json({ error: "Invalid options or correct answer" });
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details });
     }
 
-    // Firestore references
-    const examDocRef = firestore.collection("PracticeTests").doc(category).collection("Exams").doc(examId);
-    const questionsCollection = examDocRef.collection("Questions");
+    res.status(200).json({
+      message: `${result.added.length} question(s) added from the bank`,
+      ...result
+    });
+  } catch (error) {
+    console.error("Error adding bank questions to exam:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-    // Get the current count of questions to determine the new order
-    const allQuestionsSnapshot = await questionsCollection.get();
-    const nextOrder = allQuestionsSnapshot.size + 1;
+app.post("/api/practice-tests/:category/:examId/questions/from-bank", requirePermission('content:write'), async (req, res) => {
+  const { category, examId } = req.params;
+  const { questionIds, rules } = req.body;
 
-    // Prepare question data with order field
-    const questionData = {
-      question,
-      options: parsedOptions,
-      correctAnswer: parsedCorrectAnswer,
-      order: nextOrder,
-      timestamp: admin.firestore.FieldValue.serverTimestamp()
-    };
+  try {
+    if ((!Array.isArray(questionIds) || questionIds.length === 0) && (!Array.isArray(rules) || rules.length === 0)) {
+      return res.status(400).json({ error: "Provide questionIds and/or rules" });
+    }
 
-    // Handle image upload to Firebase Storage if present
-    if (image) {
-      const fileExtension = image.originalname.split('.').pop();
-      const fileName = `practice-tests/${category}/${examId}/questions/${uuidv4()}.${fileExtension}`;
-      const file = bucket.file(fileName);
+    const questionsCollection = firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId)
+      .collection("Questions");
+    const result = await addBankQuestions(questionsCollection, { questionIds, rules }, 'imageUrl');
 
-      let imageBuffer = image.buffer;
-      
-      // Apply compression if requested and it's a JPEG or PNG
-      if (compressImage === "true" && ['jpg', 'jpeg', 'png'].includes(fileExtension.toLowerCase())) {
-        try {
-          // Optimize image - reduce size while maintaining quality
-          imageBuffer = await sharp(image.buffer)
-            .resize({ 
-              width: 1200, // max width
-              height: 1200, // max height
-              fit: 'inside',
-              withoutEnlargement: true 
-            })
-            .jpeg({ quality: 80 }) // For JPEGs, adjust quality
-            .toBuffer();
-        } catch (err) {
-          console.warn("Image optimization failed, using original:", err);
-          // Fall back to original image if optimization fails
-          imageBuffer = image.buffer;
-        }
-      }
+    if (result.error) {
+      return res.status(400).json({ error: result.error, details: result.details });
+    }
 
-      // Create a write stream with better settings
-      const stream = file.createWriteStream({
-        metadata: {
-          contentType: image.mimetype,
-          cacheControl: 'public, max-age=31536000', // Cache for 1 year
-        },
-        resumable: false, // Disable resumable uploads for small files to speed up process
-      });
+    res.status(200).json({
+      message: `${result.added.length} question(s) added from the bank`,
+      ...result
+    });
+  } catch (error) {
+    console.error("Error adding bank questions to practice test:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
 
-      // Upload and save to Firestore concurrently
-      let imageUrl = null;
-      
-      // Handle stream errors
-      const uploadPromise = new Promise((resolve, reject) => {
-        stream.on("error", (error) => {
-          console.error("Upload error:", error);
-          reject(error);
-        });
 
-        stream.on("finish", async () => {
-          // Make the file publicly accessible
-          await file.makePublic();
+//Question import
+// Questions can be imported from a CSV, XLSX or JSON sheet with one
+// question per row: question, type (single by default), options (JSON
+// array or option1..optionN columns), correctAnswer (0-based index or
+// option letter; comma separated or a JSON array for multiple and match
+// questions), and optional tolerance, matchLeft (JSON array), image (file
+// name inside the uploaded ZIP), marks, negativeMarks, section,
+// optionMarks and subject/topic/difficulty/language tags
+const IMPORT_MAX_ROWS = 500; // One Firestore batch, so an import is all or nothing
+const IMPORT_PREVIEW_ROWS = 20;
+const IMPORT_IMAGE_TYPES = { jpg: 'image/jpeg', jpeg: 'image/jpeg', png: 'image/png', gif: 'image/gif', webp: 'image/webp' };
+// Checked against the ZIP headers before anything is inflated
+const IMPORT_MAX_ZIP_ENTRIES = 1000;
+const IMPORT_MAX_ZIP_BYTES = 200 * 1024 * 1024;
+
+// Read the rows of an uploaded sheet. Returns { rows, firstRow } where
+// firstRow is the row number of rows[0] as the admin sees it
+const readImportRows = async (file) => {
+  const extension = file.originalname.split('.').pop().toLowerCase();
+
+  if (extension === 'json') {
+    const parsed = JSON.parse(file.buffer.toString('utf8'));
+    const rows = Array.isArray(parsed) ? parsed : parsed.questions;
+    if (!Array.isArray(rows)) {
+      throw new Error('JSON import must be an array of questions or { questions: [...] }');
+    }
+    return { rows, firstRow: 1 };
+  }
 
-          // Get the public URL
-          imageUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-          resolve();
-        });
+  if (!['csv', 'xlsx'].includes(extension)) {
+    throw new Error('Unsupported file type. Upload a CSV, XLSX or JSON file');
+  }
 
-        // Write the file buffer to storage
-        stream.end(imageBuffer);
-      });
+  const workbook = new ExcelJS.Workbook();
+  const sheet = extension === 'csv'
+    ? await workbook.csv.read(Readable.from(file.buffer))
+    : (await workbook.xlsx.load(file.buffer)).worksheets[0];
+  if (!sheet || sheet.rowCount === 0) return { rows: [], firstRow: 2 };
 
-      try {
-        await uploadPromise;
-        
-        // Add image URL to question data
-        if (imageUrl) {
-          questionData.imageUrl = imageUrl;
-        }
-        
-        // Add question to Firestore
-        const questionDoc = await questionsCollection.add(questionData);
-        
-        return res.status(200).json({
-          message: "Question added successfully",
-          questionId: questionDoc.id,
-          order: nextOrder,
-          imageUrl
-        });
-      } catch (error) {
-        console.error("Error in upload or save:", error);
-        return res.status(500).json({ error: "Failed to save question data" });
-      }
-    } else {
-      // Add question to Firestore without image
-      const questionDoc = await questionsCollection.add(questionData);
+  // First row holds the column names; cells are read as displayed text
+  const headers = [];
+  sheet.getRow(1).eachCell((cell, column) => {
+    headers[column] = cell.text.trim();
+  });
 
-      return res.status(200).json({
-        message: "Question added successfully",
-        questionId: questionDoc.id,
-        order: nextOrder
-      });
-    }
-  } catch (error) {
-    console.error("Error saving question:", error);
-    return res.status(500).json({ error: "Internal server error" });
+  const rows = [];
+  for (let number = 2; number <= sheet.rowCount; number++) {
+    const row = {};
+    headers.forEach((header, column) => {
+      if (header) row[header] = sheet.getRow(number).getCell(column).text;
+    });
+    rows.push(row);
   }
-});
 
-// API to update a question
-app.put("/api/practice-tests/:category/:examId/questions/:questionId", upload.single("image"), async (req, res) => {
-  const { category, examId, questionId } = req.params;
-  const { question, options, correctAnswer, compressImage } = req.body;
-  const image = req.file;
+  // Drop trailing blank rows so they are not reported as invalid questions
+  while (rows.length > 0 && Object.values(rows[rows.length - 1]).every(value => value.trim() === '')) {
+    rows.pop();
+  }
+  return { rows, firstRow: 2 };
+};
 
-  try {
-    // Validate input
-    if (!category || !examId || !questionId || !question || !options || correctAnswer === undefined) {
-      return res.status(400).json({ error: "Missing required fields" });
-    }
+// Index the images of an uploaded ZIP by file name, refusing archives whose
+// headers claim too many entries or too many uncompressed bytes
+const readImportImages = (zipFile) => {
+  const entries = new AdmZip(zipFile.buffer).getEntries().filter(entry => !entry.isDirectory);
+  if (entries.length > IMPORT_MAX_ZIP_ENTRIES) {
+    throw new Error(`The ZIP may contain at most ${IMPORT_MAX_ZIP_ENTRIES} files`);
+  }
 
-    // Parse options and correct answer
-    const parsedOptions = JSON.parse(options);
-    const parsedCorrectAnswer = parseInt(correctAnswer, 10);
+  const totalBytes = entries.reduce((total, entry) => total + entry.header.size, 0);
+  if (totalBytes > IMPORT_MAX_ZIP_BYTES) {
+    throw new Error(`The ZIP may hold at most ${IMPORT_MAX_ZIP_BYTES / (1024 * 1024)} MB of uncompressed images`);
+  }
 
-    if (!Array.isArray(parsedOptions) || parsedOptions.length !== 4 || isNaN(parsedCorrectAnswer)) {
-      return res.status(400).json({ error: "Invalid options or correct answer" });
-    }
+  const images = new Map();
+  entries.forEach(entry => images.set(entry.name.toLowerCase(), entry));
+  return images;
+};
 
-    // Firestore references
-    const questionDocRef = firestore.collection("PracticeTests").doc(category)
-      .collection("Exams").doc(examId)
-      .collection("Questions").doc(questionId);
+const readImportOptions = (row) => {
+  if (Array.isArray(row.options)) return row.options;
+  if (typeof row.options === 'string' && row.options.trim().startsWith('[')) {
+    return JSON.parse(row.options);
+  }
 
-    // Get the current question data
-    const questionSnapshot = await questionDocRef.get();
-    if (!questionSnapshot.exists) {
-      return res.status(404).json({ error: "Question not found" });
-    }
+  return Object.keys(row)
+    .map(key => ({ key, match: key.match(/^option\s*(\d+)$/i) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => Number(a.match[1]) - Number(b.match[1]))
+    .map(({ key }) => String(row[key]).trim())
+    .filter(option => option !== '');
+};
 
-    const currentData = questionSnapshot.data();
+// Accept the API's 0-based indexes or option letters (A = first option)
+const readImportOptionIndex = (value) => {
+  const text = String(value).trim();
+  if (/^[a-z]$/i.test(text)) return text.toUpperCase().charCodeAt(0) - 65;
+  return /^\d+$/.test(text) ? parseInt(text, 10) : NaN;
+};
 
-    // Prepare update data
-    const updateData = {
-      question,
-      options: parsedOptions,
-      correctAnswer: parsedCorrectAnswer,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+const readImportCorrectAnswer = (value, type) => {
+  if (type === 'numeric') return value;
 
-    // Handle image upload if a new image is provided
-    if (image) {
-      // Prepare for deleting the old image if it exists
-      let deletePromise = Promise.resolve();
-      if (currentData.imageUrl) {
-        try {
-          const oldImagePath = decodeURIComponent(currentData.imageUrl.split('/').slice(4).join('/'));
-          deletePromise = bucket.file(oldImagePath).delete().catch(err => {
-            console.warn("Error deleting old image, continuing:", err);
-            // Continue even if deletion fails
-          });
-        } catch (error) {
-          console.warn("Error parsing old image path:", error);
-          // Continue even if path parsing fails
-        }
-      }
+  const parsed = parseJsonField(typeof value === 'string' ? value.trim() : value);
+  if (type === 'multiple' || type === 'match') {
+    const list = Array.isArray(parsed) ? parsed : String(parsed).split(',');
+    return list.map(readImportOptionIndex);
+  }
+  return readImportOptionIndex(parsed);
+};
 
-      // Process new image while old one is being deleted
-      const fileExtension = image.originalname.split('.').pop();
-      const fileName = `practice-tests/${category}/${examId}/questions/${uuidv4()}.${fileExtension}`;
-      const file = bucket.file(fileName);
+// Validate one row. Returns { data, image, errors }
+const parseImportRow = (row, images) => {
+  const errors = [];
+  let options = [];
 
-      let imageBuffer = image.buffer;
-      
-      // Apply compression if requested and it's a JPEG or PNG
-      if (compressImage === "true" && ['jpg', 'jpeg', 'png'].includes(fileExtension.toLowerCase())) {
-        try {
-          imageBuffer = await sharp(image.buffer)
-            .resize({ 
-              width: 1200,
-              height: 1200,
-              fit: 'inside',
-              withoutEnlargement: true 
-            })
-            .jpeg({ quality: 80 })
-            .toBuffer();
-        } catch (err) {
-          console.warn("Image optimization failed, using original:", err);
-          imageBuffer = image.buffer;
-        }
-      }
+  try {
+    options = readImportOptions(row);
+  } catch (error) {
+    errors.push('options must be a JSON array');
+  }
 
-      // Create a write stream with better settings
-      const stream = file.createWriteStream({
-        metadata: {
-          contentType: image.mimetype,
-          cacheControl: 'public, max-age=31536000',
-        },
-        resumable: false,
-      });
+  const question = typeof row.question === 'string' ? row.question.trim() : row.question;
+  const type = typeof row.type === 'string' && row.type.trim() ? row.type.trim().toLowerCase() : 'single';
 
-      // Upload image and handle both promises
-      let imageUrl = null;
-      
-      const uploadPromise = new Promise((resolve, reject) => {
-        stream.on("error", (error) => {
-          console.error("Upload error:", error);
-          reject(error);
-        });
+  if (!question) errors.push('question is required');
 
-        stream.on("finish", async () => {
-          // Make the file publicly accessible
-          await file.makePublic();
+  const answerFields = parseQuestionAnswerFields({
+    type,
+    options: options.length > 0 ? options : undefined,
+    correctAnswer: row.correctAnswer === '' || row.correctAnswer === undefined
+      ? undefined
+      : readImportCorrectAnswer(row.correctAnswer, type),
+    tolerance: row.tolerance,
+    matchLeft: row.matchLeft
+  });
+  if (answerFields.error) errors.push(answerFields.error);
 
-          // Get the public URL
-          imageUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
-          resolve();
-        });
+  let markingFields = { fields: {} };
+  try {
+    markingFields = parseQuestionMarkingFields(row, options.length);
+  } catch (error) {
+    markingFields = { error: 'optionMarks must be a JSON array' };
+  }
+  if (markingFields.error) errors.push(markingFields.error);
 
-        // Write the file buffer to storage
-        stream.end(imageBuffer);
-      });
+  const data = {
+    question,
+    ...(answerFields.fields || {}),
+    ...(markingFields.fields || {})
+  };
 
-      try {
-        // Wait for both deletion and upload to complete
-        await Promise.all([deletePromise, uploadPromise]);
-        
-        // Add image URL to update data
-        if (imageUrl) {
-          updateData.imageUrl = imageUrl;
-        }
-        
-        // Update question in Firestore
-        await questionDocRef.update(updateData);
-        
-        return res.status(200).json({
-          message: "Question updated successfully",
-          imageUrl
-        });
-      } catch (error) {
-        console.error("Error in upload or update:", error);
-        return res.status(500).json({ error: "Failed to update question data" });
-      }
-    } else {
-      // Update question without changing the image
-      await questionDocRef.update(updateData);
+  // Tags are optional on import, but must be complete when given
+  if (QUESTION_TAG_FIELDS.some(field => row[field])) {
+    const parsedTags = parseQuestionTags(row);
+    if (parsedTags.error) errors.push(parsedTags.error);
+    else data.tags = parsedTags.tags;
+  }
 
-      return res.status(200).json({
-        message: "Question updated successfully"
-      });
+  let image = null;
+  const imageName = typeof row.image === 'string' ? row.image.trim() : '';
+  if (imageName) {
+    const extension = imageName.split('.').pop().toLowerCase();
+    const entry = images && images.get(imageName.split('/').pop().toLowerCase());
+
+    if (!IMPORT_IMAGE_TYPES[extension]) {
+      errors.push(`image ${imageName} must be one of ${Object.keys(IMPORT_IMAGE_TYPES).join(', ')}`);
+    } else if (!entry) {
+      errors.push(`image ${imageName} was not found in the uploaded ZIP`);
+    } else {
+      image = { originalname: imageName, mimetype: IMPORT_IMAGE_TYPES[extension], buffer: entry.getData() };
     }
-  } catch (error) {
-    console.error("Error updating question:", error);
-    return res.status(500).json({ error: "Internal server error" });
   }
-});
 
-// API to delete a question
-app.delete("/api/practice-tests/:category/:examId/questions/:questionId", async (req, res) => {
-  const { category, examId, questionId } = req.params;
+  return { data, image, errors };
+};
 
-  try {
-    // Firestore references
-    const questionDocRef = firestore.collection("PracticeTests").doc(category)
-      .collection("Exams").doc(examId)
-      .collection("Questions").doc(questionId);
+// Validate an import and, unless dryRun is set, write every question in one
+// batch after the existing ones. Returns { status, body } for the response
+const importQuestions = async (questionsCollection, files, { dryRun, imageField, imageFolder }) => {
+  const sheet = files && files.file && files.file[0];
+  if (!sheet) {
+    return { status: 400, body: { error: "A question sheet is required in the file field" } };
+  }
 
-    // Get the question data to check for image
-    const questionSnapshot = await questionDocRef.get();
-    if (!questionSnapshot.exists) {
-      return res.status(404).json({ error: "Question not found" });
-    }
+  let rows, firstRow, images = null;
+  try {
+    ({ rows, firstRow } = await readImportRows(sheet));
 
-    const questionData = questionSnapshot.data();
+    const zipFile = files.images && files.images[0];
+    if (zipFile) images = readImportImages(zipFile);
+  } catch (error) {
+    return { status: 400, body: { error: `Could not read the uploaded files: ${error.message}` } };
+  }
 
-    // Delete image from Storage if it exists
-    if (questionData.imageUrl) {
-      try {
-        const imagePath = decodeURIComponent(questionData.imageUrl.split('/').slice(4).join('/'));
-        await bucket.file(imagePath).delete();
-      } catch (deleteError) {
-        console.warn("Error deleting image:", deleteError);
-        // Continue with deletion even if image deletion fails
+  if (rows.length === 0) {
+    return { status: 400, body: { error: "The sheet has no questions" } };
+  }
+  if (rows.length > IMPORT_MAX_ROWS) {
+    return { status: 400, body: { error: `At most ${IMPORT_MAX_ROWS} questions can be imported at once` } };
+  }
+
+  const parsedRows = rows.map((row, index) => ({ row: index + firstRow, ...parseImportRow(row, images) }));
+  const rowErrors = parsedRows
+    .filter(parsed => parsed.errors.length > 0)
+    .map(({ row, errors }) => ({ row, errors }));
+
+  const summary = {
+    totalRows: parsedRows.length,
+    validRows: parsedRows.length - rowErrors.length,
+    errors: rowErrors
+  };
+
+  if (dryRun) {
+    return {
+      status: 200,
+      body: {
+        dryRun: true,
+        ...summary,
+        preview: parsedRows.slice(0, IMPORT_PREVIEW_ROWS).map(({ row, data, image }) => ({
+          row,
+          ...data,
+          image: image ? image.originalname : null
+        }))
+      }
+    };
+  }
+
+  if (rowErrors.length > 0) {
+    return { status: 400, body: { error: "The sheet has invalid rows; nothing was imported", ...summary } };
+  }
+
+  const uploadedUrls = [];
+  try {
+    for (const parsed of parsedRows) {
+      if (parsed.image) {
+        parsed.data[imageField] = await uploadQuestionImage(parsed.image, imageFolder, true);
+        uploadedUrls.push(parsed.data[imageField]);
       }
     }
 
-    // Delete the question document
-    await questionDocRef.delete();
+    const existingSnapshot = await questionsCollection.get();
+    let nextOrder = existingSnapshot.size + 1;
+    const batch = firestore.batch();
 
-    // Return success response
-    res.status(200).json({ message: "Question deleted successfully" });
+    parsedRows.forEach(parsed => {
+      batch.set(questionsCollection.doc(), {
+        ...parsed.data,
+        order: nextOrder++,
+        timestamp: new Date().getTime()
+      });
+    });
+
+    await batch.commit();
   } catch (error) {
-    console.error("Error deleting question:", error);
+    // Remove images uploaded for an import that did not go through
+    await Promise.all(uploadedUrls.map(deleteQuestionImage));
+    throw error;
+  }
+
+  return {
+    status: 200,
+    body: {
+      message: `${parsedRows.length} question(s) imported successfully`,
+      ...summary
+    }
+  };
+};
+
+const importFields = importUpload.fields([{ name: 'file', maxCount: 1 }, { name: 'images', maxCount: 1 }]);
+
+// Import questions into a main exam. Send dryRun=true to validate and
+// preview without saving
+app.post("/api/exams/:examTitle/questions/import", requirePermission('content:write'), importFields, async (req, res) => {
+  const { examTitle } = req.params;
+
+  try {
+    const questionsCollection = firestore.collection("Exams").doc(examTitle).collection("Questions");
+    const result = await importQuestions(questionsCollection, req.files, {
+      dryRun: req.body.dryRun === 'true',
+      imageField: 'image',
+      imageFolder: `exams/${examTitle}/questions`
+    });
+
+    res.status(result.status).json(result.body);
+  } catch (error) {
+    console.error("Error importing exam questions:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API to get all questions for a specific exam
-app.get("/api/practice-tests/:category/:examId/questions", async (req, res) => {
+app.post("/api/practice-tests/:category/:examId/questions/import", requirePermission('content:write'), importFields, async (req, res) => {
   const { category, examId } = req.params;
 
   try {
-    // Firestore references
     const questionsCollection = firestore.collection("PracticeTests").doc(category)
       .collection("Exams").doc(examId)
       .collection("Questions");
-
-    // Get all questions ordered by the 'order' field
-    const questionsSnapshot = await questionsCollection.orderBy("order", "asc").get();
-
-    if (questionsSnapshot.empty) {
-      return res.status(200).json({ questions: [] });
-    }
-
-    // Transform the snapshot to an array of questions
-    const questions = [];
-    questionsSnapshot.forEach((doc) => {
-      const questionData = doc.data();
-      questions.push({
-        id: doc.id,
-        question: questionData.question,
-        options: questionData.options,
-        correctAnswer: questionData.correctAnswer,
-        imageUrl: questionData.imageUrl || null,
-        order: questionData.order
-      });
+    const result = await importQuestions(questionsCollection, req.files, {
+      dryRun: req.body.dryRun === 'true',
+      imageField: 'imageUrl',
+      imageFolder: `practice-tests/${category}/${examId}/questions`
     });
 
-    // Return the questions
-    res.status(200).json({ questions });
+    res.status(result.status).json(result.body);
   } catch (error) {
-    console.error("Error fetching questions:", error);
+    console.error("Error importing practice test questions:", error);
     res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// API to save exam date and time for practice tests
-app.post("/api/practice-tests/:category/:examId/date-time", async (req, res) => {
-  const { category, examId } = req.params;
-  const { date, startTime, endTime, marks, price } = req.body;
+
+//Question export
+// Exports of a single exam or practice test: JSON with images embedded as
+// data URLs, a ZIP with questions.csv and an images folder (the same layout
+// the import accepts), or a printable PDF paper. The answer key is only
+// included with answers=true
+const EXPORT_FORMATS = ['json', 'csv', 'pdf'];
+const EXPORT_IMAGE_EXTENSIONS = { 'image/jpeg': 'jpg', 'image/png': 'png', 'image/gif': 'gif', 'image/webp': 'webp' };
+
+// Load a question image from a data URL or a storage URL.
+// Returns { buffer, mimetype, extension } or null when it cannot be read
+const loadQuestionImage = async (source) => {
+  if (!source) return null;
 
   try {
-    // Validate input
-    if (!category || !examId || !date || !startTime || !endTime || marks === undefined || price === undefined) {
-      return res.status(400).json({
-        error: "Missing required fields. Please provide date, startTime, endTime, marks, and price."
-      });
+    const dataUrl = String(source).match(/^data:([^;]+);base64,(.*)$/);
+    if (dataUrl) {
+      const mimetype = dataUrl[1];
+      return { buffer: Buffer.from(dataUrl[2], 'base64'), mimetype, extension: EXPORT_IMAGE_EXTENSIONS[mimetype] || 'bin' };
     }
 
-    // Validate 12-hour time format with AM/PM
-    const timeRegex = /^(0?[1-9]|1[0-2]):[0-5][0-9]\s?(AM|PM)$/i;
-    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
-      return res.status(400).json({
-        error: "Invalid time format. Please provide time in 12-hour format (e.g., 1:45 PM)."
-      });
+    const response = await axios.get(source, { responseType: 'arraybuffer' });
+    const mimetype = String(response.headers['content-type'] || '').split(';')[0];
+    return { buffer: Buffer.from(response.data), mimetype, extension: EXPORT_IMAGE_EXTENSIONS[mimetype] || 'bin' };
+  } catch (error) {
+    console.warn("Could not load question image for export:", error.message);
+    return null;
+  }
+};
+
+// Questions of a paper in order, each with its image loaded
+const loadExportQuestions = async (questionsCollection, imageField) => {
+  const snapshot = await questionsCollection.orderBy('order').get();
+
+  return Promise.all(snapshot.docs.map(async doc => {
+    const data = doc.data();
+    return { id: doc.id, ...data, imageFile: await loadQuestionImage(data[imageField]) };
+  }));
+};
+
+const toExportRecord = (question, includeAnswers) => {
+  const record = {
+    id: question.id,
+    order: question.order,
+    question: question.question,
+    type: getQuestionType(question),
+    options: question.options || [],
+    matchLeft: question.matchLeft || null,
+    ...(includeAnswers && { correctAnswer: question.correctAnswer, tolerance: question.tolerance ?? null }),
+    marks: question.marks ?? null,
+    negativeMarks: question.negativeMarks ?? null,
+    section: question.section || null,
+    ...(includeAnswers && { optionMarks: question.optionMarks || null }),
+    tags: question.tags || null
+  };
+
+  return record;
+};
+
+const buildJsonExport = (paper, questions, includeAnswers) => Buffer.from(JSON.stringify({
+  ...paper,
+  exportedAt: new Date().toISOString(),
+  includesAnswers: includeAnswers,
+  questions: questions.map(question => ({
+    ...toExportRecord(question, includeAnswers),
+    image: question.imageFile
+      ? `data:${question.imageFile.mimetype};base64,${question.imageFile.buffer.toString('base64')}`
+      : null
+  }))
+}, null, 2));
+
+// Quote a CSV field when it holds a separator, quote or line break
+const toCsvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+const toCsv = (rows) => {
+  const headers = [...new Set(rows.flatMap(row => Object.keys(row)))];
+  return [headers, ...rows.map(row => headers.map(header => row[header]))]
+    .map(fields => fields.map(toCsvField).join(','))
+    .join('\n');
+};
+
+const buildCsvZipExport = (questions, includeAnswers) => {
+  const zip = new AdmZip();
+  const optionCount = Math.max(0, ...questions.map(question => (question.options || []).length));
+
+  const rows = questions.map((question, index) => {
+    const record = toExportRecord(question, includeAnswers);
+    const row = { question: record.question, type: record.type };
+
+    for (let i = 0; i < optionCount; i++) {
+      row[`option${i + 1}`] = record.options[i] ?? '';
     }
+    row.matchLeft = record.matchLeft ? JSON.stringify(record.matchLeft) : '';
+    if (includeAnswers) {
+      row.correctAnswer = Array.isArray(record.correctAnswer) ? JSON.stringify(record.correctAnswer) : record.correctAnswer;
+      row.tolerance = record.tolerance ?? '';
+      row.optionMarks = record.optionMarks ? JSON.stringify(record.optionMarks) : '';
+    }
+    row.marks = record.marks ?? '';
+    row.negativeMarks = record.negativeMarks ?? '';
+    row.section = record.section || '';
+    QUESTION_TAG_FIELDS.forEach(field => {
+      row[field] = (record.tags && record.tags[field]) || '';
+    });
 
-    // Store data in both Realtime Database and Firestore
-    const dateTimeData = {
-      date,
-      startTime,
-      endTime,
-      marks,
-      price,
-      updatedAt: firebaseAdmin.database.ServerValue.TIMESTAMP
-    };
+    row.image = '';
+    if (question.imageFile) {
+      row.image = `question-${index + 1}.${question.imageFile.extension}`;
+      zip.addFile(`images/${row.image}`, question.imageFile.buffer);
+    }
 
-    // Reference to the exam date-time in Realtime Database
-    const examDateTimeRef = firebaseAdmin.database()
-      .ref(`PracticeTestDateTime/${category}/${examId}`);
+    return row;
+  });
 
-    // Reference to the exam in Firestore
-    const examRef = firestore.collection("PracticeTests").doc(category)
-      .collection("Exams").doc(examId);
+  zip.addFile('questions.csv', Buffer.from(toCsv(rows), 'utf8'));
+  return zip.toBuffer();
+};
 
-    // Save to Realtime Database
-    await examDateTimeRef.set(dateTimeData);
+// Printable answer key entry for a question
+const formatAnswerKey = (question) => {
+  const letter = (index) => String.fromCharCode(65 + index);
+  if (question.keyStatus === 'dropped') return 'Dropped';
+
+  switch (getQuestionType(question)) {
+    case 'multiple':
+      return question.correctAnswer.map(letter).join(', ');
+    case 'numeric':
+      return question.tolerance ? `${question.correctAnswer} (± ${question.tolerance})` : String(question.correctAnswer);
+    case 'match':
+      return question.correctAnswer.map((option, index) => `${index + 1}-${letter(option)}`).join(', ');
+    default:
+      return letter(question.correctAnswer);
+  }
+};
 
-    // Update Firestore document
-    await examRef.set({
-      dateTime: {
-        date,
-        startTime,
-        endTime,
-        marks,
-        price,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      }
-    }, { merge: true });
+// pdfkit embeds JPEG and PNG only, so other formats are converted first
+const toPdfImage = async (imageFile) => {
+  if (['image/jpeg', 'image/png'].includes(imageFile.mimetype)) return imageFile.buffer;
+  return sharp(imageFile.buffer).png().toBuffer();
+};
 
-    res.status(200).json({
-      message: "Practice test details saved successfully",
-      data: {
-        category,
-        examId,
-        date,
-        startTime,
-        endTime,
-        marks,
-        price
+const buildPdfExport = async (paper, questions, includeAnswers) => {
+  const doc = new PDFDocument({ margin: 50, size: 'A4' });
+  const chunks = [];
+  doc.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => doc.on('end', resolve));
+
+  doc.fontSize(18).text(paper.title, { align: 'center' });
+  if (paper.subtitle) {
+    doc.moveDown(0.3).fontSize(11).text(paper.subtitle, { align: 'center' });
+  }
+  doc.moveDown(1.5);
+
+  for (const [index, question] of questions.entries()) {
+    doc.fontSize(12).text(`${index + 1}. ${question.question}`);
+
+    if (question.imageFile) {
+      try {
+        doc.moveDown(0.3).image(await toPdfImage(question.imageFile), { fit: [300, 200] });
+      } catch (error) {
+        doc.fontSize(10).text('[Image could not be embedded]');
       }
+    }
+
+    (question.matchLeft || []).forEach((item, itemIndex) => {
+      doc.fontSize(11).text(`${itemIndex + 1}. ${item}`, { indent: 20 });
     });
-  } catch (error) {
-    console.error("Error saving practice test details:", error);
-    res.status(500).json({
-      error: "Failed to save practice test details",
-      details: error.message
+    if (question.matchLeft) {
+      doc.moveDown(0.3).fontSize(10).text('Match each item with:', { indent: 20 });
+    }
+
+    (question.options || []).forEach((option, optionIndex) => {
+      doc.fontSize(11).text(`(${String.fromCharCode(65 + optionIndex)}) ${option}`, { indent: 20 });
     });
+
+    if (getQuestionType(question) === 'numeric') {
+      doc.fontSize(11).text('Answer: ____________', { indent: 20 });
+    }
+    doc.moveDown();
   }
-});
 
-// API to get exam date and time for practice tests
-app.get("/api/practice-tests/:category/:examId/date-time", async (req, res) => {
-  const { category, examId } = req.params;
+  if (includeAnswers) {
+    doc.addPage().fontSize(16).text('Answer Key', { align: 'center' }).moveDown();
+    questions.forEach((question, index) => {
+      doc.fontSize(11).text(`${index + 1}. ${formatAnswerKey(question)}`);
+    });
+  }
+
+  doc.end();
+  await finished;
+  return Buffer.concat(chunks);
+};
+
+// Build an export in the requested format and send it as a download
+const sendQuestionExport = async (req, res, { questionsCollection, imageField, paper, fileName }) => {
+  const format = String(req.query.format || 'json').toLowerCase();
+  const includeAnswers = req.query.answers === 'true';
+
+  if (!EXPORT_FORMATS.includes(format)) {
+    return res.status(400).json({ error: `format must be one of ${EXPORT_FORMATS.join(', ')}` });
+  }
+
+  const questions = await loadExportQuestions(questionsCollection, imageField);
+  if (questions.length === 0) {
+    return res.status(404).json({ error: "No questions found" });
+  }
+
+  const suffix = includeAnswers ? '-with-answers' : '';
+  let body, contentType, extension;
+
+  if (format === 'json') {
+    body = buildJsonExport(paper, questions, includeAnswers);
+    contentType = 'application/json';
+    extension = 'json';
+  } else if (format === 'csv') {
+    body = buildCsvZipExport(questions, includeAnswers);
+    contentType = 'application/zip';
+    extension = 'zip';
+  } else {
+    body = await buildPdfExport(paper, questions, includeAnswers);
+    contentType = 'application/pdf';
+    extension = 'pdf';
+  }
+
+  const safeName = `${fileName}${suffix}`.replace(/[^a-zA-Z0-9_-]+/g, '_');
+  res.setHeader('Content-Type', contentType);
+  res.setHeader('Content-Disposition', `attachment; filename="${safeName}.${extension}"`);
+  res.status(200).send(body);
+};
+
+app.get("/api/exams/:examTitle/questions/export", requirePermission('exams:read'), async (req, res) => {
+  const { examTitle } = req.params;
 
   try {
-    // Reference to the exam date-time in Realtime Database
-    const examDateTimeRef = firebaseAdmin.database()
-      .ref(`PracticeTestDateTime/${category}/${examId}`);
-    
-    // Get the data
-    const snapshot = await examDateTimeRef.once('value');
-    const dateTimeData = snapshot.val();
+    const examRef = firestore.collection("Exams").doc(examTitle);
+    const examDoc = await examRef.get();
 
-    if (!dateTimeData) {
-      return res.status(404).json({ 
-        error: "Practice test date and time not found" 
-      });
+    if (!examDoc.exists) {
+      return res.status(404).json({ error: "Exam not found" });
     }
 
-    res.status(200).json({
-      category,
-      examId,
-      ...dateTimeData
+    const dateTime = examDoc.data().dateTime || {};
+    await sendQuestionExport(req, res, {
+      questionsCollection: examRef.collection("Questions"),
+      imageField: 'image',
+      fileName: examTitle,
+      paper: {
+        title: examTitle,
+        subtitle: dateTime.date ? `${dateTime.date}, ${dateTime.startTime} - ${dateTime.endTime}, Total marks: ${dateTime.marks}` : null
+      }
     });
   } catch (error) {
-    console.error("Error fetching practice test date and time:", error);
-    res.status(500).json({ 
-      error: "Failed to fetch practice test date and time",
-      details: error.message 
-    });
+    console.error("Error exporting exam questions:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
+app.get("/api/practice-tests/:category/:examId/questions/export", requirePermission('exams:read'), async (req, res) => {
+  const { category, examId } = req.params;
 
-//Api Students who purchased exams
-// GET API to fetch all students data
-app.get('/api/practicetestpurchasedstudents', async (req, res) => {
-  try {  
-    // Create a reference to the collection
-    const ref = realtimeDatabase.ref('practicetestpurchasedstudents');
-    
-    // Get all data from the reference
-    const snapshot = await ref.once('value');
-    
-    // Convert the snapshot to JSON
-    const data = snapshot.val();
-    
-    // If no data is found, return a 404
-    if (!data) {
-      return res.status(404).json({ 
-        success: false, 
-        message: 'No data found' 
-      });
-    }
-    
-    // Return the data
-    return res.status(200).json({
-      success: true,
-      data: data
+  try {
+    const examRef = firestore.collection("PracticeTests").doc(category).collection("Exams").doc(examId);
+
+    await sendQuestionExport(req, res, {
+      questionsCollection: examRef.collection("Questions"),
+      imageField: 'imageUrl',
+      fileName: `${category}-${examId}`,
+      paper: {
+        title: examId,
+        subtitle: `Practice test - ${category}`
+      }
     });
   } catch (error) {
-    console.error('Error retrieving data:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error retrieving data from database',
-      error: error.message
-    });
+    console.error("Error exporting practice test questions:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
 
+// Build the fields recording a key correction on a question document.
+// Every change is kept in keyCorrections for audit
+const buildKeyCorrection = (req, action, previousAnswer, correctAnswer, reason) => ({
+  keyStatus: action,
+  keyCorrections: admin.firestore.FieldValue.arrayUnion({
+    action,
+    previousAnswer: previousAnswer ?? null,
+    correctAnswer: correctAnswer ?? null,
+    reason: reason || null,
+    correctedBy: req.admin.userid,
+    correctedAt: new Date().toISOString()
+  })
+});
 
+// Correct a question's answer key or drop the question (bonus marks to
+// everyone), then re-score the exam if its results are already finalized.
+// Returns { keyStatus, rescore } or { status, error }
+const applyKeyCorrection = async (req, examTitle, questionId, { action, correctAnswer, reason }) => {
+  if (!['correct', 'drop'].includes(action)) {
+    return { status: 400, error: 'action must be "correct" or "drop"' };
+  }
 
-//Pdf syallbus realted apis
+  if (!reason) {
+    return { status: 400, error: "A reason is required for key corrections" };
+  }
 
-//Pdf syllabus category apis
-// Create PDF syllabus category
+  const questionDoc = firestore.collection("Exams").doc(examTitle).collection("Questions").doc(questionId);
+  const questionSnapshot = await questionDoc.get();
 
-// Reference to categories in realtime database
-const pdfsyllabuscategoryRef = realtimeDatabase.ref('pdfsyllabuscategoryRef');
-app.post("/api/pdfsyllabuscategories", async (req, res) => {
-  try {
-    const { name } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: "Category name is required" });
+  if (!questionSnapshot.exists) {
+    return { status: 404, error: "Question not found" };
+  }
+
+  const questionData = questionSnapshot.data();
+  let updateData;
+
+  if (action === 'correct') {
+    const answerFields = parseQuestionAnswerFields({ ...questionData, correctAnswer });
+    if (answerFields.error) {
+      return { status: 400, error: answerFields.error };
     }
-    
-    const newPdfSyllabusCategoryRef = pdfsyllabuscategoryRef.push();
-    await newPdfSyllabusCategoryRef.set({
-      name,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    });
-    
-    res.status(201).json({
-      id: newPdfSyllabusCategoryRef.key,
-      name
+
+    const parsedCorrectAnswer = answerFields.fields.correctAnswer;
+    updateData = {
+      correctAnswer: parsedCorrectAnswer,
+      ...buildKeyCorrection(req, 'corrected', questionData.correctAnswer, parsedCorrectAnswer, reason)
+    };
+  } else {
+    updateData = buildKeyCorrection(req, 'dropped', questionData.correctAnswer, null, reason);
+  }
+
+  await questionDoc.update(updateData);
+
+  const rescore = await rescoreExamResults(examTitle, `Question ${questionId} ${updateData.keyStatus}: ${reason}`);
+  return { keyStatus: updateData.keyStatus, rescore };
+};
+
+app.post("/api/admin/exams/:examTitle/questions/:questionId/key-correction", requirePermission('results:manage'), async (req, res) => {
+  const { examTitle, questionId } = req.params;
+
+  try {
+    const result = await applyKeyCorrection(req, examTitle, questionId, req.body);
+    if (result.error) {
+      return res.status(result.status).json({ error: result.error });
+    }
+
+    const { httpStatus, message } = describeRescore(
+      result.rescore,
+      result.keyStatus === 'dropped' ? "Question dropped" : "Answer key corrected"
+    );
+    res.status(httpStatus).json({ message, ...result });
+  } catch (error) {
+    console.error("Error correcting answer key:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+
+//Objections
+// Candidates can challenge the provisional answer key of a question during
+// a window that opens when the exam ends. Settings live on the exam
+// document as objectionSettings: { enabled, windowHours, fee }
+const DEFAULT_OBJECTION_SETTINGS = { enabled: false, windowHours: 48, fee: 0 };
+
+const objectionsRef = firestore.collection('Objections');
+
+const getObjectionSettings = (examData) => ({
+  ...DEFAULT_OBJECTION_SETTINGS,
+  ...((examData && examData.objectionSettings) || {})
+});
+
+// The objection window as { opensAt, closesAt }, or null without a schedule
+const getObjectionWindow = async (examTitle, settings) => {
+  const examWindow = await getExamWindow(examTitle);
+  if (!examWindow) return null;
+
+  return {
+    opensAt: examWindow.end.clone(),
+    closesAt: examWindow.end.clone().add(settings.windowHours, 'hours')
+  };
+};
+
+app.put("/api/exams/:examTitle/objection-settings", requirePermission('results:manage'), async (req, res) => {
+  const { examTitle } = req.params;
+  const { enabled, windowHours, fee } = req.body;
+
+  try {
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ error: "enabled must be true or false" });
+    }
+
+    for (const [field, value] of Object.entries({ windowHours, fee })) {
+      if (value !== undefined && !isNonNegativeNumber(value)) {
+        return res.status(400).json({ error: `${field} must be a non-negative number` });
+      }
+    }
+
+    const examRef = firestore.collection("Exams").doc(examTitle);
+    const examDoc = await examRef.get();
+
+    if (!examDoc.exists) {
+      return res.status(404).json({ error: "Exam not found" });
+    }
+
+    const objectionSettings = {
+      ...getObjectionSettings(examDoc.data()),
+      ...(enabled !== undefined && { enabled }),
+      ...(windowHours !== undefined && { windowHours }),
+      ...(fee !== undefined && { fee })
+    };
+
+    await examRef.update({ objectionSettings });
+
+    res.status(200).json({
+      message: "Objection settings updated successfully",
+      objectionSettings
     });
   } catch (error) {
-    console.error("Error creating PDF syllabus category:", error);
-    res.status(500).json({ error: "Failed to create PDF syllabus category" });
+    console.error("Error updating objection settings:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Get all PDF syllabus categories
-app.get("/api/pdfsyllabuscategories", async (req, res) => {
+// Public: lets candidates see whether objections are open and the fee
+app.get("/api/exams/:examTitle/objection-settings", async (req, res) => {
+  const { examTitle } = req.params;
+
   try {
-    const snapshot = await pdfsyllabuscategoryRef.once('value');
-    const pdfsyllabuscategories = [];
-    
-    snapshot.forEach((childSnapshot) => {
-      pdfsyllabuscategories.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
+    const examDoc = await firestore.collection("Exams").doc(examTitle).get();
+
+    if (!examDoc.exists) {
+      return res.status(404).json({ error: "Exam not found" });
+    }
+
+    const settings = getObjectionSettings(examDoc.data());
+    const objectionWindow = await getObjectionWindow(examTitle, settings);
+    const now = moment();
+
+    res.status(200).json({
+      ...settings,
+      opensAt: objectionWindow ? objectionWindow.opensAt.toISOString() : null,
+      closesAt: objectionWindow ? objectionWindow.closesAt.toISOString() : null,
+      isOpen: Boolean(settings.enabled && objectionWindow &&
+        !now.isBefore(objectionWindow.opensAt) && now.isBefore(objectionWindow.closesAt))
     });
-    
-    res.json(pdfsyllabuscategories);
   } catch (error) {
-    console.error("Error fetching PDF syllabus categories:", error);
-    res.status(500).json({ error: "Failed to fetch PDF syllabus categories" });
+    console.error("Error fetching objection settings:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Update PDF syllabus category
-app.put("/api/pdfsyllabuscategories/:id", async (req, res) => {
+// Raise an objection against a question. When the exam charges a fee, the
+// candidate pays through /api/create-order first and sends the payment here
+app.post("/api/objections", async (req, res) => {
+  const { registrationNumber, questionId, reason, proposedAnswer, orderId, paymentId, signature } = req.body;
+
   try {
-    const { id } = req.params;
-    const { name } = req.body;
-    
-    if (!name) {
-      return res.status(400).json({ error: "Category name is required" });
+    if (!registrationNumber || !questionId || !reason) {
+      return res.status(400).json({ error: "registrationNumber, questionId and reason are required" });
     }
-    
-    const pdfsyllabusCategoryRef = pdfsyllabuscategoryRef.child(id);
-    await pdfsyllabusCategoryRef.update({
-      name,
-      updatedAt: admin.database.ServerValue.TIMESTAMP
+
+    const candidateDoc = await firestore.collection('candidates').doc(registrationNumber).get();
+    if (!candidateDoc.exists) {
+      return res.status(404).json({ error: "Invalid registration number" });
+    }
+
+    const candidateData = candidateDoc.data();
+    if (!candidateData.used) {
+      return res.status(403).json({ error: "Only candidates who attempted the exam can raise objections" });
+    }
+
+    const examTitle = candidateData.exam;
+    const examRef = firestore.collection("Exams").doc(examTitle);
+    const [examDoc, questionDoc] = await Promise.all([
+      examRef.get(),
+      examRef.collection("Questions").doc(questionId).get()
+    ]);
+
+    if (!examDoc.exists || !questionDoc.exists) {
+      return res.status(404).json({ error: "Question not found for this exam" });
+    }
+
+    const settings = getObjectionSettings(examDoc.data());
+    const objectionWindow = await getObjectionWindow(examTitle, settings);
+    const now = moment();
+
+    if (!settings.enabled || !objectionWindow ||
+        now.isBefore(objectionWindow.opensAt) || !now.isBefore(objectionWindow.closesAt)) {
+      return res.status(403).json({ error: "The objection window for this exam is not open" });
+    }
+
+    let payment = null;
+    if (settings.fee > 0) {
+      const verified = await verifyOrderPayment({ orderId, paymentId, signature }, {
+        productType: 'objection-fee',
+        productId: `${examTitle}/${questionId}`,
+        studentId: registrationNumber
+      });
+      if (verified.error) {
+        return res.status(402).json({ error: verified.error });
+      }
+      if (verified.order.expectedAmount !== settings.fee) {
+        return res.status(402).json({ error: "Payment amount does not match the required fee" });
+      }
+
+      payment = {
+        orderId,
+        paymentId,
+        amount: verified.payment.amount / 100,
+        status: verified.payment.status
+      };
+    }
+
+    // One objection per candidate per question
+    const objectionId = `${examTitle}_${registrationNumber}_${questionId}`;
+    const objectionData = {
+      examTitle,
+      questionId,
+      registrationNumber,
+      reason,
+      proposedAnswer: proposedAnswer ?? null,
+      payment,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
+
+    // The objection and the claim on its payment are written together, so
+    // one payment cannot pay for two objections
+    const objectionRef = objectionsRef.doc(objectionId);
+    const paymentClaimRef = payment ? firestore.collection('objectionPayments').doc(paymentId) : null;
+
+    const conflict = await firestore.runTransaction(async (transaction) => {
+      const [objectionDoc, paymentClaimDoc] = await Promise.all([
+        transaction.get(objectionRef),
+        paymentClaimRef ? transaction.get(paymentClaimRef) : null
+      ]);
+
+      if (paymentClaimDoc && paymentClaimDoc.exists) {
+        return { error: "This payment has already been used for an objection", paymentClaimed: true };
+      }
+      if (objectionDoc.exists) {
+        return { error: "You have already raised an objection for this question", paymentClaimed: false };
+      }
+
+      transaction.create(objectionRef, objectionData);
+      if (paymentClaimRef) {
+        transaction.create(paymentClaimRef, { objectionId, createdAt: objectionData.createdAt });
+      }
+      return null;
+    });
+
+    if (conflict) {
+      // A fee that no objection holds is queued for a refund; a claimed one
+      // already pays for its objection
+      if (payment && !conflict.paymentClaimed) {
+        await flagOrderForRefund(orderId, conflict.error);
+      }
+      return res.status(409).json({ error: conflict.error });
+    }
+
+    if (payment) {
+      await updateOrderStatus(orderId, 'completed', { objectionId });
+    }
+
+    res.status(201).json({
+      message: "Objection submitted successfully",
+      objectionId,
+      objection: objectionData
     });
-    
-    res.json({ id, name });
   } catch (error) {
-    console.error("Error updating PDF syllabus category:", error);
-    res.status(500).json({ error: "Failed to update PDF syllabus category" });
+    console.error("Error submitting objection:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Delete PDF syllabus category
-app.delete("/api/pdfsyllabuscategories/:id", async (req, res) => {
+app.get("/api/objections/:registrationNumber", async (req, res) => {
   try {
-    const { id } = req.params;
-    
-    await pdfsyllabuscategoryRef.child(id).remove();
-    res.json({ message: "PDF syllabus category deleted successfully" });
+    const snapshot = await objectionsRef
+      .where('registrationNumber', '==', req.params.registrationNumber)
+      .get();
+
+    res.status(200).json({
+      objections: snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+    });
   } catch (error) {
-    console.error("Error deleting PDF syllabus category:", error);
-    res.status(500).json({ error: "Failed to delete PDF syllabus category" });
+    console.error("Error fetching objections:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
+// Objections for an exam, optionally filtered by status, with a per-question count
+app.get("/api/admin/exams/:examTitle/objections", requirePermission('concerns:manage'), async (req, res) => {
+  const { examTitle } = req.params;
+  const { status } = req.query;
 
+  try {
+    let query = objectionsRef.where('examTitle', '==', examTitle);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
 
-//Pdf Sylabus details
+    const snapshot = await query.get();
+    const objections = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
-// PDF Syllabus API Endpoints
+    const byQuestion = {};
+    objections.forEach(objection => {
+      byQuestion[objection.questionId] = (byQuestion[objection.questionId] || 0) + 1;
+    });
 
-// Firestore setup references
-// Utility function to sanitize filename for storage
-const sanitizeFilename = (filename) => {
-  return filename
-    .replace(/[^a-zA-Z0-9.-]/g, '_') // Replace non-alphanumeric chars with underscore
-    .replace(/_{2,}/g, '_');         // Replace multiple underscore with single one
-};
+    res.status(200).json({ objections, byQuestion });
+  } catch (error) {
+    console.error("Error fetching exam objections:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// Accept or reject an objection. Accepting with a resolution ({ action:
+// 'correct' | 'drop', correctAnswer }) applies the key correction, re-scores
+// the results and accepts every other pending objection on the same question
+app.put("/api/admin/objections/:objectionId", requirePermission('concerns:manage'), async (req, res) => {
+  const { objectionId } = req.params;
+  const { status, reason, resolution } = req.body;
 
-// Create or update PDF syllabus
-// Use pdfUpload.single for the PDF file upload route
-app.post("/api/pdf-syllabi", pdfUpload.single('pdfFile'), async (req, res) => {
   try {
-    // After Multer processes the file, it will be available as req.file
-    if (!req.file) {
-      return res.status(400).json({ error: "PDF file is required" });
+    if (!['accepted', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'status must be "accepted" or "rejected"' });
     }
-    
-    const { category, title, fees, duration } = req.body;
-    
-    if (!category || !title) {
-      return res.status(400).json({ error: "Category and title are required" });
+
+    if (!reason) {
+      return res.status(400).json({ error: "A reason is required when reviewing an objection" });
     }
-    
-    // The file data is now in req.file
-    const pdfFile = req.file;
-    const timestamp = Date.now();
-    const sanitizedTitle = sanitizeFilename(title);
-    const sanitizedCategory = sanitizeFilename(category);
-    
-    // Create a unique file path in Firebase Storage
-    const filePath = `pdfsyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.pdf`;
-    
-    // Upload file to Firebase Storage
-    const fileBuffer = pdfFile.buffer; // With Multer, file data is in the buffer property
-    const file = bucket.file(filePath);
-    
-    await file.save(fileBuffer, {
-      metadata: {
-        contentType: 'application/pdf',
-        metadata: {
-          originalName: pdfFile.originalname, // With Multer, the file name is in originalname property
-          category,
-          title
-        }
-      }
-    });
-    
-    // Get the public URL of the file
-    const [url] = await file.getSignedUrl({
-      action: 'read',
-      expires: '03-01-2500' // Long expiration date
-    });
-    
-    // Create syllabus entry in Realtime Database
-    const syllabusData = {
-      title,
-      category,
-      fees: parseFloat(fees) || 0,
-      duration: duration ? `${duration} days` : "N/A",
-      filePath,
-      fileUrl: url,
-      createdAt: timestamp,
-      updatedAt: timestamp
+
+    if (resolution && status !== 'accepted') {
+      return res.status(400).json({ error: "Only accepted objections can change the answer key" });
+    }
+
+    const objectionDoc = await objectionsRef.doc(objectionId).get();
+    if (!objectionDoc.exists) {
+      return res.status(404).json({ error: "Objection not found" });
+    }
+
+    const objection = objectionDoc.data();
+    if (objection.status !== 'pending') {
+      return res.status(409).json({ error: `Objection has already been ${objection.status}` });
+    }
+
+    const review = {
+      status,
+      reviewReason: reason,
+      reviewedBy: req.admin.userid,
+      reviewedAt: new Date().toISOString()
     };
-    
-    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
-    await pdfSyllabusRef.child(syllabusKey).set(syllabusData);
-    
-    res.status(201).json({
-      message: "PDF syllabus created successfully",
-      data: {
-        id: syllabusKey,
-        ...syllabusData
-      }
+
+    if (!resolution) {
+      await objectionDoc.ref.update(review);
+      return res.status(200).json({ message: `Objection ${status}`, objectionId });
+    }
+
+    const correction = await applyKeyCorrection(req, objection.examTitle, objection.questionId, {
+      action: resolution.action,
+      correctAnswer: resolution.correctAnswer,
+      reason: `Objection ${objectionId}: ${reason}`
+    });
+
+    if (correction.error) {
+      return res.status(correction.status).json({ error: correction.error });
+    }
+
+    // Resolve every pending objection on the same question together
+    const pending = await objectionsRef
+      .where('examTitle', '==', objection.examTitle)
+      .where('questionId', '==', objection.questionId)
+      .where('status', '==', 'pending')
+      .get();
+
+    const batch = firestore.batch();
+    pending.docs.forEach(doc => batch.update(doc.ref, { ...review, keyStatus: correction.keyStatus }));
+    await batch.commit();
+
+    const { httpStatus, message } = describeRescore(correction.rescore, "Objection accepted and answer key updated");
+    res.status(httpStatus).json({
+      message,
+      objectionId,
+      resolvedObjections: pending.size,
+      ...correction
     });
   } catch (error) {
-    console.error("Error creating PDF syllabus:", error);
-    res.status(500).json({ error: "Failed to create PDF syllabus" });
+    console.error("Error reviewing objection:", error);
+    res.status(500).json({ error: "Internal server error" });
   }
 });
 
-// Update PDF syllabus
-app.put("/api/pdf-syllabi/:category/:title", async (req, res) => {
+
+// API to get questions for a specific exam title
+// API to save exam date and time
+app.post("/api/exams/:examTitle/date-time", requirePermission('exams:schedule'), async (req, res) => {
+  const { examTitle } = req.params;
+  const { date, startTime, endTime, marks, price } = req.body;
+
   try {
-    const { category, title } = req.params;
-    const { newCategory, newTitle, fees, duration } = req.body;
+    // Validate input
+    if (!examTitle || !date || !startTime || !endTime || marks === undefined || price === undefined) {
+      return res.status(400).json({
+        error: "Missing required fields. Please provide date, startTime, endTime, marks, and price."
+      });
+    }
+
+    // Validate 12-hour time format with AM/PM
+    const timeRegex = /^(0?[1-9]|1[0-2]):[0-5][0-9]\s?(AM|PM)$/i;
+    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+      return res.status(400).json({
+        error: "Invalid time format. Please provide time in 12-hour format (e.g., 1:45 PM)."
+      });
+    }
+
+    // Reference to the exam date-time in Realtime Database
+    const examDateTimeRef = realtimeDatabase.ref('ExamDateTime').child(examTitle);
+
+    // Save the data to Realtime Database
+    await examDateTimeRef.set({
+      date,
+      startTime,
+      endTime,
+      marks,
+      price,
+      updatedAt: admin.database.ServerValue.TIMESTAMP
+    });
+
+    // Update the exam document in Firestore
+    const examRef = firestore.collection("Exams").doc(examTitle);
+    await examRef.set({
+      dateTime: {
+        date,
+        startTime,
+        endTime,
+        marks,
+        price,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    }, { merge: true });
+
+    res.status(200).json({
+      message: "Exam details saved successfully",
+      data: {
+        examTitle,
+        date,
+        startTime,
+        endTime,
+        marks,
+        price
+      }
+    });
+  } catch (error) {
+    console.error("Error saving exam details:", error);
+    res.status(500).json({
+      error: "Failed to save exam details",
+      details: error.message
+    });
+  }
+});
+  
+  // API to get exam date and time
+  app.get("/api/exams/:examTitle/date-time", async (req, res) => {
+    const { examTitle } = req.params;
+  
+    try {
+      // Reference to the exam date-time in Realtime Database
+      const examDateTimeRef = realtimeDatabase.ref('ExamDateTime').child(examTitle);
+      
+      // Get the data
+      const snapshot = await examDateTimeRef.once('value');
+      const dateTimeData = snapshot.val();
+  
+      if (!dateTimeData) {
+        return res.status(404).json({ 
+          error: "Exam date and time not found" 
+        });
+      }
+  
+      res.status(200).json({
+        examTitle,
+        ...dateTimeData
+      });
+  
+    } catch (error) {
+      console.error("Error fetching exam date and time:", error);
+      res.status(500).json({ 
+        error: "Failed to fetch exam date and time",
+        details: error.message 
+      });
+    }
+  });
+
+  // API to save an exam's marking scheme
+  app.put("/api/exams/:examTitle/marking-scheme", requirePermission('content:write'), async (req, res) => {
+    const { examTitle } = req.params;
+    const { marksPerQuestion, negativeMarks, partialCredit, sections } = req.body;
+
+    try {
+      const markingScheme = {
+        marksPerQuestion: marksPerQuestion ?? null,
+        negativeMarks: negativeMarks ?? 0,
+        partialCredit: Boolean(partialCredit),
+        sections: sections || {}
+      };
+
+      const validationError = validateMarkingScheme(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      await firestore.collection("Exams").doc(examTitle).set({
+        markingScheme: {
+          ...markingScheme,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }
+      }, { merge: true });
+
+      res.status(200).json({
+        message: "Marking scheme saved successfully",
+        data: { examTitle, markingScheme }
+      });
+    } catch (error) {
+      console.error("Error saving marking scheme:", error);
+      res.status(500).json({
+        error: "Failed to save marking scheme",
+        details: error.message
+      });
+    }
+  });
+
+  // API to get an exam's marking scheme, with defaults filled in
+  app.get("/api/exams/:examTitle/marking-scheme", async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const examRef = firestore.collection("Exams").doc(examTitle);
+      const [examDoc, questionsSnapshot] = await Promise.all([
+        examRef.get(),
+        examRef.collection("Questions").get()
+      ]);
+
+      if (!examDoc.exists) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      res.status(200).json({
+        examTitle,
+        markingScheme: resolveMarkingScheme(examDoc.data(), questionsSnapshot.size)
+      });
+    } catch (error) {
+      console.error("Error fetching marking scheme:", error);
+      res.status(500).json({
+        error: "Failed to fetch marking scheme",
+        details: error.message
+      });
+    }
+  });
+
+
+  // API to save an exam's paper settings (question and option shuffling)
+  app.put("/api/exams/:examTitle/paper-settings", requirePermission('content:write'), async (req, res) => {
+    const { examTitle } = req.params;
+    const { shuffleQuestions, shuffleOptions } = req.body;
+
+    try {
+      for (const [field, value] of Object.entries({ shuffleQuestions, shuffleOptions })) {
+        if (value !== undefined && typeof value !== 'boolean') {
+          return res.status(400).json({ error: `${field} must be true or false` });
+        }
+      }
+
+      const examRef = firestore.collection("Exams").doc(examTitle);
+      const examDoc = await examRef.get();
+
+      if (!examDoc.exists) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      const paperSettings = {
+        ...getPaperSettings(examDoc.data()),
+        ...(shuffleQuestions !== undefined && { shuffleQuestions }),
+        ...(shuffleOptions !== undefined && { shuffleOptions })
+      };
+
+      await examRef.update({ paperSettings });
+
+      res.status(200).json({
+        message: "Paper settings saved successfully",
+        data: { examTitle, paperSettings }
+      });
+    } catch (error) {
+      console.error("Error saving paper settings:", error);
+      res.status(500).json({
+        error: "Failed to save paper settings",
+        details: error.message
+      });
+    }
+  });
+
+  app.get("/api/exams/:examTitle/paper-settings", async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const examDoc = await firestore.collection("Exams").doc(examTitle).get();
+
+      if (!examDoc.exists) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      res.status(200).json({
+        examTitle,
+        paperSettings: getPaperSettings(examDoc.data())
+      });
+    } catch (error) {
+      console.error("Error fetching paper settings:", error);
+      res.status(500).json({
+        error: "Failed to fetch paper settings",
+        details: error.message
+      });
+    }
+  });
+
+
+  // API to save an exam's sections. Replaces the whole list; order matters
+  app.put("/api/exams/:examTitle/sections", requirePermission('content:write'), async (req, res) => {
+    const { examTitle } = req.params;
+    const { sections } = req.body;
+
+    try {
+      const validationError = validateExamSections(sections);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const examRef = firestore.collection("Exams").doc(examTitle);
+      const examDoc = await examRef.get();
+
+      if (!examDoc.exists) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      const cleanSections = sections.map(section => ({
+        name: section.name.trim(),
+        questionCount: section.questionCount ?? null,
+        durationMinutes: section.durationMinutes ?? null,
+        locked: Boolean(section.locked),
+        marksPerQuestion: section.marksPerQuestion ?? null,
+        negativeMarks: section.negativeMarks ?? null
+      }));
+
+      await examRef.update({ sections: cleanSections });
+
+      res.status(200).json({
+        message: "Sections saved successfully",
+        data: { examTitle, sections: cleanSections }
+      });
+    } catch (error) {
+      console.error("Error saving sections:", error);
+      res.status(500).json({
+        error: "Failed to save sections",
+        details: error.message
+      });
+    }
+  });
+
+  // API to get an exam's sections with the number of questions each has,
+  // flagging sections whose question count differs from the definition
+  app.get("/api/exams/:examTitle/sections", async (req, res) => {
+    const { examTitle } = req.params;
+
+    try {
+      const examRef = firestore.collection("Exams").doc(examTitle);
+      const [examDoc, questionsSnapshot] = await Promise.all([
+        examRef.get(),
+        examRef.collection("Questions").get()
+      ]);
+
+      if (!examDoc.exists) {
+        return res.status(404).json({ error: "Exam not found" });
+      }
+
+      const counts = {};
+      questionsSnapshot.docs.forEach(doc => {
+        const name = doc.data().section || DEFAULT_SECTION;
+        counts[name] = (counts[name] || 0) + 1;
+      });
+
+      const sections = getExamSections(examDoc.data()).map(section => ({
+        ...section,
+        actualQuestionCount: counts[section.name] || 0,
+        countMismatch: section.questionCount != null && section.questionCount !== (counts[section.name] || 0)
+      }));
+
+      const definedNames = new Set(sections.map(section => section.name));
+      const unassignedQuestions = Object.entries(counts)
+        .filter(([name]) => !definedNames.has(name))
+        .reduce((total, [, count]) => total + count, 0);
+
+      res.status(200).json({ examTitle, sections, unassignedQuestions });
+    } catch (error) {
+      console.error("Error fetching sections:", error);
+      res.status(500).json({
+        error: "Failed to fetch sections",
+        details: error.message
+      });
+    }
+  });
+
+
+  //Notification apis
+
+  // API to save notification
+app.post("/api/admin/notifications", requirePermission('content:write'), async (req, res) => {
+    const { message, createdAt } = req.body;
+  
+    try {
+      // Validate input
+      if (!message) {
+        return res.status(400).json({ 
+          error: "Missing required fields. Please provide a message" 
+        });
+      }
+  
+      // Generate a unique ID for the notification
+      const notificationId = Date.now().toString();
+  
+      // Reference to the notifications in Realtime Database
+      const notificationsRef = realtimeDatabase.ref('Notifications');
+  
+      // Save the notification
+      await notificationsRef.child(notificationId).set({
+        message,
+        createdAt,
+        updatedAt: admin.database.ServerValue.TIMESTAMP
+      });
+  
+      res.status(200).json({
+        message: "Notification saved successfully",
+        data: {
+          id: notificationId,
+          message,
+          createdAt
+        }
+      });
+  
+    } catch (error) {
+      console.error("Error saving notification:", error);
+      res.status(500).json({ 
+        error: "Failed to save notification",
+        details: error.message 
+      });
+    }
+  });
+  
+
+  // API to update a notification
+  app.put("/api/admin/notifications/:id", requirePermission('content:write'), async (req, res) => {
+    const { id } = req.params;
+    const { message } = req.body;
+  
+    try {
+      if (!message) {
+        return res.status(400).json({ error: "Message is required" });
+      }
+  
+      const notificationRef = realtimeDatabase.ref(`Notifications/${id}`);
+      
+      await notificationRef.update({
+        message,
+        updatedAt: admin.database.ServerValue.TIMESTAMP
+      });
+  
+      res.status(200).json({
+        message: "Notification updated successfully"
+      });
+  
+    } catch (error) {
+      console.error("Error updating notification:", error);
+      res.status(500).json({ 
+        error: "Failed to update notification",
+        details: error.message 
+      });
+    }
+  });
+  
+  // API to delete a notification
+  app.delete("/api/notifications/:id", requirePermission('content:write'), async (req, res) => {
+    const { id } = req.params;
+  
+    try {
+      const notificationRef = realtimeDatabase.ref(`Notifications/${id}`);
+      await notificationRef.remove();
+  
+      res.status(200).json({
+        message: "Notification deleted successfully"
+      });
+  
+    } catch (error) {
+      console.error("Error deleting notification:", error);
+      res.status(500).json({ 
+        error: "Failed to delete notification",
+        details: error.message 
+      });
+    }
+  });
+
+
+  //Syllabus pdf
+ // Save syllabus endpoint
+app.post("/api/syllabus", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { examTitle, syllabusLink } = req.body;
+
+    // Validate input
+    if (!examTitle || !syllabusLink) {
+      return res.status(400).json({
+        error: "Missing required fields. Please provide exam title and syllabus link"
+      });
+    }
+
+    // Generate unique ID
+    const syllabusId = `syllabus_${Date.now()}`;
+
+    // Create syllabus data object
+    const syllabusData = {
+      id: syllabusId,
+      examTitle,
+      syllabusLink,
+      uploadedAt: new Date().toISOString(),
+      updatedAt: admin.database.ServerValue.TIMESTAMP,
+      version: "3.11.174"
+    };
+
+    // Save to Firebase Realtime Database
+    const syllabusRef = admin.database().ref('Syllabus').child(syllabusId);
+    await syllabusRef.set(syllabusData);
+
+    res.status(200).json({
+      message: "Syllabus saved successfully",
+      data: syllabusData
+    });
+
+  } catch (error) {
+    console.error("Error saving syllabus:", error);
+    res.status(500).json({
+      error: "Failed to save syllabus",
+      details: error.message
+    });
+  }
+});
+
+// Get all syllabus endpoint
+app.get("/api/syllabus", async (req, res) => {
+  try {
+    const syllabusRef = admin.database().ref("Syllabus");
+    const snapshot = await syllabusRef.once("value");
+
+    if (!snapshot.exists()) {
+      return res.status(200).json({
+        message: "No syllabus found",
+        data: {},
+        version: "3.11.174"
+      });
+    }
+
+    const syllabusData = snapshot.val();
+
+    res.status(200).json({
+      message: "Syllabus fetched successfully",
+      data: syllabusData,
+      version: "3.11.174"
+    });
+
+  } catch (error) {
+    console.error("Error fetching syllabus:", error);
+    res.status(500).json({
+      error: "Failed to fetch syllabus",
+      details: error.message
+    });
+  }
+});
+
+// Update syllabus endpoint
+app.put("/api/syllabus/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { examTitle, syllabusLink } = req.body;
+
+    // Validate input
+    if (!examTitle || !syllabusLink) {
+      return res.status(400).json({
+        error: "Missing required fields. Please provide exam title and syllabus link"
+      });
+    }
+
+    const syllabusRef = admin.database().ref('Syllabus').child(id);
+    const snapshot = await syllabusRef.once('value');
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Syllabus not found" });
+    }
+
+    const updatedData = {
+      ...snapshot.val(),
+      examTitle,
+      syllabusLink,
+      updatedAt: admin.database.ServerValue.TIMESTAMP
+    };
+
+    await syllabusRef.update(updatedData);
+
+    res.status(200).json({
+      message: "Syllabus updated successfully",
+      data: updatedData
+    });
+
+  } catch (error) {
+    console.error("Error updating syllabus:", error);
+    res.status(500).json({
+      error: "Failed to update syllabus",
+      details: error.message
+    });
+  }
+});
+
+// Delete syllabus endpoint
+app.delete("/api/syllabus/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const syllabusRef = admin.database().ref('Syllabus').child(id);
+    
+    const snapshot = await syllabusRef.once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Syllabus not found" });
+    }
+
+    await syllabusRef.remove();
+
+    res.status(200).json({
+      message: "Syllabus deleted successfully"
+    });
+
+  } catch (error) {
+    console.error("Error deleting syllabus:", error);
+    res.status(500).json({
+      error: "Failed to delete syllabus",
+      details: error.message
+    });
+  }
+});
+
+
+//Api for q/a upload
+app.post("/api/exam-qa", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { examTitle, qaLink } = req.body;
+
+    // Validate input
+    if (!examTitle || !qaLink) {
+      return res.status(400).json({
+        error: "Missing required fields. Please provide exam title and Q&A link.",
+      });
+    }
+
+    // Generate unique ID for the Q&A entry
+    const qaId = `qa_${Date.now()}`;
+
+    // Create Q&A data object
+    const qaData = {
+      id: qaId,
+      examTitle,
+      qaLink,
+      uploadedAt: new Date().toISOString(),
+      version: "1.0.0", // Optional: Add version or metadata
+    };
+
+    // Save to Firebase Realtime Database
+    const qaRef = admin.database().ref("ExamQA").child(qaId);
+    await qaRef.set(qaData);
+
+    // Respond with success
+    res.status(200).json({
+      message: "Exam Q&A saved successfully",
+      data: qaData,
+    });
+  } catch (error) {
+    console.error("Error saving Q&A details:", error);
+    res.status(500).json({
+      error: "Failed to save Q&A details",
+      details: error.message,
+    });
+  }
+});
+
+  
+// API to get all concerns from Firestore
+app.get("/api/concerns", requirePermission('concerns:manage'), async (req, res) => {
+  try {
+      // Reference to the concerns collection in Firestore
+      const concernsRef = firestore.collection("concerns");
+
+      // Get all concerns
+      const snapshot = await concernsRef.get();
+
+      if (snapshot.empty) {
+          return res.status(404).json({
+              message: "No concerns found",
+          });
+      }
+
+      // Convert Firestore documents to an array of concern objects
+      const concerns = snapshot.docs.map(doc => ({
+          id: doc.id,
+          ...doc.data(),
+      }));
+
+      // Return concerns to the client
+      res.status(200).json({
+          concerns,
+      });
+  } catch (error) {
+      console.error("Error fetching concerns:", error);
+      res.status(500).json({
+          error: "Failed to fetch concerns",
+          details: error.message,
+      });
+  }
+});
+
+// API to delete a concern
+app.delete("/api/concerns/:id", requirePermission('concerns:manage'), async (req, res) => {
+  try {
+    const concernId = req.params.id;
+
+    // Reference to the specific concern in Firestore
+    const concernRef = firestore.collection("concerns").doc(concernId);
+
+    // Delete the concern document
+    await concernRef.delete();
+
+    res.status(200).json({ message: "Concern deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting concern:", error);
+    res.status(500).json({ error: "Failed to delete concern", details: error.message });
+  }
+});
+
+
+
+//Login page
+// Admin Login API - issues a signed, expiring token
+app.post("/api/admin/login", async (req, res) => {
+  const { userid, password } = req.body;
+
+  if (!userid || !password || typeof userid !== 'string' || typeof password !== 'string') {
+    return res.status(400).json({ error: "User ID and Password are required." });
+  }
+
+  try {
+    // Fetch stored admin credentials
+    const account = await getAdminAccount(userid.trim());
+
+    if (!account || account.active === false) {
+      return res.status(401).json({ error: "Invalid User ID or Password." });
+    }
+
+    let valid = false;
+
+    if (account.passwordHash) {
+      valid = await bcrypt.compare(password.trim(), account.passwordHash);
+    } else if (account.password) {
+      // Legacy plain text password: check it once, then replace it with a hash
+      valid = safeEqual(account.password, password.trim());
+      if (valid) {
+        await account.ref.update({
+          passwordHash: await bcrypt.hash(password.trim(), 10),
+          password: null
+        });
+      }
+    }
+
+    if (!valid) {
+      return res.status(401).json({ error: "Invalid User ID or Password." });
+    }
+
+    const token = signAdminToken(account);
+    const { exp } = jwt.decode(token);
+
+    return res.status(200).json({
+      message: "Login successful!",
+      token,
+      expiresAt: new Date(exp * 1000).toISOString(),
+      admin: {
+        userid: account.userid,
+        name: account.name || account.userid,
+        role: account.role,
+        permissions: getRolePermissions(account.role)
+      }
+    });
+  } catch (error) {
+    console.error("Error during admin login:", error);
+    return res.status(500).json({ error: "Internal Server Error." });
+  }
+});
+
+// API to check the current admin session
+app.get("/api/admin/session", requireAdmin, (req, res) => {
+  res.status(200).json({
+    userid: req.admin.userid,
+    name: req.admin.name,
+    role: req.admin.role,
+    permissions: getRolePermissions(req.admin.role),
+    expiresAt: new Date(req.admin.exp * 1000).toISOString()
+  });
+});
+
+
+//Admin user management apis
+// Strip secrets before returning an admin account
+const formatAdminUser = (userid, data) => ({
+  userid,
+  name: data.name || userid,
+  role: data.role,
+  active: data.active !== false,
+  createdAt: data.createdAt || null,
+  createdBy: data.createdBy || null,
+  updatedAt: data.updatedAt || null
+});
+
+// API to list available roles
+app.get("/api/admin/roles", requirePermission('admins:manage'), (req, res) => {
+  res.status(200).json({ roles: ADMIN_ROLES });
+});
+
+// API to list admin users
+app.get("/api/admin/users", requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const snapshot = await adminUsersRef.once('value');
+    const users = [];
+
+    snapshot.forEach((childSnapshot) => {
+      users.push(formatAdminUser(childSnapshot.key, childSnapshot.val()));
+    });
+
+    res.status(200).json({ users });
+  } catch (error) {
+    console.error("Error fetching admin users:", error);
+    res.status(500).json({ error: "Failed to fetch admin users", details: error.message });
+  }
+});
+
+// API to create an admin user
+app.post("/api/admin/users", requirePermission('admins:manage'), async (req, res) => {
+  const { userid, password, name, role } = req.body;
+
+  try {
+    if (!userid || !password || !role) {
+      return res.status(400).json({ error: "userid, password and role are required" });
+    }
+
+    if (typeof password !== 'string') {
+      return res.status(400).json({ error: "Password must be a string" });
+    }
+
+    if (!isValidAdminUserid(userid)) {
+      return res.status(400).json({
+        error: "User ID must be 3-32 characters of letters, numbers, '-' or '_'"
+      });
+    }
+
+    if (!ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: "Invalid role", roles: Object.keys(ADMIN_ROLES) });
+    }
+
+    if (password.length < 8) {
+      return res.status(400).json({ error: "Password must be at least 8 characters" });
+    }
+
+    const userRef = adminUsersRef.child(userid);
+    const userData = {
+      name: name || userid,
+      role,
+      active: true,
+      passwordHash: await bcrypt.hash(password, 10),
+      createdAt: new Date().toISOString(),
+      createdBy: req.admin.userid
+    };
+
+    // Transaction so two concurrent requests cannot create the same user
+    const { committed } = await userRef.transaction((current) => {
+      if (current !== null) {
+        return;
+      }
+      return userData;
+    });
+
+    if (!committed) {
+      return res.status(409).json({ error: "An admin user with this ID already exists" });
+    }
+
+    res.status(201).json({
+      message: "Admin user created successfully",
+      user: formatAdminUser(userid, userData)
+    });
+  } catch (error) {
+    console.error("Error creating admin user:", error);
+    res.status(500).json({ error: "Failed to create admin user", details: error.message });
+  }
+});
+
+// API to update an admin user's name, role, status or password
+app.put("/api/admin/users/:userid", requirePermission('admins:manage'), async (req, res) => {
+  const { userid } = req.params;
+  const { name, role, active, password } = req.body;
+
+  try {
+    if (!isValidAdminUserid(userid)) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+
+    const userRef = adminUsersRef.child(userid);
+    const snapshot = await userRef.once('value');
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+
+    if (role !== undefined && !ADMIN_ROLES[role]) {
+      return res.status(400).json({ error: "Invalid role", roles: Object.keys(ADMIN_ROLES) });
+    }
+
+    // Admins cannot lock themselves out
+    if (userid === req.admin.userid && (active === false || (role && role !== snapshot.val().role))) {
+      return res.status(400).json({ error: "You cannot change your own role or deactivate yourself" });
+    }
+
+    const updates = {
+      updatedAt: new Date().toISOString(),
+      updatedBy: req.admin.userid
+    };
+
+    if (name !== undefined) updates.name = name;
+    if (role !== undefined) updates.role = role;
+    if (active !== undefined) updates.active = Boolean(active);
+
+    if (password !== undefined) {
+      if (typeof password !== 'string' || password.length < 8) {
+        return res.status(400).json({ error: "Password must be a string of at least 8 characters" });
+      }
+      updates.passwordHash = await bcrypt.hash(password, 10);
+      updates.tokenVersion = (snapshot.val().tokenVersion || 0) + 1;
+    }
+
+    await userRef.update(updates);
+
+    res.status(200).json({
+      message: "Admin user updated successfully",
+      user: formatAdminUser(userid, { ...snapshot.val(), ...updates })
+    });
+  } catch (error) {
+    console.error("Error updating admin user:", error);
+    res.status(500).json({ error: "Failed to update admin user", details: error.message });
+  }
+});
+
+// API to delete an admin user
+app.delete("/api/admin/users/:userid", requirePermission('admins:manage'), async (req, res) => {
+  const { userid } = req.params;
+
+  try {
+    if (userid === req.admin.userid) {
+      return res.status(400).json({ error: "You cannot delete your own account" });
+    }
+
+    if (!isValidAdminUserid(userid)) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+
+    const userRef = adminUsersRef.child(userid);
+    const snapshot = await userRef.once('value');
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Admin user not found" });
+    }
+
+    await userRef.remove();
+
+    res.status(200).json({ message: "Admin user deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting admin user:", error);
+    res.status(500).json({ error: "Failed to delete admin user", details: error.message });
+  }
+});
+
+
+//Api for candidates section
+app.get('/api/admin/candidates', requirePermission('candidates:read'), async (req, res) => {
+  try {
+    // Fetch all candidate documents from the 'candidates' collection
+    const snapshot = await firestore.collection('candidates').get();
+
+    if (snapshot.empty) {
+      return res.status(404).json({ message: 'No candidates found' });
+    }
+
+    // Map through the documents and return the candidate data
+    const candidates = snapshot.docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+    }));
+
+    res.status(200).json({ message: 'Candidates fetched successfully', candidates });
+  } catch (error) {
+    console.error('Error fetching candidates:', error);
+    res.status(500).json({ error: 'Failed to fetch candidates' });
+  }
+});
+
+app.get("/api/admin/exams", requirePermission('exams:read'), async (req, res) => {
+  try {
+    const examsRef = firestore.collection("Exams");
+    const examSnapshot = await examsRef.get();
+    
+    const exams = [];
+    
+    // Fetch each exam and its subcollections
+    for (const examDoc of examSnapshot.docs) {
+      const examData = examDoc.data();
+      const examId = examDoc.id;
+      
+      // Get exam details subcollection
+      const examDetailsRef = examsRef.doc(examId);
+      const examDetailsSnapshot = await examDetailsRef.get();
+      
+      // Get questions subcollection
+      const questionsRef = examDetailsRef.collection("Questions");
+      const questionsSnapshot = await questionsRef.get();
+      
+      const questions = [];
+      questionsSnapshot.forEach(questionDoc => {
+        questions.push({
+          id: questionDoc.id,
+          ...questionDoc.data()
+        });
+      });
+
+      // Combine all data
+      exams.push({
+        id: examId,
+        ...examData,
+        examDetails: examDetailsSnapshot.data(),
+        questions: questions
+      });
+    }
+    
+    res.status(200).json({
+      success: true,
+      data: exams
+    });
+    
+  } catch (error) {
+    console.error("Error fetching exams:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to fetch exams",
+      details: error.message
+    });
+  }
+});
+
+
+// delte apis
+app.delete("/api/candidates", requirePermission('candidates:delete'), async (req, res) => {
+  try {
+      // Firestore reference to the "Candidates" collection
+      const candidatesCollection = firestore.collection("Candidates");
+
+      // Fetch all documents in the "Candidates" collection
+      const candidatesSnapshot = await candidatesCollection.get();
+
+      // Iterate through each document in the "Candidates" collection
+      for (const candidateDoc of candidatesSnapshot.docs) {
+          const candidateDocRef = candidateDoc.ref;
+
+          // Delete the "answers" document in the candidate's sub-collection, if it exists
+          const answersDocRef = candidateDocRef.collection("SubCollection").doc("answers");
+          const answersDoc = await answersDocRef.get();
+          if (answersDoc.exists) {
+              await answersDocRef.delete();
+          }
+
+          // Delete any sub-collections under the candidate document
+          const subCollections = await candidateDocRef.listCollections();
+          for (const subCollection of subCollections) {
+              const subCollectionRef = firestore.collection(subCollection.path);
+              const subCollectionDocs = await subCollectionRef.get();
+              for (const doc of subCollectionDocs.docs) {
+                  await doc.ref.delete();
+              }
+          }
+
+          // Delete the candidate document itself
+          await candidateDocRef.delete();
+      }
+
+      res.status(200).json({ message: "Candidates collection and related data deleted successfully" });
+  } catch (error) {
+      console.error("Error deleting Candidates data:", error);
+      res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+
+//Apis see details of winners
+app.get('/api/winners', async (req, res) => {
+  try {
+    // Reference to Winners collection
+    const winnersRef = realtimeDatabase.ref('Winners');
+    
+    // Get all data from Winners node
+    const snapshot = await winnersRef.once('value');
+    const winnersData = snapshot.val();
+    
+    // If no data exists
+    if (!winnersData) {
+      return res.status(404).json({
+        success: false,
+        error: 'No winners data found'
+      });
+    }
+    
+    // Transform data into a more organized structure
+    const formattedData = {};
+    
+    // Iterate through exam titles
+    Object.entries(winnersData).forEach(([examTitle, examData]) => {
+      formattedData[examTitle] = [];
+      
+      // Iterate through registrations under each exam
+      Object.entries(examData).forEach(([regNumber, winnerDetails]) => {
+        formattedData[examTitle].push({
+          registrationNumber: regNumber,
+          ...winnerDetails
+        });
+      });
+      
+      // Sort winners by rank for each exam
+      formattedData[examTitle].sort((a, b) => a.rank - b.rank);
+    });
+    
+    // Prepare response
+    const response = {
+      success: true,
+      data: {
+        message: 'Winners data retrieved successfully',
+        winners: formattedData
+      }
+    };
+    
+    res.status(200).json(response);
+    
+  } catch (error) {
+    console.error('Error retrieving winners data:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to retrieve winners data',
+      details: error.message
+    });
+  }
+});
+
+app.put('/api/winners/status', requirePermission('results:manage'), async (req, res) => {
+  try {
+    const { examTitle, registrationNumber, status } = req.body;
+
+    // Validate required fields
+    if (!examTitle || !registrationNumber || !status) {
+      return res.status(400).json({
+        success: false,
+        error: 'Missing required fields'
+      });
+    }
+
+    // Reference to specific winner's status
+    const winnerRef = realtimeDatabase.ref(`Winners/${examTitle}/${registrationNumber}`);
+
+    // Update the status
+    await winnerRef.update({ status });
+
+    // Return success response
+    res.status(200).json({
+      success: true,
+      data: {
+        message: 'Winner status updated successfully'
+      }
+    });
+
+  } catch (error) {
+    console.error('Error updating winner status:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to update winner status',
+      details: error.message
+    });
+  }
+});
+
+// Recompute the official rank list for an exam from Results
+app.post('/api/admin/exams/:examTitle/rankings', requirePermission('results:manage'), async (req, res) => {
+  try {
+    const { examTitle } = req.params;
+    const rankings = await saveRankList(examTitle);
+
+    if (rankings.entries.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No results found for this exam'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: rankings
+    });
+  } catch (error) {
+    console.error('Error computing rankings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to compute rankings',
+      details: error.message
+    });
+  }
+});
+
+app.get('/api/admin/exams/:examTitle/rankings', requirePermission('results:read'), async (req, res) => {
+  try {
+    const snapshot = await realtimeDatabase.ref(`Rankings/${req.params.examTitle}`).once('value');
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({
+        success: false,
+        error: 'Rankings have not been computed for this exam'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: snapshot.val()
+    });
+  } catch (error) {
+    console.error('Error fetching rankings:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to fetch rankings',
+      details: error.message
+    });
+  }
+});
+
+// Publish everyone ranked within the top N (ties included) as provisional
+// winners. Choices already made are kept when the candidate's rank is unchanged
+app.post('/api/admin/exams/:examTitle/winners/publish', requirePermission('results:manage'), async (req, res) => {
+  try {
+    const { examTitle } = req.params;
+    const topN = Number(req.body.topN);
+
+    if (!Number.isInteger(topN) || topN < 1) {
+      return res.status(400).json({
+        success: false,
+        error: 'topN must be a positive integer'
+      });
+    }
+
+    const rankings = await saveRankList(examTitle);
+    const winners = rankings.entries.filter(entry => entry.rank <= topN);
+
+    if (winners.length === 0) {
+      return res.status(404).json({
+        success: false,
+        error: 'No results found for this exam'
+      });
+    }
+
+    const winnersRef = realtimeDatabase.ref(`Winners/${examTitle}`);
+    const existingSnapshot = await winnersRef.once('value');
+    const existing = existingSnapshot.val() || {};
+    const publishedAt = new Date().toISOString();
+
+    const candidateDocs = await Promise.all(
+      winners.map(entry => firestore.collection('candidates').doc(entry.registrationNumber).get())
+    );
+
+    const published = {};
+    winners.forEach((entry, index) => {
+      const previous = existing[entry.registrationNumber];
+      if (previous && previous.rank === entry.rank && previous.selectedOption) {
+        published[entry.registrationNumber] = previous;
+        return;
+      }
+
+      const candidateData = candidateDocs[index].exists ? candidateDocs[index].data() : null;
+      published[entry.registrationNumber] = {
+        registrationNumber: entry.registrationNumber,
+        examTitle,
+        rank: entry.rank,
+        score: entry.score,
+        status: 'provisional',
+        publishedAt,
+        ...(candidateData && {
+          candidateDetails: {
+            name: candidateData.candidateName || null,
+            exam: candidateData.exam || null,
+            examDate: candidateData.examDate || null
+          }
+        })
+      };
+    });
+
+    await winnersRef.set(published);
+
+    res.status(200).json({
+      success: true,
+      data: {
+        message: 'Provisional winners published successfully',
+        examTitle,
+        topN,
+        winners: Object.values(published).sort((a, b) => a.rank - b.rank)
+      }
+    });
+  } catch (error) {
+    console.error('Error publishing winners:', error);
+    res.status(500).json({
+      success: false,
+      error: 'Failed to publish winners',
+      details: error.message
+    });
+  }
+});
+
+
+
+
+
+//Practice Test Apis down
+
+
+//Practice Categry
+
+// Reference to categories in realtime database
+const categoriesRef = realtimeDatabase.ref('Practicecategories');
+
+// category apis
+// Create category
+app.post("/api/categories", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+
+    const newCategoryRef = categoriesRef.push();
+    await newCategoryRef.set({
+      name,
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    });
+
+    res.status(201).json({
+      id: newCategoryRef.key,
+      name
+    });
+  } catch (error) {
+    console.error("Error creating category:", error);
+    res.status(500).json({ error: "Failed to create category" });
+  }
+});
+
+// Get all categories
+app.get("/api/categories", async (req, res) => {
+  try {
+    const snapshot = await categoriesRef.once('value');
+    const categories = [];
+    
+    snapshot.forEach((childSnapshot) => {
+      categories.push({
+        id: childSnapshot.key,
+        ...childSnapshot.val()
+      });
+    });
+
+    res.json(categories);
+  } catch (error) {
+    console.error("Error fetching categories:", error);
+    res.status(500).json({ error: "Failed to fetch categories" });
+  }
+});
+
+
+// Update category
+app.put("/api/categories/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+
+    const categoryRef = categoriesRef.child(id);
+    await categoryRef.update({
+      name,
+      updatedAt: admin.database.ServerValue.TIMESTAMP
+    });
+
+    res.json({ id, name });
+  } catch (error) {
+    console.error("Error updating category:", error);
+    res.status(500).json({ error: "Failed to update category" });
+  }
+});
+
+// Delete category
+app.delete("/api/categories/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await categoriesRef.child(id).remove();
+    res.json({ message: "Category deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting category:", error);
+    res.status(500).json({ error: "Failed to delete category" });
+  }
+});
+
+
+
+//Apis for preatice test detsils
+app.post("/api/practice-tests", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { category, title, fees, duration, timeLimit } = req.body;
+
+    if (!category || !title) {
+      return res.status(400).json({ error: "Category and Title are required" });
+    }
+
+    const newTestRef = practiceTestsRef.child(category).child(title);
+
+    await newTestRef.set({
+      fees: fees || 0,
+      duration: duration || "N/A",
+      timeLimit: timeLimit || "N/A",
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    });
+
+    res.status(201).json({
+      message: "Practice test added successfully",
+      category,
+      title,
+      fees,
+      duration,
+      timeLimit
+    });
+  } catch (error) {
+    console.error("Error adding practice test:", error);
+    res.status(500).json({ error: "Failed to add practice test" });
+  }
+});
+
+
+app.get("/api/practice-tests", async (req, res) => {
+  try {
+    const snapshot = await practiceTestsRef.once('value');
+    const practiceTests = {};
+
+    snapshot.forEach((categorySnapshot) => {
+      const category = categorySnapshot.key;
+      practiceTests[category] = {};
+
+      categorySnapshot.forEach((titleSnapshot) => {
+        practiceTests[category][titleSnapshot.key] = titleSnapshot.val();
+      });
+    });
+
+    res.json(practiceTests);
+  } catch (error) {
+    console.error("Error fetching practice tests:", error);
+    res.status(500).json({ error: "Failed to fetch practice tests" });
+  }
+});
+
+
+app.get("/api/practice-tests/:category", async (req, res) => {
+  try {
+    const { category } = req.params;
+    const categoryRef = practiceTestsRef.child(category);
+
+    const snapshot = await categoryRef.once('value');
+
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Category not found" });
+    }
+
+    res.json(snapshot.val());
+  } catch (error) {
+    console.error("Error fetching category practice tests:", error);
+    res.status(500).json({ error: "Failed to fetch category practice tests" });
+  }
+});
+
+
+app.delete("/api/practice-tests/:category/:title", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { category, title } = req.params;
+    const testRef = practiceTestsRef.child(category).child(title);
+
+    const snapshot = await testRef.once('value');
+    if (!snapshot.exists()) {
+      return res.status(404).json({ error: "Practice test not found" });
+    }
+
+    await testRef.remove();
+
+    res.json({ message: "Practice test deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting practice test:", error);
+    res.status(500).json({ error: "Failed to delete practice test" });
+  }
+});
+
+
+
+//Practice Questions api 
+
+// API to add a question to a specific practice test
+app.post("/api/practice-tests/:category/:examId/questions", requirePermission('content:write'), upload.single("image"), async (req, res) => {
+  const { category, examId } = req.params;
+  const { question, compressImage } = req.body;
+  const image = req.file;
+
+  try {
+    // Validate input
+    if (!category || !examId || !question || req.body.correctAnswer === undefined) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    // Parse the question type, options and correct answer
+    const answerFields = parseQuestionAnswerFields(req.body);
+    if (answerFields.error) {
+      return res.status(400).json({ error: answerFields.error });
+    }
+
+    const markingFields = parseQuestionMarkingFields(req.body, (answerFields.fields.options || []).length);
+    if (markingFields.error) {
+      return res.status(400).json({ error: markingFields.error });
+    }
+
+    // Firestore references
+    const examDocRef = firestore.collection("PracticeTests").doc(category).collection("Exams").doc(examId);
+    const questionsCollection = examDocRef.collection("Questions");
+
+    // Get the current count of questions to determine the new order
+    const allQuestionsSnapshot = await questionsCollection.get();
+    const nextOrder = allQuestionsSnapshot.size + 1;
+
+    // Prepare question data with order field
+    const questionData = {
+      question,
+      ...answerFields.fields,
+      ...markingFields.fields,
+      order: nextOrder,
+      timestamp: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // Handle image upload to Firebase Storage if present
+    if (image) {
+      const fileExtension = image.originalname.split('.').pop();
+      const fileName = `practice-tests/${category}/${examId}/questions/${uuidv4()}.${fileExtension}`;
+      const file = bucket.file(fileName);
+
+      let imageBuffer = image.buffer;
+      
+      // Apply compression if requested and it's a JPEG or PNG
+      if (compressImage === "true" && ['jpg', 'jpeg', 'png'].includes(fileExtension.toLowerCase())) {
+        try {
+          // Optimize image - reduce size while maintaining quality
+          imageBuffer = await sharp(image.buffer)
+            .resize({ 
+              width: 1200, // max width
+              height: 1200, // max height
+              fit: 'inside',
+              withoutEnlargement: true 
+            })
+            .jpeg({ quality: 80 }) // For JPEGs, adjust quality
+            .toBuffer();
+        } catch (err) {
+          console.warn("Image optimization failed, using original:", err);
+          // Fall back to original image if optimization fails
+          imageBuffer = image.buffer;
+        }
+      }
+
+      // Create a write stream with better settings
+      const stream = file.createWriteStream({
+        metadata: {
+          contentType: image.mimetype,
+          cacheControl: 'public, max-age=31536000', // Cache for 1 year
+        },
+        resumable: false, // Disable resumable uploads for small files to speed up process
+      });
+
+      // Upload and save to Firestore concurrently
+      let imageUrl = null;
+      
+      // Handle stream errors
+      const uploadPromise = new Promise((resolve, reject) => {
+        stream.on("error", (error) => {
+          console.error("Upload error:", error);
+          reject(error);
+        });
+
+        stream.on("finish", async () => {
+          // Make the file publicly accessible
+          await file.makePublic();
+
+          // Get the public URL
+          imageUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
+          resolve();
+        });
+
+        // Write the file buffer to storage
+        stream.end(imageBuffer);
+      });
+
+      try {
+        await uploadPromise;
+        
+        // Add image URL to question data
+        if (imageUrl) {
+          questionData.imageUrl = imageUrl;
+        }
+        
+        // Add question to Firestore
+        const questionDoc = await questionsCollection.add(questionData);
+        
+        return res.status(200).json({
+          message: "Question added successfully",
+          questionId: questionDoc.id,
+          order: nextOrder,
+          imageUrl
+        });
+      } catch (error) {
+        console.error("Error in upload or save:", error);
+        return res.status(500).json({ error: "Failed to save question data" });
+      }
+    } else {
+      // Add question to Firestore without image
+      const questionDoc = await questionsCollection.add(questionData);
+
+      return res.status(200).json({
+        message: "Question added successfully",
+        questionId: questionDoc.id,
+        order: nextOrder
+      });
+    }
+  } catch (error) {
+    console.error("Error saving question:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API to update a question
+app.put("/api/practice-tests/:category/:examId/questions/:questionId", requirePermission('content:write'), upload.single("image"), async (req, res) => {
+  const { category, examId, questionId } = req.params;
+  const { question, compressImage } = req.body;
+  const image = req.file;
+
+  try {
+    // Validate input
+    if (!category || !examId || !questionId || !question || req.body.correctAnswer === undefined) {
+      return res.status(400).json({ error: "Missing required fields" });
+    }
+
+    // Parse the question type, options and correct answer
+    const answerFields = parseQuestionAnswerFields(req.body);
+    if (answerFields.error) {
+      return res.status(400).json({ error: answerFields.error });
+    }
+
+    const markingFields = parseQuestionMarkingFields(req.body, (answerFields.fields.options || []).length);
+    if (markingFields.error) {
+      return res.status(400).json({ error: markingFields.error });
+    }
+
+    // Firestore references
+    const questionDocRef = firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId)
+      .collection("Questions").doc(questionId);
+
+    // Get the current question data
+    const questionSnapshot = await questionDocRef.get();
+    if (!questionSnapshot.exists) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    const currentData = questionSnapshot.data();
+
+    // Prepare update data
+    const updateData = {
+      question,
+      ...toAnswerUpdate(answerFields.fields),
+      ...markingFields.fields,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    };
+
+    // Handle image upload if a new image is provided
+    if (image) {
+      // Delete the old image (unless it is a shared bank image) while the new one is processed
+      const deletePromise = deleteQuestionImage(currentData.imageUrl);
+
+      // Process new image while old one is being deleted
+      const fileExtension = image.originalname.split('.').pop();
+      const fileName = `practice-tests/${category}/${examId}/questions/${uuidv4()}.${fileExtension}`;
+      const file = bucket.file(fileName);
+
+      let imageBuffer = image.buffer;
+      
+      // Apply compression if requested and it's a JPEG or PNG
+      if (compressImage === "true" && ['jpg', 'jpeg', 'png'].includes(fileExtension.toLowerCase())) {
+        try {
+          imageBuffer = await sharp(image.buffer)
+            .resize({ 
+              width: 1200,
+              height: 1200,
+              fit: 'inside',
+              withoutEnlargement: true 
+            })
+            .jpeg({ quality: 80 })
+            .toBuffer();
+        } catch (err) {
+          console.warn("Image optimization failed, using original:", err);
+          imageBuffer = image.buffer;
+        }
+      }
+
+      // Create a write stream with better settings
+      const stream = file.createWriteStream({
+        metadata: {
+          contentType: image.mimetype,
+          cacheControl: 'public, max-age=31536000',
+        },
+        resumable: false,
+      });
+
+      // Upload image and handle both promises
+      let imageUrl = null;
+      
+      const uploadPromise = new Promise((resolve, reject) => {
+        stream.on("error", (error) => {
+          console.error("Upload error:", error);
+          reject(error);
+        });
+
+        stream.on("finish", async () => {
+          // Make the file publicly accessible
+          await file.makePublic();
+
+          // Get the public URL
+          imageUrl = `https://storage.googleapis.com/${bucket.name}/${fileName}`;
+          resolve();
+        });
+
+        // Write the file buffer to storage
+        stream.end(imageBuffer);
+      });
+
+      try {
+        // Wait for both deletion and upload to complete
+        await Promise.all([deletePromise, uploadPromise]);
+        
+        // Add image URL to update data
+        if (imageUrl) {
+          updateData.imageUrl = imageUrl;
+        }
+        
+        // Update question in Firestore
+        await questionDocRef.update(updateData);
+        
+        return res.status(200).json({
+          message: "Question updated successfully",
+          imageUrl
+        });
+      } catch (error) {
+        console.error("Error in upload or update:", error);
+        return res.status(500).json({ error: "Failed to update question data" });
+      }
+    } else {
+      // Update question without changing the image
+      await questionDocRef.update(updateData);
+
+      return res.status(200).json({
+        message: "Question updated successfully"
+      });
+    }
+  } catch (error) {
+    console.error("Error updating question:", error);
+    return res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API to delete a question
+app.delete("/api/practice-tests/:category/:examId/questions/:questionId", requirePermission('content:write'), async (req, res) => {
+  const { category, examId, questionId } = req.params;
+
+  try {
+    // Firestore references
+    const questionDocRef = firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId)
+      .collection("Questions").doc(questionId);
+
+    // Get the question data to check for image
+    const questionSnapshot = await questionDocRef.get();
+    if (!questionSnapshot.exists) {
+      return res.status(404).json({ error: "Question not found" });
+    }
+
+    const questionData = questionSnapshot.data();
+
+    // Delete image from Storage if it exists and is not a shared bank image
+    await deleteQuestionImage(questionData.imageUrl);
+
+    // Delete the question document
+    await questionDocRef.delete();
+
+    // Return success response
+    res.status(200).json({ message: "Question deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting question:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API to get all questions for a specific exam, including the answer key
+app.get("/api/admin/practice-tests/:category/:examId/questions", requirePermission('exams:read'), async (req, res) => {
+  const { category, examId } = req.params;
+
+  try {
+    // Firestore references
+    const questionsCollection = firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId)
+      .collection("Questions");
+
+    // Get all questions ordered by the 'order' field
+    const questionsSnapshot = await questionsCollection.orderBy("order", "asc").get();
+
+    if (questionsSnapshot.empty) {
+      return res.status(200).json({ questions: [] });
+    }
+
+    // Transform the snapshot to an array of questions
+    const questions = [];
+    questionsSnapshot.forEach((doc) => {
+      const questionData = doc.data();
+      questions.push({
+        id: doc.id,
+        question: questionData.question,
+        type: getQuestionType(questionData),
+        options: questionData.options || [],
+        matchLeft: questionData.matchLeft || null,
+        correctAnswer: questionData.correctAnswer,
+        tolerance: questionData.tolerance ?? null,
+        imageUrl: questionData.imageUrl || null,
+        order: questionData.order
+      });
+    });
+
+    // Return the questions
+    res.status(200).json({ questions });
+  } catch (error) {
+    console.error("Error fetching questions:", error);
+    res.status(500).json({ error: "Internal server error" });
+  }
+});
+
+// API to save exam date and time for practice tests
+app.post("/api/practice-tests/:category/:examId/date-time", requirePermission('exams:schedule'), async (req, res) => {
+  const { category, examId } = req.params;
+  const { date, startTime, endTime, marks, price } = req.body;
+
+  try {
+    // Validate input
+    if (!category || !examId || !date || !startTime || !endTime || marks === undefined || price === undefined) {
+      return res.status(400).json({
+        error: "Missing required fields. Please provide date, startTime, endTime, marks, and price."
+      });
+    }
+
+    // Validate 12-hour time format with AM/PM
+    const timeRegex = /^(0?[1-9]|1[0-2]):[0-5][0-9]\s?(AM|PM)$/i;
+    if (!timeRegex.test(startTime) || !timeRegex.test(endTime)) {
+      return res.status(400).json({
+        error: "Invalid time format. Please provide time in 12-hour format (e.g., 1:45 PM)."
+      });
+    }
+
+    // Store data in both Realtime Database and Firestore
+    const dateTimeData = {
+      date,
+      startTime,
+      endTime,
+      marks,
+      price,
+      updatedAt: firebaseAdmin.database.ServerValue.TIMESTAMP
+    };
+
+    // Reference to the exam date-time in Realtime Database
+    const examDateTimeRef = firebaseAdmin.database()
+      .ref(`PracticeTestDateTime/${category}/${examId}`);
+
+    // Reference to the exam in Firestore
+    const examRef = firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId);
+
+    // Save to Realtime Database
+    await examDateTimeRef.set(dateTimeData);
+
+    // Update Firestore document
+    await examRef.set({
+      dateTime: {
+        date,
+        startTime,
+        endTime,
+        marks,
+        price,
+        updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      }
+    }, { merge: true });
+
+    res.status(200).json({
+      message: "Practice test details saved successfully",
+      data: {
+        category,
+        examId,
+        date,
+        startTime,
+        endTime,
+        marks,
+        price
+      }
+    });
+  } catch (error) {
+    console.error("Error saving practice test details:", error);
+    res.status(500).json({
+      error: "Failed to save practice test details",
+      details: error.message
+    });
+  }
+});
+
+// API to get exam date and time for practice tests
+app.get("/api/practice-tests/:category/:examId/date-time", async (req, res) => {
+  const { category, examId } = req.params;
+
+  try {
+    // Reference to the exam date-time in Realtime Database
+    const examDateTimeRef = firebaseAdmin.database()
+      .ref(`PracticeTestDateTime/${category}/${examId}`);
+    
+    // Get the data
+    const snapshot = await examDateTimeRef.once('value');
+    const dateTimeData = snapshot.val();
+
+    if (!dateTimeData) {
+      return res.status(404).json({ 
+        error: "Practice test date and time not found" 
+      });
+    }
+
+    res.status(200).json({
+      category,
+      examId,
+      ...dateTimeData
+    });
+  } catch (error) {
+    console.error("Error fetching practice test date and time:", error);
+    res.status(500).json({ 
+      error: "Failed to fetch practice test date and time",
+      details: error.message 
+    });
+  }
+});
+
+// API to save a practice test's marking scheme
+app.put("/api/practice-tests/:category/:examId/marking-scheme", requirePermission('content:write'), async (req, res) => {
+  const { category, examId } = req.params;
+  const { marksPerQuestion, negativeMarks, partialCredit, sections } = req.body;
+
+  try {
+    const markingScheme = {
+      marksPerQuestion: marksPerQuestion ?? null,
+      negativeMarks: negativeMarks ?? 0,
+      partialCredit: Boolean(partialCredit),
+      sections: sections || {}
+    };
+
+    const validationError = validateMarkingScheme(req.body);
+    if (validationError) {
+      return res.status(400).json({ error: validationError });
+    }
+
+    await firestore.collection("PracticeTests").doc(category)
+      .collection("Exams").doc(examId)
+      .set({
+        markingScheme: {
+          ...markingScheme,
+          updatedAt: admin.firestore.FieldValue.serverTimestamp()
+        }
+      }, { merge: true });
+
+    res.status(200).json({
+      message: "Marking scheme saved successfully",
+      data: { category, examId, markingScheme }
+    });
+  } catch (error) {
+    console.error("Error saving practice marking scheme:", error);
+    res.status(500).json({
+      error: "Failed to save marking scheme",
+      details: error.message
+    });
+  }
+});
+
+// API to get a practice test's marking scheme, with defaults filled in
+app.get("/api/practice-tests/:category/:examId/marking-scheme", async (req, res) => {
+  const { category, examId } = req.params;
+
+  try {
+    const questions = await getPracticeQuestions(category, examId);
+    const markingScheme = await getPracticeMarkingScheme(category, examId, questions.length);
+
+    res.status(200).json({ category, examId, markingScheme });
+  } catch (error) {
+    console.error("Error fetching practice marking scheme:", error);
+    res.status(500).json({
+      error: "Failed to fetch marking scheme",
+      details: error.message
+    });
+  }
+});
+
+
+//Api Students who purchased exams
+// GET API to fetch all students data
+app.get('/api/practicetestpurchasedstudents', requirePermission('payments:read'), async (req, res) => {
+  try {  
+    // Create a reference to the collection
+    const ref = realtimeDatabase.ref('practicetestpurchasedstudents');
+    
+    // Get all data from the reference
+    const snapshot = await ref.once('value');
+    
+    // Convert the snapshot to JSON
+    const data = snapshot.val();
+    
+    // If no data is found, return a 404
+    if (!data) {
+      return res.status(404).json({ 
+        success: false, 
+        message: 'No data found' 
+      });
+    }
+    
+    // Return the data
+    return res.status(200).json({
+      success: true,
+      data: data
+    });
+  } catch (error) {
+    console.error('Error retrieving data:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving data from database',
+      error: error.message
+    });
+  }
+});
+
+
+
+
+//Pdf syallbus realted apis
+
+//Pdf syllabus category apis
+// Create PDF syllabus category
+
+// Reference to categories in realtime database
+const pdfsyllabuscategoryRef = realtimeDatabase.ref('pdfsyllabuscategoryRef');
+app.post("/api/pdfsyllabuscategories", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+    
+    const newPdfSyllabusCategoryRef = pdfsyllabuscategoryRef.push();
+    await newPdfSyllabusCategoryRef.set({
+      name,
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    });
+    
+    res.status(201).json({
+      id: newPdfSyllabusCategoryRef.key,
+      name
+    });
+  } catch (error) {
+    console.error("Error creating PDF syllabus category:", error);
+    res.status(500).json({ error: "Failed to create PDF syllabus category" });
+  }
+});
+
+// Get all PDF syllabus categories
+app.get("/api/pdfsyllabuscategories", async (req, res) => {
+  try {
+    const snapshot = await pdfsyllabuscategoryRef.once('value');
+    const pdfsyllabuscategories = [];
+    
+    snapshot.forEach((childSnapshot) => {
+      pdfsyllabuscategories.push({
+        id: childSnapshot.key,
+        ...childSnapshot.val()
+      });
+    });
+    
+    res.json(pdfsyllabuscategories);
+  } catch (error) {
+    console.error("Error fetching PDF syllabus categories:", error);
+    res.status(500).json({ error: "Failed to fetch PDF syllabus categories" });
+  }
+});
+
+// Update PDF syllabus category
+app.put("/api/pdfsyllabuscategories/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+    
+    if (!name) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+    
+    const pdfsyllabusCategoryRef = pdfsyllabuscategoryRef.child(id);
+    await pdfsyllabusCategoryRef.update({
+      name,
+      updatedAt: admin.database.ServerValue.TIMESTAMP
+    });
+    
+    res.json({ id, name });
+  } catch (error) {
+    console.error("Error updating PDF syllabus category:", error);
+    res.status(500).json({ error: "Failed to update PDF syllabus category" });
+  }
+});
+
+// Delete PDF syllabus category
+app.delete("/api/pdfsyllabuscategories/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    
+    await pdfsyllabuscategoryRef.child(id).remove();
+    res.json({ message: "PDF syllabus category deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting PDF syllabus category:", error);
+    res.status(500).json({ error: "Failed to delete PDF syllabus category" });
+  }
+});
+
+
+
+//Pdf Sylabus details
+
+// PDF Syllabus API Endpoints
+
+// Firestore setup references
+// Utility function to sanitize filename for storage
+const sanitizeFilename = (filename) => {
+  return filename
+    .replace(/[^a-zA-Z0-9.-]/g, '_') // Replace non-alphanumeric chars with underscore
+    .replace(/_{2,}/g, '_');         // Replace multiple underscore with single one
+};
+
+// Create or update PDF syllabus
+// Use pdfUpload.single for the PDF file upload route
+app.post("/api/pdf-syllabi", requirePermission('content:write'), pdfUpload.single('pdfFile'), async (req, res) => {
+  try {
+    // After Multer processes the file, it will be available as req.file
+    if (!req.file) {
+      return res.status(400).json({ error: "PDF file is required" });
+    }
+    
+    const { category, title, fees, duration } = req.body;
+    
+    if (!category || !title) {
+      return res.status(400).json({ error: "Category and title are required" });
+    }
+    
+    // The file data is now in req.file
+    const pdfFile = req.file;
+    const timestamp = Date.now();
+    const sanitizedTitle = sanitizeFilename(title);
+    const sanitizedCategory = sanitizeFilename(category);
+    
+    // Create a unique file path in Firebase Storage
+    const filePath = `pdfsyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.pdf`;
+    
+    // Upload file to Firebase Storage
+    const fileBuffer = pdfFile.buffer; // With Multer, file data is in the buffer property
+    const file = bucket.file(filePath);
+    
+    await file.save(fileBuffer, {
+      metadata: {
+        contentType: 'application/pdf',
+        metadata: {
+          originalName: pdfFile.originalname, // With Multer, the file name is in originalname property
+          category,
+          title
+        }
+      }
+    });
+    
+    // Create syllabus entry in Realtime Database
+    const syllabusData = {
+      title,
+      category,
+      fees: parseFloat(fees) || 0,
+      duration: duration ? `${duration} days` : "N/A",
+      filePath,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    
+    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
+    await pdfSyllabusRef.child(syllabusKey).set(syllabusData);
+    
+    res.status(201).json({
+      message: "PDF syllabus created successfully",
+      data: {
+        id: syllabusKey,
+        ...syllabusData
+      }
+    });
+  } catch (error) {
+    console.error("Error creating PDF syllabus:", error);
+    res.status(500).json({ error: "Failed to create PDF syllabus" });
+  }
+});
+
+// Update PDF syllabus
+app.put("/api/pdf-syllabi/:category/:title", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { category, title } = req.params;
+    const { newCategory, newTitle, fees, duration } = req.body;
+    
+    if (!newCategory || !newTitle) {
+      return res.status(400).json({ error: "Category and title are required" });
+    }
+    
+    const sanitizedOldCategory = sanitizeFilename(category);
+    const sanitizedOldTitle = sanitizeFilename(title);
+    const oldSyllabusKey = `${sanitizedOldCategory}/${sanitizedOldTitle}`;
+    
+    // Check if syllabus exists
+    const syllabusSnapshot = await pdfSyllabusRef.child(oldSyllabusKey).once('value');
+    const syllabusData = syllabusSnapshot.val();
+    
+    if (!syllabusData) {
+      return res.status(404).json({ error: "PDF syllabus not found" });
+    }
+    
+    // Update metadata
+    const updatedData = {
+      ...syllabusData,
+      title: newTitle,
+      category: newCategory,
+      fees: parseFloat(fees) || 0,
+      duration: duration ? `${duration} days` : "N/A",
+      updatedAt: Date.now()
+    };
+    
+    // If category or title changed, we need to create a new entry and delete the old one
+    if (category !== newCategory || title !== newTitle) {
+      const sanitizedNewCategory = sanitizeFilename(newCategory);
+      const sanitizedNewTitle = sanitizeFilename(newTitle);
+      const newSyllabusKey = `${sanitizedNewCategory}/${sanitizedNewTitle}`;
+      
+      // Create new entry with updated data
+      await pdfSyllabusRef.child(newSyllabusKey).set(updatedData);
+      
+      // Delete old entry
+      await pdfSyllabusRef.child(oldSyllabusKey).remove();
+      
+      res.json({
+        message: "PDF syllabus updated successfully",
+        data: {
+          id: newSyllabusKey,
+          ...updatedData
+        }
+      });
+    } else {
+      // Update existing entry
+      await pdfSyllabusRef.child(oldSyllabusKey).update(updatedData);
+      
+      res.json({
+        message: "PDF syllabus updated successfully",
+        data: {
+          id: oldSyllabusKey,
+          ...updatedData
+        }
+      });
+    }
+    
+  } catch (error) {
+    console.error("Error updating PDF syllabus:", error);
+    res.status(500).json({ error: "Failed to update PDF syllabus" });
+  }
+});
+
+// Replace PDF file for existing syllabus
+app.put("/api/pdf-syllabi/:category/:title/file", requirePermission('content:write'), async (req, res) => {
+  try {
+    if (!req.files || !req.files.pdfFile) {
+      return res.status(400).json({ error: "PDF file is required" });
+    }
+    
+    const { category, title } = req.params;
+    const pdfFile = req.files.pdfFile;
+    
+    const sanitizedCategory = sanitizeFilename(category);
+    const sanitizedTitle = sanitizeFilename(title);
+    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
+    
+    // Check if syllabus exists
+    const syllabusSnapshot = await pdfSyllabusRef.child(syllabusKey).once('value');
+    const syllabusData = syllabusSnapshot.val();
+    
+    if (!syllabusData) {
+      return res.status(404).json({ error: "PDF syllabus not found" });
+    }
+    
+    // Delete old file from storage if it exists
+    if (syllabusData.filePath) {
+      try {
+        await bucket.file(syllabusData.filePath).delete();
+      } catch (deleteError) {
+        console.warn("Failed to delete old file, it might not exist:", deleteError);
+      }
+    }
+    
+    // Upload new file to Firebase Storage
+    const timestamp = Date.now();
+    const filePath = `pdfsyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.pdf`;
+    const fileBuffer = Buffer.from(pdfFile.data);
+    const file = bucket.file(filePath);
+    
+    await file.save(fileBuffer, {
+      metadata: {
+        contentType: 'application/pdf',
+        metadata: {
+          originalName: pdfFile.name,
+          category,
+          title
+        }
+      }
+    });
+    
+    // Update syllabus data with new file info. Buyers get short-lived
+    // URLs, so any stored long-lived fileUrl is removed
+    const updatedData = {
+      ...syllabusData,
+      filePath,
+      fileUrl: null,
+      updatedAt: timestamp
+    };
+    
+    await pdfSyllabusRef.child(syllabusKey).update(updatedData);
+    
+    res.json({
+      message: "PDF file updated successfully",
+      data: {
+        id: syllabusKey,
+        ...updatedData
+      }
+    });
+    
+  } catch (error) {
+    console.error("Error updating PDF file:", error);
+    res.status(500).json({ error: "Failed to update PDF file" });
+  }
+});
+
+// Get all PDF syllabi
+app.get("/api/pdf-syllabi", async (req, res) => {
+  try {
+    const snapshot = await pdfSyllabusRef.once('value');
+    const syllabi = {};
+    
+    snapshot.forEach((categorySnapshot) => {
+      categorySnapshot.forEach((syllabusSnapshot) => {
+        const syllabusData = syllabusSnapshot.val();
+        const category = syllabusData.category;
+        
+        if (!syllabi[category]) {
+          syllabi[category] = {};
+        }
+        
+        syllabi[category][syllabusData.title] = withoutFileUrls(syllabusData);
+      });
+    });
+    
+    res.json(syllabi);
+  } catch (error) {
+    console.error("Error fetching PDF syllabi:", error);
+    res.status(500).json({ error: "Failed to fetch PDF syllabi" });
+  }
+});
+
+// Get PDF syllabi by category
+app.get("/api/pdf-syllabi/category/:category", async (req, res) => {
+  try {
+    const { category } = req.params;
+    const sanitizedCategory = sanitizeFilename(category);
+    
+    const snapshot = await pdfSyllabusRef.child(sanitizedCategory).once('value');
+    const syllabi = {};
+    
+    snapshot.forEach((syllabusSnapshot) => {
+      const syllabusData = syllabusSnapshot.val();
+      syllabi[syllabusData.title] = withoutFileUrls(syllabusData);
+    });
+    
+    res.json(syllabi);
+  } catch (error) {
+    console.error("Error fetching PDF syllabi by category:", error);
+    res.status(500).json({ error: "Failed to fetch PDF syllabi by category" });
+  }
+});
+
+// Delete PDF syllabus
+app.delete("/api/pdf-syllabi/:category/:title", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { category, title } = req.params;
+    
+    const sanitizedCategory = sanitizeFilename(category);
+    const sanitizedTitle = sanitizeFilename(title);
+    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
+    
+    // Check if syllabus exists
+    const syllabusSnapshot = await pdfSyllabusRef.child(syllabusKey).once('value');
+    const syllabusData = syllabusSnapshot.val();
+    
+    if (!syllabusData) {
+      return res.status(404).json({ error: "PDF syllabus not found" });
+    }
+    
+    // Delete file from storage if it exists
+    if (syllabusData.filePath) {
+      try {
+        await bucket.file(syllabusData.filePath).delete();
+      } catch (deleteError) {
+        console.warn("Failed to delete file, it might not exist:", deleteError);
+      }
+    }
+    
+    // Delete syllabus from Realtime Database
+    await pdfSyllabusRef.child(syllabusKey).remove();
+    
+    res.json({ message: "PDF syllabus deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting PDF syllabus:", error);
+    res.status(500).json({ error: "Failed to delete PDF syllabus" });
+  }
+});
+
+
+
+//Api for pdf syllabus purchasers
+
+// API to get all PDF syllabus purchasers
+app.get('/api/pdfsyllabuspurchasers', requirePermission('payments:read'), async (req, res) => {
+  try {
+    // Create a reference to the collection
+    const ref = realtimeDatabase.ref('pdfsyllabuspurchasers');
+    
+    // Get all data from the reference
+    const snapshot = await ref.once('value');
+    
+    // Convert the snapshot to JSON
+    const data = snapshot.val();
+    
+    // If no data is found, return a 404
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'No data found'
+      });
+    }
+    
+    // Return the data
+    return res.status(200).json({
+      success: true,
+      data: data
+    });
+  } catch (error) {
+    console.error('Error retrieving data:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving data from database',
+      error: error.message
+    });
+  }
+});
+
+
+
+
+
+//VideoSyllabus Apis
+
+// ✅ Firebase Realtime Database reference for video syllabus categories
+const videoSyllabusCategoryRef = realtimeDatabase.ref('videosyllabuscategories');
+const videoSyllabusRef = realtimeDatabase.ref('videosyllabi');
+
+// ✅ Create a new video syllabus category
+app.post("/api/videosyllabuscategories", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+
+    const newVideoSyllabusCategoryRef = videoSyllabusCategoryRef.push();
+    await newVideoSyllabusCategoryRef.set({
+      name,
+      createdAt: admin.database.ServerValue.TIMESTAMP
+    });
+
+    res.status(201).json({
+      id: newVideoSyllabusCategoryRef.key,
+      name
+    });
+  } catch (error) {
+    console.error("Error creating video syllabus category:", error);
+    res.status(500).json({ error: "Failed to create video syllabus category" });
+  }
+});
+
+// ✅ Get all video syllabus categories
+app.get("/api/videosyllabuscategories", async (req, res) => {
+  try {
+    const snapshot = await videoSyllabusCategoryRef.once('value');
+    const videoSyllabusCategories = [];
+
+    snapshot.forEach((childSnapshot) => {
+      videoSyllabusCategories.push({
+        id: childSnapshot.key,
+        ...childSnapshot.val()
+      });
+    });
+
+    res.json(videoSyllabusCategories);
+  } catch (error) {
+    console.error("Error fetching video syllabus categories:", error);
+    res.status(500).json({ error: "Failed to fetch video syllabus categories" });
+  }
+});
+
+// ✅ Update a video syllabus category
+app.put("/api/videosyllabuscategories/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { name } = req.body;
+
+    if (!name) {
+      return res.status(400).json({ error: "Category name is required" });
+    }
+
+    const videoCategoryRef = videoSyllabusCategoryRef.child(id);
+    await videoCategoryRef.update({
+      name,
+      updatedAt: admin.database.ServerValue.TIMESTAMP
+    });
+
+    res.json({ id, name });
+  } catch (error) {
+    console.error("Error updating video syllabus category:", error);
+    res.status(500).json({ error: "Failed to update video syllabus category" });
+  }
+});
+
+// ✅ Delete a video syllabus category
+app.delete("/api/videosyllabuscategories/:id", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    await videoSyllabusCategoryRef.child(id).remove();
+    res.json({ message: "Video syllabus category deleted successfully" });
+  } catch (error) {
+    console.error("Error deleting video syllabus category:", error);
+    res.status(500).json({ error: "Failed to delete video syllabus category" });
+  }
+});
+
+
+// Create or update Video syllabus
+// Use videoUpload.single for the video file upload route
+app.post("/api/video-syllabi", requirePermission('content:write'), videoUpload.single('videoFile'), async (req, res) => {
+  try {
+    // After Multer processes the file, it will be available as req.file
+    if (!req.file) {
+      return res.status(400).json({ error: "Video file is required" });
+    }
+    
+    const { category, title, fees, duration } = req.body;
+    
+    if (!category || !title) {
+      return res.status(400).json({ error: "Category and title are required" });
+    }
+    
+    // The file data is now in req.file
+    const videoFile = req.file;
+    const timestamp = Date.now();
+    const sanitizedTitle = sanitizeFilename(title);
+    const sanitizedCategory = sanitizeFilename(category);
+    
+    // Get file extension from original filename
+    const fileExtension = videoFile.originalname.split('.').pop();
+    
+    // Create a unique file path in Firebase Storage
+    const filePath = `videosyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.${fileExtension}`;
+    
+    // Upload file to Firebase Storage
+    const fileBuffer = videoFile.buffer; // With Multer, file data is in the buffer property
+    const file = bucket.file(filePath);
+    
+    await file.save(fileBuffer, {
+      metadata: {
+        contentType: videoFile.mimetype || 'video/mp4',
+        metadata: {
+          originalName: videoFile.originalname, // With Multer, the file name is in originalname property
+          category,
+          title
+        }
+      }
+    });
+    
+    // Create syllabus entry in Realtime Database
+    const syllabusData = {
+      title,
+      category,
+      fees: parseFloat(fees) || 0,
+      duration: duration ? `${duration} days` : "N/A",
+      filePath,
+      createdAt: timestamp,
+      updatedAt: timestamp
+    };
+    
+    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
+    await videoSyllabusRef.child(syllabusKey).set(syllabusData);
+    
+    res.status(201).json({
+      message: "Video syllabus created successfully",
+      data: {
+        id: syllabusKey,
+        ...syllabusData
+      }
+    });
+  } catch (error) {
+    console.error("Error creating video syllabus:", error);
+    res.status(500).json({ error: "Failed to create video syllabus" });
+  }
+});
+
+// Update Video syllabus
+app.put("/api/video-syllabi/:category/:title", requirePermission('content:write'), async (req, res) => {
+  try {
+    const { category, title } = req.params;
+    const { newCategory, newTitle, fees, duration } = req.body;
     
     if (!newCategory || !newTitle) {
       return res.status(400).json({ error: "Category and title are required" });
@@ -4492,11 +9540,11 @@ app.put("/api/pdf-syllabi/:category/:title", async (req, res) => {
     const oldSyllabusKey = `${sanitizedOldCategory}/${sanitizedOldTitle}`;
     
     // Check if syllabus exists
-    const syllabusSnapshot = await pdfSyllabusRef.child(oldSyllabusKey).once('value');
+    const syllabusSnapshot = await videoSyllabusRef.child(oldSyllabusKey).once('value');
     const syllabusData = syllabusSnapshot.val();
     
     if (!syllabusData) {
-      return res.status(404).json({ error: "PDF syllabus not found" });
+      return res.status(404).json({ error: "Video syllabus not found" });
     }
     
     // Update metadata
@@ -4516,13 +9564,13 @@ app.put("/api/pdf-syllabi/:category/:title", async (req, res) => {
       const newSyllabusKey = `${sanitizedNewCategory}/${sanitizedNewTitle}`;
       
       // Create new entry with updated data
-      await pdfSyllabusRef.child(newSyllabusKey).set(updatedData);
+      await videoSyllabusRef.child(newSyllabusKey).set(updatedData);
       
       // Delete old entry
-      await pdfSyllabusRef.child(oldSyllabusKey).remove();
+      await videoSyllabusRef.child(oldSyllabusKey).remove();
       
       res.json({
-        message: "PDF syllabus updated successfully",
+        message: "Video syllabus updated successfully",
         data: {
           id: newSyllabusKey,
           ...updatedData
@@ -4530,10 +9578,10 @@ app.put("/api/pdf-syllabi/:category/:title", async (req, res) => {
       });
     } else {
       // Update existing entry
-      await pdfSyllabusRef.child(oldSyllabusKey).update(updatedData);
+      await videoSyllabusRef.child(oldSyllabusKey).update(updatedData);
       
       res.json({
-        message: "PDF syllabus updated successfully",
+        message: "Video syllabus updated successfully",
         data: {
           id: oldSyllabusKey,
           ...updatedData
@@ -4542,31 +9590,31 @@ app.put("/api/pdf-syllabi/:category/:title", async (req, res) => {
     }
     
   } catch (error) {
-    console.error("Error updating PDF syllabus:", error);
-    res.status(500).json({ error: "Failed to update PDF syllabus" });
+    console.error("Error updating video syllabus:", error);
+    res.status(500).json({ error: "Failed to update video syllabus" });
   }
 });
 
-// Replace PDF file for existing syllabus
-app.put("/api/pdf-syllabi/:category/:title/file", async (req, res) => {
+// Replace Video file for existing syllabus
+app.put("/api/video-syllabi/:category/:title/file", requirePermission('content:write'), videoUpload.single('videoFile'), async (req, res) => {
   try {
-    if (!req.files || !req.files.pdfFile) {
-      return res.status(400).json({ error: "PDF file is required" });
+    if (!req.file) {
+      return res.status(400).json({ error: "Video file is required" });
     }
     
     const { category, title } = req.params;
-    const pdfFile = req.files.pdfFile;
+    const videoFile = req.file;
     
     const sanitizedCategory = sanitizeFilename(category);
     const sanitizedTitle = sanitizeFilename(title);
     const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
     
     // Check if syllabus exists
-    const syllabusSnapshot = await pdfSyllabusRef.child(syllabusKey).once('value');
+    const syllabusSnapshot = await videoSyllabusRef.child(syllabusKey).once('value');
     const syllabusData = syllabusSnapshot.val();
     
     if (!syllabusData) {
-      return res.status(404).json({ error: "PDF syllabus not found" });
+      return res.status(404).json({ error: "Video syllabus not found" });
     }
     
     // Delete old file from storage if it exists
@@ -4580,39 +9628,35 @@ app.put("/api/pdf-syllabi/:category/:title/file", async (req, res) => {
     
     // Upload new file to Firebase Storage
     const timestamp = Date.now();
-    const filePath = `pdfsyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.pdf`;
-    const fileBuffer = Buffer.from(pdfFile.data);
+    const fileExtension = videoFile.originalname.split('.').pop();
+    const filePath = `videosyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.${fileExtension}`;
+    const fileBuffer = videoFile.buffer;
     const file = bucket.file(filePath);
     
     await file.save(fileBuffer, {
       metadata: {
-        contentType: 'application/pdf',
+        contentType: videoFile.mimetype || 'video/mp4',
         metadata: {
-          originalName: pdfFile.name,
+          originalName: videoFile.originalname,
           category,
           title
         }
       }
     });
     
-    // Get the public URL of the file
-    const [url] = await file.getSignedUrl({
-      action: 'read',
-      expires: '03-01-2500' // Long expiration date
-    });
-    
-    // Update syllabus data with new file info
+    // Update syllabus data with new file info. Buyers get short-lived
+    // URLs, so any stored long-lived fileUrl is removed
     const updatedData = {
       ...syllabusData,
       filePath,
-      fileUrl: url,
+      fileUrl: null,
       updatedAt: timestamp
     };
     
-    await pdfSyllabusRef.child(syllabusKey).update(updatedData);
+    await videoSyllabusRef.child(syllabusKey).update(updatedData);
     
     res.json({
-      message: "PDF file updated successfully",
+      message: "Video file updated successfully",
       data: {
         id: syllabusKey,
         ...updatedData
@@ -4620,15 +9664,15 @@ app.put("/api/pdf-syllabi/:category/:title/file", async (req, res) => {
     });
     
   } catch (error) {
-    console.error("Error updating PDF file:", error);
-    res.status(500).json({ error: "Failed to update PDF file" });
+    console.error("Error updating video file:", error);
+    res.status(500).json({ error: "Failed to update video file" });
   }
 });
 
-// Get all PDF syllabi
-app.get("/api/pdf-syllabi", async (req, res) => {
+// Get all Video syllabi
+app.get("/api/video-syllabi", async (req, res) => {
   try {
-    const snapshot = await pdfSyllabusRef.once('value');
+    const snapshot = await videoSyllabusRef.once('value');
     const syllabi = {};
     
     snapshot.forEach((categorySnapshot) => {
@@ -4640,40 +9684,40 @@ app.get("/api/pdf-syllabi", async (req, res) => {
           syllabi[category] = {};
         }
         
-        syllabi[category][syllabusData.title] = syllabusData;
+        syllabi[category][syllabusData.title] = withoutFileUrls(syllabusData);
       });
     });
     
     res.json(syllabi);
   } catch (error) {
-    console.error("Error fetching PDF syllabi:", error);
-    res.status(500).json({ error: "Failed to fetch PDF syllabi" });
+    console.error("Error fetching video syllabi:", error);
+    res.status(500).json({ error: "Failed to fetch video syllabi" });
   }
 });
 
-// Get PDF syllabi by category
-app.get("/api/pdf-syllabi/category/:category", async (req, res) => {
+// Get Video syllabi by category
+app.get("/api/video-syllabi/category/:category", async (req, res) => {
   try {
     const { category } = req.params;
     const sanitizedCategory = sanitizeFilename(category);
     
-    const snapshot = await pdfSyllabusRef.child(sanitizedCategory).once('value');
+    const snapshot = await videoSyllabusRef.child(sanitizedCategory).once('value');
     const syllabi = {};
     
     snapshot.forEach((syllabusSnapshot) => {
       const syllabusData = syllabusSnapshot.val();
-      syllabi[syllabusData.title] = syllabusData;
+      syllabi[syllabusData.title] = withoutFileUrls(syllabusData);
     });
     
     res.json(syllabi);
   } catch (error) {
-    console.error("Error fetching PDF syllabi by category:", error);
-    res.status(500).json({ error: "Failed to fetch PDF syllabi by category" });
+    console.error("Error fetching video syllabi by category:", error);
+    res.status(500).json({ error: "Failed to fetch video syllabi by category" });
   }
 });
 
-// Delete PDF syllabus
-app.delete("/api/pdf-syllabi/:category/:title", async (req, res) => {
+// Delete Video syllabus
+app.delete("/api/video-syllabi/:category/:title", requirePermission('content:write'), async (req, res) => {
   try {
     const { category, title } = req.params;
     
@@ -4682,11 +9726,11 @@ app.delete("/api/pdf-syllabi/:category/:title", async (req, res) => {
     const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
     
     // Check if syllabus exists
-    const syllabusSnapshot = await pdfSyllabusRef.child(syllabusKey).once('value');
+    const syllabusSnapshot = await videoSyllabusRef.child(syllabusKey).once('value');
     const syllabusData = syllabusSnapshot.val();
     
     if (!syllabusData) {
-      return res.status(404).json({ error: "PDF syllabus not found" });
+      return res.status(404).json({ error: "Video syllabus not found" });
     }
     
     // Delete file from storage if it exists
@@ -4699,714 +9743,1071 @@ app.delete("/api/pdf-syllabi/:category/:title", async (req, res) => {
     }
     
     // Delete syllabus from Realtime Database
-    await pdfSyllabusRef.child(syllabusKey).remove();
-    
-    res.json({ message: "PDF syllabus deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting PDF syllabus:", error);
-    res.status(500).json({ error: "Failed to delete PDF syllabus" });
-  }
-});
-
-
-
-//Api for pdf syllabus purchasers
-
-// API to get all PDF syllabus purchasers
-app.get('/api/pdfsyllabuspurchasers', async (req, res) => {
-  try {
-    // Create a reference to the collection
-    const ref = realtimeDatabase.ref('pdfsyllabuspurchasers');
-    
-    // Get all data from the reference
-    const snapshot = await ref.once('value');
-    
-    // Convert the snapshot to JSON
-    const data = snapshot.val();
-    
-    // If no data is found, return a 404
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: 'No data found'
-      });
-    }
+    await videoSyllabusRef.child(syllabusKey).remove();
     
-    // Return the data
-    return res.status(200).json({
-      success: true,
-      data: data
-    });
+    res.json({ message: "Video syllabus deleted successfully" });
   } catch (error) {
-    console.error('Error retrieving data:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error retrieving data from database',
-      error: error.message
-    });
+    console.error("Error deleting video syllabus:", error);
+    res.status(500).json({ error: "Failed to delete video syllabus" });
   }
 });
 
 
 
+//Video syllbus user apis
 
+// =============================
+// 🎬 VIDEO PURCHASE APIS
+// =============================
 
-//VideoSyllabus Apis
-
-// ✅ Firebase Realtime Database reference for video syllabus categories
-const videoSyllabusCategoryRef = realtimeDatabase.ref('videosyllabuscategories');
-const videoSyllabusRef = realtimeDatabase.ref('videosyllabi');
+// Firebase Realtime Database references
+const videoSyllabusPurchasersRef = realtimeDatabase.ref('videosyllabuspurchasers');
 
-// ✅ Create a new video syllabus category
-app.post("/api/videosyllabuscategories", async (req, res) => {
+// 1️⃣ Verify video student
+app.get('/api/video-verify-student/:studentId', async (req, res) => {
   try {
-    const { name } = req.body;
+    const { studentId } = req.params;
+    const studentSnapshot = await videoSyllabusPurchasersRef.child(studentId).once('value');
+    const studentData = studentSnapshot.val();
 
-    if (!name) {
-      return res.status(400).json({ error: "Category name is required" });
+    if (studentData) {
+      return res.json({
+        exists: true,
+        studentDetails: {
+          studentId,
+          ...studentData,
+          purchases: activeSyllabusPurchases(studentData.purchases)
+        }
+      });
+    } else {
+      return res.json({ exists: false });
     }
-
-    const newVideoSyllabusCategoryRef = videoSyllabusCategoryRef.push();
-    await newVideoSyllabusCategoryRef.set({
-      name,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    });
-
-    res.status(201).json({
-      id: newVideoSyllabusCategoryRef.key,
-      name
+  } catch (error) {
+    console.error('Error verifying video student:', error);
+    return res.status(500).json({
+      error: 'Failed to verify video student ID',
+      message: error.message
     });
-  } catch (error) {
-    console.error("Error creating video syllabus category:", error);
-    res.status(500).json({ error: "Failed to create video syllabus category" });
   }
 });
 
-// ✅ Get all video syllabus categories
-app.get("/api/videosyllabuscategories", async (req, res) => {
+// 2️⃣ Register new video student
+app.post('/api/video-register-student', async (req, res) => {
   try {
-    const snapshot = await videoSyllabusCategoryRef.once('value');
-    const videoSyllabusCategories = [];
+    const studentData = req.body;
+    let studentId;
+    let isUnique = false;
 
-    snapshot.forEach((childSnapshot) => {
-      videoSyllabusCategories.push({
-        id: childSnapshot.key,
-        ...childSnapshot.val()
-      });
+    while (!isUnique) {
+      studentId = Math.floor(100000 + Math.random() * 900000).toString();
+      const existing = await videoSyllabusPurchasersRef.child(studentId).once('value');
+      if (!existing.exists()) isUnique = true;
+    }
+
+    await videoSyllabusPurchasersRef.child(studentId).set({
+      name: studentData.name,
+      age: studentData.age,
+      gender: studentData.gender,
+      phoneNo: studentData.phoneNo,
+      email: studentData.email || null,
+      district: studentData.district,
+      state: studentData.state,
+      createdAt: admin.database.ServerValue.TIMESTAMP
     });
 
-    res.json(videoSyllabusCategories);
+    return res.json({
+      success: true,
+      message: 'Video student registered successfully',
+      studentId
+    });
   } catch (error) {
-    console.error("Error fetching video syllabus categories:", error);
-    res.status(500).json({ error: "Failed to fetch video syllabus categories" });
+    console.error('Error registering video student:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to register video student',
+      message: error.message
+    });
   }
 });
 
-// ✅ Update a video syllabus category
-app.put("/api/videosyllabuscategories/:id", async (req, res) => {
+// 3️⃣ Update student details
+app.put('/api/video-update-student/:studentId', async (req, res) => {
   try {
-    const { id } = req.params;
-    const { name } = req.body;
+    const { studentId } = req.params;
+    const updatedData = req.body;
 
-    if (!name) {
-      return res.status(400).json({ error: "Category name is required" });
+    const studentSnapshot = await videoSyllabusPurchasersRef.child(studentId).once('value');
+    if (!studentSnapshot.exists()) {
+      return res.status(404).json({ success: false, error: 'Video student not found' });
     }
 
-    const videoCategoryRef = videoSyllabusCategoryRef.child(id);
-    await videoCategoryRef.update({
-      name,
+    await videoSyllabusPurchasersRef.child(studentId).update({
+      ...updatedData,
       updatedAt: admin.database.ServerValue.TIMESTAMP
     });
 
-    res.json({ id, name });
+    const updatedStudent = (await videoSyllabusPurchasersRef.child(studentId).once('value')).val();
+
+    return res.json({
+      success: true,
+      message: 'Video student details updated successfully',
+      studentDetails: { studentId, ...updatedStudent }
+    });
   } catch (error) {
-    console.error("Error updating video syllabus category:", error);
-    res.status(500).json({ error: "Failed to update video syllabus category" });
+    console.error('Error updating video student:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to update video student',
+      message: error.message
+    });
   }
 });
 
-// ✅ Delete a video syllabus category
-app.delete("/api/videosyllabuscategories/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
+// 4️⃣ Create a new video order
+app.post('/api/create-video-order', createOrderRoute('video-syllabus', 'video_receipt'));
 
-    await videoSyllabusCategoryRef.child(id).remove();
-    res.json({ message: "Video syllabus category deleted successfully" });
-  } catch (error) {
-    console.error("Error deleting video syllabus category:", error);
-    res.status(500).json({ error: "Failed to delete video syllabus category" });
-  }
-});
+// 5️⃣ Verify video payment
+app.post('/api/verify-video-payment', verifyPaymentRoute('video-syllabus'));
 
+// Save a video syllabus purchase under the student. Returns { purchaseId }
+const saveVideoPurchase = (studentId, syllabusDetails, paymentDetails) =>
+  completePurchaseOnce(paymentDetails, async () => {
+    const stored = await loadPurchasedSyllabus(videoSyllabusRef, syllabusDetails.id);
+    if (stored.error) return stored;
 
-// Create or update Video syllabus
-// Use videoUpload.single for the video file upload route
-app.post("/api/video-syllabi", videoUpload.single('videoFile'), async (req, res) => {
-  try {
-    // After Multer processes the file, it will be available as req.file
-    if (!req.file) {
-      return res.status(400).json({ error: "Video file is required" });
-    }
-    
-    const { category, title, fees, duration } = req.body;
-    
-    if (!category || !title) {
-      return res.status(400).json({ error: "Category and title are required" });
-    }
-    
-    // The file data is now in req.file
-    const videoFile = req.file;
-    const timestamp = Date.now();
-    const sanitizedTitle = sanitizeFilename(title);
-    const sanitizedCategory = sanitizeFilename(category);
-    
-    // Get file extension from original filename
-    const fileExtension = videoFile.originalname.split('.').pop();
-    
-    // Create a unique file path in Firebase Storage
-    const filePath = `videosyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.${fileExtension}`;
-    
-    // Upload file to Firebase Storage
-    const fileBuffer = videoFile.buffer; // With Multer, file data is in the buffer property
-    const file = bucket.file(filePath);
-    
-    await file.save(fileBuffer, {
-      metadata: {
-        contentType: videoFile.mimetype || 'video/mp4',
-        metadata: {
-          originalName: videoFile.originalname, // With Multer, the file name is in originalname property
-          category,
-          title
-        }
-      }
-    });
-    
-    // Get the public URL of the file
-    const [url] = await file.getSignedUrl({
-      action: 'read',
-      expires: '03-01-2500' // Long expiration date
-    });
-    
-    // Create syllabus entry in Realtime Database
-    const syllabusData = {
-      title,
-      category,
-      fees: parseFloat(fees) || 0,
-      duration: duration ? `${duration} days` : "N/A",
-      filePath,
-      fileUrl: url,
-      createdAt: timestamp,
-      updatedAt: timestamp
+    const { syllabus, purchaseDate, expirationDate } = stored;
+    const purchaseId = uuidv4();
+
+    const purchaseData = {
+      purchaseId,
+      syllabusId: syllabusDetails.id,
+      syllabusTitle: syllabus.title,
+      syllabusCategory: syllabus.category,
+      syllabusPrice: paymentDetails.amount,
+      syllabusDuration: syllabus.duration || null,
+      syllabusDescription: syllabus.description || '',
+      syllabusFilePath: syllabus.filePath || null,
+      paymentStatus: paymentDetails.status,
+      paymentAmount: paymentDetails.amount,
+      paymentId: paymentDetails.paymentId || null,
+      orderId: paymentDetails.orderId || null,
+      purchaseDate,
+      expirationDate,
+      createdAt: admin.database.ServerValue.TIMESTAMP
     };
-    
-    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
-    await videoSyllabusRef.child(syllabusKey).set(syllabusData);
-    
-    res.status(201).json({
-      message: "Video syllabus created successfully",
-      data: {
-        id: syllabusKey,
-        ...syllabusData
-      }
-    });
-  } catch (error) {
-    console.error("Error creating video syllabus:", error);
-    res.status(500).json({ error: "Failed to create video syllabus" });
-  }
-});
 
-// Update Video syllabus
-app.put("/api/video-syllabi/:category/:title", async (req, res) => {
+    await videoSyllabusPurchasersRef
+      .child(studentId)
+      .child('purchases')
+      .child(purchaseId)
+      .set(purchaseData);
+
+    return { purchaseId };
+  });
+
+// 6️⃣ Save video syllabus purchase
+app.post('/api/video-save-syllabus-purchase', async (req, res) => {
   try {
-    const { category, title } = req.params;
-    const { newCategory, newTitle, fees, duration } = req.body;
-    
-    if (!newCategory || !newTitle) {
-      return res.status(400).json({ error: "Category and title are required" });
-    }
-    
-    const sanitizedOldCategory = sanitizeFilename(category);
-    const sanitizedOldTitle = sanitizeFilename(title);
-    const oldSyllabusKey = `${sanitizedOldCategory}/${sanitizedOldTitle}`;
-    
-    // Check if syllabus exists
-    const syllabusSnapshot = await videoSyllabusRef.child(oldSyllabusKey).once('value');
-    const syllabusData = syllabusSnapshot.val();
-    
-    if (!syllabusData) {
-      return res.status(404).json({ error: "Video syllabus not found" });
+    const { studentId, syllabusDetails, paymentDetails } = req.body;
+
+    if (!syllabusDetails || !syllabusDetails.id) {
+      return res.status(400).json({
+        success: false,
+        error: 'syllabusDetails with id is required'
+      });
     }
-    
-    // Update metadata
-    const updatedData = {
-      ...syllabusData,
-      title: newTitle,
-      category: newCategory,
-      fees: parseFloat(fees) || 0,
-      duration: duration ? `${duration} days` : "N/A",
-      updatedAt: Date.now()
-    };
-    
-    // If category or title changed, we need to create a new entry and delete the old one
-    if (category !== newCategory || title !== newTitle) {
-      const sanitizedNewCategory = sanitizeFilename(newCategory);
-      const sanitizedNewTitle = sanitizeFilename(newTitle);
-      const newSyllabusKey = `${sanitizedNewCategory}/${sanitizedNewTitle}`;
-      
-      // Create new entry with updated data
-      await videoSyllabusRef.child(newSyllabusKey).set(updatedData);
-      
-      // Delete old entry
-      await videoSyllabusRef.child(oldSyllabusKey).remove();
-      
-      res.json({
-        message: "Video syllabus updated successfully",
-        data: {
-          id: newSyllabusKey,
-          ...updatedData
-        }
+
+    const purchasePayment = await getPurchasePayment(paymentDetails, {
+      productType: 'video-syllabus',
+      productId: syllabusDetails.id,
+      studentId
+    });
+    if (purchasePayment.error) {
+      return res.status(purchasePayment.status).json({
+        success: false,
+        error: purchasePayment.error
       });
-    } else {
-      // Update existing entry
-      await videoSyllabusRef.child(oldSyllabusKey).update(updatedData);
-      
-      res.json({
-        message: "Video syllabus updated successfully",
-        data: {
-          id: oldSyllabusKey,
-          ...updatedData
-        }
+    }
+
+    const result = await saveVideoPurchase(studentId, syllabusDetails, purchasePayment.paymentDetails);
+    if (result.error) {
+      return res.status(result.status).json({
+        success: false,
+        error: result.error
       });
     }
-    
+
+    return res.json({
+      success: true,
+      message: result.duplicate ? 'Video syllabus purchase already saved' : 'Video syllabus purchase saved successfully',
+      purchaseId: result.purchaseId
+    });
   } catch (error) {
-    console.error("Error updating video syllabus:", error);
-    res.status(500).json({ error: "Failed to update video syllabus" });
+    console.error('Error saving video purchase:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to save video syllabus purchase',
+      message: error.message
+    });
   }
 });
 
-// Replace Video file for existing syllabus
-app.put("/api/video-syllabi/:category/:title/file", videoUpload.single('videoFile'), async (req, res) => {
+// 7️⃣ Get student's purchased video syllabi
+app.get('/api/video-student-purchases/:studentId', async (req, res) => {
   try {
-    if (!req.file) {
-      return res.status(400).json({ error: "Video file is required" });
-    }
-    
-    const { category, title } = req.params;
-    const videoFile = req.file;
-    
-    const sanitizedCategory = sanitizeFilename(category);
-    const sanitizedTitle = sanitizeFilename(title);
-    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
-    
-    // Check if syllabus exists
-    const syllabusSnapshot = await videoSyllabusRef.child(syllabusKey).once('value');
-    const syllabusData = syllabusSnapshot.val();
-    
-    if (!syllabusData) {
-      return res.status(404).json({ error: "Video syllabus not found" });
-    }
-    
-    // Delete old file from storage if it exists
-    if (syllabusData.filePath) {
-      try {
-        await bucket.file(syllabusData.filePath).delete();
-      } catch (deleteError) {
-        console.warn("Failed to delete old file, it might not exist:", deleteError);
-      }
-    }
-    
-    // Upload new file to Firebase Storage
-    const timestamp = Date.now();
-    const fileExtension = videoFile.originalname.split('.').pop();
-    const filePath = `videosyllabi/${sanitizedCategory}/${sanitizedTitle}_${timestamp}.${fileExtension}`;
-    const fileBuffer = videoFile.buffer;
-    const file = bucket.file(filePath);
-    
-    await file.save(fileBuffer, {
-      metadata: {
-        contentType: videoFile.mimetype || 'video/mp4',
-        metadata: {
-          originalName: videoFile.originalname,
-          category,
-          title
-        }
-      }
-    });
-    
-    // Get the public URL of the file
-    const [url] = await file.getSignedUrl({
-      action: 'read',
-      expires: '03-01-2500' // Long expiration date
+    const { studentId } = req.params;
+    const purchasesSnapshot = await videoSyllabusPurchasersRef
+      .child(studentId)
+      .child('purchases')
+      .once('value');
+
+    const purchases = purchasesSnapshot.val() || {};
+    // Refunded purchases no longer give access
+    return res.json({
+      success: true,
+      purchases: Object.values(activeSyllabusPurchases(purchases))
     });
-    
-    // Update syllabus data with new file info
-    const updatedData = {
-      ...syllabusData,
-      filePath,
-      fileUrl: url,
-      updatedAt: timestamp
-    };
-    
-    await videoSyllabusRef.child(syllabusKey).update(updatedData);
-    
-    res.json({
-      message: "Video file updated successfully",
-      data: {
-        id: syllabusKey,
-        ...updatedData
-      }
+  } catch (error) {
+    console.error('Error fetching video student purchases:', error);
+    return res.status(500).json({
+      success: false,
+      error: 'Failed to fetch video student purchases',
+      message: error.message
     });
-    
+  }
+});
+
+// Short-lived link to the video of a purchase
+app.get('/api/video-student-purchases/:studentId/:purchaseId/file', async (req, res) => {
+  try {
+    const { studentId, purchaseId } = req.params;
+
+    const file = await getPurchasedSyllabusFileUrl(videoSyllabusPurchasersRef, videoSyllabusRef, studentId, purchaseId);
+    if (file.error) {
+      return res.status(file.status).json({ success: false, error: file.error });
+    }
+
+    return res.json({ success: true, ...file });
   } catch (error) {
-    console.error("Error updating video file:", error);
-    res.status(500).json({ error: "Failed to update video file" });
+    console.error('Error creating video file link:', error);
+    return res.status(500).json({ success: false, error: 'Failed to open video syllabus' });
   }
 });
 
-// Get all Video syllabi
-app.get("/api/video-syllabi", async (req, res) => {
+// 8️⃣ Get all video syllabus purchasers (admin/debug view)
+app.get('/api/videosyllabuspurchasers', requirePermission('payments:read'), async (req, res) => {
   try {
-    const snapshot = await videoSyllabusRef.once('value');
-    const syllabi = {};
-    
-    snapshot.forEach((categorySnapshot) => {
-      categorySnapshot.forEach((syllabusSnapshot) => {
-        const syllabusData = syllabusSnapshot.val();
-        const category = syllabusData.category;
-        
-        if (!syllabi[category]) {
-          syllabi[category] = {};
-        }
-        
-        syllabi[category][syllabusData.title] = syllabusData;
+    const snapshot = await videoSyllabusPurchasersRef.once('value');
+    const data = snapshot.val();
+
+    if (!data) {
+      return res.status(404).json({
+        success: false,
+        message: 'No video syllabus purchasers found'
       });
-    });
-    
-    res.json(syllabi);
+    }
+
+    return res.json({ success: true, data });
   } catch (error) {
-    console.error("Error fetching video syllabi:", error);
-    res.status(500).json({ error: "Failed to fetch video syllabi" });
+    console.error('Error retrieving video purchasers:', error);
+    return res.status(500).json({
+      success: false,
+      message: 'Error retrieving video purchasers',
+      error: error.message
+    });
   }
 });
 
-// Get Video syllabi by category
-app.get("/api/video-syllabi/category/:category", async (req, res) => {
-  try {
-    const { category } = req.params;
-    const sanitizedCategory = sanitizeFilename(category);
-    
-    const snapshot = await videoSyllabusRef.child(sanitizedCategory).once('value');
-    const syllabi = {};
-    
-    snapshot.forEach((syllabusSnapshot) => {
-      const syllabusData = syllabusSnapshot.val();
-      syllabi[syllabusData.title] = syllabusData;
+
+// Older syllabi and video purchases hold a fileUrl signed until 2500,
+// which keeps working after a refund. Each such file is moved to a new
+// path so those links stop working, and the stored URLs are removed
+const migrateSyllabusFiles = async (syllabiRef, purchasersRef) => {
+  const summary = { moved: 0, failed: [], purchasesUpdated: 0 };
+
+  const syllabiSnapshot = await syllabiRef.once('value');
+  const syllabi = [];
+  syllabiSnapshot.forEach(categorySnapshot => {
+    categorySnapshot.forEach(syllabusSnapshot => {
+      syllabi.push({ id: `${categorySnapshot.key}/${syllabusSnapshot.key}`, ...syllabusSnapshot.val() });
     });
-    
-    res.json(syllabi);
+  });
+
+  const movedPaths = {};
+  for (const syllabus of syllabi.filter(syllabus => syllabus.fileUrl)) {
+    if (!syllabus.filePath) {
+      summary.failed.push({ syllabusId: syllabus.id, error: 'No filePath; upload the file again to replace the link' });
+      continue;
+    }
+
+    try {
+      const filePath = syllabus.filePath.replace(/([^/]+)$/, `${Date.now()}_$1`);
+      await bucket.file(syllabus.filePath).move(filePath);
+      await syllabiRef.child(syllabus.id).update({ filePath, fileUrl: null, updatedAt: Date.now() });
+      movedPaths[syllabus.id] = filePath;
+      summary.moved++;
+    } catch (error) {
+      console.error(`Error moving syllabus file ${syllabus.id}:`, error);
+      summary.failed.push({ syllabusId: syllabus.id, error: error.message });
+    }
+  }
+
+  const purchasersSnapshot = await purchasersRef.once('value');
+  const updates = {};
+  purchasersSnapshot.forEach(studentSnapshot => {
+    Object.entries(studentSnapshot.val().purchases || {}).forEach(([purchaseId, purchase]) => {
+      const path = `${studentSnapshot.key}/purchases/${purchaseId}`;
+      if (purchase.syllabusFileUrl) updates[`${path}/syllabusFileUrl`] = null;
+      if (movedPaths[purchase.syllabusId]) updates[`${path}/syllabusFilePath`] = movedPaths[purchase.syllabusId];
+      if (purchase.syllabusFileUrl || movedPaths[purchase.syllabusId]) summary.purchasesUpdated++;
+    });
+  });
+  if (Object.keys(updates).length > 0) {
+    await purchasersRef.update(updates);
+  }
+
+  return summary;
+};
+
+// Safe to run again: only syllabi that still hold a fileUrl are moved
+app.post('/api/admin/syllabi/files/migrate', requirePermission('content:write'), async (req, res) => {
+  try {
+    const pdf = await migrateSyllabusFiles(pdfSyllabusRef, pdfSyllabusPurchasersRef);
+    const video = await migrateSyllabusFiles(videoSyllabusRef, videoSyllabusPurchasersRef);
+
+    res.status(200).json({ success: true, pdf, video });
   } catch (error) {
-    console.error("Error fetching video syllabi by category:", error);
-    res.status(500).json({ error: "Failed to fetch video syllabi by category" });
+    console.error('Error migrating syllabus files:', error);
+    res.status(500).json({ success: false, error: 'Failed to migrate syllabus files' });
   }
 });
 
-// Delete Video syllabus
-app.delete("/api/video-syllabi/:category/:title", async (req, res) => {
+
+//Payment drafts and Razorpay webhook
+// Before opening checkout the client stores what a payment is for under
+// paymentDrafts/{orderId}. If the tab closes after paying, the webhook
+// (or the reconciliation sweep) completes the registration or purchase
+const PAYMENT_PRODUCT_TYPES = ['main-exam', 'practice-test', 'pdf-syllabus', 'video-syllabus'];
+const PAYMENT_DRAFT_LOCK_MS = 2 * 60 * 1000;
+const PAYMENT_DRAFT_RECONCILE_AGE_MS = 10 * 60 * 1000;
+const PAYMENT_DRAFT_RECONCILE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000;
+
+const paymentDraftsRef = firestore.collection('paymentDrafts');
+
+// Product ID of a draft's details, in the form its order uses
+const getDraftProductId = (productType, details) => {
+  switch (productType) {
+    case 'main-exam':
+      return details.exam;
+    case 'practice-test':
+      return details.category && details.id ? `${details.category}/${details.id}` : null;
+    default:
+      return details.id;
+  }
+};
+
+// A draft may only complete the product and student its order was placed
+// for. Returns { status, error } or null
+const checkDraftOrder = (draft, order) => {
+  if (order.productType !== draft.productType ||
+      order.productId !== getDraftProductId(draft.productType, draft.details || {})) {
+    return { status: 400, error: 'Order was not placed for this product' };
+  }
+  if (draft.productType !== 'main-exam' && order.studentId !== draft.studentId) {
+    return { status: 403, error: 'Order was placed by another student' };
+  }
+  return null;
+};
+
+// Run the product-specific save for a captured payment. Returns the saved
+// purchase reference or { status, error }
+const completeDraftPurchase = async (draft, payment) => {
+  const orderDoc = await ordersRef.doc(draft.orderId).get();
+  if (!orderDoc.exists) {
+    return { status: 404, error: 'Order not found' };
+  }
+
+  const mismatch = checkDraftOrder(draft, orderDoc.data());
+  if (mismatch) return mismatch;
+
+  const paymentDetails = {
+    paymentId: payment.id,
+    orderId: payment.order_id,
+    amount: payment.amount / 100,
+    method: payment.method || null,
+    status: 'completed'
+  };
+
+  switch (draft.productType) {
+    case 'main-exam': {
+      const existing = await findRegistrationByPayment(payment.id, draft.details.phone);
+      if (existing) {
+        return { registrationNumber: existing.registrationNumber };
+      }
+
+      const verification = await verifyRegistrationPayment(draft.details.exam, payment.id, payment.order_id);
+      if (verification.error) return verification;
+
+      const [photoBuffer] = await bucket.file(draft.photoPath).download();
+      const registration = await createRegistration(draft.details, photoBuffer, verification);
+      if (registration.error) return registration;
+
+      await bucket.file(draft.photoPath).delete().catch(error =>
+        console.warn("Error deleting draft photo:", error.message)
+      );
+      return { registrationNumber: registration.candidateData.registrationNumber };
+    }
+    case 'practice-test':
+      return savePracticePurchase(draft.studentId, draft.details, paymentDetails);
+    case 'pdf-syllabus':
+      return savePdfPurchase(draft.studentId, draft.details, paymentDetails);
+    case 'video-syllabus':
+      return saveVideoPurchase(draft.studentId, draft.details, paymentDetails);
+    default:
+      return { status: 400, error: `Unknown product type ${draft.productType}` };
+  }
+};
+
+// Complete the draft of an order with a captured payment, once. Failed,
+// cancelled and refunded drafts are never completed later, so a webhook
+// retry or the sweep cannot bring back a purchase that was refunded.
+// Returns { status: 'completed' | 'processing' | 'failed' | 'cancelled' | 'not-found', ... }
+const finishPaymentDraft = async (orderId, payment) => {
+  const draftRef = paymentDraftsRef.doc(orderId);
+
+  const claim = await firestore.runTransaction(async (transaction) => {
+    const [draftDoc, orderDoc] = await Promise.all([
+      transaction.get(draftRef),
+      transaction.get(ordersRef.doc(orderId))
+    ]);
+    if (!draftDoc.exists) return { status: 'not-found' };
+
+    const draft = draftDoc.data();
+    if (draft.status === 'completed') {
+      return { status: 'completed', result: draft.result };
+    }
+    if (draft.status === 'failed' || draft.status === 'cancelled') {
+      return { status: draft.status, error: draft.error || null };
+    }
+    if (orderDoc.exists && ['refunded', 'partially-refunded'].includes(orderDoc.data().status)) {
+      transaction.update(draftRef, {
+        status: 'cancelled',
+        error: 'Order has been refunded',
+        cancelledAt: new Date().toISOString()
+      });
+      return { status: 'cancelled', error: 'Order has been refunded' };
+    }
+    if (draft.status === 'processing' && draft.lockedUntil > Date.now()) {
+      return { status: 'processing' };
+    }
+
+    transaction.update(draftRef, {
+      status: 'processing',
+      lockedUntil: Date.now() + PAYMENT_DRAFT_LOCK_MS
+    });
+    return { status: 'claimed', draft };
+  });
+
+  if (claim.status !== 'claimed') return claim;
+
+  // A captured payment that bought nothing is flagged on its order for a refund
+  const fail = async (error) => {
+    await draftRef.update({
+      status: 'failed',
+      paymentId: payment.id,
+      error,
+      lockedUntil: admin.firestore.FieldValue.delete(),
+      updatedAt: new Date().toISOString()
+    });
+    if (payment.status === 'captured') {
+      await flagOrderForRefund(orderId, error);
+    }
+    return { status: 'failed', error };
+  };
+
   try {
-    const { category, title } = req.params;
-    
-    const sanitizedCategory = sanitizeFilename(category);
-    const sanitizedTitle = sanitizeFilename(title);
-    const syllabusKey = `${sanitizedCategory}/${sanitizedTitle}`;
-    
-    // Check if syllabus exists
-    const syllabusSnapshot = await videoSyllabusRef.child(syllabusKey).once('value');
-    const syllabusData = syllabusSnapshot.val();
-    
-    if (!syllabusData) {
-      return res.status(404).json({ error: "Video syllabus not found" });
+    if (payment.status !== 'captured') {
+      return fail(`Payment is ${payment.status}`);
     }
-    
-    // Delete file from storage if it exists
-    if (syllabusData.filePath) {
-      try {
-        await bucket.file(syllabusData.filePath).delete();
-      } catch (deleteError) {
-        console.warn("Failed to delete file, it might not exist:", deleteError);
+    if (payment.amount !== Math.round(claim.draft.amount * 100)) {
+      return fail('Payment amount does not match the order');
+    }
+
+    const result = await completeDraftPurchase(claim.draft, payment);
+    if (result.error) {
+      return fail(result.error);
+    }
+
+    const { duplicate, ...savedResult } = result;
+    await draftRef.update({
+      status: 'completed',
+      paymentId: payment.id,
+      result: savedResult,
+      error: admin.firestore.FieldValue.delete(),
+      lockedUntil: admin.firestore.FieldValue.delete(),
+      completedAt: new Date().toISOString()
+    });
+    return { status: 'completed', result: savedResult };
+  } catch (error) {
+    // Leave the draft pending so a webhook retry or the sweep can finish it
+    await draftRef.update({
+      status: 'pending',
+      error: error.message,
+      lockedUntil: admin.firestore.FieldValue.delete()
+    });
+    throw error;
+  }
+};
+
+// Record a refund against the payment's order, draft and registration.
+// Once an order is fully refunded (or revokeAccess is set) what it paid
+// for is revoked
+const recordRefund = async (refund, payment, { reason, refundedBy, revokeAccess } = {}) => {
+  const refundRecord = {
+    refundId: refund.id,
+    paymentId: refund.payment_id,
+    amount: refund.amount / 100,
+    status: refund.status,
+    ...(refund.notes && refund.notes.reservationId ? { reservationId: refund.notes.reservationId } : {}),
+    ...(reason ? { reason } : {}),
+    ...(refundedBy ? { refundedBy } : {}),
+    updatedAt: new Date().toISOString()
+  };
+
+  const [draftSnapshot, paymentDoc] = await Promise.all([
+    paymentDraftsRef.where('paymentId', '==', refund.payment_id).limit(1).get(),
+    firestore.collection('payments').doc(refund.payment_id).get()
+  ]);
+
+  const batch = firestore.batch();
+  batch.set(firestore.collection('refunds').doc(refund.id), refundRecord, { merge: true });
+
+  draftSnapshot.docs.forEach(doc => batch.update(doc.ref, {
+    [`refunds.${refund.id}`]: refundRecord
+  }));
+  if (paymentDoc.exists) {
+    batch.update(paymentDoc.ref, { [`refunds.${refund.id}`]: refundRecord });
+  }
+
+  await batch.commit();
+
+  const order = payment && payment.order_id ? await recordOrderRefund(payment.order_id, refundRecord) : null;
+
+  let revoked = null;
+  if (order && (order.status === 'refunded' || revokeAccess) && !order.accessRevokedAt) {
+    revoked = await revokeOrderAccess(order, reason || 'Payment refunded');
+    await ordersRef.doc(order.orderId).update({
+      accessRevokedAt: new Date().toISOString(),
+      revokedAccess: revoked
+    });
+  }
+
+  return {
+    status: 'recorded',
+    matched: Boolean(order) || !draftSnapshot.empty || paymentDoc.exists,
+    orderStatus: order ? order.status : null,
+    revoked
+  };
+};
+
+const handlePaymentEvent = async (event) => {
+  switch (event.event) {
+    case 'payment.captured': {
+      const payment = event.payload.payment.entity;
+      if (!payment.order_id) return { status: 'ignored' };
+
+      await updateOrderStatus(payment.order_id, 'paid', {
+        paymentId: payment.id,
+        paidAt: new Date(payment.created_at * 1000).toISOString()
+      });
+
+      const outcome = await finishPaymentDraft(payment.order_id, payment);
+      return outcome.status === 'not-found' ? { status: 'unmatched' } : outcome;
+    }
+    case 'payment.failed': {
+      // Checkout can retry on the same order, so the draft stays pending
+      const payment = event.payload.payment.entity;
+      if (!payment.order_id) return { status: 'ignored' };
+
+      const paymentError = payment.error_description || payment.error_code || 'Payment failed';
+      await updateOrderStatus(payment.order_id, 'failed', { lastPaymentError: paymentError }, paymentError);
+
+      const draftRef = paymentDraftsRef.doc(payment.order_id);
+      const draftDoc = await draftRef.get();
+      if (!draftDoc.exists) return { status: 'unmatched' };
+
+      await draftRef.update({
+        failedAttempts: admin.firestore.FieldValue.increment(1),
+        lastPaymentError: paymentError,
+        updatedAt: new Date().toISOString()
+      });
+      return { status: 'recorded' };
+    }
+    case 'refund.processed':
+    case 'refund.failed':
+      return recordRefund(
+        event.payload.refund.entity,
+        event.payload.payment ? event.payload.payment.entity : null
+      );
+    default:
+      return { status: 'ignored' };
+  }
+};
+
+// Complete pending drafts whose order was paid but never completed
+const reconcilePaymentDrafts = async () => {
+  const now = Date.now();
+  const summary = { checked: 0, completed: 0, failed: 0 };
+
+  try {
+    const snapshot = await paymentDraftsRef
+      .where('status', 'in', ['pending', 'processing'])
+      .where('createdAt', '<=', new Date(now - PAYMENT_DRAFT_RECONCILE_AGE_MS).toISOString())
+      .where('createdAt', '>=', new Date(now - PAYMENT_DRAFT_RECONCILE_WINDOW_MS).toISOString())
+      .get();
+
+    for (const doc of snapshot.docs) {
+      summary.checked++;
+      try {
+        const { items } = await razorpay.orders.fetchPayments(doc.id);
+        const captured = (items || []).find(payment => payment.status === 'captured');
+        if (!captured) continue;
+
+        const outcome = await finishPaymentDraft(doc.id, captured);
+        if (outcome.status === 'completed') summary.completed++;
+        if (outcome.status === 'failed') summary.failed++;
+      } catch (error) {
+        console.error(`Error reconciling payment draft ${doc.id}:`, error);
+        summary.failed++;
       }
     }
-    
-    // Delete syllabus from Realtime Database
-    await videoSyllabusRef.child(syllabusKey).remove();
-    
-    res.json({ message: "Video syllabus deleted successfully" });
   } catch (error) {
-    console.error("Error deleting video syllabus:", error);
-    res.status(500).json({ error: "Failed to delete video syllabus" });
+    console.error("Error reconciling payment drafts:", error);
   }
-});
 
+  return summary;
+};
 
+// Store what an order pays for. Main exam drafts are sent as multipart
+// with the registration fields and photo; purchases send studentId and
+// the exam or syllabus details
+app.post('/api/payment-drafts', upload.single('photo'), async (req, res) => {
+  try {
+    const { orderId, productType, studentId } = req.body;
 
-//Video syllbus user apis
+    if (!orderId || !PAYMENT_PRODUCT_TYPES.includes(productType)) {
+      return res.status(400).json({
+        success: false,
+        error: `orderId and productType (${PAYMENT_PRODUCT_TYPES.join(', ')}) are required`
+      });
+    }
 
-// =============================
-// 🎬 VIDEO PURCHASE APIS
-// =============================
+    const orderDoc = await ordersRef.doc(orderId).get();
+    if (!orderDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Order not found' });
+    }
 
-// Firebase Realtime Database references
-const videoSyllabusPurchasersRef = realtimeDatabase.ref('videosyllabuspurchasers');
+    const order = orderDoc.data();
+    const draft = {
+      orderId,
+      productType,
+      amount: order.expectedAmount,
+      status: 'pending',
+      createdAt: new Date().toISOString()
+    };
 
-// 1️⃣ Verify video student
-app.get('/api/video-verify-student/:studentId', async (req, res) => {
-  try {
-    const { studentId } = req.params;
-    const studentSnapshot = await videoSyllabusPurchasersRef.child(studentId).once('value');
-    const studentData = studentSnapshot.val();
+    if (productType === 'main-exam') {
+      const requiredFields = [
+        'candidateName', 'gender', 'dob', 'district',
+        'pincode', 'state', 'phone', 'exam'
+      ];
+      const missingFields = requiredFields.filter(field => !req.body[field]);
+      if (missingFields.length > 0) {
+        return res.status(400).json({
+          success: false,
+          error: `Missing required fields: ${missingFields.join(', ')}`
+        });
+      }
+      if (!req.file) {
+        return res.status(400).json({ success: false, error: 'No photo file received' });
+      }
 
-    if (studentData) {
-      return res.json({
-        exists: true,
-        studentDetails: {
-          studentId,
-          ...studentData
-        }
+      const photoError = await validateCandidatePhoto(req.file);
+      if (photoError) {
+        return res.status(400).json({ success: false, error: photoError });
+      }
+
+      const conflict = await findRegistrationConflict(req.body.exam, req.body.phone);
+      if (conflict) {
+        return res.status(409).json({ success: false, error: conflict });
+      }
+
+      draft.details = {};
+      requiredFields.concat('email').forEach(field => {
+        draft.details[field] = req.body[field] || '';
       });
+      draft.photoPath = `paymentDrafts/${orderId}/photo`;
     } else {
-      return res.json({ exists: false });
+      const details = parseJsonField(req.body.details);
+      if (!studentId || !details || typeof details !== 'object') {
+        return res.status(400).json({ success: false, error: 'studentId and details are required' });
+      }
+
+      draft.studentId = studentId;
+      draft.details = details;
+    }
+
+    const mismatch = checkDraftOrder(draft, order);
+    if (mismatch) {
+      return res.status(mismatch.status).json({ success: false, error: mismatch.error });
+    }
+
+    try {
+      await paymentDraftsRef.doc(orderId).create(draft);
+    } catch (error) {
+      if (error.code === 6) {
+        return res.status(409).json({ success: false, error: 'A draft already exists for this order' });
+      }
+      throw error;
+    }
+
+    // The photo is only written once this request owns the draft, so a
+    // second request for the order cannot replace it
+    if (draft.photoPath) {
+      try {
+        await bucket.file(draft.photoPath).save(req.file.buffer, {
+          metadata: { contentType: req.file.mimetype },
+          resumable: false
+        });
+      } catch (error) {
+        await paymentDraftsRef.doc(orderId).delete();
+        throw error;
+      }
     }
+
+    res.status(201).json({ success: true, orderId, status: draft.status });
   } catch (error) {
-    console.error('Error verifying video student:', error);
-    return res.status(500).json({
-      error: 'Failed to verify video student ID',
-      message: error.message
-    });
+    console.error('Error saving payment draft:', error);
+    res.status(500).json({ success: false, error: 'Failed to save payment draft' });
   }
 });
 
-// 2️⃣ Register new video student
-app.post('/api/video-register-student', async (req, res) => {
+// Clients poll this after checkout to pick up a purchase the webhook completed
+app.get('/api/payment-drafts/:orderId', async (req, res) => {
   try {
-    const studentData = req.body;
-    let studentId;
-    let isUnique = false;
-
-    while (!isUnique) {
-      studentId = Math.floor(100000 + Math.random() * 900000).toString();
-      const existing = await videoSyllabusPurchasersRef.child(studentId).once('value');
-      if (!existing.exists()) isUnique = true;
+    const draftDoc = await paymentDraftsRef.doc(req.params.orderId).get();
+    if (!draftDoc.exists) {
+      return res.status(404).json({ success: false, error: 'Draft not found' });
     }
 
-    await videoSyllabusPurchasersRef.child(studentId).set({
-      name: studentData.name,
-      age: studentData.age,
-      gender: studentData.gender,
-      phoneNo: studentData.phoneNo,
-      email: studentData.email || null,
-      district: studentData.district,
-      state: studentData.state,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    });
-
-    return res.json({
-      success: true,
-      message: 'Video student registered successfully',
-      studentId
-    });
+    const { orderId, productType, status, result, error } = draftDoc.data();
+    res.status(200).json({ success: true, orderId, productType, status, result: result || null, error: error || null });
   } catch (error) {
-    console.error('Error registering video student:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to register video student',
-      message: error.message
-    });
+    console.error('Error fetching payment draft:', error);
+    res.status(500).json({ success: false, error: 'Failed to fetch payment draft' });
   }
 });
 
-// 3️⃣ Update student details
-app.put('/api/video-update-student/:studentId', async (req, res) => {
-  try {
-    const { studentId } = req.params;
-    const updatedData = req.body;
+// Razorpay webhook. Events are recorded in paymentEvents by their event ID
+// so retries of an already processed event are acknowledged and skipped
+app.post('/api/razorpay/webhook', async (req, res) => {
+  const signature = req.get('x-razorpay-signature');
+  const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
 
-    const studentSnapshot = await videoSyllabusPurchasersRef.child(studentId).once('value');
-    if (!studentSnapshot.exists()) {
-      return res.status(404).json({ success: false, error: 'Video student not found' });
+  if (!secret || !signature || !req.rawBody) {
+    return res.status(400).json({ success: false, error: 'Missing webhook signature' });
+  }
+
+  const expectedSignature = crypto.createHmac('sha256', secret).update(req.rawBody).digest('hex');
+  if (!safeEqual(expectedSignature, signature)) {
+    return res.status(400).json({ success: false, error: 'Invalid webhook signature' });
+  }
+
+  const event = req.body;
+  const eventId = req.get('x-razorpay-event-id') || hashToken(req.rawBody);
+  const eventRef = firestore.collection('paymentEvents').doc(eventId);
+
+  try {
+    const eventDoc = await eventRef.get();
+    if (eventDoc.exists && eventDoc.data().status === 'processed') {
+      return res.status(200).json({ success: true, duplicate: true });
     }
 
-    await videoSyllabusPurchasersRef.child(studentId).update({
-      ...updatedData,
-      updatedAt: admin.database.ServerValue.TIMESTAMP
-    });
+    await eventRef.set({
+      event: event.event,
+      payload: event.payload || null,
+      status: 'processing',
+      receivedAt: new Date().toISOString()
+    }, { merge: true });
 
-    const updatedStudent = (await videoSyllabusPurchasersRef.child(studentId).once('value')).val();
+    const outcome = await handlePaymentEvent(event);
 
-    return res.json({
-      success: true,
-      message: 'Video student details updated successfully',
-      studentDetails: { studentId, ...updatedStudent }
+    await eventRef.update({
+      status: 'processed',
+      outcome,
+      processedAt: new Date().toISOString()
     });
+    res.status(200).json({ success: true });
   } catch (error) {
-    console.error('Error updating video student:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to update video student',
-      message: error.message
-    });
+    console.error(`Error handling webhook event ${eventId}:`, error);
+    await eventRef.set({ status: 'failed', error: error.message }, { merge: true })
+      .catch(() => {});
+    // A non-2xx response makes Razorpay retry the event
+    res.status(500).json({ success: false, error: 'Failed to process webhook event' });
   }
 });
 
-// 4️⃣ Create a new video order
-app.post('/api/create-video-order', async (req, res) => {
-  try {
-    const { amount, notes } = req.body;
-    const options = {
-      amount: Math.round(amount * 100),
-      currency: 'INR',
-      receipt: `video_receipt_${Date.now()}`,
-      notes
-    };
+app.post('/api/admin/payments/reconcile', requirePermission('payments:manage'), async (req, res) => {
+  try {
+    const summary = await reconcilePaymentDrafts();
+
+    // Paid orders whose purchase failed, still waiting for a refund
+    const flagged = await ordersRef.where('refundRequired', '==', true).get();
+    const refundsRequired = flagged.docs.map(doc => {
+      const order = doc.data();
+      return {
+        orderId: order.orderId,
+        paymentId: order.paymentId,
+        productType: order.productType,
+        productId: order.productId,
+        studentId: order.studentId,
+        amount: order.expectedAmount,
+        reason: order.refundReason
+      };
+    });
 
-    const order = await razorpay.orders.create(options);
-    return res.json({ success: true, order });
+    res.status(200).json({ success: true, ...summary, refundsRequired });
   } catch (error) {
-    console.error('Error creating video order:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to create video payment order',
-      message: error.message
-    });
+    console.error('Error reconciling payments:', error);
+    res.status(500).json({ success: false, error: 'Failed to reconcile payments' });
   }
 });
 
-// 5️⃣ Verify video payment
-app.post('/api/verify-video-payment', async (req, res) => {
-  try {
-    const { orderId, paymentId, signature, syllabusId, filePath, userId } = req.body;
 
-    const generatedSignature = crypto
-      .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-      .update(`${orderId}|${paymentId}`)
-      .digest('hex');
+//Refunds
+// Admins refund a paid order in full or in part through Razorpay. A full
+// refund cancels the registration or revokes the purchase it paid for
+const REFUNDABLE_ORDER_STATUSES = ['paid', 'completed', 'partially-refunded'];
 
-    if (generatedSignature !== signature) {
-      return res.status(400).json({ success: false, error: 'Invalid video payment signature' });
+// Withdraw what an order paid for. Returns what was revoked, or null
+const revokeOrderAccess = async (order, reason) => {
+  const now = new Date().toISOString();
+  const revocation = { revoked: true, revokedAt: now, revokeReason: reason };
+
+  // A draft that never completed must not be completed later
+  const draftRef = paymentDraftsRef.doc(order.orderId);
+  const draftDoc = await draftRef.get();
+  if (draftDoc.exists && draftDoc.data().status !== 'completed') {
+    await draftRef.update({ status: 'cancelled', cancelledAt: now });
+  }
+
+  switch (order.productType) {
+    case 'main-exam': {
+      if (!order.registrationNumber) return null;
+
+      const candidateRef = firestore.collection('candidates').doc(order.registrationNumber);
+      const candidateDoc = await candidateRef.get();
+      if (!candidateDoc.exists) return null;
+
+      const { exam, phone } = candidateDoc.data();
+      const batch = firestore.batch();
+      batch.update(candidateRef, {
+        status: 'cancelled',
+        cancelledAt: now,
+        cancellationReason: reason,
+        'payment.status': 'refunded'
+      });
+      // Free the phone number so the candidate can register again
+      batch.delete(getRegistrationKeyRef(exam, phone));
+      batch.set(firestore.collection('payments').doc(order.paymentId), { status: 'refunded' }, { merge: true });
+      await batch.commit();
+
+      return { registrationNumber: order.registrationNumber };
     }
+    case 'practice-test': {
+      if (order.purchaseId === undefined || !order.studentId) return null;
 
-    return res.json({
-      success: true,
-      message: 'Video payment verified successfully',
-      paymentId,
-      syllabusId,
-      userId
-    });
-  } catch (error) {
-    console.error('Error verifying video payment:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to verify video payment',
-      message: error.message
-    });
+      const studentSnapshot = await realtimeDatabase
+        .ref('practicetestpurchasedstudents')
+        .orderByChild('studentId')
+        .equalTo(order.studentId)
+        .once('value');
+      if (!studentSnapshot.exists()) return null;
+
+      const studentKey = Object.keys(studentSnapshot.val())[0];
+      await realtimeDatabase
+        .ref(`practicetestpurchasedstudents/${studentKey}/purchases/${order.purchaseId}`)
+        .update({ ...revocation, 'paymentDetails/status': 'refunded' });
+
+      return { studentId: order.studentId, purchaseId: order.purchaseId };
+    }
+    case 'pdf-syllabus':
+    case 'video-syllabus': {
+      if (!order.purchaseId || !order.studentId) return null;
+
+      const purchasersRef = order.productType === 'pdf-syllabus' ? pdfSyllabusPurchasersRef : videoSyllabusPurchasersRef;
+      await purchasersRef
+        .child(order.studentId)
+        .child('purchases')
+        .child(order.purchaseId)
+        .update({ ...revocation, paymentStatus: 'refunded', expirationDate: now });
+
+      return { studentId: order.studentId, purchaseId: order.purchaseId };
+    }
+    case 'objection-fee': {
+      // The objection itself stands; only its fee is returned
+      if (!order.objectionId) return null;
+
+      await objectionsRef.doc(order.objectionId).update({ 'payment.status': 'refunded' });
+      return { objectionId: order.objectionId };
+    }
+    default:
+      return null;
   }
-});
+};
 
-// 6️⃣ Save video syllabus purchase
-app.post('/api/video-save-syllabus-purchase', async (req, res) => {
-  try {
-    const { studentId, syllabusDetails, paymentDetails, purchaseDate } = req.body;
-    const purchaseId = uuidv4();
+// Refund an order through Razorpay. The amount defaults to whatever has
+// not been refunded yet, and is reserved on the order before Razorpay is
+// called so concurrent requests cannot refund it twice. Refunding the whole
+// remaining amount revokes access straight away. Returns the refund
+// outcome or { status, error }
+const refundOrder = async (orderId, { amount, reason, revokeAccess, refundedBy }) => {
+  if (!reason) {
+    return { status: 400, error: 'A reason is required for refunds' };
+  }
 
-    const purchaseData = {
-      purchaseId,
-      syllabusId: syllabusDetails.id,
-      syllabusTitle: syllabusDetails.title,
-      syllabusCategory: syllabusDetails.category,
-      syllabusPrice: syllabusDetails.fees,
-      syllabusDuration: syllabusDetails.duration,
-      syllabusDescription: syllabusDetails.description || '',
-      syllabusFilePath: syllabusDetails.filePath,
-      syllabusFileUrl: syllabusDetails.fileUrl,
-      paymentStatus: paymentDetails.status,
-      paymentAmount: paymentDetails.amount,
-      paymentId: paymentDetails.paymentId || null,
-      orderId: paymentDetails.orderId || null,
-      purchaseDate,
-      createdAt: admin.database.ServerValue.TIMESTAMP
-    };
+  const orderRef = ordersRef.doc(orderId);
+  const reservationId = uuidv4();
 
-    await videoSyllabusPurchasersRef
-      .child(studentId)
-      .child('purchases')
-      .child(purchaseId)
-      .set(purchaseData);
+  const reservation = await firestore.runTransaction(async (transaction) => {
+    const orderDoc = await transaction.get(orderRef);
+    if (!orderDoc.exists) {
+      return { status: 404, error: 'Order not found' };
+    }
 
-    return res.json({
-      success: true,
-      message: 'Video syllabus purchase saved successfully',
-      purchaseId
+    const order = orderDoc.data();
+    if (!order.paymentId || !REFUNDABLE_ORDER_STATUSES.includes(order.status)) {
+      return { status: 409, error: `Orders that are ${order.status} cannot be refunded` };
+    }
+
+    const remaining = getRefundableAmount(order);
+    const refundAmount = amount === undefined || amount === null || amount === '' ? remaining : Number(amount);
+    if (!(refundAmount > 0) || refundAmount > remaining) {
+      return { status: 400, error: `Refund amount must be more than 0 and at most ${remaining}` };
+    }
+
+    transaction.update(orderRef, {
+      [`refundReservations.${reservationId}`]: { amount: refundAmount, reservedAt: new Date().toISOString() }
+    });
+    return { order, refundAmount, fullRefund: refundAmount === remaining };
+  });
+  if (reservation.error) return reservation;
+
+  let refund;
+  try {
+    refund = await razorpay.payments.refund(reservation.order.paymentId, {
+      amount: Math.round(reservation.refundAmount * 100),
+      notes: { orderId, reservationId, reason: String(reason).slice(0, 250) }
     });
   } catch (error) {
-    console.error('Error saving video purchase:', error);
-    return res.status(500).json({
-      success: false,
-      error: 'Failed to save video syllabus purchase',
-      message: error.message
+    await orderRef.update({
+      [`refundReservations.${reservationId}`]: admin.firestore.FieldValue.delete()
     });
+    throw error;
   }
-});
 
-// 7️⃣ Get student's purchased video syllabi
-app.get('/api/video-student-purchases/:studentId', async (req, res) => {
+  const recorded = await recordRefund({ ...refund, notes: { ...refund.notes, reservationId } }, { order_id: orderId }, {
+    reason,
+    refundedBy,
+    revokeAccess: Boolean(revokeAccess) || reservation.fullRefund
+  });
+
+  return {
+    refundId: refund.id,
+    amount: refund.amount / 100,
+    refundStatus: refund.status,
+    orderStatus: recorded.orderStatus,
+    revoked: recorded.revoked
+  };
+};
+
+// Full or partial refund of one order. revokeAccess also revokes on a
+// partial refund
+app.post('/api/admin/orders/:orderId/refund', requirePermission('payments:manage'), async (req, res) => {
   try {
-    const { studentId } = req.params;
-    const purchasesSnapshot = await videoSyllabusPurchasersRef
-      .child(studentId)
-      .child('purchases')
-      .once('value');
+    const { amount, reason, revokeAccess } = req.body;
 
-    const purchases = purchasesSnapshot.val() || {};
-    return res.json({
-      success: true,
-      purchases: Object.values(purchases)
+    const result = await refundOrder(req.params.orderId, {
+      amount,
+      reason,
+      revokeAccess,
+      refundedBy: req.admin.userid
     });
+    if (result.error) {
+      return res.status(result.status).json({ success: false, error: result.error });
+    }
+
+    res.status(200).json({ success: true, ...result });
   } catch (error) {
-    console.error('Error fetching video student purchases:', error);
-    return res.status(500).json({
+    console.error('Error refunding order:', error);
+    res.status(500).json({
       success: false,
-      error: 'Failed to fetch video student purchases',
-      message: error.message
+      error: (error.error && error.error.description) || 'Failed to refund order'
     });
   }
 });
 
-// 8️⃣ Get all video syllabus purchasers (admin/debug view)
-app.get('/api/videosyllabuspurchasers', async (req, res) => {
+// Refund every paid registration of a cancelled or rescheduled exam in full
+app.post('/api/admin/exams/:examTitle/refunds', requirePermission('payments:manage'), async (req, res) => {
+  const { examTitle } = req.params;
+  const { reason } = req.body;
+
   try {
-    const snapshot = await videoSyllabusPurchasersRef.once('value');
-    const data = snapshot.val();
+    if (!reason) {
+      return res.status(400).json({ success: false, error: 'A reason is required for refunds' });
+    }
 
-    if (!data) {
-      return res.status(404).json({
-        success: false,
-        message: 'No video syllabus purchasers found'
-      });
+    const snapshot = await ordersRef
+      .where('productType', '==', 'main-exam')
+      .where('productId', '==', examTitle)
+      .where('status', 'in', REFUNDABLE_ORDER_STATUSES)
+      .get();
+
+    const summary = { refunded: [], failed: [] };
+
+    // One at a time to stay within Razorpay rate limits
+    for (const doc of snapshot.docs) {
+      try {
+        const result = await refundOrder(doc.id, { reason, refundedBy: req.admin.userid });
+        if (result.error) {
+          summary.failed.push({ orderId: doc.id, error: result.error });
+        } else {
+          summary.refunded.push({ orderId: doc.id, ...result });
+        }
+      } catch (error) {
+        console.error(`Error refunding order ${doc.id}:`, error);
+        summary.failed.push({ orderId: doc.id, error: (error.error && error.error.description) || error.message });
+      }
     }
 
-    return res.json({ success: true, data });
+    res.status(200).json({ success: true, examTitle, ...summary });
   } catch (error) {
-    console.error('Error retrieving video purchasers:', error);
-    return res.status(500).json({
-      success: false,
-      message: 'Error retrieving video purchasers',
-      error: error.message
-    });
+    console.error('Error refunding exam registrations:', error);
+    res.status(500).json({ success: false, error: 'Failed to refund exam registrations' });
   }
 });
 
 
-
 // Start the server
 app.listen(port, () => {
     console.log(`Server started on port ${port}`);
+
+    // Submit exam sessions whose time has run out
+    setInterval(autoSubmitExpiredSessions, 60 * 1000);
+
+    // Finalize results of exams that have closed
+    setInterval(finalizeClosedExams, 5 * 60 * 1000);
+
+    // Complete paid orders whose client and webhook calls both went missing
+    setInterval(reconcilePaymentDrafts, 15 * 60 * 1000);
 });